@@ -13,6 +13,7 @@ import quizRoutes from "./modules/quiz/quiz.routes.js";
 import paymentRoutes from "./modules/payment/payment.routes.js";
 import userRoutes from "./modules/user/user.routes.js";
 import reportRoutes from "./modules/reports/report.routes.js";
+import practiceRoutes from "./modules/practice/practice.routes.js";
 import { sanitizeInput } from "./middlewares/sanitization.middleware.js";
 import { requestLogger, healthCheck } from "./middlewares/monitoring.middleware.js";
 import { generalRateLimit } from "./middlewares/rate-limit.middleware.js";
@@ -118,6 +119,7 @@ app.use("/api/quiz", quizRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/reports", reportRoutes);
+app.use("/api/practice", practiceRoutes);
 
 if (process.env.SENTRY_DSN) {
   app.use(Sentry.Handlers.errorHandler());
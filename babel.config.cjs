@@ -0,0 +1,6 @@
+// babel.config.cjs
+// Only used by Jest (babel-jest) to run the ES module sources; the server
+// itself runs them natively.
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
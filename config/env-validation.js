@@ -32,6 +32,14 @@ UPSTASH_REDIS_REST_TOKEN: Joi.string().when('NODE_ENV', {
   OTP_HASH_SECRET: Joi.string().when('NODE_ENV', { is: 'production', then: Joi.required(), otherwise: Joi.string().default('dev_otp_secret') }),
   OTP_TTL_MS: Joi.number().default(180000),
 
+  // Keys per-user question/option shuffling (quiz/quiz.randomization.js)
+  QUIZ_SHUFFLE_SECRET: Joi.string().when('NODE_ENV', { is: 'production', then: Joi.required(), otherwise: Joi.string().default('dev_quiz_shuffle_secret') }),
+
+  // Encrypts winners' payout details (payment/payout.crypto.js) and picks
+  // the payout provider (payment/payout.provider.js; "fake" outside production)
+  PAYOUT_ENCRYPTION_KEY: Joi.string().when('NODE_ENV', { is: 'production', then: Joi.required(), otherwise: Joi.string().default('dev_payout_encryption_key') }),
+  PAYOUT_PROVIDER: Joi.string().default('fake'),
+
   // Email (optional for now)
   EMAIL_USER: Joi.string().optional(),
   EMAIL_APP_PASSWORD: Joi.string().optional(),
@@ -70,6 +78,8 @@ export function validateEnvironment() {
       'MONGODB_URI',
       'JWT_SECRET',
       'JWT_REFRESH_SECRET',
+      'QUIZ_SHUFFLE_SECRET',
+      'PAYOUT_ENCRYPTION_KEY',
       'UPSTASH_REDIS_REST_URL',
       'UPSTASH_REDIS_REST_TOKEN'
     ];
@@ -53,7 +53,10 @@ if (
     hincrby: (key, field, increment) =>
       upstashClient.hincrby(key, field, increment),
 
-    hgetall: (key) => upstashClient.hgetall(key),
+    hget: (key, field) => upstashClient.hget(key, field),
+
+    // Upstash returns null for a missing hash
+    hgetall: async (key) => (await upstashClient.hgetall(key)) || {},
 
     // ---------- LISTS (FIXED PROPERLY) ----------
     lpush: (key, ...values) =>
@@ -64,6 +67,28 @@ if (
 
     ltrim: (key, start, stop) =>
       upstashClient.ltrim(key, start, stop),
+
+    // ---------- SORTED SETS ----------
+    zadd: (key, score, member) =>
+      upstashClient.zadd(key, { score, member }),
+
+    zscore: (key, member) => upstashClient.zscore(key, member),
+
+    zrevrank: (key, member) => upstashClient.zrevrank(key, member),
+
+    zcard: (key) => upstashClient.zcard(key),
+
+    zrem: (key, member) => upstashClient.zrem(key, member),
+
+    // Highest score first, as [{ member, score }]
+    zrevrange: async (key, start, stop) => {
+      const flat = await upstashClient.zrange(key, start, stop, { rev: true, withScores: true });
+      const result = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        result.push({ member: String(flat[i]), score: Number(flat[i + 1]) });
+      }
+      return result;
+    },
   };
 
   console.log("✅ Connected to Upstash Redis via REST");
@@ -75,6 +100,12 @@ if (
     global.redisStore = store;
   }
 
+  // Redis orders equal scores by member, descending for rev ranges
+  const sortedDesc = (set) =>
+    Array.from(set.entries())
+      .map(([member, score]) => ({ member, score }))
+      .sort((a, b) => b.score - a.score || (a.member < b.member ? 1 : a.member > b.member ? -1 : 0));
+
   redisClient = {
     connect: () => Promise.resolve(),
 
@@ -93,6 +124,9 @@ if (
 
     del: (key) => {
       store.delete(key);
+      store.delete(`list:${key}`);
+      store.delete(`hash:${key}`);
+      store.delete(`zset:${key}`);
       return Promise.resolve(1);
     },
 
@@ -122,24 +156,22 @@ if (
       return Promise.resolve(next);
     },
 
+    // ---------- HASHES ----------
+    // Kept as one object per key, like lists, so fields may contain ":"
     hincrby: (key, field, increment) => {
-      const hashKey = `${key}:${field}`;
-      const current = parseInt(store.get(hashKey) || "0");
-      const next = current + increment;
-      store.set(hashKey, next.toString());
+      const hashKey = `hash:${key}`;
+      const hash = store.get(hashKey) || {};
+      const next = parseInt(hash[field] || "0") + increment;
+      hash[field] = next.toString();
+      store.set(hashKey, hash);
       return Promise.resolve(next);
     },
 
-    hgetall: (key) => {
-      const result = {};
-      for (const [k, value] of store.entries()) {
-        if (k.startsWith(`${key}:`)) {
-          const field = k.split(":")[1];
-          result[field] = value;
-        }
-      }
-      return Promise.resolve(result);
-    },
+    hget: (key, field) =>
+      Promise.resolve((store.get(`hash:${key}`) || {})[field] ?? null),
+
+    hgetall: (key) =>
+      Promise.resolve({ ...(store.get(`hash:${key}`) || {}) }),
 
     // ---------- LISTS (FULLY WORKING) ----------
     lpush: (key, ...values) => {
@@ -171,6 +203,41 @@ if (
       return Promise.resolve("OK");
     },
 
+    // ---------- SORTED SETS ----------
+    zadd: (key, score, member) => {
+      const setKey = `zset:${key}`;
+      const set = store.get(setKey) || new Map();
+      const added = set.has(String(member)) ? 0 : 1;
+      set.set(String(member), Number(score));
+      store.set(setKey, set);
+      return Promise.resolve(added);
+    },
+
+    zscore: (key, member) =>
+      Promise.resolve((store.get(`zset:${key}`) || new Map()).get(String(member)) ?? null),
+
+    zrevrank: (key, member) => {
+      const set = store.get(`zset:${key}`) || new Map();
+      if (!set.has(String(member))) return Promise.resolve(null);
+      const index = sortedDesc(set).findIndex((entry) => entry.member === String(member));
+      return Promise.resolve(index);
+    },
+
+    zcard: (key) =>
+      Promise.resolve((store.get(`zset:${key}`) || new Map()).size),
+
+    zrem: (key, member) => {
+      const set = store.get(`zset:${key}`);
+      return Promise.resolve(set && set.delete(String(member)) ? 1 : 0);
+    },
+
+    zrevrange: (key, start, stop) => {
+      const entries = sortedDesc(store.get(`zset:${key}`) || new Map());
+      return Promise.resolve(
+        entries.slice(start, stop === -1 ? undefined : stop + 1)
+      );
+    },
+
     keys: (pattern) => {
       const regex = new RegExp(
         pattern.replace(/\*/g, ".*")
@@ -146,6 +146,7 @@ export const quizAnswerRateLimit = rateLimit(2 * 1000, 1, 'quiz_answer'); // 1 a
 export const quizListRateLimit = rateLimit(60 * 1000, 1000, 'quiz_list'); // 1000 requests per minute per user/IP (optimized for high concurrency)
 export const quizStatusRateLimit = rateLimit(60 * 1000, 120, 'quiz_status'); // 120 status checks per minute (2 per second max)
 export const quizQuestionRateLimit = rateLimit(60 * 1000, 120, 'quiz_question'); // 120 question fetches per minute (2 per second max)
+export const practiceRateLimit = rateLimit(60 * 60 * 1000, 60, 'practice'); // 60 practice sessions per hour per user
 
 // BLOG ENDPOINTS - Balanced limits
 export const blogViewRateLimit = rateLimit(60 * 1000, 200, 'blog_view'); // 200 blog views per minute
@@ -8,45 +8,101 @@ import Winner from "../quiz/winner.model.js";
 import QuizAttempt from "../quiz/quizAttempt.model.js";
 import User from "../user/user.model.js";
 import Payment from "../payment/payment.model.js";
+import Payout from "../payment/payout.model.js";
+import { listPayouts, approvePayout, sendPayout, reconcilePayout } from "../payment/payout.service.js";
 import * as BlogService from "../blog/blog.service.js";
 import { authRequired, roleRequired } from "../../middlewares/auth.middleware.js";
 import * as QuizService from "../quiz/quiz.service.js";
+import * as QuestionService from "../quiz/question.service.js";
+import { buildQuizSchedule, getQuizSchedule, isWithinLockWindow, SCHEDULE_FIELDS } from "../quiz/quiz.schedule.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey, requestedSlot } from "../quiz/quiz.slot.js";
+import { buildScoringConfig, getScoringConfig } from "../quiz/quiz.scoring.js";
+import { buildPrizeConfig, getPrizeConfig, getPrizePool, getPayoutLiability } from "../quiz/quiz.prizes.js";
+import { buildSamplingConfig } from "../quiz/quiz.randomization.js";
+import { selectQuestionsByBlueprint } from "../quiz/quiz.blueprint.js";
+import { updateQuizItemAnalytics, getQuizItemAnalytics } from "../quiz/question.analytics.js";
+import { adjustQuizQuestion, getWinnerRevisions } from "../quiz/quiz.disputes.js";
+import { findQuizWithQuestions } from "../quiz/quiz.version.js";
+import { detectImportFormat, parseQuestionFile, previewQuestionImport, commitQuestionImport, exportQuestions, EXPORT_FORMATS } from "../quiz/question.io.js";
+import { buildQuestionTimeLimits, validateQuestionCount, validateQuizFitsSchedule, getQuestionCount, LEGACY_QUESTION_COUNT } from "../quiz/quiz.timing.js";
+import { questionContentErrors } from "../quiz/question.types.js";
+import cloudinary from "../../config/cloudinary.js";
 import { logAdminAction, getAdminAuditLog, getAuditTrail } from "./adminAudit.service.js";
 
 const router = express.Router();
 
-// Configure multer for CSV upload
-const upload = multer({ 
-  dest: 'uploads/',
+// Question import files (CSV or JSON) are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    const name = file.originalname.toLowerCase();
+    if (['text/csv', 'application/json'].includes(file.mimetype) || name.endsWith('.csv') || name.endsWith('.json')) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV or JSON files are allowed'), false);
     }
   },
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// Question and option images are streamed from memory to Cloudinary
+const questionImageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
+});
+
+// Multipart fields arrive as strings
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+function sendExport(res, file, filename) {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${file.extension}"`);
+  res.send(file.body);
+}
+
+// Read questions from an uploaded file or, for JSON, the request body
+async function readImportRecords(req) {
+  if (req.file) {
+    const format = detectImportFormat({ format: req.body.format, filename: req.file.originalname, mimetype: req.file.mimetype });
+    return parseQuestionFile(req.file.buffer, format);
+  }
+  if (Array.isArray(req.body.questions)) {
+    return parseQuestionFile(Buffer.from(JSON.stringify(req.body.questions)), 'json');
+  }
+  throw new Error('Upload a CSV or JSON file, or send a questions array');
+}
+
 // Apply admin role check to all routes
 router.use(authRequired, roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]));
 
 // Get all quizzes for admin management
 router.get("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const { page = 1, limit = 50, status } = req.query;
+    const { page = 1, limit = 50, status, slot } = req.query;
     const skip = (page - 1) * limit;
 
     let filter = {};
     if (status) {
       filter.state = status;
     }
+    if (slot) {
+      filter.slot = normalizeSlot(slot);
+    }
 
     const quizzes = await Quiz.find(filter)
-      .sort({ quizDate: -1 })
+      .sort({ quizDate: -1, slot: 1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('quizDate title description questions state classGrade createdAt')
+      .select('quizDate slot title description questions state classGrade createdAt')
       .lean();
 
     const total = await Quiz.countDocuments(filter);
@@ -57,6 +113,7 @@ router.get("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res
       description: quiz.description,
       questions: Array.isArray(quiz.questions) ? quiz.questions.length : (quiz.totalQuestions || 0),
       quizDate: quiz.quizDate,
+      slot: quiz.slot || DEFAULT_SLOT,
       state: quiz.state,
       classGrade: quiz.classGrade,
       createdAt: quiz.createdAt
@@ -77,30 +134,26 @@ router.get("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res
   }
 });
 
-// Edit quiz (update title, description, classGrade)
+// Edit quiz (update title, description, classGrade, questions, sampling, schedule, questionTimeLimits, scoring, prizes)
 router.put("/quiz/:quizDate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
     const { quizDate } = req.params;
-    const { title, description, classGrade } = req.body;
+    const { title, description, classGrade, questions, sampling, schedule, questionTimeLimits, scoring, prizes } = req.body;
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
 
-    const now = new Date();
-    const istTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-    const lockTime = new Date(istTime);
-    lockTime.setHours(19, 50, 0, 0); // 7:50 PM IST
-
-    // Prevent quiz modification after 7:50 PM IST for today's quiz
-    if (quizDate === new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }) && istTime >= lockTime) {
-      return res.status(400).json({
-        message: 'Quiz questions are locked after 7:50 PM IST. No modifications allowed.'
-      });
-    }
-
-    const quiz = await Quiz.findOne({ quizDate });
+    const quiz = await Quiz.findOne({ quizDate, slot });
 
     if (!quiz) {
       return res.status(404).json({ message: 'Quiz not found' });
     }
 
+    // Prevent quiz modification between the quiz's lock time and its end
+    if (isWithinLockWindow(getQuizSchedule(quiz))) {
+      return res.status(400).json({
+        message: 'Quiz is locked. No modifications allowed until it ends.'
+      });
+    }
+
     // Only prevent modification if quiz is LIVE (currently running)
     if (quiz.state === 'LIVE') {
       return res.status(400).json({ message: 'Cannot modify quiz while it is live' });
@@ -113,6 +166,73 @@ router.put("/quiz/:quizDate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async
       });
     }
 
+    // Schedule can only be changed before the quiz is locked
+    if (schedule !== undefined) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot reschedule quiz in ${quiz.state} state` });
+      }
+      const updated = buildQuizSchedule(quiz.quizDate, { ...getQuizSchedule(quiz), ...schedule });
+      for (const field of SCHEDULE_FIELDS) quiz[field] = updated[field];
+    }
+
+    // Questions can be swapped (e.g. to fill a generated draft) before the quiz is locked
+    if (questions !== undefined) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot change questions in ${quiz.state} state` });
+      }
+      if (!Array.isArray(questions) || questions.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Questions must be an array of valid question IDs' });
+      }
+      validateQuestionCount(questions.length);
+      const found = await Question.find({ _id: { $in: questions } }).select('archived');
+      if (found.length !== new Set(questions.map(String)).size || found.length !== questions.length) {
+        return res.status(400).json({ message: 'Some questions do not exist or are duplicated' });
+      }
+      if (found.some(q => q.archived)) {
+        return res.status(400).json({ message: 'Archived questions cannot be added to a quiz' });
+      }
+      quiz.questions = questions;
+      // Per-question timers no longer line up with the new question list
+      if (questionTimeLimits === undefined) quiz.questionTimeLimits = [];
+    }
+
+    // Per-user sampling from the pool: { size, stratifyBy: DIFFICULTY | SUBJECT | NONE }
+    if (sampling !== undefined || (questions !== undefined && quiz.sampling?.size > 0)) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot change sampling in ${quiz.state} state` });
+      }
+      quiz.sampling = buildSamplingConfig(sampling ?? quiz.sampling, quiz.questions.length);
+      if (sampling !== undefined && questionTimeLimits === undefined) quiz.questionTimeLimits = [];
+    }
+
+    // Timers can only be changed before the quiz is locked
+    if (questionTimeLimits !== undefined) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot change question timers in ${quiz.state} state` });
+      }
+      quiz.questionTimeLimits = buildQuestionTimeLimits(getQuestionCount(quiz), questionTimeLimits);
+    }
+
+    // Scoring rules are frozen once the quiz is locked
+    if (scoring !== undefined) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot change scoring in ${quiz.state} state` });
+      }
+      quiz.scoring = buildScoringConfig(scoring, getScoringConfig(quiz));
+    }
+
+    // Prizes are what players pay in for, so they are frozen with the scoring
+    if (prizes !== undefined) {
+      if (!['DRAFT', 'SCHEDULED'].includes(quiz.state)) {
+        return res.status(400).json({ message: `Cannot change prizes in ${quiz.state} state` });
+      }
+      quiz.prizes = buildPrizeConfig(prizes, getPrizeConfig(quiz));
+    }
+
+    if (schedule !== undefined || questionTimeLimits !== undefined || questions !== undefined || sampling !== undefined) {
+      validateQuizFitsSchedule(quiz, getQuizSchedule(quiz));
+    }
+
     // Update allowed fields
     if (title !== undefined) quiz.title = title;
     if (description !== undefined) quiz.description = description;
@@ -120,7 +240,7 @@ router.put("/quiz/:quizDate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async
 
     await quiz.save();
 
-    await logAdminAction(req.user._id, 'QUIZ_UPDATED', 'QUIZ', quiz.quizDate, { title: quiz.title, description: quiz.description }, req);
+    await logAdminAction(req.user._id, 'QUIZ_UPDATED', 'QUIZ', quizKey(quiz.quizDate, slot), { slot, title: quiz.title, description: quiz.description, questionsCount: questions !== undefined ? quiz.questions.length : undefined, schedule: schedule !== undefined ? getQuizSchedule(quiz) : undefined, questionTimeLimits: questionTimeLimits !== undefined ? quiz.questionTimeLimits : undefined, sampling: sampling !== undefined ? quiz.sampling : undefined, scoring: scoring !== undefined ? quiz.scoring : undefined, prizes: prizes !== undefined ? quiz.prizes : undefined }, req);
     res.json(quiz);
   } catch (error) {
     console.error('Quiz update error:', error);
@@ -139,13 +259,13 @@ router.post("/questions/bulk", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), asyn
       });
     }
 
-    // Validate each question
+    // Validate each question against the rules for its type (question.types.js)
     for (let i = 0; i < questions.length; i++) {
       const q = questions[i];
-      if (!q.question || !Array.isArray(q.options) || q.options.length !== 4 ||
-          typeof q.correctIndex !== 'number' || q.correctIndex < 0 || q.correctIndex > 3) {
+      const errors = q && q.question ? questionContentErrors(q) : ['question text is required'];
+      if (errors.length) {
         return res.status(400).json({
-          message: `Question ${i + 1} is invalid. Each question must have: question text, 4 options array, and correctIndex (0-3).`
+          message: `Question ${i + 1} is invalid: ${errors.join('; ')}`
         });
       }
     }
@@ -156,8 +276,7 @@ router.post("/questions/bulk", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), asyn
     // Return the IDs as strings
     const questionIds = createdQuestions.map(q => q._id.toString());
 
-    // Note: Admin audit logging for questions creation is skipped for now
-    // await logAdminAction(req.user._id, 'QUESTIONS_CREATED', 'QUESTION', null, { count: questionIds.length }, req);
+    await logAdminAction(req.user._id, 'QUESTIONS_CREATED', 'QUESTION', 'bulk', { count: questionIds.length }, req);
 
     res.json({
       message: `Successfully created ${questionIds.length} questions`,
@@ -169,33 +288,274 @@ router.post("/questions/bulk", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), asyn
   }
 });
 
+// Upload an image for a question or option (field "image"). Returns the url and
+// publicId to put in the question's `image` or `optionImages`.
+router.post("/questions/images", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), questionImageUpload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Image file is required' });
+    }
+
+    const result = await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({ folder: 'questions', resource_type: 'image' }, (error, result) => {
+        if (error) return reject(error);
+        resolve(result);
+      });
+      stream.end(req.file.buffer);
+    });
+
+    await logAdminAction(req.user._id, 'QUESTION_IMAGE_UPLOADED', 'QUESTION', result.public_id, { bytes: result.bytes, format: result.format }, req);
+
+    res.status(201).json({ url: result.secure_url, publicId: result.public_id });
+  } catch (error) {
+    console.error('Question image upload error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Question bank (QUIZ_ADMIN, CONTENT_ADMIN or SUPER_ADMIN)
+// Filters: subject, difficulty, classGrade, tag, search, archived (true|false|all), unusedForDays,
+// flag (item analysis flag, e.g. POSSIBLE_MISKEY) or flagged=true
+router.get("/questions", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const result = await QuestionService.listQuestions(filters, { page, limit });
+    res.json(result);
+  } catch (error) {
+    console.error('List questions error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Import questions into the bank from CSV or JSON (field "file", or a JSON body with `questions`).
+// dryRun=true only validates and returns the row-level report. Otherwise nothing is written
+// while any row is invalid unless skipInvalid=true. Duplicates of earlier rows or existing
+// questions are skipped unless skipDuplicates=false.
+router.post("/questions/import", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), importUpload.single('file'), async (req, res) => {
+  let records;
+  try {
+    records = await readImportRecords(req);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const preview = await previewQuestionImport(records);
+    const { valid, ...report } = preview;
+
+    if (isTrue(req.body.dryRun ?? req.query.dryRun)) {
+      return res.json({ dryRun: true, ...report, questions: valid });
+    }
+
+    if (report.errorCount > 0 && !isTrue(req.body.skipInvalid)) {
+      return res.status(400).json({
+        message: `${report.errorCount} row(s) are invalid. Fix them or retry with skipInvalid=true.`,
+        ...report
+      });
+    }
+
+    const questionIds = await commitQuestionImport(preview, { skipDuplicates: !['false', false].includes(req.body.skipDuplicates) });
+
+    await logAdminAction(req.user._id, 'QUESTIONS_IMPORTED', 'QUESTION', 'bulk', {
+      source: req.file ? req.file.originalname : 'body',
+      total: report.total,
+      imported: questionIds.length,
+      errors: report.errorCount,
+      duplicates: report.duplicateCount
+    }, req);
+
+    res.json({
+      message: `Imported ${questionIds.length} of ${report.total} questions`,
+      ...report,
+      questionIds
+    });
+  } catch (error) {
+    console.error('Question import error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Export the question bank as csv, json or qti; accepts the same filters as GET /questions
+router.get("/questions/export", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { format = 'csv', page, limit, ...filters } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    let questions;
+    try {
+      questions = await QuestionService.findQuestionsForExport(filters);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const file = exportQuestions(questions, format, { identifier: `DME-BANK-${today}`, title: 'Question Bank' });
+    sendExport(res, file, `questions-${today}`);
+  } catch (error) {
+    console.error('Question export error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get("/questions/:questionId", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const question = await QuestionService.getQuestionWithUsage(req.params.questionId);
+    res.json(question);
+  } catch (error) {
+    res.status(error.message === 'Question not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+router.put("/questions/:questionId", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { question, before } = await QuestionService.updateQuestion(req.params.questionId, req.body);
+    await logAdminAction(req.user._id, 'QUESTION_UPDATED', 'QUESTION', question._id.toString(), { fields: Object.keys(req.body) }, req, { before, after: question.toObject() });
+    res.json(question);
+  } catch (error) {
+    res.status(error.message === 'Question not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+router.post("/questions/:questionId/archive", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const question = await QuestionService.setQuestionArchived(req.params.questionId, true);
+    await logAdminAction(req.user._id, 'QUESTION_ARCHIVED', 'QUESTION', question._id.toString(), {}, req);
+    res.json(question);
+  } catch (error) {
+    res.status(error.message === 'Question not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+router.post("/questions/:questionId/unarchive", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const question = await QuestionService.setQuestionArchived(req.params.questionId, false);
+    await logAdminAction(req.user._id, 'QUESTION_UNARCHIVED', 'QUESTION', question._id.toString(), {}, req);
+    res.json(question);
+  } catch (error) {
+    res.status(error.message === 'Question not found' ? 404 : 400).json({ message: error.message });
+  }
+});
+
+// Generate a DRAFT quiz from the question bank by blueprint (QUIZ_ADMIN or SUPER_ADMIN)
+// Body: { quizDate, classGrade, blueprint: [{ subject?, difficulty?, count }], excludeUsedWithinDays?,
+//         title?, description?, schedule?, scoring?, dryRun? }
+router.post("/quiz/generate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { quizDate, classGrade = 'ALL', blueprint, excludeUsedWithinDays, title, description, schedule, scoring, dryRun } = req.body;
+    const targetDate = quizDate || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+
+    if (!['10th', '12th', 'Other', 'ALL'].includes(classGrade)) {
+      return res.status(400).json({ message: 'Invalid classGrade. Must be one of: 10th, 12th, Other, ALL' });
+    }
+
+    let quizSchedule, scoringConfig, selection;
+    try {
+      quizSchedule = buildQuizSchedule(targetDate, schedule || {});
+      scoringConfig = buildScoringConfig(scoring || {});
+      selection = await selectQuestionsByBlueprint({ quizDate: targetDate, slot, classGrade, blueprint, excludeUsedWithinDays });
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const report = { quizDate: targetDate, slot, rows: selection.rows, shortfall: selection.shortfall };
+
+    if (dryRun || selection.questionIds.length === 0) {
+      return res.json({ ...report, quiz: null, questionIds: selection.questionIds });
+    }
+
+    const existingQuiz = await Quiz.findOne({ quizDate: targetDate, slot });
+    if (isWithinLockWindow(existingQuiz ? getQuizSchedule(existingQuiz) : quizSchedule)) {
+      return res.status(400).json({ message: 'Quiz is locked. No modifications allowed until it ends.' });
+    }
+    if (existingQuiz && !['DRAFT', 'SCHEDULED'].includes(existingQuiz.state)) {
+      return res.status(400).json({ message: `A quiz in ${existingQuiz.state} state already exists for this date and slot` });
+    }
+    if (existingQuiz) {
+      await Quiz.deleteOne({ _id: existingQuiz._id });
+    }
+
+    // Drafts are reviewed (and any shortfall filled via PUT /quiz/:quizDate) before going out
+    const quiz = await Quiz.create({
+      quizDate: targetDate,
+      slot,
+      title: title || 'Daily Quiz',
+      description: description || `Daily ${selection.questionIds.length} Question Quiz`,
+      questions: selection.questionIds,
+      scoring: scoringConfig,
+      state: 'DRAFT',
+      classGrade,
+      ...quizSchedule
+    });
+
+    await logAdminAction(req.user._id, 'QUIZ_GENERATED', 'QUIZ', quizKey(targetDate, slot), { slot, blueprint, excludeUsedWithinDays, questionsCount: quiz.questions.length, shortfall: selection.shortfall }, req);
+    res.json({ ...report, quiz });
+  } catch (error) {
+    console.error('Quiz generation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Quiz management (QUIZ_ADMIN or SUPER_ADMIN)
 router.post("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const { quizDate, title, description, questions, classGrade } = req.body;
+    const { quizDate, title, description, questions, classGrade, sampling, schedule, questionTimeLimits, scoring, prizes } = req.body;
     
     // Use provided quizDate or default to today
     const targetDate = quizDate || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    
-    const now = new Date();
-    const istTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-    const lockTime = new Date(istTime);
-    lockTime.setHours(19, 50, 0, 0); // 7:50 PM IST
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
 
-    // Prevent quiz creation/modification after 7:50 PM IST for today's quiz
-    if (targetDate === new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }) && istTime >= lockTime) {
-      return res.status(400).json({
-        message: 'Quiz questions are locked after 7:50 PM IST. No modifications allowed.'
-      });
+    // Schedule overrides accept "HH:MM" (IST on the quiz date) or ISO datetimes
+    let quizSchedule;
+    try {
+      quizSchedule = buildQuizSchedule(targetDate, schedule || {});
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
     }
 
-    // Validate that exactly 50 question IDs are provided
-    if (!questions || !Array.isArray(questions) || questions.length !== 50) {
+    const existingQuiz = await Quiz.findOne({ quizDate: targetDate, slot });
+
+    // Prevent quiz creation/modification between lock time and the end of the quiz
+    if (isWithinLockWindow(existingQuiz ? getQuizSchedule(existingQuiz) : quizSchedule)) {
       return res.status(400).json({
-        message: 'Quiz must have exactly 50 question IDs. Please provide all 50 question IDs.'
+        message: 'Quiz is locked. No modifications allowed until it ends.'
       });
     }
 
+    if (!questions || !Array.isArray(questions)) {
+      return res.status(400).json({ message: 'Quiz must have an array of question IDs' });
+    }
+
+    // Question count, optional per-user sampling from the pool and per-question
+    // timers (ms, one value or one per question shown)
+    let timeLimits, samplingConfig;
+    try {
+      validateQuestionCount(questions.length);
+      samplingConfig = buildSamplingConfig(sampling || {}, questions.length);
+      timeLimits = buildQuestionTimeLimits(getQuestionCount({ questions, sampling: samplingConfig }), questionTimeLimits);
+      validateQuizFitsSchedule({ questions, sampling: samplingConfig, questionTimeLimits: timeLimits }, quizSchedule);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    // Scoring mode: FLAT (default), POINTS, DIFFICULTY or SPEED_BONUS, with optional negative marking
+    let scoringConfig;
+    try {
+      scoringConfig = buildScoringConfig(scoring || {});
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    // Prizes: NONE (default), FIXED ₹ per rank band or POOL_PERCENT of the entry fees
+    let prizeConfig;
+    try {
+      prizeConfig = buildPrizeConfig(prizes || {});
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
     // Validate that all questions are valid ObjectIds and exist
     for (let i = 0; i < questions.length; i++) {
       const questionId = questions[i];
@@ -217,6 +577,10 @@ router.post("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, re
       });
     }
 
+    if (existingQuestions.some(q => q.archived)) {
+      return res.status(400).json({ message: 'Archived questions cannot be added to a quiz' });
+    }
+
     // Validate classGrade
     if (classGrade && !['10th', '12th', 'Other', 'ALL'].includes(classGrade)) {
       return res.status(400).json({
@@ -224,8 +588,6 @@ router.post("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, re
       });
     }
 
-    const existingQuiz = await Quiz.findOne({ quizDate: targetDate });
-
     // Only prevent modification if quiz is LIVE (currently running)
     if (existingQuiz && existingQuiz.state === 'LIVE') {
       return res.status(400).json({ message: 'Cannot modify quiz while it is live' });
@@ -239,14 +601,20 @@ router.post("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, re
     // Create quiz with question IDs
     const quiz = await Quiz.create({
       quizDate: targetDate,
+      slot,
       title: title || 'Daily Quiz',
-      description: description || 'Daily 50 Question Quiz',
+      description: description || `Daily ${questions.length} Question Quiz`,
       questions: questions,
+      sampling: samplingConfig,
+      questionTimeLimits: timeLimits,
+      scoring: scoringConfig,
+      prizes: prizeConfig,
       state: 'SCHEDULED',
       classGrade: classGrade || 'ALL',
+      ...quizSchedule
     });
 
-    await logAdminAction(req.user._id, 'QUIZ_CREATED', 'QUIZ', quiz.quizDate, { questionsCount: quiz.questions.length, title: quiz.title }, req);
+    await logAdminAction(req.user._id, 'QUIZ_CREATED', 'QUIZ', quizKey(quiz.quizDate, slot), { slot, questionsCount: quiz.questions.length, title: quiz.title, schedule: quizSchedule, sampling: samplingConfig, questionTimeLimits: timeLimits, scoring: scoringConfig, prizes: prizeConfig }, req);
     res.json(quiz);
   } catch (error) {
     console.error('Quiz creation error:', error);
@@ -254,131 +622,270 @@ router.post("/quiz", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, re
   }
 });
 
-// CSV Upload for Quiz Questions (QUIZ_ADMIN or SUPER_ADMIN)
-router.post("/quiz/upload", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), upload.single('csv'), async (req, res) => {
+// Quiz states an upload may replace (LOCKED and LIVE quizzes are in use)
+const UPLOAD_REPLACEABLE_STATES = ['DRAFT', 'SCHEDULED', 'PAYMENT_CLOSED', 'ENDED', 'FINALIZED', 'RESULT_PUBLISHED'];
+
+// CSV/JSON upload: import the questions into the bank and create the quiz for quizDate
+// (default today) and slot from them. Any invalid row rejects the upload with a row-level
+// report; dryRun=true returns the report without writing anything.
+router.post("/quiz/upload", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), importUpload.single('csv'), async (req, res) => {
   try {
-    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const now = new Date();
-    const istTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-    const lockTime = new Date(istTime);
-    lockTime.setHours(19, 50, 0, 0); // 7:50 PM IST
+    const targetDate = req.body.quizDate || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
 
-    // Prevent quiz creation/modification after 7:50 PM IST
-    if (istTime >= lockTime) {
-      return res.status(400).json({
-        message: 'Quiz questions are locked after 7:50 PM IST. No modifications allowed.'
-      });
+    if (!req.file) {
+      return res.status(400).json({ message: 'CSV or JSON file is required' });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ message: 'CSV file is required' });
+    let schedule;
+    let records;
+    try {
+      schedule = buildQuizSchedule(targetDate);
+      records = await parseQuestionFile(
+        req.file.buffer,
+        detectImportFormat({ format: req.body.format, filename: req.file.originalname, mimetype: req.file.mimetype })
+      );
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
     }
 
-    // Parse CSV file using csv-parser
-    const fs = await import('fs');
-    const { default: csv } = await import('csv-parser');
-    
-    const questions = [];
-    let rowCount = 0;
-    
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(req.file.path)
-        .pipe(csv())
-        .on('data', (row) => {
-          rowCount++;
-          // Skip header
-          if (rowCount === 1) return;
-          
-          const { question, optionA, optionB, optionC, optionD, correctAnswer } = row;
-          
-          if (!question || !optionA || !optionB || !optionC || !optionD || correctAnswer === undefined) {
-            reject(new Error(`Invalid CSV format at row ${rowCount}. Missing required fields.`));
-            return;
-          }
-          
-          let correctIndex;
-          const correctAnswerStr = String(correctAnswer).trim().toUpperCase();
-          
-          if (['1', '2', '3', '4'].includes(correctAnswerStr)) {
-            correctIndex = parseInt(correctAnswerStr) - 1;
-          } else if (['A', 'B', 'C', 'D'].includes(correctAnswerStr)) {
-            correctIndex = correctAnswerStr.charCodeAt(0) - 'A'.charCodeAt(0);
-          } else {
-            console.error(`Invalid correctAnswer value: "${correctAnswer}", normalized: "${correctAnswerStr}"`);
-            reject(new Error(`Invalid correct answer at row ${rowCount}. Must be 1-4 or A-D. Got: "${correctAnswer}"`));
-            return;
-          }
-          
-          if (correctIndex < 0 || correctIndex > 3) {
-            reject(new Error(`Invalid correct answer at row ${rowCount}. Must be 1-4 or A-D. Got: "${correctAnswer}"`));
-            return;
-          }
+    const existingQuiz = await Quiz.findOne({ quizDate: targetDate, slot });
+    if (existingQuiz) schedule = getQuizSchedule(existingQuiz);
 
-          questions.push({
-            question: question.trim(),
-            options: [optionA.trim(), optionB.trim(), optionC.trim(), optionD.trim()],
-            correctIndex: correctIndex
-          });
-        })
-        .on('end', async () => {
-          try {
-            // Delete uploaded file
-            fs.unlinkSync(req.file.path);
-
-            if (questions.length !== 50) {
-              resolve(res.status(400).json({ 
-                message: `CSV must contain exactly 50 questions. Found: ${questions.length}` 
-              }));
-              return;
-            }
-
-            // Delete existing quiz if it's not currently LIVE
-            const existingQuiz = await Quiz.findOne({ quizDate: today });
-            if (existingQuiz && existingQuiz.state === 'LIVE') {
-              resolve(res.status(400).json({ message: 'Cannot modify quiz while it is live' }));
-              return;
-            }
-            if (existingQuiz && ['DRAFT', 'PAYMENT_CLOSED', 'CREATED', 'CLOSED', 'ENDED', 'FINALIZED', 'RESULT_PUBLISHED'].includes(existingQuiz.state)) {
-              await Quiz.deleteOne({ _id: existingQuiz._id });
-            }
-
-            // Create quiz
-            const quiz = await Quiz.create({
-              quizDate: today,
-              questions: questions,
-              state: 'LOCKED', // Create in LOCKED state to prevent auto-start
-              tier: 'BRONZE',
-              minStreakRequired: 0,
-              subscriptionRequired: 'FREE',
-              classGrade: req.body.classGrade || 'ALL' // Default to ALL classes if not specified
-            });
-
-            await logAdminAction(req.user._id, 'QUIZ_CREATED_CSV', 'QUIZ', quiz.quizDate, { questionsCount: quiz.questions.length, source: 'CSV' }, req);
-            resolve(res.json({ message: 'Quiz created successfully from CSV', quiz }));
-          } catch (error) {
-            reject(error);
-          }
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
+    // Prevent quiz creation/modification between lock time and the end of the quiz
+    if (isWithinLockWindow(schedule)) {
+      return res.status(400).json({ message: 'Quiz is locked. No modifications allowed until it ends.' });
+    }
+    if (existingQuiz && existingQuiz.state === 'LIVE') {
+      return res.status(400).json({ message: 'Cannot modify quiz while it is live' });
+    }
+    // Checked before anything is written so a refused upload leaves no orphaned bank questions
+    if (existingQuiz && !UPLOAD_REPLACEABLE_STATES.includes(existingQuiz.state)) {
+      return res.status(409).json({ message: `A ${existingQuiz.state} quiz cannot be replaced by an upload` });
+    }
+
+    const preview = await previewQuestionImport(records);
+    const { valid, ...report } = preview;
+    if (report.errorCount > 0) {
+      return res.status(400).json({ message: `${report.errorCount} row(s) are invalid. No questions were imported.`, ...report });
+    }
+
+    // Optional questionTimeLimits form field: one value or a comma separated list (ms)
+    try {
+      validateQuestionCount(valid.length);
+    } catch (err) {
+      return res.status(400).json({ message: `${err.message}. Found: ${valid.length} questions`, ...report });
+    }
+    let timeLimits;
+    try {
+      timeLimits = buildQuestionTimeLimits(valid.length, req.body.questionTimeLimits);
+      validateQuizFitsSchedule({ questions: valid, questionTimeLimits: timeLimits }, schedule);
+    } catch (err) {
+      return res.status(400).json({ message: err.message, ...report });
+    }
+
+    if (isTrue(req.body.dryRun ?? req.query.dryRun)) {
+      return res.json({ dryRun: true, quizDate: targetDate, slot, ...report, questions: valid });
+    }
+
+    // Every row becomes a quiz question, so duplicates of bank questions are imported too
+    const questionIds = await commitQuestionImport(preview, { skipDuplicates: false });
+
+    if (existingQuiz) {
+      await Quiz.deleteOne({ _id: existingQuiz._id });
+    }
+
+    const quiz = await Quiz.create({
+      quizDate: targetDate,
+      slot,
+      title: req.body.title || 'Daily Quiz',
+      description: `Daily ${questionIds.length} Question Quiz`,
+      questions: questionIds,
+      questionTimeLimits: timeLimits,
+      state: 'SCHEDULED',
+      classGrade: req.body.classGrade || 'ALL', // Default to ALL classes if not specified
+      ...schedule
     });
+
+    await logAdminAction(req.user._id, 'QUIZ_CREATED_CSV', 'QUIZ', quizKey(quiz.quizDate, slot), { slot, questionsCount: quiz.questions.length, source: req.file.originalname, duplicates: report.duplicateCount }, req);
+    res.json({ message: 'Quiz created successfully from upload', ...report, quiz });
   } catch (error) {
     console.error('CSV upload error:', error);
     res.status(500).json({ message: error.message || 'Failed to process CSV file' });
   }
 });
 
+// Export a quiz's questions in quiz order as csv, json or qti (QTI includes an assessmentTest)
+router.get("/quiz/:quizDate/export", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { quizDate } = req.params;
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const quiz = await findQuizWithQuestions({ quizDate, slot });
+    if (!quiz) return res.status(404).json({ message: 'Quiz not found' });
+
+    const key = quizKey(quizDate, slot);
+    const file = exportQuestions((quiz.questions || []).filter(Boolean), format, {
+      identifier: `DME-QUIZ-${key.replace(/[^A-Za-z0-9_-]/g, '-')}`,
+      title: quiz.title || `Quiz ${key}`,
+      asTest: true
+    });
+    sendExport(res, file, `quiz-${key.replace(/[^A-Za-z0-9_-]/g, '-')}`);
+  } catch (error) {
+    console.error('Quiz export error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Disputed question after the quiz ends: { action: VOID | ACCEPT_ANSWERS | RESTORE, acceptedIndexes, reason }.
+// Rescores all attempts; for a finalized quiz the winners are recomputed as a new revision.
+router.post("/quiz/:quizDate/questions/:questionId/adjust", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { action, acceptedIndexes, reason } = req.body;
+    const result = await adjustQuizQuestion(
+      req.params.quizDate,
+      requestedSlot(req) || DEFAULT_SLOT,
+      req.params.questionId,
+      { action, acceptedIndexes, reason },
+      req.user._id,
+      req
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Question adjustment error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Winner list history of a quiz, newest first
+router.get("/quiz/:quizDate/winner-revisions", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const revisions = await getWinnerRevisions(req.params.quizDate, requestedSlot(req) || DEFAULT_SLOT);
+    res.json({ revisions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Prize rules, current entry fee pool and payout ledger of a quiz
+router.get("/quiz/:quizDate/payouts", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { quizDate } = req.params;
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await Quiz.findOne({ quizDate, slot }).select('prizes state').lean();
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const [poolAmount, payouts, [liability]] = await Promise.all([
+      getPrizePool(quizDate, slot),
+      Payout.find({ quizDate, slot }).sort({ rank: 1 }).populate('user', 'name phone').lean(),
+      getPayoutLiability({ quizDate, slot })
+    ]);
+
+    res.json({
+      quizDate,
+      slot,
+      state: quiz.state,
+      prizes: getPrizeConfig(quiz),
+      poolAmount,
+      totalLiability: liability?.totalLiability || 0,
+      byStatus: liability?.byStatus || {},
+      payouts
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Total prize liability per quiz (?quizDate, ?slot to narrow it down)
+router.get("/payouts/liability", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const quizzes = await getPayoutLiability({ quizDate: req.query.quizDate, slot: requestedSlot(req) });
+    const totalLiability = Math.round(quizzes.reduce((sum, q) => sum + q.totalLiability, 0) * 100) / 100;
+    res.json({ totalLiability, quizzes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Payout queue (?status, ?quizDate, ?slot, ?page, ?limit)
+router.get("/payouts", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const { status, quizDate, page, limit } = req.query;
+    const result = await listPayouts({ status, quizDate, slot: requestedSlot(req), page, limit });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve a PENDING (or retry a FAILED) payout; works out TDS
+router.post("/payouts/:payoutId/approve", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const payout = await approvePayout(req.params.payoutId, req.user._id, req);
+    res.json({ payout });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Send an APPROVED payout through the payout provider
+router.post("/payouts/:payoutId/pay", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const payout = await sendPayout(req.params.payoutId, req.user._id, req);
+    res.json({ payout });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Ask the provider about an UNCONFIRMED payout or an expired PROCESSING claim
+router.post("/payouts/:payoutId/reconcile", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const payout = await reconcilePayout(req.params.payoutId, req.user._id, req);
+    res.json({ payout });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Per-question difficulty, discrimination and distractor stats for a quiz
+router.get("/quiz/:quizDate/item-analytics", roleRequired(["QUIZ_ADMIN", "CONTENT_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const result = await getQuizItemAnalytics(req.params.quizDate, requestedSlot(req) || DEFAULT_SLOT);
+    res.json(result);
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+});
+
+// Recompute item analytics (normally done when the quiz ends)
+router.post("/quiz/:quizDate/item-analytics", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
+  try {
+    const result = await updateQuizItemAnalytics(req.params.quizDate, requestedSlot(req) || DEFAULT_SLOT);
+    res.json(result);
+  } catch (error) {
+    console.error('Item analytics error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
 router.get("/quiz/status", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const quiz = await Quiz.findOne({ quizDate: today });
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await Quiz.findOne({ quizDate: today, slot });
     if (quiz) {
       // Populate questions for display
       await quiz.populate('questions');
       res.json(quiz);
     } else {
-      res.json({ quizDate: today, state: null });
+      res.json({ quizDate: today, slot, state: null });
     }
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -387,8 +894,9 @@ router.get("/quiz/status", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (r
 
 router.put("/quiz/:quizDate/lock", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const quiz = await QuizService.lockQuiz(req.params.quizDate);
-    await logAdminAction(req.user._id, 'QUIZ_LOCKED', 'QUIZ', req.params.quizDate, { status: 'LOCKED' }, req);
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await QuizService.lockQuiz(req.params.quizDate, slot);
+    await logAdminAction(req.user._id, 'QUIZ_LOCKED', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, status: 'LOCKED' }, req);
     res.json(quiz);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -399,8 +907,9 @@ router.put("/quiz/:quizDate/lock", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]),
 router.put("/quiz/:quizDate/close-payments", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
     // snapshotEligibleUsers already transitions state to PAYMENT_CLOSED
-    const quiz = await QuizService.snapshotEligibleUsers(req.params.quizDate);
-    await logAdminAction(req.user._id, 'QUIZ_PAYMENTS_CLOSED', 'QUIZ', req.params.quizDate, { status: 'PAYMENT_CLOSED' }, req);
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await QuizService.snapshotEligibleUsers(req.params.quizDate, slot);
+    await logAdminAction(req.user._id, 'QUIZ_PAYMENTS_CLOSED', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, status: 'PAYMENT_CLOSED' }, req);
     res.json(quiz);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -409,8 +918,9 @@ router.put("/quiz/:quizDate/close-payments", roleRequired(["QUIZ_ADMIN", "SUPER_
 
 router.put("/quiz/:quizDate/start", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const quiz = await QuizService.startQuiz(req.params.quizDate);
-    await logAdminAction(req.user._id, 'QUIZ_STARTED', 'QUIZ', req.params.quizDate, { status: 'LIVE' }, req);
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await QuizService.startQuiz(req.params.quizDate, slot);
+    await logAdminAction(req.user._id, 'QUIZ_STARTED', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, status: 'LIVE' }, req);
     res.json(quiz);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -419,8 +929,9 @@ router.put("/quiz/:quizDate/start", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]),
 
 router.put("/quiz/:quizDate/end", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const quiz = await QuizService.endQuiz(req.params.quizDate);
-    await logAdminAction(req.user._id, 'QUIZ_ENDED', 'QUIZ', req.params.quizDate, { status: 'CLOSED' }, req);
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await QuizService.endQuiz(req.params.quizDate, slot);
+    await logAdminAction(req.user._id, 'QUIZ_ENDED', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, status: 'CLOSED' }, req);
     res.json(quiz);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -432,11 +943,13 @@ router.post("/quiz/:quizDate/force-finalize", roleRequired(["SUPER_ADMIN"]), asy
     if (req.user.role !== 'SUPER_ADMIN') {
       return res.status(403).json({ message: 'Only SUPER_ADMIN can force finalize' });
     }
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
     const winners = await QuizService.calculateAndPersistWinners(req.params.quizDate, {
       disasterMode: true,
-      adminId: req.user._id
+      adminId: req.user._id,
+      slot
     });
-    await logAdminAction(req.user._id, 'FORCE_FINALIZE', 'QUIZ', req.params.quizDate, { winnerCount: winners.length }, req);
+    await logAdminAction(req.user._id, 'FORCE_FINALIZE', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, winnerCount: winners.length }, req);
     res.json({ success: true, winnerCount: winners.length });
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -446,7 +959,8 @@ router.post("/quiz/:quizDate/force-finalize", roleRequired(["SUPER_ADMIN"]), asy
 // Delete quiz endpoint - allows admins to delete old/ended quizzes
 router.delete("/quiz/:quizDate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req, res) => {
   try {
-    const quiz = await Quiz.findOne({ quizDate: req.params.quizDate });
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const quiz = await Quiz.findOne({ quizDate: req.params.quizDate, slot });
     if (!quiz) {
       return res.status(404).json({ message: 'Quiz not found' });
     }
@@ -454,7 +968,7 @@ router.delete("/quiz/:quizDate", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), as
       return res.status(400).json({ message: 'Cannot delete quiz while it is live' });
     }
     await Quiz.deleteOne({ _id: quiz._id });
-    await logAdminAction(req.user._id, 'QUIZ_DELETED', 'QUIZ', req.params.quizDate, { state: quiz.state }, req);
+    await logAdminAction(req.user._id, 'QUIZ_DELETED', 'QUIZ', quizKey(req.params.quizDate, slot), { slot, state: quiz.state }, req);
     res.json({ message: 'Quiz deleted successfully' });
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -622,15 +1136,16 @@ router.get("/winners", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req,
   try {
     const { date } = req.query;
     const quizDate = date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
     
-    let winners = await Winner.find({ quizDate })
+    let winners = await Winner.find({ quizDate, slot })
       .populate('user', 'name phone email profileImage fullName username')
       .sort({ rank: 1 })
       .limit(20);
 
     // if no winners yet (not finalized) calculate provisional leaderboard
     if (!winners || winners.length === 0) {
-      const provisional = await QuizAttempt.find({ quizDate, answersSaved: true, isEligible: true })
+      const provisional = await QuizAttempt.find({ quizDate, slot, answersSaved: true, isEligible: true })
         .populate('user', 'name phone email profileImage fullName username')
         .sort({ score: -1, totalTimeMs: 1 })
         .limit(20);
@@ -644,7 +1159,9 @@ router.get("/winners", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req,
     }
     
     // Get total participants
-    const totalParticipants = await QuizAttempt.countDocuments({ quizDate, answersSaved: true });
+    const totalParticipants = await QuizAttempt.countDocuments({ quizDate, slot, answersSaved: true });
+    const quiz = await Quiz.findOne({ quizDate, slot }).select('questions');
+    const questionCount = getQuestionCount(quiz) || LEGACY_QUESTION_COUNT;
     
     const transformedWinners = winners.map(w => {
       const userObj = w.user || {};
@@ -655,7 +1172,7 @@ router.get("/winners", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req,
         rank: w.rank,
         score: w.score,
         totalTimeMs: w.totalTimeMs,
-        accuracy: w.score > 0 ? ((w.score / 50) * 100).toFixed(2) : 0,
+        accuracy: w.score > 0 ? ((w.score / questionCount) * 100).toFixed(2) : 0,
         user: {
           _id: userObj._id || null,
           name: displayName,
@@ -670,6 +1187,7 @@ router.get("/winners", roleRequired(["QUIZ_ADMIN", "SUPER_ADMIN"]), async (req,
     res.json({
       winners: transformedWinners,
       quizDate,
+      slot,
       totalParticipants
     });
   } catch (error) {
@@ -844,11 +1362,12 @@ router.post("/blogs/:blogId/reject", roleRequired(["CONTENT_ADMIN", "SUPER_ADMIN
 // Get all payments (SUPER_ADMIN)
 router.get("/payments", roleRequired(["SUPER_ADMIN"]), async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, quizDate } = req.query;
+    const { page = 1, limit = 50, status, quizDate, slot } = req.query;
     const query = {};
     
     if (status) query.status = status;
     if (quizDate) query.quizDate = quizDate;
+    if (slot) query.slot = normalizeSlot(slot);
     
     const payments = await Payment.find(query)
       .populate('user', 'name phone email')
@@ -17,12 +17,19 @@ const adminAuditSchema = new mongoose.Schema(
       enum: [
         "QUIZ_CREATED",
         "QUIZ_CREATED_CSV",
+        "QUIZ_GENERATED",
         "QUIZ_UPDATED",
         "QUIZ_LOCKED",
         "QUIZ_STARTED",
         "QUIZ_ENDED",
         "QUIZ_FINALIZED",
         "WINNERS_CALCULATED",
+        "LEADERBOARD_RECONCILED",
+        "PAYOUT_ACCOUNT_UPDATED",
+        "PAYOUT_APPROVED",
+        "PAYOUT_PAID",
+        "PAYOUT_FAILED",
+        "PAYOUT_UNCONFIRMED",
         "BLOG_APPROVED",
         "BLOG_REJECTED",
         "USER_SUSPENDED",
@@ -36,6 +43,16 @@ const adminAuditSchema = new mongoose.Schema(
         "FORCE_FINALIZE",
         "DISASTER_RECOVERY",
         "ADMIN_LOGIN",
+        "QUESTIONS_CREATED",
+        "QUESTIONS_IMPORTED",
+        "QUESTION_UPDATED",
+        "QUESTION_IMAGE_UPLOADED",
+        "QUESTION_ARCHIVED",
+        "QUESTION_UNARCHIVED",
+        "QUESTION_VOIDED",
+        "QUESTION_ANSWERS_ACCEPTED",
+        "QUESTION_ADJUSTMENT_REMOVED",
+        "QUIZ_RESCORED",
         "SYSTEM_MAINTENANCE"
       ]
     },
@@ -43,7 +60,7 @@ const adminAuditSchema = new mongoose.Schema(
     targetType: {
       type: String,
       required: true,
-      enum: ["QUIZ", "BLOG", "USER", "REFUND", "SYSTEM"]
+      enum: ["QUIZ", "QUESTION", "BLOG", "USER", "REFUND", "PAYOUT", "SYSTEM"]
     },
 
     targetId: {
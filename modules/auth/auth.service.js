@@ -7,6 +7,7 @@ import { generateOtp, verifyOtp } from "./otp.service.js";
 import { sendOTP } from "../../utils/sms.js";
 import { sendEmailOTP } from "../../utils/email.js";
 import redisClient from "../../config/redis.js";
+import { normalizeLocale, SUPPORTED_LOCALES } from "../quiz/question.locale.js";
 
 
 function signTokens(user) {
@@ -590,6 +591,12 @@ export async function updateUserPreferences(userId, preferences) {
   if (!user) {
     throw new Error('User not found');
   }
+  if (preferences?.language !== undefined) {
+    // Language questions are served in (see quiz/question.locale.js)
+    const language = normalizeLocale(preferences.language);
+    if (!language) throw new Error(`language must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    preferences = { ...preferences, language };
+  }
   user.preferences = { ...user.preferences, ...preferences };
   await user.save();
   return user.preferences;
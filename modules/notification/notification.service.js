@@ -162,6 +162,43 @@ export async function sendQuizCompletionNotification(userId, results) {
   }
 }
 
+/**
+ * Tell a user their result changed after a disputed question was rescored
+ * @param {ObjectId} userId - User ID
+ * @param {Object} change - { quizDate, slot, oldScore, newScore, oldRank, newRank, reason }
+ */
+export async function sendScoreRevisionNotification(userId, change) {
+  try {
+    const user = await User.findById(userId).select('phone name email fcmToken');
+    if (!user) return;
+
+    const rankText = change.newRank ? ` Your rank is now ${change.newRank}.` : (change.oldRank ? ' You are no longer in the top 20.' : '');
+    const body = `Your score for the ${change.quizDate} quiz changed from ${change.oldScore} to ${change.newScore}.${rankText}`;
+
+    if (user.fcmToken) {
+      await sendPushNotification(user.fcmToken, 'Quiz Result Updated', body, {
+        type: 'score_revised',
+        quizDate: change.quizDate,
+        slot: change.slot,
+        action: 'view_results'
+      });
+    }
+
+    if (user.email) {
+      await sendNotificationEmail(
+        user.email,
+        'Quiz Result Updated',
+        `Dear ${user.name},\n\n${body}\n\nReason: ${change.reason}\n\nBest regards,\nDaily Mind Education Team`
+      );
+    }
+
+    return { success: true, user: user.phone };
+  } catch (error) {
+    console.error('Error sending score revision notification:', error);
+    throw error;
+  }
+}
+
 /**
  * Send weekly digest notification to all active users
  */
@@ -0,0 +1,235 @@
+// modules/payment/__tests__/payout.service.test.js
+import mongoose from 'mongoose';
+import Payout from '../payout.model.js';
+import { registerPayoutProvider } from '../payout.provider.js';
+import { encryptValue } from '../payout.crypto.js';
+import { logAdminAction } from '../../admin/adminAudit.service.js';
+import {
+  calculateTds, sendPayout, reconcilePayout, approvePayout, PAYOUT_CLAIM_TIMEOUT_MS, TDS_THRESHOLD
+} from '../payout.service.js';
+
+jest.mock('../../admin/adminAudit.service.js', () => ({ logAdminAction: jest.fn() }));
+
+// In-memory Payout collection: enough of findOneAndUpdate / findById for the
+// conditional claims the service relies on
+jest.mock('../payout.model.js', () => {
+  const docs = new Map();
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, expected]) => {
+    const actual = key === '_id' ? String(doc._id) : doc[key] ?? null;
+    if (expected && typeof expected === 'object' && Array.isArray(expected.$in)) return expected.$in.includes(actual);
+    return key === '_id' ? actual === String(expected) : actual === expected;
+  });
+
+  const query = value => {
+    const result = value ? { ...value } : null;
+    return {
+      select: () => query(value),
+      lean: () => Promise.resolve(result),
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+  };
+
+  return {
+    __esModule: true,
+    default: {
+      docs,
+      findById: id => query(docs.get(String(id))),
+      findOneAndUpdate: (filter, update, { new: returnNew = false } = {}) => {
+        const doc = [...docs.values()].find(d => matches(d, filter));
+        if (!doc) return query(null);
+        const before = { ...doc };
+        Object.assign(doc, update.$set);
+        for (const [key, by] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + by;
+        return query(returnNew ? doc : before);
+      }
+    }
+  };
+});
+
+// Provider whose answers each test scripts
+const provider = {
+  name: 'test',
+  send: jest.fn(),
+  getStatus: jest.fn()
+};
+
+function addPayout(fields = {}) {
+  const payout = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    quizDate: '2026-01-01',
+    slot: 'MAIN',
+    user: 'user1',
+    amount: 500,
+    netAmount: 500,
+    status: 'APPROVED',
+    processingAt: null,
+    attempts: 0,
+    encryptedDestination: encryptValue(JSON.stringify({ method: 'UPI', accountHolderName: 'Test', vpa: 'test@okaxis' })),
+    ...fields
+  };
+  Payout.docs.set(payout._id, payout);
+  return payout;
+}
+
+const stored = id => Payout.docs.get(id);
+
+beforeAll(() => {
+  process.env.PAYOUT_ENCRYPTION_KEY = 'test-key';
+  process.env.PAYOUT_PROVIDER = 'test';
+  registerPayoutProvider(provider);
+});
+
+beforeEach(() => {
+  Payout.docs.clear();
+  jest.clearAllMocks();
+});
+
+describe('calculateTds', () => {
+  test('nothing is deducted up to the threshold', () => {
+    expect(calculateTds(9999.99)).toEqual({ tdsAmount: 0, netAmount: 9999.99 });
+    expect(calculateTds(TDS_THRESHOLD)).toEqual({ tdsAmount: 0, netAmount: 10000 });
+  });
+
+  test('30% is deducted above the threshold', () => {
+    expect(calculateTds(10000.01)).toEqual({ tdsAmount: 3000, netAmount: 7000.01 });
+    expect(calculateTds(25000.5)).toEqual({ tdsAmount: 7500.15, netAmount: 17500.35 });
+  });
+});
+
+describe('sendPayout', () => {
+  test('sends the net amount with a fresh idempotency key and marks it PAID', async () => {
+    const { _id } = addPayout();
+    provider.send.mockResolvedValue({ status: 'PAID', reference: 'ref_1' });
+
+    const result = await sendPayout(_id, 'admin1');
+
+    const [request] = provider.send.mock.calls[0];
+    expect(request).toMatchObject({ amount: 500, method: 'UPI', vpa: 'test@okaxis' });
+    expect(request.idempotencyKey).toMatch(new RegExp(`^payout_${_id}_`));
+    expect(result.status).toBe('PAID');
+    expect(stored(_id)).toMatchObject({ status: 'PAID', providerReference: 'ref_1', processingAt: null, attempts: 1, provider: 'test' });
+    expect(logAdminAction).toHaveBeenCalledWith('admin1', 'PAYOUT_PAID', 'PAYOUT', _id, expect.any(Object), null,
+      { before: { status: 'PROCESSING' }, after: { status: 'PAID' } });
+  });
+
+  test('a rejection from the provider marks it FAILED', async () => {
+    const { _id } = addPayout();
+    provider.send.mockResolvedValue({ status: 'FAILED', reason: 'Invalid VPA' });
+
+    await sendPayout(_id, 'admin1');
+
+    expect(stored(_id)).toMatchObject({ status: 'FAILED', failureReason: 'Invalid VPA', processingAt: null });
+    expect(logAdminAction).toHaveBeenCalledWith('admin1', 'PAYOUT_FAILED', 'PAYOUT', _id, expect.any(Object), null, expect.any(Object));
+  });
+
+  test('a provider error leaves it UNCONFIRMED, not FAILED', async () => {
+    const { _id } = addPayout();
+    provider.send.mockRejectedValue(new Error('socket hang up'));
+
+    await sendPayout(_id, 'admin1');
+
+    expect(stored(_id)).toMatchObject({ status: 'UNCONFIRMED', failureReason: 'socket hang up', processingAt: null });
+    await expect(approvePayout(_id, 'admin1')).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('only an APPROVED payout can be claimed', async () => {
+    const { _id } = addPayout({ status: 'PENDING' });
+
+    await expect(sendPayout(_id, 'admin1')).rejects.toMatchObject({ status: 409, message: 'Cannot send a PENDING payout' });
+    expect(provider.send).not.toHaveBeenCalled();
+  });
+
+  test('a payout being sent cannot be sent again', async () => {
+    const { _id } = addPayout();
+    let finishSend;
+    provider.send.mockReturnValue(new Promise(resolve => { finishSend = resolve; }));
+
+    const first = sendPayout(_id, 'admin1');
+    await expect(sendPayout(_id, 'admin1')).rejects.toMatchObject({ status: 409, message: 'Cannot send a PROCESSING payout' });
+
+    finishSend({ status: 'PAID', reference: 'ref_1' });
+    await first;
+    expect(provider.send).toHaveBeenCalledTimes(1);
+    expect(stored(_id).status).toBe('PAID');
+  });
+
+  test('rejects unknown payout ids', async () => {
+    await expect(sendPayout('not-an-id', 'admin1')).rejects.toMatchObject({ status: 404 });
+    await expect(sendPayout(new mongoose.Types.ObjectId().toString(), 'admin1')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('reconcilePayout', () => {
+  const unconfirmed = () => addPayout({ status: 'UNCONFIRMED', provider: 'test', idempotencyKey: 'key_1' });
+
+  test('PAID at the provider settles an UNCONFIRMED payout as PAID', async () => {
+    const { _id } = unconfirmed();
+    provider.getStatus.mockResolvedValue({ status: 'PAID', reference: 'ref_1' });
+
+    await reconcilePayout(_id);
+
+    expect(provider.getStatus).toHaveBeenCalledWith('key_1');
+    expect(stored(_id)).toMatchObject({ status: 'PAID', providerReference: 'ref_1' });
+    expect(stored(_id).reconciledAt).toBeInstanceOf(Date);
+  });
+
+  test('no record at the provider confirms the payout FAILED', async () => {
+    const { _id } = unconfirmed();
+    provider.getStatus.mockResolvedValue({ status: 'NOT_FOUND' });
+
+    await reconcilePayout(_id);
+
+    expect(stored(_id)).toMatchObject({ status: 'FAILED', failureReason: 'Provider has no record of the transfer' });
+  });
+
+  test('an unknown answer keeps it UNCONFIRMED without a new audit entry', async () => {
+    const { _id } = unconfirmed();
+    provider.getStatus.mockResolvedValue({ status: 'PENDING' });
+
+    await reconcilePayout(_id);
+
+    expect(stored(_id).status).toBe('UNCONFIRMED');
+    expect(logAdminAction).not.toHaveBeenCalled();
+  });
+
+  test('an expired PROCESSING claim is reconciled', async () => {
+    const { _id } = addPayout({
+      status: 'PROCESSING',
+      provider: 'test',
+      idempotencyKey: 'key_1',
+      processingAt: new Date(Date.now() - PAYOUT_CLAIM_TIMEOUT_MS - 1000)
+    });
+    provider.getStatus.mockRejectedValue(new Error('provider down'));
+
+    await reconcilePayout(_id);
+
+    expect(stored(_id)).toMatchObject({ status: 'UNCONFIRMED', processingAt: null, failureReason: 'provider down' });
+    expect(logAdminAction).toHaveBeenCalledWith(null, 'PAYOUT_UNCONFIRMED', 'PAYOUT', _id, expect.any(Object), null,
+      { before: { status: 'PROCESSING' }, after: { status: 'UNCONFIRMED' } });
+  });
+
+  test('a PROCESSING claim within the timeout is left alone', async () => {
+    const { _id } = addPayout({ status: 'PROCESSING', provider: 'test', idempotencyKey: 'key_1', processingAt: new Date() });
+
+    await expect(reconcilePayout(_id)).rejects.toMatchObject({ status: 409 });
+    expect(provider.getStatus).not.toHaveBeenCalled();
+  });
+
+  test('a send answering PAID after its claim was reconciled as FAILED still counts as PAID', async () => {
+    const { _id } = addPayout();
+    let finishSend;
+    provider.send.mockReturnValue(new Promise(resolve => { finishSend = resolve; }));
+    const sending = sendPayout(_id, 'admin1');
+
+    // The claim expires and the provider does not know the transfer yet
+    stored(_id).processingAt = new Date(Date.now() - PAYOUT_CLAIM_TIMEOUT_MS - 1000);
+    provider.getStatus.mockResolvedValue({ status: 'NOT_FOUND' });
+    await reconcilePayout(_id);
+    expect(stored(_id).status).toBe('FAILED');
+
+    finishSend({ status: 'PAID', reference: 'ref_late' });
+    await sending;
+    expect(stored(_id)).toMatchObject({ status: 'PAID', providerReference: 'ref_late' });
+  });
+});
@@ -4,8 +4,9 @@ import * as PaymentService from "./payment.service.js";
 export async function createOrder(req, res) {
   try {
     // parentalConsent is provided by frontend when user is under age limit
-    const { parentalConsent } = req.body;
-    const result = await PaymentService.createOrder(req.user._id, { parentalConsent });
+    // slot is optional - without it the order is for the quiz matching the user's class
+    const { parentalConsent, slot } = req.body;
+    const result = await PaymentService.createOrder(req.user._id, { parentalConsent, slot });
     res.json(result);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -111,29 +112,32 @@ export async function razorpayWebhook(req, res) {
 export async function quizStatus(req, res) {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const eligible = await PaymentService.isUserEligible(req.user._id, today);
+
+    // Check if there's a quiz available for user's class
+    const QuizService = (await import('../quiz/quiz.service.js')).default || (await import('../quiz/quiz.service.js'));
+    const quiz = await QuizService.getTodayQuiz(today, req.user._id, req.query.slot);
+    const quizAvailable = !!quiz;
+
+    const eligible = quiz ? await PaymentService.isUserEligible(req.user._id, today, quiz.slot) : false;
     
-    // Check if user has paid for today
+    // Check if user has paid for today's quiz
     const Payment = (await import('./payment.model.js')).default;
-    const payment = await Payment.findOne({
+    const payment = quiz ? await Payment.findOne({
       user: req.user._id,
       quizDate: today,
+      slot: quiz.slot,
       status: 'SUCCESS'
-    });
+    }) : null;
 
     // Check if user has ever paid (for PDF access)
     const hasPaidEver = await PaymentService.hasUserPaidEver(req.user._id);
 
-    // Check if there's a quiz available for user's class
-    const QuizService = (await import('../quiz/quiz.service.js')).default || (await import('../quiz/quiz.service.js'));
-    const quiz = await QuizService.getTodayQuiz(today, req.user._id);
-    const quizAvailable = !!quiz;
-
     res.json({ 
       eligible,
       hasPaidToday: !!payment,
       hasPaidEver,
       quizAvailable,
+      slot: quiz?.slot || null,
       message: eligible 
         ? "You are eligible to participate in today's quiz" 
         : "Payment required to participate"
@@ -177,9 +181,41 @@ export async function requestRefund(req, res) {
 export async function getUserEligibility(req, res) {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const { resolveTodaySlot } = await import('../quiz/quiz.service.js');
+    const slot = await resolveTodaySlot(req.user._id, req.query.slot);
     const { isUserEligible } = await import('../payment/payment.service.js');
-    const eligible = await isUserEligible(req.user._id, today);
-    res.json({ eligible });
+    const eligible = await isUserEligible(req.user._id, today, slot);
+    res.json({ eligible, slot });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+}
+
+export async function getPayoutAccount(req, res) {
+  try {
+    const { getPayoutAccount } = await import('./payout.service.js');
+    const account = await getPayoutAccount(req.user._id);
+    res.json({ account });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+}
+
+export async function savePayoutAccount(req, res) {
+  try {
+    const { savePayoutAccount } = await import('./payout.service.js');
+    const account = await savePayoutAccount(req.user._id, req.body, req);
+    res.json({ account });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+}
+
+export async function getUserPayouts(req, res) {
+  try {
+    const { getUserPayouts } = await import('./payout.service.js');
+    const payouts = await getUserPayouts(req.user._id);
+    res.json({ payouts });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
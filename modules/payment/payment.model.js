@@ -1,5 +1,6 @@
 // modules/payment/payment.model.js
 import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "../quiz/quiz.slot.js";
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -14,6 +15,14 @@ const paymentSchema = new mongoose.Schema(
       index: true
     },
 
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
     // Type of payment - quiz entry, lifetime PDF access, or free-credit entry
     paymentType: {
       type: String,
@@ -47,12 +56,12 @@ const paymentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-paymentSchema.index({ user: 1, quizDate: 1 }, { unique: true });
+paymentSchema.index({ user: 1, quizDate: 1, slot: 1 }, { unique: true });
 
 // Unique index for replay protection (OrderId + PaymentId should be unique)
 paymentSchema.index({ razorpayOrderId: 1, razorpayPaymentId: 1 }, { unique: true, sparse: true });
 
 // D1: Index for eligibility queries (quizDate + status)
-paymentSchema.index({ quizDate: 1, status: 1 });
+paymentSchema.index({ quizDate: 1, slot: 1, status: 1 });
 
 export default mongoose.model("Payment", paymentSchema);
@@ -18,4 +18,9 @@ router.get("/history", authRequired, Controller.getUserPayments);
 router.get("/user-payments", authRequired, Controller.getUserPayments);
 router.get("/me/eligibility", authRequired, Controller.getUserEligibility);
 
+// Prize payouts: where to pay the user, and their prizes
+router.get("/payout-account", authRequired, Controller.getPayoutAccount);
+router.put("/payout-account", authRequired, paymentRateLimit, validate(paymentSchemas.payoutAccount), Controller.savePayoutAccount);
+router.get("/prizes", authRequired, Controller.getUserPayouts);
+
 export default router;
@@ -3,6 +3,8 @@ import Payment from "./payment.model.js";
 import { createRazorpayOrder, verifyWebhookSignature } from "./razorpay.service.js";
 import redisClient from "../../config/redis.js";
 import User from "../user/user.model.js";
+import { getQuizSchedule, buildQuizSchedule } from "../quiz/quiz.schedule.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey } from "../quiz/quiz.slot.js";
 
 function todayIST() {
   return new Date()
@@ -10,7 +12,9 @@ function todayIST() {
 }
 
 // B1: Single source of truth for eligibility - ALL routes must call this
-export async function getEffectiveEligibility(userId, quizDate) {
+export async function getEffectiveEligibility(userId, quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+
   // D2: Redis must never be source of truth - only use for caching
   // Always check DB first, cache is just for performance
   
@@ -20,8 +24,8 @@ export async function getEffectiveEligibility(userId, quizDate) {
   // Get user and payment from DB (source of truth)
   const [user, payment, quiz] = await Promise.all([
     User.findById(userId),
-    Payment.findOne({ user: userId, quizDate, status: "SUCCESS" }),
-    Quiz.findOne({ quizDate })
+    Payment.findOne({ user: userId, quizDate, slot, status: "SUCCESS" }),
+    Quiz.findOne({ quizDate, slot })
   ]);
 
   // Use centralized eligibility evaluation
@@ -29,7 +33,7 @@ export async function getEffectiveEligibility(userId, quizDate) {
   const eligibility = evaluateEligibility({ user, payment, quiz });
 
   // Cache result for performance (but never use cache as source of truth)
-  const cacheKey = `eligibility:${userId}:${quizDate}`;
+  const cacheKey = `eligibility:${userId}:${quizKey(quizDate, slot)}`;
   try {
     await redisClient.setEx(cacheKey, 3600, JSON.stringify(eligibility));
   } catch (error) {
@@ -40,8 +44,8 @@ export async function getEffectiveEligibility(userId, quizDate) {
 }
 
 // Legacy function - now calls getEffectiveEligibility
-export async function isUserEligible(userId, quizDate) {
-  const eligibility = await getEffectiveEligibility(userId, quizDate);
+export async function isUserEligible(userId, quizDate, slot = DEFAULT_SLOT) {
+  const eligibility = await getEffectiveEligibility(userId, quizDate, slot);
   return eligibility.eligible;
 }
 
@@ -75,15 +79,18 @@ export async function hasUserPaidEver(userId) {
 }
 
 /**
- * Grant a free quiz entry for a given quizDate if the user has freeQuizCredits.
+ * Grant a free quiz entry for a given quiz (date + slot) if the user has freeQuizCredits.
  * This creates a synthetic successful Payment record so that existing
  * eligibility logic and winner calculation work unchanged.
  */
-export async function grantFreeQuizEntryIfAvailable(userId, quizDate) {
-  // If already has a successful payment for this quizDate, do nothing
+export async function grantFreeQuizEntryIfAvailable(userId, quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+
+  // If already has a successful payment for this quiz, do nothing
   const existing = await Payment.findOne({
     user: userId,
     quizDate,
+    slot,
     status: "SUCCESS"
   });
   if (existing) {
@@ -103,23 +110,25 @@ export async function grantFreeQuizEntryIfAvailable(userId, quizDate) {
   const payment = await Payment.create({
     user: userId,
     quizDate,
+    slot,
     amount: 0,
     status: "SUCCESS",
     paymentType: "FREE_CREDIT",
-    razorpayOrderId: `FREE_${quizDate}_${userId}`,
+    razorpayOrderId: `FREE_${quizKey(quizDate, slot)}_${userId}`,
     razorpayPaymentId: `FREE_${Date.now()}`
   });
 
-  // Mark user as eligible for this quizDate (same structure as Razorpay webhook)
+  // Mark user as eligible for this quiz (same structure as Razorpay webhook)
   user.quizEligibility = {
     eligibleDate: quizDate,
+    slot,
     isEligible: true
   };
   await user.save();
 
   // Clear eligibility cache so subsequent checks see the new payment
   try {
-    const cacheKey = `eligibility:${userId}:${quizDate}`;
+    const cacheKey = `eligibility:${userId}:${quizKey(quizDate, slot)}`;
     await redisClient.del(cacheKey);
   } catch {
     // cache failures should not break quiz flow
@@ -234,7 +243,7 @@ export async function completeReferral(user) {
   }
 }
 
-export async function createOrder(userId, { parentalConsent } = {}) {
+export async function createOrder(userId, { parentalConsent, slot } = {}) {
   const quizDate = todayIST();
   const user = await User.findById(userId);
   if (!user) {
@@ -248,22 +257,20 @@ export async function createOrder(userId, { parentalConsent } = {}) {
     throw new Error('Parental consent is required for users under 18');
   }
 
-  // Before allowing any kind of entry (credit or paid), enforce cutoff and quiz state
-  const now = new Date();
-  const istNow = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-  const cutoff = new Date(istNow);
-  cutoff.setHours(19, 55, 0, 0);
+  // Before allowing any kind of entry (credit or paid), enforce cutoff and quiz state.
+  // Without an explicit slot, the entry is for the quiz matching the user's class.
+  const { getTodayQuiz } = await import('../quiz/quiz.service.js');
+  const quiz = await getTodayQuiz(quizDate, userId, slot);
 
-  if (istNow >= cutoff) {
+  if (quiz && new Date() >= getQuizSchedule(quiz).paymentCutoffAt) {
     throw new Error("Payment cutoff time has passed. Quiz entries are no longer accepted.");
   }
 
   // Quiz must exist and still be accepting entries (LOCKED state only)
-  const Quiz = (await import('../quiz/quiz.model.js')).default;
-  const quiz = await Quiz.findOne({ quizDate });
   if (!quiz || quiz.state !== 'LOCKED') {
     throw new Error('Entries are not being accepted at this time');
   }
+  const quizSlot = quiz.slot || DEFAULT_SLOT;
 
   // Check if user has free quiz credits available
   if (user.freeQuizCredits && user.freeQuizCredits > 0) {
@@ -275,16 +282,18 @@ export async function createOrder(userId, { parentalConsent } = {}) {
     const payment = await Payment.create({
       user: userId,
       quizDate,
+      slot: quizSlot,
       amount: 0,
       status: "SUCCESS",
       paymentType: "FREE_CREDIT",
-      razorpayOrderId: `FREE_${quizDate}_${userId}`,
+      razorpayOrderId: `FREE_${quizKey(quizDate, quizSlot)}_${userId}`,
       razorpayPaymentId: `FREE_${Date.now()}`
     });
 
     // Mark user as eligible
     user.quizEligibility = {
       eligibleDate: quizDate,
+      slot: quizSlot,
       isEligible: true
     };
     await user.save();
@@ -294,7 +303,7 @@ export async function createOrder(userId, { parentalConsent } = {}) {
 
 
 
-  const existing = await Payment.findOne({ user: userId, quizDate });
+  const existing = await Payment.findOne({ user: userId, quizDate, slot: quizSlot });
   if (existing) {
     if (existing.status === "SUCCESS") return { alreadyPaid: true };
     // If pending or failed, delete the old one and create new
@@ -310,6 +319,7 @@ export async function createOrder(userId, { parentalConsent } = {}) {
   await Payment.create({
     user: userId,
     quizDate,
+    slot: quizSlot,
     amount: 5,
     razorpayOrderId: order.id
   });
@@ -399,14 +409,16 @@ export async function confirmPaymentWebhook({ orderId, paymentId, amount, status
     return;
   }
 
-  // Validate payment time: if created_at > today 19:55 IST, mark as late and do not grant eligibility
+  // Validate payment time: if created_at is after the quiz's payment cutoff, mark as late and do not grant eligibility
   const paymentDate = new Date(createdAt * 1000); // Razorpay timestamp is in seconds
-  const istPaymentDate = new Date(paymentDate.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-  const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-  const cutoff = new Date(today + 'T19:55:00');
+  const Quiz = (await import('../quiz/quiz.model.js')).default;
+  const quiz = await Quiz.findOne({ quizDate: payment.quizDate, slot: payment.slot || DEFAULT_SLOT });
+  const { paymentCutoffAt: cutoff } = quiz
+    ? getQuizSchedule(quiz)
+    : buildQuizSchedule(payment.quizDate);
 
-  if (istPaymentDate > cutoff) {
-    console.log(`Payment ${orderId} is late (${istPaymentDate.toISOString()}) - marking as LATE, no eligibility granted`);
+  if (paymentDate > cutoff) {
+    console.log(`Payment ${orderId} is late (${paymentDate.toISOString()}) - marking as LATE, no eligibility granted`);
     payment.status = "LATE";
     payment.razorpayPaymentId = paymentId;
     await payment.save();
@@ -426,6 +438,7 @@ export async function confirmPaymentWebhook({ orderId, paymentId, amount, status
     if (user) {
       user.quizEligibility = {
         eligibleDate: payment.quizDate,
+        slot: payment.slot || DEFAULT_SLOT,
         isEligible: true
       };
       if (payment.paymentType === "QUIZ_ENTRY") {
@@ -447,7 +460,7 @@ export async function confirmPaymentWebhook({ orderId, paymentId, amount, status
 
     // Clear eligibility cache
     try {
-      const cacheKey = `eligibility:${payment.user}:${payment.quizDate}`;
+      const cacheKey = `eligibility:${payment.user}:${quizKey(payment.quizDate, payment.slot || DEFAULT_SLOT)}`;
       await redisClient.del(cacheKey);
     } catch (cacheError) {
       console.warn('Failed to clear cache:', cacheError.message);
@@ -473,11 +486,12 @@ export async function getUserPayments(userId) {
   const payments = await Payment.find({ user: userId })
     .sort({ createdAt: -1 }) // Most recent first
     .populate('user', 'fullName username phone email')
-    .select('quizDate amount razorpayOrderId razorpayPaymentId status createdAt');
+    .select('quizDate slot amount razorpayOrderId razorpayPaymentId status createdAt');
 
   return payments.map(payment => ({
     _id: payment._id,
     quizDate: payment.quizDate,
+    slot: payment.slot,
     amount: payment.amount / 100, // Convert from paisa to rupees
     razorpayOrderId: payment.razorpayOrderId,
     razorpayPaymentId: payment.razorpayPaymentId,
@@ -0,0 +1,38 @@
+// modules/payment/payout.crypto.js
+// Encryption of payout details at rest: AES-256-GCM with a key derived from
+// PAYOUT_ENCRYPTION_KEY. Values are stored as "v1:<iv>:<tag>:<ciphertext>"
+// (base64) so the scheme can change later without guessing.
+import crypto from "crypto";
+
+const VERSION = 'v1';
+
+function encryptionKey() {
+  const secret = process.env.PAYOUT_ENCRYPTION_KEY;
+  if (!secret) throw new Error('PAYOUT_ENCRYPTION_KEY is not configured');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+export function encryptValue(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+export function decryptValue(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) throw new Error('Unrecognised encrypted value');
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Keep the last `visible` characters: "XXXXXX1234".
+ */
+export function maskValue(value, visible = 4) {
+  const text = String(value || '');
+  if (text.length <= visible) return text;
+  return 'X'.repeat(text.length - visible) + text.slice(-visible);
+}
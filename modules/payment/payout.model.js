@@ -0,0 +1,125 @@
+// modules/payment/payout.model.js
+// Prize payout ledger: one entry per Winner with a prize, written when the
+// winners are computed (see quiz/quiz.prizes.js). Amounts are in rupees.
+//
+// Workflow (payout.service.js): PENDING -> APPROVED (admin; TDS worked out
+// and the destination snapshotted) -> PROCESSING (claimed for the provider
+// call) -> PAID or FAILED. When the provider's answer is lost (an error, a
+// timeout, a crash mid-call) the payout is UNCONFIRMED until the provider
+// says what happened to its idempotency key. Only a FAILED payout, which the
+// provider confirmed was not paid, can be approved again.
+import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "../quiz/quiz.slot.js";
+
+export const PAYOUT_STATUSES = ["PENDING", "APPROVED", "PROCESSING", "UNCONFIRMED", "PAID", "FAILED"];
+
+const payoutSchema = new mongoose.Schema(
+  {
+    quizDate: {
+      type: String,
+      required: true
+    },
+
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Winner"
+    },
+
+    rank: {
+      type: Number,
+      required: true
+    },
+
+    // Winners sharing this rank's tie (1 when not tied)
+    tieSize: {
+      type: Number,
+      default: 1
+    },
+
+    amount: {
+      type: Number, // gross prize in rupees
+      required: true,
+      min: 0
+    },
+
+    // Prize rules and pool the amount was computed from
+    prizeMode: {
+      type: String,
+      enum: ["FIXED", "POOL_PERCENT"],
+      required: true
+    },
+    poolAmount: {
+      type: Number, // rupees collected from entry fees
+      default: 0
+    },
+
+    status: {
+      type: String,
+      enum: PAYOUT_STATUSES,
+      default: "PENDING",
+      index: true
+    },
+
+    // Set at approval: tax deducted at source and what the winner receives
+    tdsAmount: {
+      type: Number,
+      default: 0
+    },
+    netAmount: Number,
+    panProvided: Boolean,
+
+    // Destination at approval: masked for display, encrypted for the
+    // provider (payout.crypto.js), so later account edits do not redirect it
+    destination: String,
+    encryptedDestination: {
+      type: String,
+      select: false
+    },
+
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    approvedAt: Date,
+
+    // When the current send was claimed; a PROCESSING payout older than
+    // PAYOUT_CLAIM_TIMEOUT_MS is reconciled against the provider
+    processingAt: {
+      type: Date,
+      default: null
+    },
+    provider: String,
+    // Sent with each attempt so the provider pays it at most once and can
+    // be asked about it later
+    idempotencyKey: String,
+    providerReference: String,
+    reconciledAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: Date,
+    failedAt: Date,
+    failureReason: String
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ quizDate: 1, slot: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,56 @@
+// modules/payment/payout.provider.js
+// Payout providers send money to a winner. A provider is an object with
+//   name
+//   async send({ idempotencyKey, amount, method, accountHolderName, vpa | accountNumber + ifsc })
+//     -> { status: 'PAID', reference } or { status: 'FAILED', reason }
+//   async getStatus(idempotencyKey)
+//     -> { status: 'PAID', reference }, { status: 'FAILED', reason },
+//        { status: 'NOT_FOUND' } or { status: 'PENDING' }
+// where amount is in rupees. The provider must pay a given idempotencyKey at
+// most once. send() returning FAILED, or getStatus() returning FAILED or
+// NOT_FOUND, must mean no money moved: that is what allows a retry. Anything
+// else (a throw, a timeout, PENDING) leaves the outcome unknown.
+// PAYOUT_PROVIDER picks one; register real providers with
+// registerPayoutProvider. The fake one is for development only.
+
+// Outcome per idempotency key, as a real provider would remember it
+const fakeTransfers = new Map();
+
+const fakeProvider = {
+  name: 'fake',
+  async send({ idempotencyKey, vpa, accountNumber }) {
+    if (fakeTransfers.has(idempotencyKey)) return fakeTransfers.get(idempotencyKey);
+
+    // Any destination containing "fail" fails, and one containing "timeout"
+    // is paid but the answer is lost, to exercise both paths
+    const destination = vpa || accountNumber || '';
+    const result = /fail/i.test(destination)
+      ? { status: 'FAILED', reason: 'Fake provider: destination rejected' }
+      : { status: 'PAID', reference: `fake_payout_${idempotencyKey}` };
+    fakeTransfers.set(idempotencyKey, result);
+
+    if (/timeout/i.test(destination)) throw new Error('Fake provider: request timed out');
+    return result;
+  },
+  async getStatus(idempotencyKey) {
+    return fakeTransfers.get(idempotencyKey) || { status: 'NOT_FOUND' };
+  }
+};
+
+const providers = new Map([[fakeProvider.name, fakeProvider]]);
+
+export function registerPayoutProvider(provider) {
+  if (!provider?.name || typeof provider.send !== 'function' || typeof provider.getStatus !== 'function') {
+    throw new Error('A payout provider needs a name and send() and getStatus() functions');
+  }
+  providers.set(provider.name, provider);
+}
+
+export function getPayoutProvider(name = process.env.PAYOUT_PROVIDER || 'fake') {
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payout provider cannot be used in production');
+  }
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown payout provider: ${name}`);
+  return provider;
+}
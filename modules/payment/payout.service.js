@@ -0,0 +1,385 @@
+// modules/payment/payout.service.js
+// Paying quiz winners. Users register where they want to be paid
+// (PayoutAccount); admins approve each Payout ledger entry (quiz/quiz.prizes.js)
+// and then send it through the payout provider (payout.provider.js). Sends
+// whose outcome is lost are reconciled against the provider before any retry.
+// Every change is audited with logAdminAction.
+//
+// TDS: prize money from quizzes is taxed at source under Section 194B of the
+// Income Tax Act at 30% when a prize exceeds ₹10,000. Such prizes need the
+// winner's PAN on file before they can be approved, for the TDS return.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Payout from "./payout.model.js";
+import PayoutAccount, { PAYOUT_METHODS } from "./payoutAccount.model.js";
+import { encryptValue, decryptValue, maskValue } from "./payout.crypto.js";
+import { getPayoutProvider } from "./payout.provider.js";
+import { logAdminAction } from "../admin/adminAudit.service.js";
+import { normalizeSlot } from "../quiz/quiz.slot.js";
+
+export const TDS_RATE = 0.3;
+export const TDS_THRESHOLD = 10000;
+
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+function payoutError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * TDS on a gross prize: 30% above the threshold, nothing otherwise.
+ */
+export function calculateTds(amount) {
+  const tdsAmount = amount > TDS_THRESHOLD ? round2(amount * TDS_RATE) : 0;
+  return { tdsAmount, netAmount: round2(amount - tdsAmount) };
+}
+
+function maskVpa(vpa) {
+  const [name, handle] = vpa.split('@');
+  return `${name.slice(0, 2)}${'*'.repeat(Math.max(0, name.length - 2))}@${handle}`;
+}
+
+// Validate and normalize submitted details; throws 400 on bad input
+function parseAccountInput(input = {}) {
+  const method = String(input.method || '').toUpperCase();
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw payoutError(`method must be one of ${PAYOUT_METHODS.join(', ')}`, 400);
+  }
+
+  const accountHolderName = String(input.accountHolderName || '').trim();
+  if (accountHolderName.length < 2 || accountHolderName.length > 100) {
+    throw payoutError('accountHolderName must be 2-100 characters', 400);
+  }
+
+  const details = {};
+  if (method === 'UPI') {
+    details.vpa = String(input.vpa || '').trim().toLowerCase();
+    if (!VPA_PATTERN.test(details.vpa)) throw payoutError('Invalid UPI ID', 400);
+  } else {
+    details.accountNumber = String(input.accountNumber || '').replace(/\s/g, '');
+    details.ifsc = String(input.ifsc || '').trim().toUpperCase();
+    if (!ACCOUNT_NUMBER_PATTERN.test(details.accountNumber)) throw payoutError('Account number must be 9-18 digits', 400);
+    if (!IFSC_PATTERN.test(details.ifsc)) throw payoutError('Invalid IFSC code', 400);
+  }
+
+  let pan;
+  if (input.pan !== undefined && input.pan !== null && input.pan !== '') {
+    pan = String(input.pan).trim().toUpperCase();
+    if (!PAN_PATTERN.test(pan)) throw payoutError('Invalid PAN', 400);
+  }
+
+  return { method, accountHolderName, details, pan };
+}
+
+function publicAccount(account) {
+  if (!account) return null;
+  return {
+    method: account.method,
+    accountHolderName: account.accountHolderName,
+    maskedDestination: account.maskedDestination,
+    ifsc: account.ifsc || null,
+    panLast4: account.panLast4,
+    updatedAt: account.updatedAt
+  };
+}
+
+export async function getPayoutAccount(userId) {
+  return publicAccount(await PayoutAccount.findOne({ user: userId }).lean());
+}
+
+/**
+ * Create or replace the user's payout details. A PAN already on file is kept
+ * when none is sent.
+ */
+export async function savePayoutAccount(userId, input, req = null) {
+  const { method, accountHolderName, details, pan } = parseAccountInput(input);
+
+  const existing = await PayoutAccount.findOne({ user: userId }).select('+encryptedDetails');
+  const keptPan = pan ?? (existing ? JSON.parse(decryptValue(existing.encryptedDetails)).pan : undefined);
+
+  const account = await PayoutAccount.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        method,
+        accountHolderName,
+        encryptedDetails: encryptValue(JSON.stringify({ ...details, pan: keptPan })),
+        maskedDestination: method === 'UPI' ? maskVpa(details.vpa) : maskValue(details.accountNumber),
+        ifsc: details.ifsc || null,
+        panLast4: keptPan ? keptPan.slice(-4) : null
+      }
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  await logAdminAction(null, 'PAYOUT_ACCOUNT_UPDATED', 'USER', String(userId), {
+    method,
+    maskedDestination: account.maskedDestination,
+    panProvided: Boolean(keptPan)
+  }, req);
+
+  return publicAccount(account);
+}
+
+/**
+ * The user's prizes, newest quiz first.
+ */
+export async function getUserPayouts(userId) {
+  return Payout.find({ user: userId })
+    .sort({ quizDate: -1, slot: 1 })
+    .select('quizDate slot rank tieSize amount tdsAmount netAmount status destination paidAt failureReason')
+    .lean();
+}
+
+/**
+ * Payout entries for admins, filtered by status / quiz, with pagination.
+ */
+export async function listPayouts({ status, quizDate, slot, page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = String(status).toUpperCase();
+  if (quizDate) query.quizDate = quizDate;
+  if (slot) query.slot = normalizeSlot(slot);
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit) || 50), 200);
+  const [payouts, total] = await Promise.all([
+    Payout.find(query)
+      .sort({ quizDate: -1, slot: 1, rank: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('user', 'name phone')
+      .lean(),
+    Payout.countDocuments(query)
+  ]);
+
+  return {
+    payouts,
+    pagination: {
+      currentPage: pageNumber,
+      total,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * PENDING (or FAILED, which the provider confirmed was not paid) -> APPROVED.
+ * Works out TDS and fixes the destination from the winner's current payout
+ * details.
+ */
+export async function approvePayout(payoutId, adminId, req = null) {
+  if (!mongoose.isValidObjectId(payoutId)) throw payoutError('Payout not found', 404);
+  const payout = await Payout.findById(payoutId);
+  if (!payout) throw payoutError('Payout not found', 404);
+  if (!['PENDING', 'FAILED'].includes(payout.status)) {
+    throw payoutError(`Cannot approve a ${payout.status} payout`, 409);
+  }
+
+  const account = await PayoutAccount.findOne({ user: payout.user }).select('+encryptedDetails');
+  if (!account) throw payoutError('Winner has not registered payout details', 400);
+  const { pan, ...details } = JSON.parse(decryptValue(account.encryptedDetails));
+
+  if (payout.amount > TDS_THRESHOLD && !pan) {
+    throw payoutError(`PAN is required for prizes above ₹${TDS_THRESHOLD}`, 400);
+  }
+  const { tdsAmount, netAmount } = calculateTds(payout.amount);
+  const destination = `${account.method} ${account.maskedDestination}`;
+
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: payout.status },
+    {
+      $set: {
+        status: 'APPROVED',
+        tdsAmount,
+        netAmount,
+        panProvided: Boolean(pan),
+        destination,
+        encryptedDestination: encryptValue(JSON.stringify({
+          method: account.method,
+          accountHolderName: account.accountHolderName,
+          ...details
+        })),
+        approvedBy: adminId,
+        approvedAt: new Date(),
+        failureReason: null
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw payoutError('Payout was changed by another request, retry', 409);
+
+  await logAdminAction(adminId, 'PAYOUT_APPROVED', 'PAYOUT', String(payout._id), {
+    quizDate: payout.quizDate,
+    slot: payout.slot,
+    user: payout.user,
+    rank: payout.rank,
+    amount: payout.amount,
+    tdsAmount,
+    netAmount,
+    destination
+  }, req, { before: { status: payout.status }, after: { status: 'APPROVED' } });
+
+  return updated;
+}
+
+// How long a send may stay PROCESSING before the provider is asked about it
+export const PAYOUT_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SETTLED_ACTIONS = {
+  PAID: 'PAYOUT_PAID',
+  FAILED: 'PAYOUT_FAILED',
+  UNCONFIRMED: 'PAYOUT_UNCONFIRMED'
+};
+
+/**
+ * Record what the provider said about the payout's current idempotency key.
+ * PAID is always believed; FAILED / NOT_FOUND mean no money moved, so the
+ * payout can be approved again; anything else leaves it UNCONFIRMED.
+ */
+async function settlePayout(payout, result, { adminId = null, req = null, reconciling = false } = {}) {
+  const now = new Date();
+  let update;
+  if (result?.status === 'PAID') {
+    update = { status: 'PAID', paidAt: now, providerReference: result.reference || null, failureReason: null };
+  } else if (['FAILED', 'NOT_FOUND'].includes(result?.status)) {
+    update = {
+      status: 'FAILED',
+      failedAt: now,
+      failureReason: result.reason || (result.status === 'NOT_FOUND' ? 'Provider has no record of the transfer' : 'Payout failed')
+    };
+  } else {
+    update = { status: 'UNCONFIRMED', failureReason: result?.reason || 'Provider has not confirmed the transfer' };
+  }
+
+  // Only the attempt this answer is about; a late PAID still wins over FAILED
+  const before = await Payout.findOneAndUpdate(
+    {
+      _id: payout._id,
+      idempotencyKey: payout.idempotencyKey,
+      status: { $in: update.status === 'PAID' ? ['PROCESSING', 'UNCONFIRMED', 'FAILED'] : ['PROCESSING', 'UNCONFIRMED'] }
+    },
+    { $set: { ...update, processingAt: null, ...(reconciling && { reconciledAt: now }) } },
+    { new: false }
+  ).lean();
+  if (!before) return Payout.findById(payout._id).lean();
+
+  if (before.status !== update.status) {
+    await logAdminAction(adminId, SETTLED_ACTIONS[update.status], 'PAYOUT', String(payout._id), {
+      quizDate: payout.quizDate,
+      slot: payout.slot,
+      user: payout.user,
+      netAmount: payout.netAmount,
+      destination: payout.destination,
+      provider: payout.provider,
+      idempotencyKey: payout.idempotencyKey,
+      providerReference: update.providerReference,
+      failureReason: update.failureReason,
+      reconciled: reconciling
+    }, req, { before: { status: before.status }, after: { status: update.status } });
+  }
+
+  return { ...before, ...update, processingAt: null };
+}
+
+/**
+ * APPROVED -> PROCESSING -> PAID, FAILED or UNCONFIRMED through the payout
+ * provider. The claim gives the attempt a fresh idempotency key so two
+ * requests cannot both send it and the provider can be asked about it later.
+ */
+export async function sendPayout(payoutId, adminId, req = null) {
+  if (!mongoose.isValidObjectId(payoutId)) throw payoutError('Payout not found', 404);
+  const provider = getPayoutProvider();
+
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'APPROVED' },
+    {
+      $set: {
+        status: 'PROCESSING',
+        processingAt: new Date(),
+        provider: provider.name,
+        idempotencyKey: `payout_${payoutId}_${crypto.randomUUID()}`
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  ).select('+encryptedDestination');
+  if (!payout) {
+    const current = await Payout.findById(payoutId).select('status').lean();
+    if (!current) throw payoutError('Payout not found', 404);
+    throw payoutError(`Cannot send a ${current.status} payout`, 409);
+  }
+
+  let result;
+  try {
+    result = await provider.send({
+      idempotencyKey: payout.idempotencyKey,
+      amount: payout.netAmount,
+      ...JSON.parse(decryptValue(payout.encryptedDestination))
+    });
+  } catch (error) {
+    // The transfer may or may not have happened (e.g. a timeout)
+    result = { status: 'UNKNOWN', reason: error.message };
+  }
+
+  return settlePayout(payout, result, { adminId, req });
+}
+
+/**
+ * Ask the provider what happened to an UNCONFIRMED payout, or to one stuck
+ * in PROCESSING for longer than PAYOUT_CLAIM_TIMEOUT_MS (e.g. the process
+ * died mid-send).
+ */
+export async function reconcilePayout(payoutId, adminId = null, req = null) {
+  if (!mongoose.isValidObjectId(payoutId)) throw payoutError('Payout not found', 404);
+  const payout = await Payout.findById(payoutId).lean();
+  if (!payout) throw payoutError('Payout not found', 404);
+
+  const staleClaim = payout.status === 'PROCESSING' &&
+    payout.processingAt && Date.now() - payout.processingAt.getTime() >= PAYOUT_CLAIM_TIMEOUT_MS;
+  if (payout.status !== 'UNCONFIRMED' && !staleClaim) {
+    throw payoutError(`Cannot reconcile a ${payout.status} payout`, 409);
+  }
+
+  let result;
+  try {
+    result = await getPayoutProvider(payout.provider).getStatus(payout.idempotencyKey);
+  } catch (error) {
+    result = { status: 'UNKNOWN', reason: error.message };
+  }
+
+  return settlePayout(payout, result, { adminId, req, reconciling: true });
+}
+
+/**
+ * Reconcile every UNCONFIRMED payout and expired PROCESSING claim; run by
+ * the scheduler.
+ */
+export async function reconcileStalePayouts(now = new Date()) {
+  const payouts = await Payout.find({
+    $or: [
+      { status: 'UNCONFIRMED' },
+      { status: 'PROCESSING', processingAt: { $lte: new Date(now.getTime() - PAYOUT_CLAIM_TIMEOUT_MS) } }
+    ]
+  }).select('_id').limit(100).lean();
+
+  const counts = {};
+  for (const { _id } of payouts) {
+    try {
+      const { status } = await reconcilePayout(_id);
+      counts[status] = (counts[status] || 0) + 1;
+    } catch (error) {
+      console.error(`[PAYOUT] Reconcile failed for ${_id}:`, error.message);
+    }
+  }
+  return counts;
+}
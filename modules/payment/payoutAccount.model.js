@@ -0,0 +1,52 @@
+// modules/payment/payoutAccount.model.js
+// Where a user's prizes are paid: a UPI VPA or a bank account, plus an
+// optional PAN (needed for prizes above the TDS threshold, see
+// payout.service.js). The details are one encrypted JSON value
+// (payout.crypto.js); only masked copies are stored in the clear.
+import mongoose from "mongoose";
+
+export const PAYOUT_METHODS = ["UPI", "BANK"];
+
+const payoutAccountSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true
+    },
+
+    method: {
+      type: String,
+      enum: PAYOUT_METHODS,
+      required: true
+    },
+
+    accountHolderName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    // { vpa } or { accountNumber, ifsc }, plus { pan } when given
+    encryptedDetails: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    // Masked for display: "rahul@okaxis" -> "ra****@okaxis", account "XXXXXX1234"
+    maskedDestination: {
+      type: String,
+      required: true
+    },
+    ifsc: String,
+    panLast4: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PayoutAccount", payoutAccountSchema);
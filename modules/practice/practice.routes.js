@@ -0,0 +1,71 @@
+// modules/practice/practice.routes.js
+import express from "express";
+import * as PracticeService from "./practice.service.js";
+import { authRequired } from "../../middlewares/auth.middleware.js";
+import { practiceRateLimit, readRateLimit } from "../../middlewares/rate-limit.middleware.js";
+
+const router = express.Router();
+
+// Start a practice session: { quizDate, slot } to replay a published quiz, or
+// { subject, difficulty, classGrade, count } for random questions.
+// Optional timer: { timeLimitMs } or { timed: true }
+router.post("/start", authRequired, practiceRateLimit, async (req, res) => {
+  try {
+    const session = await PracticeService.startPracticeSession(req.user._id, req.body || {});
+    res.json(session);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.get("/history", authRequired, readRateLimit, async (req, res) => {
+  try {
+    const history = await PracticeService.getPracticeHistory(req.user._id, req.query);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Accuracy overall and per subject / difficulty
+router.get("/stats", authRequired, readRateLimit, async (req, res) => {
+  try {
+    const stats = await PracticeService.getPracticeStats(req.user._id);
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get("/:sessionId", authRequired, readRateLimit, async (req, res) => {
+  try {
+    const session = await PracticeService.getPracticeSession(req.user._id, req.params.sessionId);
+    res.json(session);
+  } catch (error) {
+    res.status(404).json({ message: error.message });
+  }
+});
+
+// Answer one question and get immediate feedback: { position, answer }
+// (selectedIndex is still accepted for single-choice clients)
+router.post("/:sessionId/answer", authRequired, readRateLimit, async (req, res) => {
+  try {
+    const { position, answer, selectedIndex } = req.body;
+    const result = await PracticeService.answerPracticeQuestion(req.user._id, req.params.sessionId, position, answer ?? selectedIndex);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Finish and score; optional { answers } fills in unanswered positions
+router.post("/:sessionId/finish", authRequired, readRateLimit, async (req, res) => {
+  try {
+    const result = await PracticeService.finishPracticeSession(req.user._id, req.params.sessionId, req.body?.answers);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,435 @@
+// modules/practice/practice.service.js
+// Practice mode: replay a published quiz or a random set of bank questions,
+// with an optional timer. Each answer is marked immediately and the session
+// is scored when finished. Nothing here touches QuizAttempt or Winner.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import PracticeSession from "./practiceSession.model.js";
+import Question from "../quiz/question.model.js";
+import Quiz from "../quiz/quiz.model.js";
+import { DEFAULT_SLOT, normalizeSlot } from "../quiz/quiz.slot.js";
+import { DEFAULT_QUESTION_TIME_LIMIT_MS, getQuizDurationMs } from "../quiz/quiz.timing.js";
+import { findQuizWithQuestions } from "../quiz/quiz.version.js";
+import { acceptedAnswers, getQuestionAdjustment } from "../quiz/quiz.scoring.js";
+import {
+  QUESTION_TYPES, questionType, optionCount, answerKey,
+  parseSubmittedAnswer, toOriginalAnswer, gradeAnswer, presentOptions, presentQuestionMedia
+} from "../quiz/question.types.js";
+
+export const DEFAULT_PRACTICE_QUESTIONS = 10;
+export const MAX_PRACTICE_QUESTIONS = 50;
+export const MIN_PRACTICE_TIME_LIMIT_MS = 30 * 1000;
+export const MAX_PRACTICE_TIME_LIMIT_MS = 3 * 60 * 60 * 1000;
+
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function shuffled(array) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Replays use the quiz as it was frozen (quiz.version.js), not the current
+// bank, so later edits or archiving do not change content or keys. Questions
+// voided after a dispute are left out.
+async function questionsFromQuiz(quizDate, slot) {
+  const quiz = await findQuizWithQuestions({ quizDate, slot: normalizeSlot(slot) });
+  if (!quiz) throw new Error('Quiz not found');
+  if (quiz.state !== 'RESULT_PUBLISHED') {
+    throw new Error('Only quizzes with published results can be practised');
+  }
+  const questions = quiz.questions
+    .filter(Boolean)
+    .filter(q => getQuestionAdjustment(quiz, q._id)?.status !== 'VOIDED');
+  if (questions.length === 0) throw new Error('This quiz has no questions left to practise');
+  return { quiz, questions };
+}
+
+// Only questions that have already been live and are not planned for a
+// quiz whose results are still unpublished, so practice cannot leak them
+async function randomQuestions({ subject, difficulty, classGrade, count }) {
+  const pending = await Quiz.find({ state: { $ne: 'RESULT_PUBLISHED' } }).select('questions').lean();
+  const excluded = pending
+    .flatMap(q => (q.questions || []).map(String))
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  const match = {
+    archived: { $ne: true },
+    lastUsedDate: { $ne: null },
+    _id: { $nin: excluded }
+  };
+  if (subject) match.subject = new RegExp(`^${escapeRegex(subject.trim())}$`, 'i');
+  if (difficulty) match.difficulty = difficulty;
+  if (classGrade && classGrade !== 'ALL') match.classGrade = { $in: [classGrade, 'ALL'] };
+
+  const picked = await Question.aggregate([{ $match: match }, { $sample: { size: count } }, { $project: { _id: 1 } }]);
+  if (picked.length === 0) throw new Error('No practice questions match these filters');
+
+  return Question.find({ _id: { $in: picked.map(p => p._id) } });
+}
+
+// Content of an entry: the frozen quiz question for replays, else the bank one
+function questionOf(entry) {
+  return entry.$locals.question || entry.question;
+}
+
+// Entries keep the bank question's id; replays look their content up in the
+// quiz's frozen version and keep it, with the quiz for its dispute
+// adjustments, in $locals (never saved). Runs before populate, while
+// entry.question is still the id.
+async function attachQuizQuestions(session, quiz = null) {
+  if (session.source !== 'QUIZ') return;
+  quiz = quiz || await findQuizWithQuestions({ quizDate: session.quizDate, slot: session.slot || DEFAULT_SLOT });
+  if (!quiz) return;
+
+  const byId = new Map(quiz.questions.filter(Boolean).map(q => [String(q._id), q]));
+  for (const entry of session.questions) {
+    const frozen = byId.get(String(entry.question));
+    if (frozen) entry.$locals.question = frozen;
+    entry.$locals.quiz = quiz;
+  }
+}
+
+// Replays honour the quiz's adjustments as quiz scoring does; random
+// questions have none
+function isVoided(entry) {
+  return getQuestionAdjustment(entry.$locals.quiz, questionOf(entry)?._id)?.status === 'VOIDED';
+}
+
+// True/false keeps its natural order; numeric questions have no options
+function practiceOptionOrder(question) {
+  const order = Array.from({ length: optionCount(question) }, (_, i) => i);
+  return questionType(question) === QUESTION_TYPES.TRUE_FALSE ? order : shuffled(order);
+}
+
+// The answer key as shown to the user
+function shownAnswer(entry, question) {
+  const type = questionType(question);
+  const voided = isVoided(entry);
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return { numericAnswer: question.numericAnswer, numericTolerance: question.numericTolerance || 0, voided };
+  }
+  const shown = indexes => indexes.map(i => entry.optionOrder.indexOf(i)).sort((a, b) => a - b);
+  const key = shown(answerKey(question));
+  return {
+    ...(type === QUESTION_TYPES.MULTI_SELECT ? { correctIndexes: key } : { correctIndex: key[0] }),
+    // Differs from the key only when more answers were accepted after a dispute
+    acceptedIndexes: shown(acceptedAnswers(entry.$locals.quiz, question)),
+    voided
+  };
+}
+
+function isAnswered(entry) {
+  return entry.selectedIndex !== null && entry.selectedIndex !== undefined;
+}
+
+// Throws if the answer does not fit the question type. A voided question
+// takes the answer but leaves it ungraded.
+function markAnswer(entry, answer, answeredAt) {
+  const question = questionOf(entry);
+  const submitted = parseSubmittedAnswer(question, answer);
+  const credit = isVoided(entry)
+    ? null
+    : gradeAnswer(question, toOriginalAnswer(question, submitted, entry.optionOrder), acceptedAnswers(entry.$locals.quiz, question));
+  entry.selectedIndex = submitted;
+  entry.credit = credit;
+  entry.correct = credit === null ? null : credit === 1;
+  entry.answeredAt = answeredAt;
+}
+
+function publicQuestion(entry, question, position) {
+  return {
+    position,
+    questionId: question._id,
+    question: question.question,
+    ...presentQuestionMedia(question),
+    ...presentOptions(question, entry.optionOrder),
+    subject: question.subject || null,
+    difficulty: question.difficulty || null,
+    selectedIndex: entry.selectedIndex
+  };
+}
+
+function reviewQuestion(entry, question, position) {
+  return {
+    ...publicQuestion(entry, question, position),
+    ...shownAnswer(entry, question),
+    correct: entry.correct,
+    credit: entry.credit ?? null,
+    explanation: question.explanation || null
+  };
+}
+
+async function loadSession(userId, sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new Error('Invalid practice session ID');
+  const session = await PracticeSession.findOne({ _id: sessionId, user: userId });
+  if (!session) throw new Error('Practice session not found');
+  await attachQuizQuestions(session);
+  await session.populate('questions.question');
+  return session;
+}
+
+function isExpired(session, now = new Date()) {
+  return Boolean(session.expiresAt && now > session.expiresAt);
+}
+
+function scoreSession(session, status) {
+  const answered = session.questions.filter(isAnswered);
+  // Voided questions do not count towards accuracy
+  const counted = session.questions.filter(q => !isVoided(q)).length;
+  session.answeredCount = answered.length;
+  session.correctCount = answered.filter(q => q.correct).length;
+  session.accuracy = counted
+    ? Math.round((session.correctCount / counted) * 100)
+    : 0;
+  session.status = status;
+  session.completedAt = new Date();
+}
+
+function sessionView(session) {
+  const done = session.status !== 'IN_PROGRESS';
+  return {
+    sessionId: session._id,
+    source: session.source,
+    quizDate: session.quizDate || null,
+    slot: session.slot || null,
+    status: session.status,
+    timeLimitMs: session.timeLimitMs,
+    expiresAt: session.expiresAt,
+    totalQuestions: session.questions.length,
+    answeredCount: session.answeredCount,
+    correctCount: done ? session.correctCount : undefined,
+    accuracy: done ? session.accuracy : undefined,
+    completedAt: session.completedAt || null,
+    questions: session.questions
+      .map((entry, position) => questionOf(entry) && (done
+        ? reviewQuestion(entry, questionOf(entry), position)
+        : publicQuestion(entry, questionOf(entry), position)))
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Start a practice session.
+ *   { quizDate, slot }                              - replay a published quiz
+ *   { subject, difficulty, classGrade, count }      - random bank questions
+ * Timer: timeLimitMs, or timed=true for the quiz's own duration
+ * (DEFAULT_QUESTION_TIME_LIMIT_MS per question for random sets).
+ */
+export async function startPracticeSession(userId, options = {}) {
+  const { quizDate, subject, difficulty, classGrade, timed, timeLimitMs } = options;
+
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  let source;
+  let quiz = null;
+  let questions;
+  if (quizDate) {
+    source = 'QUIZ';
+    ({ quiz, questions } = await questionsFromQuiz(quizDate, options.slot || DEFAULT_SLOT));
+  } else {
+    const count = options.count === undefined ? DEFAULT_PRACTICE_QUESTIONS : Number(options.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PRACTICE_QUESTIONS) {
+      throw new Error(`count must be between 1 and ${MAX_PRACTICE_QUESTIONS}`);
+    }
+    source = 'RANDOM';
+    questions = await randomQuestions({ subject, difficulty, classGrade, count });
+  }
+
+  let limitMs = null;
+  if (timeLimitMs !== undefined && timeLimitMs !== null) {
+    limitMs = Number(timeLimitMs);
+    if (!Number.isInteger(limitMs) || limitMs < MIN_PRACTICE_TIME_LIMIT_MS || limitMs > MAX_PRACTICE_TIME_LIMIT_MS) {
+      throw new Error(`timeLimitMs must be between ${MIN_PRACTICE_TIME_LIMIT_MS} and ${MAX_PRACTICE_TIME_LIMIT_MS}`);
+    }
+  } else if (timed) {
+    limitMs = quiz ? getQuizDurationMs(quiz) : questions.length * DEFAULT_QUESTION_TIME_LIMIT_MS;
+  }
+
+  const session = await PracticeSession.create({
+    user: userId,
+    source,
+    quizDate: quiz ? quiz.quizDate : undefined,
+    slot: quiz ? quiz.slot || DEFAULT_SLOT : undefined,
+    filters: source === 'RANDOM' ? { subject, difficulty, classGrade } : undefined,
+    questions: shuffled(questions).map(q => ({
+      question: q._id,
+      subject: q.subject,
+      difficulty: q.difficulty,
+      optionOrder: practiceOptionOrder(q)
+    })),
+    timeLimitMs: limitMs,
+    expiresAt: limitMs ? new Date(Date.now() + limitMs) : null
+  });
+
+  await attachQuizQuestions(session, quiz);
+  await session.populate('questions.question');
+  return sessionView(session);
+}
+
+export async function getPracticeSession(userId, sessionId) {
+  const session = await loadSession(userId, sessionId);
+  if (session.status === 'IN_PROGRESS' && isExpired(session)) {
+    scoreSession(session, 'EXPIRED');
+    await session.save();
+  }
+  return sessionView(session);
+}
+
+/**
+ * Mark one answer immediately. The answer is as shown: option index, option
+ * indexes (MULTI_SELECT) or a number (NUMERIC).
+ */
+export async function answerPracticeQuestion(userId, sessionId, position, answer) {
+  const session = await loadSession(userId, sessionId);
+  if (session.status !== 'IN_PROGRESS') throw new Error('Practice session is already finished');
+  if (isExpired(session)) {
+    scoreSession(session, 'EXPIRED');
+    await session.save();
+    throw new Error('Practice session has expired');
+  }
+
+  const entry = session.questions[position];
+  if (!Number.isInteger(position) || !entry || !questionOf(entry)) throw new Error('Invalid question position');
+  if (isAnswered(entry)) {
+    throw new Error('Question already answered');
+  }
+
+  const question = questionOf(entry);
+  markAnswer(entry, answer, new Date());
+  session.markModified('questions');
+  session.answeredCount = session.questions.filter(isAnswered).length;
+  await session.save();
+
+  return {
+    position,
+    correct: entry.correct,
+    credit: entry.credit,
+    ...shownAnswer(entry, question),
+    explanation: question.explanation || null,
+    answeredCount: session.answeredCount,
+    totalQuestions: session.questions.length
+  };
+}
+
+/**
+ * Finish and score a session. `answers` (answer as shown per position, null
+ * for unanswered) fills in questions not answered one by one; answers that do
+ * not fit their question are skipped. Ignored once the timer has run out.
+ */
+export async function finishPracticeSession(userId, sessionId, answers = []) {
+  const session = await loadSession(userId, sessionId);
+  if (session.status !== 'IN_PROGRESS') return sessionView(session);
+
+  const expired = isExpired(session);
+  if (!expired && Array.isArray(answers)) {
+    const now = new Date();
+    answers.forEach((answer, position) => {
+      const entry = session.questions[position];
+      if (!entry || !questionOf(entry) || isAnswered(entry) || answer === null || answer === undefined) return;
+      try {
+        markAnswer(entry, answer, now);
+      } catch {
+        // Leave it unanswered
+      }
+    });
+    session.markModified('questions');
+  }
+
+  scoreSession(session, expired ? 'EXPIRED' : 'COMPLETED');
+  await session.save();
+  return sessionView(session);
+}
+
+export async function getPracticeHistory(userId, { page = 1, limit = 20 } = {}) {
+  page = Math.max(1, parseInt(page) || 1);
+  limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const query = { user: userId };
+  const [sessions, total] = await Promise.all([
+    PracticeSession.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-questions')
+      .lean(),
+    PracticeSession.countDocuments(query)
+  ]);
+
+  return {
+    sessions: sessions.map(s => ({
+      sessionId: s._id,
+      source: s.source,
+      quizDate: s.quizDate || null,
+      slot: s.slot || null,
+      filters: s.filters,
+      status: s.status,
+      answeredCount: s.answeredCount,
+      correctCount: s.correctCount,
+      accuracy: s.accuracy,
+      timeLimitMs: s.timeLimitMs,
+      startedAt: s.createdAt,
+      completedAt: s.completedAt || null
+    })),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Accuracy over finished sessions, overall and per subject / difficulty.
+ * Accuracy is correct answers over questions answered.
+ */
+export async function getPracticeStats(userId) {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const accuracy = { $cond: [{ $gt: ['$answered', 0] }, { $round: [{ $multiply: [{ $divide: ['$correct', '$answered'] }, 100] }, 0] }, 0] };
+  const groupBy = key => [
+    {
+      $group: {
+        _id: key,
+        answered: { $sum: 1 },
+        correct: { $sum: { $cond: ['$questions.correct', 1, 0] } }
+      }
+    },
+    { $project: { _id: 0, key: '$_id', answered: 1, correct: 1, accuracy } },
+    { $sort: { answered: -1 } }
+  ];
+
+  const match = { user: userObjectId, status: { $in: ['COMPLETED', 'EXPIRED'] } };
+  const [sessionsCompleted, [answers = {}]] = await Promise.all([
+    PracticeSession.countDocuments(match),
+    PracticeSession.aggregate([
+      { $match: match },
+      { $unwind: '$questions' },
+      // Answers to voided questions are ungraded (correct: null)
+      { $match: { 'questions.selectedIndex': { $ne: null }, 'questions.correct': { $ne: null } } },
+      {
+        $facet: {
+          overall: groupBy(null),
+          bySubject: groupBy({ $ifNull: ['$questions.subject', 'General'] }),
+          byDifficulty: groupBy({ $ifNull: ['$questions.difficulty', 'MEDIUM'] })
+        }
+      }
+    ])
+  ]);
+
+  const overall = answers.overall?.[0] || { answered: 0, correct: 0, accuracy: 0 };
+
+  return {
+    sessionsCompleted,
+    questionsAnswered: overall.answered,
+    correctAnswers: overall.correct,
+    accuracy: overall.accuracy,
+    bySubject: (answers.bySubject || []).map(({ key, ...s }) => ({ subject: key, ...s })),
+    byDifficulty: (answers.byDifficulty || []).map(({ key, ...s }) => ({ difficulty: key, ...s }))
+  };
+}
@@ -0,0 +1,100 @@
+// modules/practice/practiceSession.model.js
+// Unranked practice runs. Kept apart from QuizAttempt so practice never
+// affects winners, streaks or payment eligibility.
+import mongoose from "mongoose";
+
+const practiceQuestionSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      required: true
+    },
+    // Copied from the question so stats survive later edits
+    subject: String,
+    difficulty: String,
+    // optionOrder[shownIndex] = original option index (empty for NUMERIC)
+    optionOrder: {
+      type: [Number],
+      default: [0, 1, 2, 3]
+    },
+    // As shown: option index, option indexes (MULTI_SELECT) or a number (NUMERIC)
+    selectedIndex: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    correct: {
+      type: Boolean,
+      default: null
+    },
+    // Share of the question earned, 0..1 (partial for MULTI_SELECT)
+    credit: {
+      type: Number,
+      default: null
+    },
+    answeredAt: Date
+  },
+  { _id: false }
+);
+
+const practiceSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // QUIZ: replay of a published quiz; RANDOM: questions drawn from the bank
+    source: {
+      type: String,
+      enum: ['QUIZ', 'RANDOM'],
+      required: true
+    },
+    quizDate: String,
+    slot: String,
+    filters: {
+      subject: String,
+      difficulty: String,
+      classGrade: String
+    },
+    questions: {
+      type: [practiceQuestionSchema],
+      default: []
+    },
+
+    // Optional timer; answers after expiresAt are not accepted
+    timeLimitMs: {
+      type: Number,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    status: {
+      type: String,
+      enum: ['IN_PROGRESS', 'COMPLETED', 'EXPIRED'],
+      default: 'IN_PROGRESS'
+    },
+    completedAt: Date,
+    correctCount: {
+      type: Number,
+      default: 0
+    },
+    answeredCount: {
+      type: Number,
+      default: 0
+    },
+    accuracy: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+practiceSessionSchema.index({ user: 1, createdAt: -1 });
+practiceSessionSchema.index({ user: 1, status: 1 });
+
+export default mongoose.model("PracticeSession", practiceSessionSchema);
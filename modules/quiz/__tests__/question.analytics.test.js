@@ -0,0 +1,76 @@
+// modules/quiz/__tests__/question.analytics.test.js
+import { computeItemAnalytics, pointBiserial, ITEM_FLAGS } from '../question.analytics.js';
+
+const choice = id => ({ _id: id, correctIndex: 0, options: ['a', 'b', 'c', 'd'] });
+const quiz = {
+  questions: [choice('q0'), choice('q1'), { _id: 'q2', type: 'NUMERIC', numericAnswer: 5 }],
+  scoring: { mode: 'FLAT' }
+};
+
+const attempt = (answers, responseTimesMs = [], extra = {}) => ({ answers, responseTimesMs, ...extra });
+
+describe('pointBiserial', () => {
+  test('correlates getting the item right with the rest score', () => {
+    const pairs = [
+      { correct: true, rest: 2 },
+      { correct: true, rest: 1 },
+      { correct: false, rest: 1 },
+      { correct: false, rest: 0 }
+    ];
+    expect(pointBiserial(pairs)).toBe(0.707);
+    expect(pointBiserial(pairs.map(p => ({ ...p, correct: !p.correct })))).toBe(-0.707);
+  });
+
+  test('is undefined without variation on either side', () => {
+    expect(pointBiserial([{ correct: true, rest: 1 }])).toBeNull();
+    expect(pointBiserial([{ correct: true, rest: 1 }, { correct: true, rest: 2 }])).toBeNull();
+    expect(pointBiserial([{ correct: true, rest: 1 }, { correct: false, rest: 1 }])).toBeNull();
+  });
+});
+
+describe('computeItemAnalytics', () => {
+  const attempts = [
+    attempt([0, 0, 5], [1000, 2000, 3000]),
+    attempt([0, 1, 4], [3000, 4000, 1000]),
+    attempt([1, null, 5], [2000, null, 1000]),
+    attempt([0, 2, 5], [2000, 3000, 1000])
+  ];
+
+  test('counts responses, answers and correct answers per question', () => {
+    const [q0, q1, q2] = computeItemAnalytics(quiz, attempts);
+
+    expect(q0).toMatchObject({ questionId: 'q0', responses: 4, answered: 4, correctCount: 3, pCorrect: 0.75, avgResponseTimeMs: 2000 });
+    // Unanswered counts against pCorrect but not towards the response time
+    expect(q1).toMatchObject({ responses: 4, answered: 3, correctCount: 1, pCorrect: 0.25, avgResponseTimeMs: 3000 });
+    expect(q2).toMatchObject({ responses: 4, answered: 4, correctCount: 3, optionCounts: [] });
+  });
+
+  test('counts picks per original option', () => {
+    const [q0, q1] = computeItemAnalytics(quiz, attempts);
+    expect(q0.optionCounts).toEqual([3, 1, 0, 0]);
+    expect(q1.optionCounts).toEqual([1, 1, 1, 0]);
+
+    // Shown option 0 is original option 2
+    const [shuffled] = computeItemAnalytics(quiz, [attempt([0, null, null], [], { optionOrders: [[2, 0, 1, 3]] })]);
+    expect(shuffled.optionCounts).toEqual([0, 0, 1, 0]);
+  });
+
+  test('leaves the item itself out of the discrimination', () => {
+    // Rest scores for q0 are 1, 1, 0; counting q0 itself they would be 2, 1, 0
+    const [q0] = computeItemAnalytics(quiz, [attempt([0, null, 5]), attempt([1, null, 5]), attempt([1, null, 4])]);
+    expect(q0.discrimination).toBe(0.5);
+  });
+
+  test('flags nothing below the minimum number of responses', () => {
+    expect(computeItemAnalytics(quiz, attempts).every(item => item.flags.length === 0)).toBe(true);
+  });
+
+  test('flags a likely miskey, an item everyone gets and unpicked distractors', () => {
+    const many = Array.from({ length: 30 }, (_, i) => attempt([i < 10 ? 0 : 1, 0, 5]));
+    const [q0, q1] = computeItemAnalytics(quiz, many);
+
+    expect(q0.pCorrect).toBe(0.333);
+    expect(q0.flags).toEqual([ITEM_FLAGS.POSSIBLE_MISKEY, ITEM_FLAGS.WEAK_DISTRACTOR]);
+    expect(q1.flags).toEqual([ITEM_FLAGS.TOO_EASY, ITEM_FLAGS.WEAK_DISTRACTOR]);
+  });
+});
@@ -0,0 +1,106 @@
+// modules/quiz/__tests__/question.io.test.js
+import { parseQuestionFile, normalizeQuestionRecord, questionsToCsv, MAX_IMPORT_ROWS } from '../question.io.js';
+
+const csv = (...lines) => Buffer.from(lines.join('\n'));
+
+async function importCsv(...lines) {
+  const records = await parseQuestionFile(csv(...lines), 'csv');
+  return records.map(({ row, data }) => ({ row, ...normalizeQuestionRecord(data) }));
+}
+
+describe('parseQuestionFile (CSV)', () => {
+  test('maps header aliases and numbers rows as the spreadsheet does', async () => {
+    const records = await parseQuestionFile(csv(
+      '\uFEFFQuestion Text,Option 1,Option 2,Option 3,Option 4,Answer,Level',
+      'Capital of France?,Paris,Rome,Madrid,Berlin,A,easy'
+    ), 'csv');
+
+    expect(records).toEqual([{
+      row: 2,
+      data: {
+        question: 'Capital of France?', optionA: 'Paris', optionB: 'Rome', optionC: 'Madrid', optionD: 'Berlin',
+        correctAnswer: 'A', difficulty: 'easy'
+      }
+    }]);
+  });
+
+  test('rejects empty files, oversized files and unknown formats', async () => {
+    await expect(parseQuestionFile(csv('question,optionA,optionB,optionC,optionD,correctAnswer'), 'csv'))
+      .rejects.toThrow('File contains no questions');
+
+    const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `Q${i},a,b,c,d,A`);
+    await expect(parseQuestionFile(csv('question,optionA,optionB,optionC,optionD,correctAnswer', ...rows), 'csv'))
+      .rejects.toThrow(`File contains ${MAX_IMPORT_ROWS + 1} questions; the limit is ${MAX_IMPORT_ROWS} per import`);
+
+    await expect(parseQuestionFile(csv('x'), 'xlsx')).rejects.toThrow('Unsupported import format');
+  });
+});
+
+describe('normalizeQuestionRecord from CSV rows', () => {
+  const header = 'question,optionA,optionB,optionC,optionD,correctAnswer,type,partialCredit,tolerance,unit,difficulty,points,tags';
+
+  test('reads every question type', async () => {
+    const [single, trueFalse, multi, numeric] = await importCsv(
+      header,
+      'Capital of France?,Paris,Rome,Madrid,Berlin,1,,,,,Easy,2,geo;europe',
+      'The sun is a star,,,,,true,TF,,,,,,',
+      'Prime numbers?,2,4,5,9,A;C,multi-select,no,,,,,',
+      'g in m/s²?,,,,,9.8,numeric,,0.05,m/s²,,,'
+    );
+
+    expect(single.question).toEqual({
+      question: 'Capital of France?', type: 'SINGLE_CHOICE', options: ['Paris', 'Rome', 'Madrid', 'Berlin'],
+      correctIndex: 0, difficulty: 'EASY', points: 2, tags: ['geo', 'europe']
+    });
+    expect(trueFalse.question).toMatchObject({ type: 'TRUE_FALSE', options: ['True', 'False'], correctIndex: 0 });
+    expect(multi.question).toMatchObject({ type: 'MULTI_SELECT', correctIndexes: [0, 2], partialCredit: false });
+    expect(numeric.question).toMatchObject({ type: 'NUMERIC', numericAnswer: 9.8, numericTolerance: 0.05, unit: 'm/s²' });
+    expect(numeric.question.options).toBeUndefined();
+  });
+
+  test('reports every problem in a row', async () => {
+    const [row] = await importCsv(header, ',Paris,Paris,,Berlin,E,,,,,Impossible,0,');
+
+    expect(row.question).toBeNull();
+    expect(row.errors).toEqual([
+      'question is required',
+      'optionC is required',
+      'options must be distinct',
+      'correctAnswer must be 1-4 or A-D, got "E"',
+      'difficulty must be one of EASY, MEDIUM, HARD',
+      'points must be a positive integer'
+    ]);
+  });
+
+  test('rejects unknown types and non-numeric numeric answers', async () => {
+    const [unknown, numeric] = await importCsv(
+      header,
+      'Q1,a,b,c,d,A,essay,,,,,,',
+      'Q2,,,,,ten,numeric,,,,,,'
+    );
+
+    expect(unknown.errors).toEqual(['type must be one of SINGLE_CHOICE, TRUE_FALSE, MULTI_SELECT, NUMERIC']);
+    expect(numeric.errors).toEqual(['correctAnswer must be a number, got "ten"']);
+  });
+
+  test('undoes the formula guard added by the CSV export', async () => {
+    const [row] = await importCsv(header, "'=1+1?,'-1,2,3,4,B,,,,,,,");
+    expect(row.question).toMatchObject({ question: '=1+1?', options: ['-1', '2', '3', '4'], correctIndex: 1 });
+  });
+
+  test('reads back what the CSV export writes', async () => {
+    const questions = [
+      { _id: 'q1', question: 'Capital of France?', options: ['Paris', 'Rome', 'Madrid', 'Berlin'], correctIndex: 2, subject: 'Geography', tags: ['geo'] },
+      { _id: 'q2', type: 'MULTI_SELECT', question: 'Pick, "quoted"', options: ['a', 'b', 'c', 'd'], correctIndexes: [1, 3], partialCredit: true },
+      { _id: 'q3', type: 'NUMERIC', question: 'Temperature?', numericAnswer: -40, numericTolerance: 0.5, unit: '°C' }
+    ];
+
+    const rows = await parseQuestionFile(Buffer.from(questionsToCsv(questions)), 'csv');
+    const imported = rows.map(({ data }) => normalizeQuestionRecord(data));
+
+    expect(imported.every(r => r.errors.length === 0)).toBe(true);
+    expect(imported[0].question).toMatchObject({ question: 'Capital of France?', correctIndex: 2, subject: 'Geography', tags: ['geo'] });
+    expect(imported[1].question).toMatchObject({ question: 'Pick, "quoted"', correctIndexes: [1, 3], partialCredit: true });
+    expect(imported[2].question).toMatchObject({ numericAnswer: -40, numericTolerance: 0.5, unit: '°C' });
+  });
+});
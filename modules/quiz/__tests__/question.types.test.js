@@ -0,0 +1,113 @@
+// modules/quiz/__tests__/question.types.test.js
+import {
+  answerKey, gradeAnswer, parseSubmittedAnswer, toOriginalAnswer, questionContentErrors, presentOptions
+} from '../question.types.js';
+
+const single = { correctIndex: 2, options: ['a', 'b', 'c', 'd'] };
+const trueFalse = { type: 'TRUE_FALSE', correctIndex: 1, options: ['True', 'False'] };
+const multi = { type: 'MULTI_SELECT', correctIndexes: [3, 0], options: ['a', 'b', 'c', 'd'] };
+const numeric = { type: 'NUMERIC', numericAnswer: 9.8, numericTolerance: 0.1, options: [] };
+
+describe('gradeAnswer', () => {
+  test('single choice and true/false take exactly the key', () => {
+    expect(gradeAnswer(single, 2)).toBe(1);
+    expect(gradeAnswer(single, 1)).toBe(0);
+    expect(gradeAnswer(trueFalse, 1)).toBe(1);
+    expect(gradeAnswer(trueFalse, 0)).toBe(0);
+  });
+
+  test('single choice takes any accepted answer', () => {
+    expect(gradeAnswer(single, 1, [1, 2])).toBe(1);
+  });
+
+  test('multi-select gives partial credit, each wrong pick cancelling a right one', () => {
+    expect(gradeAnswer(multi, [0, 3])).toBe(1);
+    expect(gradeAnswer(multi, [0])).toBe(0.5);
+    expect(gradeAnswer(multi, [0, 1])).toBe(0);
+    expect(gradeAnswer(multi, [0, 1, 2, 3])).toBe(0);
+  });
+
+  test('multi-select without partial credit is all or nothing', () => {
+    const strict = { ...multi, partialCredit: false };
+    expect(gradeAnswer(strict, [0, 3])).toBe(1);
+    expect(gradeAnswer(strict, [0])).toBe(0);
+  });
+
+  test('numeric answers match within the tolerance', () => {
+    expect(gradeAnswer(numeric, 9.9)).toBe(1);
+    expect(gradeAnswer(numeric, 9.7)).toBe(1);
+    expect(gradeAnswer(numeric, 9.95)).toBe(0);
+    expect(gradeAnswer({ type: 'NUMERIC', numericAnswer: 0.3 }, 0.1 + 0.2)).toBe(1);
+  });
+});
+
+describe('answerKey', () => {
+  test('is the sorted original indexes of the correct options', () => {
+    expect(answerKey(single)).toEqual([2]);
+    expect(answerKey(multi)).toEqual([0, 3]);
+    expect(answerKey(numeric)).toEqual([]);
+  });
+});
+
+describe('parseSubmittedAnswer', () => {
+  test('accepts an option index for single choice', () => {
+    expect(parseSubmittedAnswer(single, 3)).toBe(3);
+    expect(() => parseSubmittedAnswer(single, 4)).toThrow('Answer must be an option index (0-3)');
+    expect(() => parseSubmittedAnswer(trueFalse, 2)).toThrow('Answer must be an option index (0-1)');
+  });
+
+  test('sorts multi-select answers and rejects repeats', () => {
+    expect(parseSubmittedAnswer(multi, [3, 1])).toEqual([1, 3]);
+    expect(parseSubmittedAnswer(multi, 2)).toEqual([2]);
+    expect(() => parseSubmittedAnswer(multi, [1, 1])).toThrow('distinct option indexes');
+    expect(() => parseSubmittedAnswer(multi, [])).toThrow('distinct option indexes');
+  });
+
+  test('takes numbers or numeric strings for numeric questions', () => {
+    expect(parseSubmittedAnswer(numeric, '9.8')).toBe(9.8);
+    expect(parseSubmittedAnswer(numeric, 10)).toBe(10);
+    expect(() => parseSubmittedAnswer(numeric, 'ten')).toThrow('Answer must be a number');
+    expect(() => parseSubmittedAnswer(numeric, '')).toThrow('Answer must be a number');
+  });
+});
+
+describe('toOriginalAnswer', () => {
+  test('maps shown indexes back through the option order', () => {
+    expect(toOriginalAnswer(single, 0, [2, 0, 3, 1])).toBe(2);
+    expect(toOriginalAnswer(multi, [0, 2], [2, 0, 3, 1])).toEqual([2, 3]);
+  });
+
+  test('leaves answers alone without a matching order, and numeric answers always', () => {
+    expect(toOriginalAnswer(single, 1, [])).toBe(1);
+    expect(toOriginalAnswer(numeric, 9.8, [1, 0])).toBe(9.8);
+  });
+});
+
+describe('questionContentErrors', () => {
+  test('accepts valid questions of every type', () => {
+    for (const question of [single, trueFalse, multi, numeric]) {
+      expect(questionContentErrors(question)).toEqual([]);
+    }
+  });
+
+  test('reports what is wrong', () => {
+    expect(questionContentErrors({ type: 'ESSAY' })[0]).toMatch(/^type must be one of/);
+    expect(questionContentErrors({ ...single, options: ['a', 'b'] })).toContain('SINGLE_CHOICE questions must have exactly 4 options');
+    expect(questionContentErrors({ ...single, correctIndex: 4 })).toContain('correctIndex must be 0-3');
+    expect(questionContentErrors({ ...multi, correctIndexes: [1, 1] })).toContain('correctIndexes must be distinct option indexes (0-3)');
+    expect(questionContentErrors({ ...numeric, numericAnswer: '9.8' })).toContain('numericAnswer must be a number');
+    expect(questionContentErrors({ ...single, options: ['a', '', 'c', 'd'] })).toContain('Option 2 needs text or an image');
+  });
+
+  test('an option image stands in for empty option text', () => {
+    const withImage = { ...single, options: ['a', '', 'c', 'd'], optionImages: [null, { url: 'https://img.example/b.png' }] };
+    expect(questionContentErrors(withImage)).toEqual([]);
+  });
+});
+
+describe('presentOptions', () => {
+  test('lists options in the order shown', () => {
+    expect(presentOptions(single, [2, 0, 3, 1])).toEqual({ options: ['c', 'a', 'd', 'b'], optionImages: [] });
+    expect(presentOptions(numeric)).toEqual({ options: [], optionImages: [] });
+  });
+});
@@ -0,0 +1,81 @@
+// modules/quiz/__tests__/quiz.prizes.test.js
+import { computePayouts, buildPrizeConfig } from '../quiz.prizes.js';
+
+// Winners in rank order, as calculateAndPersistWinners stores them
+function winners(...rows) {
+  return rows.map(([score, totalTimeMs], i) => ({ user: `u${i + 1}`, rank: i + 1, score, totalTimeMs }));
+}
+
+const amounts = payouts => payouts.map(p => p.amount);
+
+describe('computePayouts', () => {
+  test('pays nothing in NONE mode', () => {
+    expect(computePayouts(winners([10, 1000]), { mode: 'NONE', bands: [] })).toEqual([]);
+  });
+
+  test('FIXED pays each band value per rank and skips ranks without a band', () => {
+    const config = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 500 }, { fromRank: 2, toRank: 3, value: 100 }] });
+    const payouts = computePayouts(winners([10, 100], [9, 100], [8, 100], [7, 100]), config);
+
+    expect(payouts.map(p => [p.rank, p.tieSize, p.amount])).toEqual([[1, 1, 500], [2, 1, 100], [3, 1, 100]]);
+  });
+
+  test('tied winners split the prizes of the ranks they occupy', () => {
+    const config = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 500 }, { fromRank: 2, value: 300 }, { fromRank: 3, value: 100 }] });
+    const payouts = computePayouts(winners([10, 100], [10, 100], [9, 100]), config);
+
+    expect(amounts(payouts)).toEqual([400, 400, 100]);
+    expect(payouts.map(p => p.tieSize)).toEqual([2, 2, 1]);
+  });
+
+  test('same score with a different time is not a tie', () => {
+    const config = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 500 }, { fromRank: 2, value: 300 }] });
+
+    expect(amounts(computePayouts(winners([10, 100], [10, 101]), config))).toEqual([500, 300]);
+  });
+
+  test('a tie reaching past the last band shares the banded prizes', () => {
+    const config = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 100 }] });
+
+    expect(amounts(computePayouts(winners([10, 100], [10, 100]), config))).toEqual([50, 50]);
+  });
+
+  test('leftover paise of a split go one each to the first tied winners', () => {
+    const config = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 100 }, { fromRank: 2, value: 0.01 }] });
+    // 10001 paise over four winners: 2500 each and 1 left for the first
+    const split = computePayouts(winners([10, 100], [10, 100], [10, 100], [10, 100]), config);
+
+    expect(amounts(split)).toEqual([25.01, 25, 25, 25]);
+    expect(split.reduce((sum, p) => sum + Math.round(p.amount * 100), 0)).toBe(10001);
+
+    // 10000 paise over three winners: 3333 each and 1 left
+    const odd = buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, value: 100 }] });
+    expect(amounts(computePayouts(winners([10, 100], [10, 100], [10, 100]), odd))).toEqual([33.34, 33.33, 33.33]);
+  });
+
+  test('POOL_PERCENT pays a share of the pool, rounded down to the paisa', () => {
+    const config = buildPrizeConfig({ mode: 'POOL_PERCENT', bands: [{ fromRank: 1, value: 50 }, { fromRank: 2, toRank: 3, value: 12.5 }] });
+    const payouts = computePayouts(winners([10, 100], [9, 100], [8, 100]), config, 1000.05);
+
+    // 50% of 100005 paise is 50002.5 -> 50002; 12.5% is 12500.625 -> 12500
+    expect(amounts(payouts)).toEqual([500.02, 125, 125]);
+  });
+
+  test('POOL_PERCENT with an empty pool pays nobody', () => {
+    const config = buildPrizeConfig({ mode: 'POOL_PERCENT', bands: [{ fromRank: 1, value: 50 }] });
+
+    expect(computePayouts(winners([10, 100]), config, 0)).toEqual([]);
+  });
+});
+
+describe('buildPrizeConfig', () => {
+  test('rejects overlapping bands', () => {
+    expect(() => buildPrizeConfig({ mode: 'FIXED', bands: [{ fromRank: 1, toRank: 3, value: 1 }, { fromRank: 3, value: 1 }] }))
+      .toThrow('Prize bands overlap at rank 3');
+  });
+
+  test('rejects pool bands paying out more than 100%', () => {
+    expect(() => buildPrizeConfig({ mode: 'POOL_PERCENT', bands: [{ fromRank: 1, toRank: 2, value: 60 }] }))
+      .toThrow('cannot exceed 100%');
+  });
+});
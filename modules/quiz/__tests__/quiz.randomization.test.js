@@ -0,0 +1,117 @@
+// modules/quiz/__tests__/quiz.randomization.test.js
+import { stratumQuotas, buildQuestionOrder, buildOptionOrder } from '../quiz.randomization.js';
+
+function pool(...difficulties) {
+  return difficulties.map((difficulty, i) => ({ _id: `q${i}`, difficulty, subject: i % 2 ? 'Maths' : 'Science' }));
+}
+
+const sorted = array => [...array].sort((a, b) => a - b);
+
+beforeAll(() => {
+  process.env.QUIZ_SHUFFLE_SECRET = 'test-secret';
+});
+
+describe('stratumQuotas', () => {
+  test('splits the sample in proportion to the pool', () => {
+    const questions = pool('EASY', 'EASY', 'MEDIUM', 'MEDIUM', 'HARD', 'HARD');
+
+    expect(stratumQuotas(questions, 3)).toEqual([
+      ['EASY', [0, 1], 1],
+      ['HARD', [4, 5], 1],
+      ['MEDIUM', [2, 3], 1]
+    ]);
+  });
+
+  test('rounds by largest remainder and always adds up to the size', () => {
+    // 5 EASY, 3 MEDIUM, 2 HARD sampled to 4: exact shares 2, 1.2, 0.8
+    const questions = pool('EASY', 'EASY', 'EASY', 'EASY', 'EASY', 'MEDIUM', 'MEDIUM', 'MEDIUM', 'HARD', 'HARD');
+    const quotas = stratumQuotas(questions, 4);
+
+    expect(quotas.map(([stratum, , quota]) => [stratum, quota])).toEqual([['EASY', 2], ['HARD', 1], ['MEDIUM', 1]]);
+    for (const size of [1, 5, 7, 9]) {
+      expect(stratumQuotas(questions, size).reduce((sum, [, , quota]) => sum + quota, 0)).toBe(size);
+    }
+  });
+
+  test('equal remainders go to the larger stratum', () => {
+    // 1 EASY, 3 HARD, 4 MEDIUM sampled to 4: exact shares 0.5, 1.5, 2
+    const questions = pool('EASY', 'HARD', 'HARD', 'HARD', 'MEDIUM', 'MEDIUM', 'MEDIUM', 'MEDIUM');
+    const quotas = stratumQuotas(questions, 4);
+
+    expect(quotas.map(([stratum, , quota]) => [stratum, quota])).toEqual([['EASY', 0], ['HARD', 2], ['MEDIUM', 2]]);
+  });
+
+  test('groups by subject, or not at all', () => {
+    const questions = pool('EASY', 'EASY', 'HARD', 'HARD');
+
+    expect(stratumQuotas(questions, 2, 'SUBJECT')).toEqual([['Maths', [1, 3], 1], ['Science', [0, 2], 1]]);
+    expect(stratumQuotas(questions, 2, 'NONE')).toEqual([['ALL', [0, 1, 2, 3], 2]]);
+  });
+
+  test('questions without the field share one stratum', () => {
+    const questions = [{ difficulty: 'EASY' }, {}, { difficulty: null }];
+    expect(stratumQuotas(questions, 3).map(([stratum, indexes]) => [stratum, indexes])).toEqual([['EASY', [0]], ['UNSPECIFIED', [1, 2]]]);
+  });
+});
+
+describe('buildQuestionOrder', () => {
+  const quiz = { _id: 'quiz1', questions: pool('EASY', 'EASY', 'EASY', 'EASY', 'MEDIUM', 'MEDIUM', 'MEDIUM', 'MEDIUM', 'HARD', 'HARD') };
+
+  test('serves the whole pool shuffled when the quiz does not sample', () => {
+    const order = buildQuestionOrder(quiz, 'user1');
+    expect(sorted(order)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('is the same for a user on every call and differs between users', () => {
+    expect(buildQuestionOrder(quiz, 'user1')).toEqual(buildQuestionOrder(quiz, 'user1'));
+
+    const orders = new Set(['user1', 'user2', 'user3', 'user4'].map(u => buildQuestionOrder(quiz, u).join()));
+    expect(orders.size).toBeGreaterThan(1);
+  });
+
+  test('depends on the secret', () => {
+    const before = buildQuestionOrder(quiz, 'user1');
+    process.env.QUIZ_SHUFFLE_SECRET = 'another-secret';
+    try {
+      expect(buildQuestionOrder(quiz, 'user1')).not.toEqual(before);
+    } finally {
+      process.env.QUIZ_SHUFFLE_SECRET = 'test-secret';
+    }
+  });
+
+  test('samples every user the same number of questions per difficulty', () => {
+    const sampled = { ...quiz, sampling: { size: 5, stratifyBy: 'DIFFICULTY' } };
+
+    for (const user of ['user1', 'user2', 'user3', 'user4', 'user5']) {
+      const order = buildQuestionOrder(sampled, user);
+      const counts = order.reduce((acc, i) => ({ ...acc, [quiz.questions[i].difficulty]: (acc[quiz.questions[i].difficulty] || 0) + 1 }), {});
+
+      expect(order).toHaveLength(5);
+      expect(new Set(order).size).toBe(5);
+      expect(counts).toEqual({ EASY: 2, MEDIUM: 2, HARD: 1 });
+    }
+  });
+
+  test('refuses to shuffle without a secret', () => {
+    delete process.env.QUIZ_SHUFFLE_SECRET;
+    try {
+      expect(() => buildQuestionOrder(quiz, 'user1')).toThrow('QUIZ_SHUFFLE_SECRET is not configured');
+    } finally {
+      process.env.QUIZ_SHUFFLE_SECRET = 'test-secret';
+    }
+  });
+});
+
+describe('buildOptionOrder', () => {
+  const quiz = { _id: 'quiz1' };
+
+  test('is a permutation of the options, stable per user and position', () => {
+    const order = buildOptionOrder(quiz, 'user1', 0);
+    expect(sorted(order)).toEqual([0, 1, 2, 3]);
+    expect(buildOptionOrder(quiz, 'user1', 0)).toEqual(order);
+  });
+
+  test('keeps true/false in its natural order', () => {
+    expect(buildOptionOrder(quiz, 'user1', 0, { type: 'TRUE_FALSE', options: ['True', 'False'] })).toEqual([0, 1]);
+  });
+});
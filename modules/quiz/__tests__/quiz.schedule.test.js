@@ -0,0 +1,81 @@
+// modules/quiz/__tests__/quiz.schedule.test.js
+import {
+  resolveScheduleTime, buildQuizSchedule, validateQuizSchedule, getQuizSchedule, isWithinLockWindow
+} from '../quiz.schedule.js';
+
+const iso = schedule => Object.fromEntries(Object.entries(schedule).map(([field, date]) => [field, date.toISOString()]));
+
+describe('resolveScheduleTime', () => {
+  test('reads HH:MM as IST on the quiz date', () => {
+    expect(resolveScheduleTime('2026-03-01', '20:00').toISOString()).toBe('2026-03-01T14:30:00.000Z');
+    expect(resolveScheduleTime('2026-03-01', '00:15').toISOString()).toBe('2026-02-28T18:45:00.000Z');
+  });
+
+  test('takes ISO strings and copies Dates', () => {
+    const date = new Date('2026-03-01T10:00:00Z');
+    const copy = resolveScheduleTime('2026-03-01', date);
+
+    expect(copy).toEqual(date);
+    expect(copy).not.toBe(date);
+    expect(resolveScheduleTime('2026-03-01', '2026-03-02T09:00:00+05:30').toISOString()).toBe('2026-03-02T03:30:00.000Z');
+  });
+
+  test('rejects anything else', () => {
+    expect(() => resolveScheduleTime('2026-03-01', '25:00')).toThrow('Invalid schedule time: 25:00');
+    expect(() => resolveScheduleTime('2026-03-01', 'tonight')).toThrow('Invalid schedule time: tonight');
+  });
+});
+
+describe('buildQuizSchedule', () => {
+  test('defaults to 19:50 / 19:55 / 20:00 / 20:30 IST', () => {
+    expect(iso(buildQuizSchedule('2026-03-01'))).toEqual({
+      lockAt: '2026-03-01T14:20:00.000Z',
+      paymentCutoffAt: '2026-03-01T14:25:00.000Z',
+      startAt: '2026-03-01T14:30:00.000Z',
+      endAt: '2026-03-01T15:00:00.000Z'
+    });
+  });
+
+  test('applies overrides over the defaults', () => {
+    const schedule = buildQuizSchedule('2026-03-01', { startAt: '20:05', endAt: '2026-03-01T21:00:00+05:30' });
+    expect(iso(schedule)).toMatchObject({ startAt: '2026-03-01T14:35:00.000Z', endAt: '2026-03-01T15:30:00.000Z' });
+  });
+
+  test('rejects overrides that put the steps out of order', () => {
+    expect(() => buildQuizSchedule('2026-03-01', { lockAt: '19:56' })).toThrow('Quiz lock time must not be after the payment cutoff');
+    expect(() => buildQuizSchedule('2026-03-01', { startAt: '19:54' })).toThrow('Payment cutoff must not be after the quiz start time');
+    expect(() => buildQuizSchedule('2026-03-01', { endAt: '20:00' })).toThrow('Quiz end time must be after the start time');
+  });
+});
+
+describe('validateQuizSchedule', () => {
+  test('allows lock, cutoff and start at the same instant', () => {
+    const at = new Date('2026-03-01T14:30:00Z');
+    expect(() => validateQuizSchedule({ lockAt: at, paymentCutoffAt: at, startAt: at, endAt: new Date('2026-03-01T15:00:00Z') }))
+      .not.toThrow();
+  });
+});
+
+describe('getQuizSchedule', () => {
+  test('uses the quiz fields and falls back to the defaults for legacy quizzes', () => {
+    const quiz = { quizDate: '2026-03-01', startAt: '2026-03-01T15:00:00Z', endAt: new Date('2026-03-01T16:00:00Z') };
+
+    expect(iso(getQuizSchedule(quiz))).toEqual({
+      lockAt: '2026-03-01T14:20:00.000Z',
+      paymentCutoffAt: '2026-03-01T14:25:00.000Z',
+      startAt: '2026-03-01T15:00:00.000Z',
+      endAt: '2026-03-01T16:00:00.000Z'
+    });
+  });
+});
+
+describe('isWithinLockWindow', () => {
+  const schedule = buildQuizSchedule('2026-03-01');
+
+  test('runs from lock time until the end, end excluded', () => {
+    expect(isWithinLockWindow(schedule, new Date('2026-03-01T14:19:59Z'))).toBe(false);
+    expect(isWithinLockWindow(schedule, new Date('2026-03-01T14:20:00Z'))).toBe(true);
+    expect(isWithinLockWindow(schedule, new Date('2026-03-01T14:59:59Z'))).toBe(true);
+    expect(isWithinLockWindow(schedule, new Date('2026-03-01T15:00:00Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+// modules/quiz/__tests__/quiz.scoring.test.js
+import { scoreAttempt, buildScoringConfig, getScoringConfig, attemptAccuracy } from '../quiz.scoring.js';
+
+// Single-choice questions answered correctly with option 0 (no shuffling)
+const questions = [
+  { _id: 'q0', correctIndex: 0, difficulty: 'EASY', points: 4 },
+  { _id: 'q1', correctIndex: 0, difficulty: 'MEDIUM', points: 2 },
+  { _id: 'q2', correctIndex: 0, difficulty: 'HARD' }
+];
+
+function quiz(scoring, extra = {}) {
+  return { questions, scoring, questionTimeLimits: [10000, 10000, 10000], ...extra };
+}
+
+// answers: 0 = right, 1 = wrong, null = unanswered
+function attempt(answers, extra = {}) {
+  return { answers, responseTimesMs: answers.map(() => 5000), ...extra };
+}
+
+describe('scoreAttempt', () => {
+  test('FLAT counts one per correct answer', () => {
+    const result = scoreAttempt(quiz({ mode: 'FLAT' }), attempt([0, 0, 1]));
+
+    expect(result).toMatchObject({ score: 2, correctCount: 2, maxScore: 3 });
+    expect(result.breakdown.map(b => [b.correct, b.points])).toEqual([[true, 1], [true, 1], [false, 0]]);
+  });
+
+  test('quizzes without a scoring config score FLAT', () => {
+    expect(scoreAttempt({ questions }, attempt([0, 1, 0])).score).toBe(2);
+    expect(getScoringConfig({})).toEqual({ mode: 'FLAT', negativeMarking: 0, speedBonusMinRatio: 0.5 });
+  });
+
+  test('POINTS uses each question\'s points, defaulting to 1', () => {
+    const result = scoreAttempt(quiz({ mode: 'POINTS' }), attempt([0, 1, 0]));
+    expect(result).toMatchObject({ score: 5, maxScore: 7 });
+  });
+
+  test('DIFFICULTY is worth 1 / 2 / 3 for EASY / MEDIUM / HARD', () => {
+    const result = scoreAttempt(quiz({ mode: 'DIFFICULTY' }), attempt([1, 0, 0]));
+    expect(result).toMatchObject({ score: 5, maxScore: 6 });
+  });
+
+  test('SPEED_BONUS decays linearly down to the minimum ratio', () => {
+    const result = scoreAttempt(
+      quiz({ mode: 'SPEED_BONUS', speedBonusMinRatio: 0.5 }),
+      attempt([0, 0, 0], { responseTimesMs: [0, 5000, 10000] })
+    );
+
+    // Full points at once, 75% at half time, the minimum 50% at the buzzer
+    expect(result.breakdown.map(b => b.points)).toEqual([4, 1.5, 0.5]);
+    expect(result).toMatchObject({ score: 6, maxScore: 7 });
+  });
+
+  test('SPEED_BONUS without a recorded time counts as answering at the buzzer', () => {
+    const result = scoreAttempt(quiz({ mode: 'SPEED_BONUS', speedBonusMinRatio: 0.5 }), attempt([0, null, null], { responseTimesMs: [] }));
+    expect(result.breakdown[0]).toMatchObject({ responseTimeMs: null, points: 2 });
+  });
+
+  test('negative marking deducts for wrong answers only', () => {
+    const result = scoreAttempt(quiz({ mode: 'FLAT', negativeMarking: 0.25 }), attempt([0, 1, null]));
+
+    expect(result.breakdown.map(b => b.points)).toEqual([1, -0.25, 0]);
+    expect(result.score).toBe(0.75);
+  });
+
+  test('the total never goes below zero', () => {
+    const result = scoreAttempt(quiz({ mode: 'FLAT', negativeMarking: 1 }), attempt([1, 1, 0]));
+    expect(result.score).toBe(0);
+  });
+
+  test('maps shuffled answers back through the option order', () => {
+    // Option 2 as shown is original option 0
+    const result = scoreAttempt(quiz({ mode: 'FLAT' }), attempt([2, 0, null], { optionOrders: [[1, 2, 0, 3], [3, 2, 1, 0]] }));
+    expect(result.breakdown.map(b => b.correct)).toEqual([true, false, null]);
+  });
+
+  test('only scores the questions a sampled attempt was shown, by position', () => {
+    const result = scoreAttempt(quiz({ mode: 'POINTS' }), attempt([0, 1], { questionOrder: [2, 0] }));
+
+    expect(result.breakdown.map(b => [b.questionId, b.points])).toEqual([['q2', 1], ['q0', 0]]);
+    expect(result).toMatchObject({ score: 1, maxScore: 5 });
+  });
+
+  test('voided questions earn nothing and are left out of maxScore', () => {
+    const adjusted = quiz({ mode: 'FLAT', negativeMarking: 1 }, { questionAdjustments: [{ question: 'q1', status: 'VOIDED' }] });
+    const result = scoreAttempt(adjusted, attempt([0, 1, 0]));
+
+    expect(result.breakdown[1]).toMatchObject({ voided: true, points: 0 });
+    expect(result).toMatchObject({ score: 2, maxScore: 2 });
+  });
+});
+
+describe('buildScoringConfig', () => {
+  test('merges input over the current config', () => {
+    expect(buildScoringConfig({ negativeMarking: 0.5 }, { mode: 'POINTS', negativeMarking: 0, speedBonusMinRatio: 0.5 }))
+      .toEqual({ mode: 'POINTS', negativeMarking: 0.5, speedBonusMinRatio: 0.5 });
+  });
+
+  test('rejects invalid values', () => {
+    expect(() => buildScoringConfig({ mode: 'BONUS' })).toThrow('Invalid scoring mode');
+    expect(() => buildScoringConfig({ negativeMarking: -1 })).toThrow('negativeMarking must be a non-negative number');
+    expect(() => buildScoringConfig({ speedBonusMinRatio: 1.5 })).toThrow('speedBonusMinRatio must be between 0 and 1');
+  });
+});
+
+describe('attemptAccuracy', () => {
+  test('uses correctCount, or the score of attempts from before it existed', () => {
+    expect(attemptAccuracy({ correctCount: 3, score: 10 }, 4)).toBe(75);
+    expect(attemptAccuracy({ score: 1 }, 3)).toBe(33);
+    expect(attemptAccuracy({ correctCount: 1 }, 0)).toBe(0);
+  });
+});
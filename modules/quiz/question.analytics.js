@@ -0,0 +1,221 @@
+// modules/quiz/question.analytics.js
+// Item analysis computed when a quiz ends and stored on each Question:
+//   pCorrect        - difficulty index, share of participants who got it right
+//                     (unanswered counts as wrong)
+//   avgResponseTimeMs
+//   discrimination  - point-biserial correlation between getting this item
+//                     right and the rest of the participant's correct count
+//                     (the item itself is left out so it cannot inflate r)
+//   optionCounts    - picks per original option index, for distractor analysis
+// Items are flagged once enough people answered them so the bank can surface
+// questions that are miskeyed, ambiguous or not telling anyone apart.
+import Question from "./question.model.js";
+import QuizAttempt from "./quizAttempt.model.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey } from "./quiz.slot.js";
+import { ENDED_STATES } from "./quiz.lifecycle.js";
+import { scoreAttempt } from "./quiz.scoring.js";
+import { findQuizWithQuestions } from "./quiz.version.js";
+import { QUESTION_TYPES, questionType, optionCount, toOriginalAnswer } from "./question.types.js";
+
+export const MIN_RESPONSES_FOR_FLAGS = 30;
+export const ANALYTICS_HISTORY_LIMIT = 20;
+
+export const ITEM_FLAGS = {
+  TOO_EASY: 'TOO_EASY',                               // pCorrect above 0.95
+  TOO_HARD: 'TOO_HARD',                               // pCorrect below 0.15
+  LOW_DISCRIMINATION: 'LOW_DISCRIMINATION',           // 0 <= r < 0.15
+  NEGATIVE_DISCRIMINATION: 'NEGATIVE_DISCRIMINATION', // stronger participants got it wrong more often
+  POSSIBLE_MISKEY: 'POSSIBLE_MISKEY',                 // a distractor was picked more often than the key
+  WEAK_DISTRACTOR: 'WEAK_DISTRACTOR'                  // a distractor picked by under 2% of answers
+};
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Point-biserial r between getting an item right and the rest score, from
+ * [{ correct, rest }]. Null when it is undefined (everyone right, everyone
+ * wrong or no spread in rest scores).
+ */
+export function pointBiserial(pairs) {
+  const n = pairs.length;
+  if (n < 2) return null;
+
+  const mean = pairs.reduce((sum, p) => sum + p.rest, 0) / n;
+  const variance = pairs.reduce((sum, p) => sum + (p.rest - mean) ** 2, 0) / n;
+  const right = pairs.filter(p => p.correct);
+  if (variance === 0 || right.length === 0 || right.length === n) return null;
+
+  const wrong = pairs.filter(p => !p.correct);
+  const meanRight = right.reduce((sum, p) => sum + p.rest, 0) / right.length;
+  const meanWrong = wrong.reduce((sum, p) => sum + p.rest, 0) / wrong.length;
+  const p = right.length / n;
+
+  return round(((meanRight - meanWrong) / Math.sqrt(variance)) * Math.sqrt(p * (1 - p)));
+}
+
+function itemFlags(stats, question) {
+  if (stats.responses < MIN_RESPONSES_FOR_FLAGS) return [];
+
+  const flags = [];
+  if (stats.pCorrect > 0.95) flags.push(ITEM_FLAGS.TOO_EASY);
+  if (stats.pCorrect < 0.15) flags.push(ITEM_FLAGS.TOO_HARD);
+  if (stats.discrimination !== null) {
+    if (stats.discrimination < 0) flags.push(ITEM_FLAGS.NEGATIVE_DISCRIMINATION);
+    else if (stats.discrimination < 0.15) flags.push(ITEM_FLAGS.LOW_DISCRIMINATION);
+  }
+
+  // Distractor checks need a single keyed option
+  const type = questionType(question);
+  if (type !== QUESTION_TYPES.SINGLE_CHOICE && type !== QUESTION_TYPES.TRUE_FALSE) return flags;
+
+  const keyCount = stats.optionCounts[question.correctIndex] || 0;
+  const distractors = stats.optionCounts.filter((_, i) => i !== question.correctIndex);
+  if (distractors.some(count => count > keyCount)) flags.push(ITEM_FLAGS.POSSIBLE_MISKEY);
+  if (stats.answered > 0 && distractors.some(count => count / stats.answered < 0.02)) {
+    flags.push(ITEM_FLAGS.WEAK_DISTRACTOR);
+  }
+  return flags;
+}
+
+/**
+ * Item statistics for every question of a quiz (questions populated) from
+ * its attempts. Pure; returns one entry per question in quiz order.
+ */
+export function computeItemAnalytics(quiz, attempts) {
+  const items = quiz.questions.map(question => ({
+    question,
+    responses: 0,
+    answered: 0,
+    correctCount: 0,
+    timeTotal: 0,
+    timeCount: 0,
+    optionCounts: new Array(optionCount(question)).fill(0), // empty for NUMERIC
+    pairs: []
+  }));
+  const byId = new Map(items.map(item => [String(item.question._id), item]));
+
+  for (const attempt of attempts) {
+    const { correctCount, breakdown } = scoreAttempt(quiz, attempt);
+
+    for (const entry of breakdown) {
+      const item = byId.get(String(entry.questionId));
+      if (!item) continue;
+
+      const correct = entry.correct === true;
+      item.responses++;
+      item.pairs.push({ correct, rest: correctCount - (correct ? 1 : 0) });
+      if (entry.selectedIndex === null) continue;
+
+      item.answered++;
+      if (correct) item.correctCount++;
+      if (Number.isFinite(entry.responseTimeMs)) {
+        item.timeTotal += entry.responseTimeMs;
+        item.timeCount++;
+      }
+
+      // Shown option(s) -> original option(s); a multi-select answer counts each pick
+      if (!item.optionCounts.length) continue;
+      const original = toOriginalAnswer(item.question, entry.selectedIndex, attempt.optionOrders?.[entry.position]);
+      for (const index of [].concat(original)) {
+        if (index >= 0 && index < item.optionCounts.length) item.optionCounts[index]++;
+      }
+    }
+  }
+
+  return items.map(item => {
+    const stats = {
+      questionId: item.question._id,
+      responses: item.responses,
+      answered: item.answered,
+      correctCount: item.correctCount,
+      pCorrect: item.responses ? round(item.correctCount / item.responses) : null,
+      avgResponseTimeMs: item.timeCount ? Math.round(item.timeTotal / item.timeCount) : null,
+      discrimination: pointBiserial(item.pairs),
+      optionCounts: item.optionCounts
+    };
+    stats.flags = itemFlags(stats, item.question);
+    return stats;
+  });
+}
+
+/**
+ * Compute and store item analytics for a quiz that has ended. Safe to re-run:
+ * the quiz's previous entry in each question's history is replaced.
+ */
+export async function updateQuizItemAnalytics(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz) throw new Error('Quiz not found');
+  if (!ENDED_STATES.includes(quiz.state)) {
+    throw new Error('Item analytics are available after the quiz ends');
+  }
+
+  // Disqualified attempts and people who never answered would only add noise
+  const attempts = await QuizAttempt.find({
+    quizDate,
+    slot,
+    eligibilityReason: { $ne: 'DISQUALIFIED' },
+    'answers.0': { $exists: true }
+  }).select('answers optionOrders questionOrder questionTimeLimits responseTimesMs answerTimestamps questionStartTimes').lean();
+
+  const items = computeItemAnalytics(quiz, attempts);
+  const computedAt = new Date();
+
+  const ops = items.flatMap(({ questionId, ...stats }) => {
+    const entry = { quizDate, slot, computedAt, ...stats };
+    return [
+      { updateOne: { filter: { _id: questionId }, update: { $pull: { analyticsHistory: { quizDate, slot } } } } },
+      {
+        updateOne: {
+          filter: { _id: questionId },
+          update: {
+            $set: { analytics: entry },
+            $push: { analyticsHistory: { $each: [entry], $slice: -ANALYTICS_HISTORY_LIMIT } }
+          }
+        }
+      }
+    ];
+  });
+  if (ops.length) await Question.bulkWrite(ops, { ordered: true });
+
+  console.log(`Item analytics for quiz ${quizKey(quizDate, slot)}: ${items.length} questions from ${attempts.length} attempts`);
+  return { quizDate, slot, computedAt, attempts: attempts.length, items };
+}
+
+/**
+ * Stored analytics of a quiz, in quiz order.
+ */
+export async function getQuizItemAnalytics(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz) throw new Error('Quiz not found');
+
+  // Content as served; the stored statistics live on the bank question
+  const stored = await Question.find({ _id: { $in: quiz.questions.map(q => q._id) } })
+    .select('analyticsHistory')
+    .lean();
+  const historyById = new Map(stored.map(q => [String(q._id), q.analyticsHistory || []]));
+
+  return {
+    quizDate,
+    slot,
+    items: quiz.questions.map(q => {
+      const entry = (historyById.get(String(q._id)) || []).find(h => h.quizDate === quizDate && h.slot === slot);
+      return {
+        questionId: q._id,
+        question: q.question,
+        type: questionType(q),
+        options: q.options,
+        correctIndex: q.correctIndex,
+        correctIndexes: q.correctIndexes,
+        numericAnswer: q.numericAnswer,
+        subject: q.subject,
+        difficulty: q.difficulty,
+        analytics: entry || null
+      };
+    })
+  };
+}
@@ -0,0 +1,664 @@
+// modules/quiz/question.io.js
+// Question import and export.
+//
+// Import accepts CSV (header row required; columns question, optionA-D,
+// correctAnswer and optionally subject, difficulty, classGrade, points,
+// explanation, tags, type, partialCredit, tolerance, unit, imageUrl) or JSON
+// (an array, or { questions: [...] } as produced by the JSON export). Every
+// row is validated and reported individually so a file can be previewed
+// before anything is written.
+//
+// correctAnswer depends on the type (see question.types.js): a letter or
+// 1-4 for SINGLE_CHOICE, True/False (or A/B) for TRUE_FALSE, letters such as
+// "A;C" for MULTI_SELECT and the number itself for NUMERIC. Option columns
+// are left empty for NUMERIC and may be for TRUE_FALSE.
+//
+// Translations (see question.locale.js) travel in JSON only, as the
+// `translations` array of the JSON export.
+//
+// Export produces CSV (UTF-8 BOM + CRLF so Excel opens it directly), JSON,
+// or an IMS QTI 2.1 content package (zip).
+import { Readable } from "stream";
+import Question from "./question.model.js";
+import { QUESTION_TYPES, QUESTION_TYPE_LIST, TRUE_FALSE_OPTIONS, questionType, optionCount, questionContentErrors } from "./question.types.js";
+import { normalizeLocale, translationErrors } from "./question.locale.js";
+import { createZip } from "../../utils/zip.js";
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+export const EXPORT_FORMATS = ['csv', 'json', 'qti'];
+
+export const CSV_COLUMNS = [
+  'question', 'optionA', 'optionB', 'optionC', 'optionD', 'correctAnswer',
+  'subject', 'difficulty', 'classGrade', 'points', 'explanation', 'tags',
+  'type', 'partialCredit', 'tolerance', 'unit', 'imageUrl'
+];
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+const CLASS_GRADES = ['10th', '12th', 'Other', 'ALL'];
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+// Accepted spellings of each column, compared lowercase without spaces/underscores
+const COLUMN_ALIASES = {
+  question: ['question', 'questiontext', 'text'],
+  optionA: ['optiona', 'option1', 'a'],
+  optionB: ['optionb', 'option2', 'b'],
+  optionC: ['optionc', 'option3', 'c'],
+  optionD: ['optiond', 'option4', 'd'],
+  correctAnswer: ['correctanswer', 'answer', 'correct', 'correctoption'],
+  subject: ['subject'],
+  difficulty: ['difficulty', 'level'],
+  classGrade: ['classgrade', 'class', 'grade'],
+  points: ['points', 'marks'],
+  explanation: ['explanation', 'solution'],
+  tags: ['tags', 'tag'],
+  type: ['type', 'questiontype'],
+  partialCredit: ['partialcredit', 'partial'],
+  tolerance: ['tolerance', 'numerictolerance'],
+  unit: ['unit', 'units'],
+  imageUrl: ['imageurl', 'image']
+};
+
+// Accepted spellings of each question type, compared uppercase without separators
+const TYPE_ALIASES = {
+  SINGLECHOICE: QUESTION_TYPES.SINGLE_CHOICE,
+  MCQ: QUESTION_TYPES.SINGLE_CHOICE,
+  TRUEFALSE: QUESTION_TYPES.TRUE_FALSE,
+  TF: QUESTION_TYPES.TRUE_FALSE,
+  MULTISELECT: QUESTION_TYPES.MULTI_SELECT,
+  MULTI: QUESTION_TYPES.MULTI_SELECT,
+  MSQ: QUESTION_TYPES.MULTI_SELECT,
+  NUMERIC: QUESTION_TYPES.NUMERIC,
+  NUMBER: QUESTION_TYPES.NUMERIC,
+  NUMERICAL: QUESTION_TYPES.NUMERIC
+};
+
+const HEADER_LOOKUP = Object.fromEntries(
+  Object.entries(COLUMN_ALIASES).flatMap(([column, aliases]) => aliases.map(alias => [alias, column]))
+);
+
+function normalizeHeader(header) {
+  const key = String(header).replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return HEADER_LOOKUP[key] || null;
+}
+
+export function detectImportFormat({ format, filename, mimetype } = {}) {
+  if (format) return String(format).toLowerCase();
+  if (filename?.toLowerCase().endsWith('.json') || mimetype === 'application/json') return 'json';
+  return 'csv';
+}
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  // Undo the formula guard added by CSV export
+  return String(value).trim().replace(/^'(?=[=+\-@])/, '');
+}
+
+async function parseCsv(buffer) {
+  const { default: csv } = await import('csv-parser');
+  const records = [];
+
+  await new Promise((resolve, reject) => {
+    Readable.from([buffer])
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('data', data => {
+        // Row 1 is the header, so the first record is spreadsheet row 2
+        records.push({ row: records.length + 2, data });
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  return records;
+}
+
+function parseJson(buffer) {
+  let parsed;
+  try {
+    parsed = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be an array of questions or an object with a questions array');
+  }
+  return items.map((data, i) => ({ row: i + 1, data }));
+}
+
+/**
+ * Parse an uploaded file into raw records [{ row, data }]. Throws only when
+ * the file as a whole is unreadable; per-row problems are left to validation.
+ */
+export async function parseQuestionFile(buffer, format) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported import format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const records = format === 'json' ? parseJson(buffer) : await parseCsv(buffer);
+  if (records.length === 0) throw new Error('File contains no questions');
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`File contains ${records.length} questions; the limit is ${MAX_IMPORT_ROWS} per import`);
+  }
+  return records;
+}
+
+function parseType(data, errors) {
+  const value = text(data.type);
+  if (!value) return QUESTION_TYPES.SINGLE_CHOICE;
+  const type = TYPE_ALIASES[value.toUpperCase().replace(/[\s_-]+/g, '')];
+  if (!type) errors.push(`type must be one of ${QUESTION_TYPE_LIST.join(', ')}`);
+  return type || null;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const flag = text(value).toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(flag)) return true;
+  if (['false', 'no', 'n', '0'].includes(flag)) return false;
+  return undefined;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const raw = text(value);
+  return raw === '' ? undefined : Number(raw);
+}
+
+// One option reference: letter, or 1-based number
+function parseOptionRef(value, count) {
+  const answer = text(value).toUpperCase();
+  const letters = OPTION_LETTERS.slice(0, count);
+  if (letters.includes(answer)) return letters.indexOf(answer);
+  const number = Number(answer);
+  if (Number.isInteger(number) && number >= 1 && number <= count) return number - 1;
+  return null;
+}
+
+function parseCorrectIndex(data, type, errors) {
+  const count = optionCount({ type });
+  if (Number.isInteger(data.correctIndex)) {
+    if (data.correctIndex < 0 || data.correctIndex >= count) errors.push(`correctIndex must be 0-${count - 1}`);
+    return data.correctIndex;
+  }
+
+  const answer = text(data.correctAnswer);
+  if (!answer) {
+    errors.push('correctAnswer is required');
+    return null;
+  }
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    const index = TRUE_FALSE_OPTIONS.findIndex(option => option.toLowerCase() === answer.toLowerCase());
+    if (index !== -1) return index;
+  }
+
+  const index = parseOptionRef(answer, count);
+  if (index !== null) return index;
+  errors.push(type === QUESTION_TYPES.TRUE_FALSE
+    ? `correctAnswer must be True or False, got "${data.correctAnswer}"`
+    : `correctAnswer must be 1-4 or A-D, got "${data.correctAnswer}"`);
+  return null;
+}
+
+function parseCorrectIndexes(data, errors) {
+  const refs = Array.isArray(data.correctIndexes)
+    ? data.correctIndexes.map(i => (Number.isInteger(i) ? i : null))
+    : text(data.correctAnswer).split(/[;|,\s]+/).filter(Boolean).map(ref => parseOptionRef(ref, 4));
+  if (refs.length === 0) {
+    errors.push('correctAnswer is required');
+    return [];
+  }
+  if (refs.some(i => i === null)) {
+    errors.push(`correctAnswer must list options as A-D or 1-4 (e.g. "A;C"), got "${data.correctAnswer ?? data.correctIndexes}"`);
+    return [];
+  }
+  return [...new Set(refs)].sort((a, b) => a - b);
+}
+
+function parseImage(value) {
+  if (value && typeof value === 'object') {
+    return value.url ? { url: text(value.url), publicId: value.publicId, alt: value.alt ? text(value.alt) : undefined } : null;
+  }
+  const url = text(value);
+  return url ? { url } : null;
+}
+
+/**
+ * Validate one raw record and turn it into Question fields.
+ * Returns { question, errors }; question is null when there are errors.
+ */
+export function normalizeQuestionRecord(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') {
+    return { question: null, errors: ['Row must be an object'] };
+  }
+
+  const question = { question: text(data.question) };
+  if (!question.question) errors.push('question is required');
+
+  const type = parseType(data, errors);
+  if (!type) return { question: null, errors };
+  question.type = type;
+  const count = optionCount(question);
+
+  const optionImages = Array.isArray(data.optionImages) ? data.optionImages.map(parseImage) : [];
+  let options = Array.isArray(data.options)
+    ? data.options.map(text)
+    : [data.optionA, data.optionB, data.optionC, data.optionD].map(text);
+  // Spreadsheet rows always have four option cells; only the first `count` are used
+  if (!Array.isArray(data.options) && options.slice(count).every(option => !option)) {
+    options = options.slice(0, count);
+  }
+  if (type === QUESTION_TYPES.TRUE_FALSE && options.every(option => !option)) {
+    options = [...TRUE_FALSE_OPTIONS];
+  }
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    if (options.length) errors.push('numeric questions have no options');
+  } else if (options.length !== count) {
+    errors.push(`exactly ${count} options are required`);
+  } else {
+    options.forEach((option, i) => {
+      if (!option && !optionImages[i]?.url) errors.push(`option${OPTION_LETTERS[i]} is required`);
+    });
+    const filled = options.filter(Boolean).map(o => o.toLowerCase());
+    if (new Set(filled).size !== filled.length) {
+      errors.push('options must be distinct');
+    }
+    question.options = options;
+    if (optionImages.some(image => image?.url)) question.optionImages = optionImages.map(image => image || {});
+  }
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const answer = parseNumber(data.numericAnswer ?? data.correctAnswer);
+    if (answer === undefined) errors.push('correctAnswer is required');
+    else if (!Number.isFinite(answer)) errors.push(`correctAnswer must be a number, got "${data.numericAnswer ?? data.correctAnswer}"`);
+    else question.numericAnswer = answer;
+
+    const tolerance = parseNumber(data.numericTolerance ?? data.tolerance);
+    if (tolerance !== undefined) {
+      if (Number.isFinite(tolerance) && tolerance >= 0) question.numericTolerance = tolerance;
+      else errors.push('tolerance must be a non-negative number');
+    }
+
+    const unit = text(data.unit);
+    if (unit.length > 20) errors.push('unit must be at most 20 characters');
+    else if (unit) question.unit = unit;
+  } else if (type === QUESTION_TYPES.MULTI_SELECT) {
+    question.correctIndexes = parseCorrectIndexes(data, errors);
+    const partialCredit = parseBoolean(data.partialCredit);
+    if (partialCredit !== undefined) question.partialCredit = partialCredit;
+  } else {
+    question.correctIndex = parseCorrectIndex(data, type, errors);
+  }
+
+  const image = parseImage(data.image ?? data.imageUrl);
+  if (image) question.image = image;
+
+  const subject = text(data.subject);
+  if (subject) question.subject = subject;
+
+  const difficulty = text(data.difficulty).toUpperCase();
+  if (difficulty) {
+    if (DIFFICULTIES.includes(difficulty)) question.difficulty = difficulty;
+    else errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const classGrade = text(data.classGrade);
+  if (classGrade) {
+    const match = CLASS_GRADES.find(g => g.toLowerCase() === classGrade.toLowerCase());
+    if (match) question.classGrade = match;
+    else errors.push(`classGrade must be one of ${CLASS_GRADES.join(', ')}`);
+  }
+
+  const points = text(data.points);
+  if (points) {
+    const value = Number(points);
+    if (Number.isInteger(value) && value >= 1) question.points = value;
+    else errors.push('points must be a positive integer');
+  }
+
+  const explanation = text(data.explanation);
+  if (explanation.length > 1000) errors.push('explanation must be at most 1000 characters');
+  else if (explanation) question.explanation = explanation;
+
+  const tags = Array.isArray(data.tags) ? data.tags : text(data.tags).split(/[;|]/);
+  question.tags = tags.map(text).filter(Boolean);
+
+  if (Array.isArray(data.translations) && data.translations.length) {
+    question.translations = data.translations.map(t => ({
+      locale: normalizeLocale(t?.locale) || text(t?.locale),
+      question: text(t?.question),
+      ...(Array.isArray(t?.options) && t.options.length ? { options: t.options.map(text) } : {}),
+      ...(text(t?.explanation) ? { explanation: text(t.explanation) } : {})
+    }));
+  }
+
+  // Same rules as the model and the bulk API
+  if (errors.length === 0) errors.push(...questionContentErrors(question), ...translationErrors(question));
+
+  return { question: errors.length ? null : question, errors };
+}
+
+/**
+ * Validate parsed records. Rows repeating an earlier row or an existing
+ * (non-archived) bank question are reported as duplicates.
+ */
+export async function previewQuestionImport(records) {
+  const valid = [];
+  const errors = [];
+
+  for (const { row, data } of records) {
+    const result = normalizeQuestionRecord(data);
+    if (result.errors.length) errors.push({ row, errors: result.errors });
+    else valid.push({ row, question: result.question });
+  }
+
+  const seen = new Map();
+  const duplicates = [];
+  for (const item of valid) {
+    const key = item.question.question.toLowerCase();
+    if (seen.has(key)) duplicates.push({ row: item.row, duplicateOfRow: seen.get(key) });
+    else seen.set(key, item.row);
+  }
+
+  const existing = await Question.find({
+    question: { $in: valid.map(v => v.question.question) },
+    archived: { $ne: true }
+  }).select('_id question').lean();
+  const existingByText = new Map(existing.map(q => [q.question.toLowerCase(), q._id]));
+  for (const item of valid) {
+    const questionId = existingByText.get(item.question.question.toLowerCase());
+    if (questionId && !duplicates.some(d => d.row === item.row)) {
+      duplicates.push({ row: item.row, duplicateOfQuestion: questionId });
+    }
+  }
+
+  return {
+    total: records.length,
+    validCount: valid.length,
+    errorCount: errors.length,
+    duplicateCount: duplicates.length,
+    valid,
+    errors,
+    duplicates: duplicates.sort((a, b) => a.row - b.row)
+  };
+}
+
+/**
+ * Write the valid rows of a preview to the question bank.
+ * Returns the created question IDs in file order.
+ */
+export async function commitQuestionImport(preview, { skipDuplicates = true } = {}) {
+  const duplicateRows = new Set(preview.duplicates.map(d => d.row));
+  const rows = preview.valid.filter(v => !skipDuplicates || !duplicateRows.has(v.row));
+  if (rows.length === 0) return [];
+
+  const created = await Question.insertMany(rows.map(v => v.question), { ordered: true });
+  return created.map(q => q._id);
+}
+
+// ---------------------------------------------------------------------------
+// Export
+
+function csvCell(value) {
+  let cell = value === undefined || value === null ? '' : String(value);
+  // Keep spreadsheets from evaluating cell content as a formula
+  if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function exportImage(image) {
+  return image?.url ? { url: image.url, alt: image.alt || null } : null;
+}
+
+function exportRecord(q) {
+  const type = questionType(q);
+  return {
+    id: String(q._id),
+    type,
+    question: q.question,
+    options: q.options || [],
+    ...(type === QUESTION_TYPES.NUMERIC
+      ? { numericAnswer: q.numericAnswer, numericTolerance: q.numericTolerance || 0, unit: q.unit || null }
+      : type === QUESTION_TYPES.MULTI_SELECT
+        ? { correctIndexes: q.correctIndexes || [], partialCredit: q.partialCredit !== false }
+        : { correctIndex: q.correctIndex }),
+    image: exportImage(q.image),
+    optionImages: q.optionImages?.some(image => image?.url) ? q.optionImages.map(exportImage) : [],
+    subject: q.subject || null,
+    difficulty: q.difficulty || 'MEDIUM',
+    classGrade: q.classGrade || 'ALL',
+    points: q.points || 1,
+    explanation: q.explanation || null,
+    tags: q.tags || [],
+    translations: (q.translations || []).map(({ locale, question, options, explanation }) => ({
+      locale,
+      question,
+      options: options || [],
+      explanation: explanation || null
+    }))
+  };
+}
+
+export function questionsToCsv(questions) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const q of questions) {
+    const record = exportRecord(q);
+    const correctAnswer = record.type === QUESTION_TYPES.NUMERIC
+      ? record.numericAnswer
+      : record.type === QUESTION_TYPES.MULTI_SELECT
+        ? record.correctIndexes.map(i => OPTION_LETTERS[i]).join(';')
+        : OPTION_LETTERS[record.correctIndex];
+    lines.push([
+      record.question,
+      ...OPTION_LETTERS.map((_, i) => record.options[i]),
+      correctAnswer,
+      record.subject,
+      record.difficulty,
+      record.classGrade,
+      record.points,
+      record.explanation,
+      record.tags.join(';'),
+      record.type,
+      record.type === QUESTION_TYPES.MULTI_SELECT ? record.partialCredit : null,
+      record.type === QUESTION_TYPES.NUMERIC ? record.numericTolerance : null,
+      record.unit,
+      record.image?.url
+    ].map(csvCell).join(','));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export function questionsToJson(questions, meta = {}) {
+  return JSON.stringify({
+    format: 'dme-questions',
+    version: 2,
+    exportedAt: new Date().toISOString(),
+    ...meta,
+    questions: questions.map(exportRecord)
+  }, null, 2);
+}
+
+function xml(value) {
+  return String(value ?? '')
+    // Characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+  'xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+function qtiItemId(q) {
+  return `Q-${q._id}`;
+}
+
+function qtiImage(image) {
+  return image?.url ? `<img src="${xml(image.url)}" alt="${xml(image.alt || '')}"/>` : '';
+}
+
+// Response declaration and interaction for each question type. MULTI_SELECT
+// is exported all-or-nothing; QTI match has no notion of our partial credit.
+function qtiResponse(record) {
+  const prompt = `${xml(record.question)}${record.image ? ` ${qtiImage(record.image)}` : ''}`;
+
+  if (record.type === QUESTION_TYPES.NUMERIC) {
+    const tolerance = record.numericTolerance || 0;
+    return {
+      declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse>
+      <value>${record.numericAnswer}</value>
+    </correctResponse>
+  </responseDeclaration>`,
+      body: `    <p>${prompt}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/>${record.unit ? ` ${xml(record.unit)}` : ''}</p>`,
+      condition: `<equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>`
+    };
+  }
+
+  const multiple = record.type === QUESTION_TYPES.MULTI_SELECT;
+  const keys = multiple ? record.correctIndexes : [record.correctIndex];
+  return {
+    declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+${keys.map(i => `      <value>${OPTION_LETTERS[i]}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`,
+    body: `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">
+      <prompt>${prompt}</prompt>
+${record.options.map((option, i) => `      <simpleChoice identifier="${OPTION_LETTERS[i]}">${xml(option)}${qtiImage(record.optionImages[i])}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+    condition: `<match>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </match>`
+  };
+}
+
+function qtiItem(q) {
+  const record = exportRecord(q);
+  const response = qtiResponse(record);
+  const feedback = record.explanation
+    ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xml(record.explanation)}</modalFeedback>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS} identifier="${qtiItemId(q)}" title="${xml(record.question.slice(0, 80))}" adaptive="false" timeDependent="false">
+${response.declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${response.body}
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${response.condition}
+        <setOutcomeValue identifier="SCORE">
+          <baseValue baseType="float">${record.points}</baseValue>
+        </setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">EXPLANATION</baseValue>
+    </setOutcomeValue>
+  </responseProcessing>${feedback}
+</assessmentItem>
+`;
+}
+
+function qtiTest(identifier, title, questions) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NS} identifier="${xml(identifier)}" title="${xml(title)}">
+  <testPart identifier="PART-1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="SECTION-1" title="${xml(title)}" visible="false">
+${questions.map(q => `      <assessmentItemRef identifier="${qtiItemId(q)}" href="items/${qtiItemId(q)}.xml"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+function qtiManifest(identifier, title, questions, includeTest) {
+  const itemResources = questions.map(q => {
+    const record = exportRecord(q);
+    const keywords = [record.subject, record.difficulty, record.classGrade, ...record.tags].filter(Boolean);
+    return `    <resource identifier="RES-${qtiItemId(q)}" type="imsqti_item_xmlv2p1" href="items/${qtiItemId(q)}.xml">
+      <metadata>
+        <lom xmlns="http://ltsc.ieee.org/xsd/LOM">
+          <general>
+${keywords.map(k => `            <keyword><string>${xml(k)}</string></keyword>`).join('\n')}
+          </general>
+        </lom>
+      </metadata>
+      <file href="items/${qtiItemId(q)}.xml"/>
+    </resource>`;
+  });
+
+  const testResource = includeTest
+    ? [`    <resource identifier="RES-TEST" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${questions.map(q => `      <dependency identifierref="RES-${qtiItemId(q)}"/>`).join('\n')}
+    </resource>`]
+    : [];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="${xml(identifier)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${[...testResource, ...itemResources].join('\n')}
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * IMS QTI 2.1 content package. With `asTest` the items are also wrapped in an
+ * assessmentTest in the given order (used for quiz exports).
+ */
+export function questionsToQtiPackage(questions, { identifier = 'DME-QUESTIONS', title = 'Question Bank', asTest = false } = {}) {
+  const entries = [
+    { name: 'imsmanifest.xml', data: qtiManifest(identifier, title, questions, asTest) },
+    ...questions.map(q => ({ name: `items/${qtiItemId(q)}.xml`, data: qtiItem(q) }))
+  ];
+  if (asTest) entries.push({ name: 'assessmentTest.xml', data: qtiTest(identifier, title, questions) });
+  return createZip(entries);
+}
+
+/**
+ * Serialize questions in an export format.
+ * Returns { body, contentType, extension } ready to send as a download.
+ */
+export function exportQuestions(questions, format, meta = {}) {
+  const { asTest, ...info } = meta;
+  switch (format) {
+    case 'csv':
+      return { body: questionsToCsv(questions), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    case 'json':
+      return { body: questionsToJson(questions, info), contentType: 'application/json; charset=utf-8', extension: 'json' };
+    case 'qti':
+      return { body: questionsToQtiPackage(questions, meta), contentType: 'application/zip', extension: 'zip' };
+    default:
+      throw new Error(`Unsupported export format. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
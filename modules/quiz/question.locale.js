@@ -0,0 +1,84 @@
+// modules/quiz/question.locale.js
+// Question translations. English (question, options, explanation on the
+// Question itself) is the source of truth: answers, hashes and analytics all
+// use it. `translations` adds per-locale text, option i of a translation being
+// option i of the English question, so the answer key never depends on the
+// language. Missing text falls back to English.
+//
+// A user's language is User.preferences.language (see auth.service).
+import { QUESTION_TYPES, questionType, optionCount } from "./question.types.js";
+
+export const DEFAULT_LOCALE = 'en';
+
+// English plus the most common school languages in India
+export const SUPPORTED_LOCALES = ['en', 'hi', 'bn', 'mr', 'te', 'ta', 'gu', 'kn', 'ml', 'pa', 'or', 'as', 'ur'];
+
+export const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+/**
+ * Supported locale for a language tag ("hi", "hi-IN", "HI_in"), or null.
+ */
+export function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const base = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+export function userLocale(user) {
+  return normalizeLocale(user?.preferences?.language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Translation errors for a question (empty when valid).
+ */
+export function translationErrors(question) {
+  const errors = [];
+  const translations = question.translations || [];
+  const seen = new Set();
+  const count = optionCount(question);
+
+  for (const translation of translations) {
+    const locale = translation?.locale;
+    if (!TRANSLATION_LOCALES.includes(locale)) {
+      errors.push(`Translation locale must be one of ${TRANSLATION_LOCALES.join(', ')}`);
+      continue;
+    }
+    if (seen.has(locale)) errors.push(`Duplicate ${locale} translation`);
+    seen.add(locale);
+
+    if (!String(translation.question ?? '').trim()) errors.push(`${locale} translation needs question text`);
+    const options = translation.options || [];
+    if (questionType(question) === QUESTION_TYPES.NUMERIC && options.length) {
+      errors.push(`${locale} translation: numeric questions have no options`);
+    } else if (options.length && options.length !== count) {
+      errors.push(`${locale} translation must have ${count} options (empty ones fall back to English)`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Copy of a question with its text in `locale` where translated. `locale` on
+ * the result is the language of the question text actually served.
+ */
+export function localizeQuestion(question, locale = DEFAULT_LOCALE) {
+  const translation = locale !== DEFAULT_LOCALE
+    ? (question.translations || []).find(t => t.locale === locale)
+    : null;
+  if (!translation) return { ...question, locale: DEFAULT_LOCALE };
+
+  return {
+    ...question,
+    locale,
+    question: translation.question || question.question,
+    options: (question.options || []).map((option, i) => translation.options?.[i] || option),
+    explanation: translation.explanation || question.explanation
+  };
+}
+
+export async function getUserLocale(userId) {
+  // Imported lazily to keep the question modules free of the user model
+  const { default: User } = await import('../user/user.model.js');
+  const user = await User.findById(userId).select('preferences').lean();
+  return userLocale(user);
+}
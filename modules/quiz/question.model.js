@@ -1,5 +1,57 @@
 // modules/quiz/question.model.js
 import mongoose from "mongoose";
+import { QUESTION_TYPES, QUESTION_TYPE_LIST, TRUE_FALSE_OPTIONS, questionContentErrors } from "./question.types.js";
+import { TRANSLATION_LOCALES, translationErrors } from "./question.locale.js";
+
+const usageSchema = new mongoose.Schema(
+  {
+    quizDate: String,
+    slot: String,
+    usedAt: Date
+  },
+  { _id: false }
+);
+
+// Cloudinary image (see admin /questions/images). An optionImages entry
+// without url leaves that option text-only.
+const imageSchema = new mongoose.Schema(
+  {
+    url: { type: String, trim: true },
+    publicId: String,
+    alt: { type: String, trim: true, maxlength: 200 }
+  },
+  { _id: false }
+);
+
+// Text in another language (see question.locale.js). options[i] translates
+// option i; empty entries fall back to English.
+const translationSchema = new mongoose.Schema(
+  {
+    locale: { type: String, enum: TRANSLATION_LOCALES, required: true },
+    question: { type: String, required: true, trim: true },
+    options: { type: [String], default: undefined },
+    explanation: { type: String, trim: true, maxlength: 1000 }
+  },
+  { _id: false }
+);
+
+// Item statistics from one quiz (see question.analytics.js)
+const itemAnalyticsSchema = new mongoose.Schema(
+  {
+    quizDate: String,
+    slot: String,
+    computedAt: Date,
+    responses: Number,
+    answered: Number,
+    correctCount: Number,
+    pCorrect: Number,
+    avgResponseTimeMs: Number,
+    discrimination: Number,
+    optionCounts: [Number], // by original option index
+    flags: [String]
+  },
+  { _id: false }
+);
 
 const questionSchema = new mongoose.Schema(
   {
@@ -8,22 +60,47 @@ const questionSchema = new mongoose.Schema(
       required: true,
       trim: true
     },
+    // See question.types.js; options and answer fields depend on the type
+    type: {
+      type: String,
+      enum: QUESTION_TYPE_LIST,
+      default: QUESTION_TYPES.SINGLE_CHOICE
+    },
     options: {
       type: [String],
-      required: true,
-      validate: {
-        validator: function(arr) {
-          return arr.length === 4;
-        },
-        message: 'Questions must have exactly 4 options'
-      }
+      default: []
     },
+    // SINGLE_CHOICE and TRUE_FALSE
     correctIndex: {
       type: Number,
-      required: true,
       min: 0,
       max: 3
     },
+    // MULTI_SELECT
+    correctIndexes: {
+      type: [Number],
+      default: undefined
+    },
+    partialCredit: {
+      type: Boolean,
+      default: undefined
+    },
+    // NUMERIC
+    numericAnswer: Number,
+    numericTolerance: {
+      type: Number,
+      min: 0
+    },
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    },
+    image: imageSchema,
+    optionImages: {
+      type: [imageSchema],
+      default: undefined
+    },
     points: {
       type: Number,
       default: 1,
@@ -43,12 +120,70 @@ const questionSchema = new mongoose.Schema(
       type: String,
       enum: ['10th', '12th', 'Other', 'ALL'],
       default: 'ALL'
+    },
+    // Shown to the user after the quiz; optional
+    explanation: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    translations: {
+      type: [translationSchema],
+      default: []
+    },
+    tags: {
+      type: [String],
+      default: [],
+      set: tags => [...new Set((tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))]
+    },
+
+    // Soft archive: archived questions stay referenced by past quizzes but
+    // cannot be added to new ones
+    archived: {
+      type: Boolean,
+      default: false
+    },
+    archivedAt: Date,
+
+    // Quizzes that went live with this question (see question.service.js)
+    usage: {
+      type: [usageSchema],
+      default: []
+    },
+    usageCount: {
+      type: Number,
+      default: 0
+    },
+    lastUsedDate: String, // YYYY-MM-DD (IST) of the most recent quiz
+
+    // Latest item analysis, plus one entry per recent quiz
+    analytics: itemAnalyticsSchema,
+    analyticsHistory: {
+      type: [itemAnalyticsSchema],
+      default: []
     }
   },
   { timestamps: true }
 );
 
+questionSchema.pre('validate', function(next) {
+  if (this.type === QUESTION_TYPES.TRUE_FALSE && (!this.options || this.options.length === 0)) {
+    this.options = TRUE_FALSE_OPTIONS;
+  }
+  const errors = questionContentErrors(this);
+  if (errors.length) this.invalidate('options', errors.join('; '));
+  const translationProblems = translationErrors(this);
+  if (translationProblems.length) this.invalidate('translations', translationProblems.join('; '));
+  next();
+});
+
 // Index for performance
 questionSchema.index({ classGrade: 1, difficulty: 1 });
+questionSchema.index({ type: 1 });
+questionSchema.index({ archived: 1, subject: 1, classGrade: 1, difficulty: 1 });
+questionSchema.index({ tags: 1 });
+questionSchema.index({ lastUsedDate: 1 });
+questionSchema.index({ 'analytics.flags': 1 });
+questionSchema.index({ question: 'text', subject: 'text', tags: 'text' });
 
 export default mongoose.model("Question", questionSchema);
\ No newline at end of file
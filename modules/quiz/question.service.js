@@ -0,0 +1,156 @@
+// modules/quiz/question.service.js
+// Question bank: search, editing, soft-archive and usage history.
+import mongoose from "mongoose";
+import Question from "./question.model.js";
+import Quiz from "./quiz.model.js";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+
+const ANSWER_FIELDS = ['type', 'options', 'correctIndex', 'correctIndexes', 'partialCredit', 'numericAnswer', 'numericTolerance', 'unit'];
+
+const EDITABLE_FIELDS = ['question', ...ANSWER_FIELDS, 'image', 'optionImages', 'points', 'difficulty', 'subject', 'classGrade', 'tags', 'explanation', 'translations'];
+
+// Changing these would alter the result of a quiz that already used the question
+const CONTENT_FIELDS = ['question', ...ANSWER_FIELDS, 'image', 'optionImages', 'points'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function daysAgo(days) {
+  const date = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+/**
+ * Question bank filters:
+ *   subject, difficulty, classGrade, tag (comma separated, all must match),
+ *   search (free text), archived ('true' | 'false' | 'all', default 'false'),
+ *   unusedForDays (not used in any quiz during the last N days),
+ *   flag (one item analysis flag) or flagged=true (any flag)
+ */
+function buildQuestionQuery(filters) {
+  const query = {};
+  if (filters.archived !== 'all') query.archived = filters.archived === 'true';
+  if (filters.subject) query.subject = new RegExp(`^${escapeRegex(filters.subject)}$`, 'i');
+  if (filters.difficulty) query.difficulty = filters.difficulty;
+  if (filters.classGrade) query.classGrade = filters.classGrade;
+  if (filters.tag) {
+    query.tags = { $all: String(filters.tag).split(',').map(t => t.trim().toLowerCase()).filter(Boolean) };
+  }
+  if (filters.search) query.$text = { $search: filters.search };
+  if (filters.flag) query['analytics.flags'] = String(filters.flag).toUpperCase();
+  if (filters.flagged === 'true') query['analytics.flags.0'] = { $exists: true };
+  if (filters.unusedForDays) {
+    const cutoff = daysAgo(parseInt(filters.unusedForDays) || 0);
+    query.$or = [{ lastUsedDate: null }, { lastUsedDate: { $lt: cutoff } }];
+  }
+  return query;
+}
+
+export async function listQuestions(filters = {}, { page = 1, limit = 50 } = {}) {
+  page = Math.max(1, parseInt(page) || 1);
+  limit = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const query = buildQuestionQuery(filters);
+  const sort = filters.search ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+
+  const [questions, total] = await Promise.all([
+    Question.find(query, filters.search ? { score: { $meta: 'textScore' } } : {})
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-usage -analyticsHistory')
+      .lean(),
+    Question.countDocuments(query)
+  ]);
+
+  return {
+    questions,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Every question matching the listQuestions filters, oldest first, for export.
+ */
+export async function findQuestionsForExport(filters = {}, max = 10000) {
+  const count = await Question.countDocuments(buildQuestionQuery(filters));
+  if (count > max) {
+    throw new Error(`${count} questions match; narrow the filters to export at most ${max}`);
+  }
+  return Question.find(buildQuestionQuery(filters)).sort({ createdAt: 1 }).select('-usage -analyticsHistory').lean();
+}
+
+/**
+ * A question with its usage history and any quizzes that currently include it
+ * (including upcoming ones that have not gone live yet).
+ */
+export async function getQuestionWithUsage(questionId) {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) throw new Error('Invalid question ID');
+
+  const question = await Question.findById(questionId).lean();
+  if (!question) throw new Error('Question not found');
+
+  const quizzes = await Quiz.find({ questions: question._id })
+    .select('quizDate slot state title')
+    .sort({ quizDate: -1 })
+    .lean();
+
+  return {
+    ...question,
+    quizzes: quizzes.map(q => ({ quizDate: q.quizDate, slot: q.slot || DEFAULT_SLOT, state: q.state, title: q.title }))
+  };
+}
+
+export async function updateQuestion(questionId, updates = {}) {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) throw new Error('Invalid question ID');
+
+  const question = await Question.findById(questionId);
+  if (!question) throw new Error('Question not found');
+
+  const changes = Object.keys(updates).filter(f => EDITABLE_FIELDS.includes(f) && updates[f] !== undefined);
+  if (changes.length === 0) throw new Error('No editable fields provided');
+
+  if (changes.some(f => CONTENT_FIELDS.includes(f))) {
+    const locked = await Quiz.exists({ questions: question._id, state: { $nin: ['DRAFT', 'SCHEDULED'] } });
+    if (locked) {
+      throw new Error('Question has been used in a locked or past quiz. Archive it and create a new question instead.');
+    }
+  }
+
+  const before = question.toObject();
+  for (const field of changes) question[field] = updates[field];
+  await question.save();
+
+  return { question, before };
+}
+
+export async function setQuestionArchived(questionId, archived) {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) throw new Error('Invalid question ID');
+
+  const question = await Question.findByIdAndUpdate(
+    questionId,
+    { $set: { archived, archivedAt: archived ? new Date() : null } },
+    { new: true }
+  );
+  if (!question) throw new Error('Question not found');
+  return question;
+}
+
+/**
+ * Record that a quiz went live with its questions. Idempotent per (quizDate, slot).
+ */
+export async function recordQuestionUsage(quiz) {
+  const slot = quiz.slot || DEFAULT_SLOT;
+  const questionIds = (quiz.questions || []).map(q => q._id || q);
+  if (questionIds.length === 0) return;
+
+  await Question.updateMany(
+    { _id: { $in: questionIds }, usage: { $not: { $elemMatch: { quizDate: quiz.quizDate, slot } } } },
+    {
+      $push: { usage: { quizDate: quiz.quizDate, slot, usedAt: new Date() } },
+      $inc: { usageCount: 1 },
+      $max: { lastUsedDate: quiz.quizDate }
+    }
+  );
+}
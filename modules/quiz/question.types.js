@@ -0,0 +1,209 @@
+// modules/quiz/question.types.js
+// Question types and how each one is answered and graded:
+//   SINGLE_CHOICE - 4 options, one correctIndex (the original type)
+//   TRUE_FALSE    - options ['True', 'False'], correctIndex 0 or 1; never shuffled
+//   MULTI_SELECT  - 4 options, correctIndexes; partial credit unless
+//                   partialCredit is false (then all-or-nothing)
+//   NUMERIC       - no options; numericAnswer +/- numericTolerance, optional unit
+// Any type can carry an image, and choice options can carry optionImages
+// (Cloudinary uploads, see admin /questions/images).
+//
+// Answers are stored as shown to the user: an option index, an array of
+// option indexes (MULTI_SELECT) or the number entered (NUMERIC).
+
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'SINGLE_CHOICE',
+  TRUE_FALSE: 'TRUE_FALSE',
+  MULTI_SELECT: 'MULTI_SELECT',
+  NUMERIC: 'NUMERIC'
+};
+
+export const QUESTION_TYPE_LIST = Object.values(QUESTION_TYPES);
+
+export const CHOICE_OPTION_COUNT = 4;
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+export function questionType(question) {
+  return question?.type || QUESTION_TYPES.SINGLE_CHOICE;
+}
+
+export function isChoiceQuestion(question) {
+  return questionType(question) !== QUESTION_TYPES.NUMERIC;
+}
+
+/**
+ * Number of options a question of this type has (0 for NUMERIC).
+ */
+export function optionCount(question) {
+  const type = questionType(question);
+  if (type === QUESTION_TYPES.NUMERIC) return 0;
+  if (type === QUESTION_TYPES.TRUE_FALSE) return TRUE_FALSE_OPTIONS.length;
+  return CHOICE_OPTION_COUNT;
+}
+
+/**
+ * Original option indexes that make up the correct answer; [] for NUMERIC.
+ */
+export function answerKey(question) {
+  const type = questionType(question);
+  if (type === QUESTION_TYPES.NUMERIC) return [];
+  if (type === QUESTION_TYPES.MULTI_SELECT) return [...(question.correctIndexes || [])].sort((a, b) => a - b);
+  return [question.correctIndex];
+}
+
+function isIndex(value, count) {
+  return Number.isInteger(value) && value >= 0 && value < count;
+}
+
+function validImage(image) {
+  return image && typeof image.url === 'string' && /^https?:\/\//.test(image.url);
+}
+
+/**
+ * Content errors for a question of any type (empty when valid). Used by the
+ * model, the bulk API and the importer so all three agree.
+ */
+export function questionContentErrors(question) {
+  const errors = [];
+  const type = questionType(question);
+  if (!QUESTION_TYPE_LIST.includes(type)) {
+    return [`type must be one of ${QUESTION_TYPE_LIST.join(', ')}`];
+  }
+
+  const options = question.options || [];
+  const optionImages = question.optionImages || [];
+  const count = optionCount(question);
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    if (options.length) errors.push('Numeric questions have no options');
+    if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+      errors.push('numericAnswer must be a number');
+    }
+    if (question.numericTolerance !== undefined && question.numericTolerance !== null &&
+        !(typeof question.numericTolerance === 'number' && question.numericTolerance >= 0)) {
+      errors.push('numericTolerance must be a non-negative number');
+    }
+  } else {
+    if (options.length !== count) {
+      errors.push(`${type} questions must have exactly ${count} options`);
+    } else {
+      options.forEach((option, i) => {
+        if (!String(option ?? '').trim() && !validImage(optionImages[i])) {
+          errors.push(`Option ${i + 1} needs text or an image`);
+        }
+      });
+    }
+    if (optionImages.length > count) errors.push(`At most ${count} option images`);
+
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      const indexes = question.correctIndexes || [];
+      if (indexes.length === 0 || indexes.some(i => !isIndex(i, count)) || new Set(indexes).size !== indexes.length) {
+        errors.push(`correctIndexes must be distinct option indexes (0-${count - 1})`);
+      }
+    } else if (!isIndex(question.correctIndex, count)) {
+      errors.push(`correctIndex must be 0-${count - 1}`);
+    }
+  }
+
+  if (question.image?.url && !validImage(question.image)) errors.push('image.url must be an http(s) URL');
+  optionImages.forEach((image, i) => {
+    if (image?.url && !validImage(image)) errors.push(`Option ${i + 1} image url must be an http(s) URL`);
+  });
+
+  return errors;
+}
+
+/**
+ * Check the shape of a submitted answer (as shown) and normalize it.
+ * Throws on an answer that does not fit the question type.
+ */
+export function parseSubmittedAnswer(question, answer) {
+  const type = questionType(question);
+  const count = optionCount(question);
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('Answer must be a number');
+    return value;
+  }
+
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    const indexes = Array.isArray(answer) ? answer : [answer];
+    if (indexes.length === 0 || indexes.some(i => !isIndex(i, count)) || new Set(indexes).size !== indexes.length) {
+      throw new Error(`Answer must be a list of distinct option indexes (0-${count - 1})`);
+    }
+    return [...indexes].sort((a, b) => a - b);
+  }
+
+  if (!isIndex(answer, count)) throw new Error(`Answer must be an option index (0-${count - 1})`);
+  return answer;
+}
+
+/**
+ * Map an answer as shown back to original option indexes using the option
+ * order the user saw (optionOrder[shownIndex] = original index).
+ */
+export function toOriginalAnswer(question, answer, optionOrder) {
+  if (!isChoiceQuestion(question)) return answer;
+  const order = optionOrder && optionOrder.length === optionCount(question) ? optionOrder : null;
+  const original = index => (order ? order[index] : index);
+  return Array.isArray(answer) ? answer.map(original).sort((a, b) => a - b) : original(answer);
+}
+
+/**
+ * Share of the question's points earned by an original answer, 0..1.
+ * `accepted` are the original option indexes currently accepted (the key,
+ * or a dispute adjustment, see quiz.scoring.acceptedAnswers).
+ */
+export function gradeAnswer(question, original, accepted = answerKey(question)) {
+  const type = questionType(question);
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const tolerance = question.numericTolerance || 0;
+    // Small epsilon so 0.1 + 0.2 style float noise does not fail a match
+    return Math.abs(original - question.numericAnswer) <= tolerance + 1e-9 ? 1 : 0;
+  }
+
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    const selected = new Set(Array.isArray(original) ? original : [original]);
+    const correct = new Set(accepted);
+    const hits = [...selected].filter(i => correct.has(i)).length;
+    const misses = selected.size - hits;
+    if (question.partialCredit === false) {
+      return hits === correct.size && misses === 0 ? 1 : 0;
+    }
+    // Each wrong pick cancels a right one, so ticking every option does not pay
+    return Math.max(0, Math.round(((hits - misses) / correct.size) * 100) / 100);
+  }
+
+  return accepted.includes(original) ? 1 : 0;
+}
+
+function publicImage(image) {
+  return image?.url ? { url: image.url, alt: image.alt || null } : null;
+}
+
+/**
+ * Options and option images in the order shown.
+ */
+export function presentOptions(question, optionOrder) {
+  if (!isChoiceQuestion(question)) return { options: [], optionImages: [] };
+  const order = optionOrder?.length === optionCount(question)
+    ? optionOrder
+    : Array.from({ length: optionCount(question) }, (_, i) => i);
+  return {
+    options: order.map(i => question.options[i]),
+    optionImages: question.optionImages?.length ? order.map(i => publicImage(question.optionImages[i])) : []
+  };
+}
+
+/**
+ * Fields a client needs to render a question of this type (no answers).
+ */
+export function presentQuestionMedia(question) {
+  return {
+    type: questionType(question),
+    image: publicImage(question.image),
+    unit: questionType(question) === QUESTION_TYPES.NUMERIC ? question.unit || null : undefined
+  };
+}
@@ -0,0 +1,253 @@
+// modules/quiz/quiz.advancement.js
+// Durable question advancement for LIVE quizzes.
+//
+// The current question index and the time it started are persisted on the
+// Quiz document; Redis only caches them for the hot answer path. Every node
+// runs the same tick, but a quiz is only advanced by the node holding its
+// lease (Quiz.advancementLease). If that node dies the lease expires and
+// another node resumes from the persisted index and start time.
+import os from "os";
+import crypto from "crypto";
+import Quiz from "./quiz.model.js";
+import redisClient from "../../config/redis.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey, quizRoom } from "./quiz.slot.js";
+import { getQuestionCount, getQuestionTimeLimit } from "./quiz.timing.js";
+import { MAX_LATENCY_GRACE_MS } from "./quiz.latency.js";
+
+export const NODE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const TICK_MS = 1000;
+const LEASE_TTL_MS = 5000;
+
+let tickTimer = null;
+let tickInProgress = false;
+
+function indexKey(quizDate, slot) {
+  return `quiz:${quizKey(quizDate, slot)}:currentQuestionIndex`;
+}
+
+function startTimeKey(quizDate, slot) {
+  return `quiz:${quizKey(quizDate, slot)}:questionStartTime`;
+}
+
+async function cacheAdvancementState(quizDate, slot, index, startedAt) {
+  try {
+    await redisClient.set(indexKey(quizDate, slot), String(index));
+    await redisClient.set(startTimeKey(quizDate, slot), String(startedAt.getTime()));
+  } catch (e) {
+    console.warn('Redis set failed, reads will use MongoDB:', e.message);
+  }
+}
+
+async function readCached(key) {
+  try {
+    const v = await redisClient.get(key);
+    if (v === null || v === undefined) return null;
+    const num = parseInt(v, 10);
+    return isNaN(num) ? null : num;
+  } catch {
+    return null;
+  }
+}
+
+async function loadAdvancementState(quizDate, slot) {
+  const quiz = await Quiz.findOne({ quizDate, slot: normalizeSlot(slot) })
+    .select('currentQuestionIndex currentQuestionStartedAt');
+  if (!quiz) return null;
+  if (quiz.currentQuestionStartedAt) {
+    await cacheAdvancementState(quizDate, slot, quiz.currentQuestionIndex, quiz.currentQuestionStartedAt);
+  }
+  return quiz;
+}
+
+export async function getCurrentQuestionIndex(quizDate, slot = DEFAULT_SLOT) {
+  const cached = await readCached(indexKey(quizDate, slot));
+  if (cached !== null) return cached;
+
+  const state = await loadAdvancementState(quizDate, slot);
+  return state?.currentQuestionIndex ?? 0;
+}
+
+export async function getQuestionStartTime(quizDate, slot = DEFAULT_SLOT) {
+  const cached = await readCached(startTimeKey(quizDate, slot));
+  if (cached !== null) return cached;
+
+  const state = await loadAdvancementState(quizDate, slot);
+  return state?.currentQuestionStartedAt?.getTime() ?? Date.now();
+}
+
+/**
+ * Push the current question to every connected player (quiz.socket.js).
+ * Not awaited by the tick; clients can still fetch it over HTTP, so a failed
+ * push is only logged.
+ */
+export function pushQuestionToPlayers(quizDate, slot = DEFAULT_SLOT) {
+  if (!global.io) return;
+  import('./quiz.socket.js')
+    .then(({ pushCurrentQuestion }) => pushCurrentQuestion(global.io, quizDate, slot))
+    .catch(error => console.error(`Quiz ${quizKey(quizDate, slot)}: question push failed:`, error));
+}
+
+/**
+ * Push live stats for a closed position (quiz.socket.js) once late answers
+ * within the latency grace are in. Fire-and-forget like the question push.
+ */
+export function pushLiveStatsToPlayers(quizDate, slot = DEFAULT_SLOT, position = 0, delayMs = MAX_LATENCY_GRACE_MS) {
+  if (!global.io) return;
+  const push = () => import('./quiz.socket.js')
+    .then(({ pushLiveStats }) => pushLiveStats(global.io, quizDate, slot, position))
+    .catch(error => console.error(`Quiz ${quizKey(quizDate, slot)}: live stats push failed:`, error));
+  if (delayMs > 0) setTimeout(push, delayMs).unref?.();
+  else push();
+}
+
+/**
+ * Put a quiz on its first question. Called once when the quiz goes LIVE;
+ * the engine takes it from there.
+ */
+export async function beginQuestionAdvancement(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const startedAt = new Date();
+  await Quiz.updateOne(
+    { quizDate, slot },
+    { $set: { currentQuestionIndex: 0, currentQuestionStartedAt: startedAt } }
+  );
+  await cacheAdvancementState(quizDate, slot, 0, startedAt);
+}
+
+// Take or renew the lease; returns the quiz when this node holds it
+async function acquireLease(quizId, now) {
+  return Quiz.findOneAndUpdate(
+    {
+      _id: quizId,
+      state: 'LIVE',
+      $or: [
+        { 'advancementLease.owner': NODE_ID },
+        { 'advancementLease.expiresAt': null },
+        { 'advancementLease.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'advancementLease.owner': NODE_ID,
+        'advancementLease.expiresAt': new Date(now.getTime() + LEASE_TTL_MS)
+      }
+    },
+    { new: true }
+  );
+}
+
+async function advanceIfDue(quiz, now) {
+  const { quizDate } = quiz;
+  const slot = quiz.slot || DEFAULT_SLOT;
+  const key = quizKey(quizDate, slot);
+  const current = quiz.currentQuestionIndex || 0;
+
+  // Quizzes that went LIVE before the engine existed have no start time yet
+  if (!quiz.currentQuestionStartedAt) {
+    await Quiz.updateOne({ _id: quiz._id }, { $set: { currentQuestionStartedAt: now } });
+    await cacheAdvancementState(quizDate, slot, current, now);
+    return;
+  }
+
+  const deadline = quiz.currentQuestionStartedAt.getTime() + getQuestionTimeLimit(quiz, current);
+  if (now.getTime() < deadline) return;
+
+  // Find the question whose window contains now. Normally that is the next
+  // one, but after an outage several windows may have passed; each question
+  // starts when the one before it was due, not at this (possibly late) tick,
+  // so tick delays do not add up over the quiz
+  const lastIndex = getQuestionCount(quiz) - 1;
+  let nextIndex = current;
+  let nextStart = quiz.currentQuestionStartedAt.getTime();
+  while (nextIndex < lastIndex && now.getTime() >= nextStart + getQuestionTimeLimit(quiz, nextIndex)) {
+    nextStart += getQuestionTimeLimit(quiz, nextIndex);
+    nextIndex += 1;
+  }
+
+  if (nextIndex > current) {
+    const startedAt = new Date(nextStart);
+    // Conditional on index and lease so a stale leader cannot double-advance
+    const updated = await Quiz.findOneAndUpdate(
+      { _id: quiz._id, currentQuestionIndex: current, 'advancementLease.owner': NODE_ID },
+      { $set: { currentQuestionIndex: nextIndex, currentQuestionStartedAt: startedAt } },
+      { new: true }
+    );
+    if (!updated) return;
+
+    await cacheAdvancementState(quizDate, slot, nextIndex, startedAt);
+    console.log(`Quiz ${key}: Advanced to question index: ${nextIndex}`);
+
+    // Emit to quiz room clients
+    if (global.io) {
+      global.io.to(quizRoom(quizDate, slot)).emit('question-advanced', {
+        quizDate,
+        slot,
+        currentQuestionIndex: nextIndex,
+        timeLimitMs: getQuestionTimeLimit(quiz, nextIndex),
+        timestamp: startedAt.toISOString()
+      });
+    }
+    pushQuestionToPlayers(quizDate, slot);
+    // Late answers to an earlier question are taken after the advance
+    pushLiveStatsToPlayers(quizDate, slot, nextIndex - 1);
+    return;
+  }
+
+  // The last question has nothing to advance to, so wait out the latency
+  // grace before ending
+  if (now.getTime() < deadline + MAX_LATENCY_GRACE_MS) return;
+
+  // The latency grace has already passed for the last question
+  pushLiveStatsToPlayers(quizDate, slot, current, 0);
+  console.log(`Quiz ${key}: Reached final question, ending quiz`);
+  const { endQuiz } = await import('./quiz.service.js');
+  await endQuiz(quizDate, slot);
+}
+
+export async function runAdvancementTick(now = new Date()) {
+  if (tickInProgress) return;
+  tickInProgress = true;
+
+  try {
+    const quizzes = await Quiz.find({ state: 'LIVE' }).select('_id');
+
+    for (const { _id } of quizzes) {
+      try {
+        const quiz = await acquireLease(_id, now);
+        if (quiz) await advanceIfDue(quiz, now);
+      } catch (error) {
+        console.error(`Error advancing quiz ${_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Question advancement tick failed:', error);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+export function startAdvancementEngine() {
+  if (tickTimer) return;
+  tickTimer = setInterval(() => runAdvancementTick(), TICK_MS);
+  runAdvancementTick();
+  console.log(`Question advancement engine started on ${NODE_ID}`);
+}
+
+/**
+ * Stop ticking and hand our leases over so another node resumes immediately.
+ */
+export async function stopAdvancementEngine() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+  try {
+    await Quiz.updateMany(
+      { 'advancementLease.owner': NODE_ID },
+      { $set: { 'advancementLease.expiresAt': new Date(0) } }
+    );
+  } catch (error) {
+    console.error('Failed to release advancement leases:', error);
+  }
+}
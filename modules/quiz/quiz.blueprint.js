@@ -0,0 +1,117 @@
+// modules/quiz/quiz.blueprint.js
+// Assemble a quiz from the question bank. A blueprint is a list of rows
+// { subject, difficulty, count }; subject and difficulty are optional and
+// match any value when omitted. Questions used within the exclusion window,
+// archived, or already planned for another upcoming quiz are skipped.
+import mongoose from "mongoose";
+import Question from "./question.model.js";
+import Quiz from "./quiz.model.js";
+import { DEFAULT_SLOT, normalizeSlot } from "./quiz.slot.js";
+import { validateQuestionCount } from "./quiz.timing.js";
+
+export const DEFAULT_EXCLUDE_USED_WITHIN_DAYS = 60;
+
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+
+// Quiz states whose questions are still "planned" rather than used
+const UPCOMING_STATES = ['DRAFT', 'SCHEDULED', 'LOCKED', 'PAYMENT_CLOSED', 'LIVE'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Date `days` before quizDate, as YYYY-MM-DD
+function shiftDate(quizDate, days) {
+  const date = new Date(`${quizDate}T00:00:00+05:30`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+export function validateBlueprint(blueprint) {
+  if (!Array.isArray(blueprint) || blueprint.length === 0) {
+    throw new Error('Blueprint must be a non-empty array of { subject, difficulty, count }');
+  }
+
+  blueprint.forEach((row, i) => {
+    if (!Number.isInteger(row?.count) || row.count < 1) {
+      throw new Error(`Blueprint row ${i + 1}: count must be a positive integer`);
+    }
+    if (row.difficulty !== undefined && !DIFFICULTIES.includes(row.difficulty)) {
+      throw new Error(`Blueprint row ${i + 1}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (row.subject !== undefined && (typeof row.subject !== 'string' || !row.subject.trim())) {
+      throw new Error(`Blueprint row ${i + 1}: subject must be a non-empty string`);
+    }
+  });
+
+  validateQuestionCount(blueprint.reduce((sum, row) => sum + row.count, 0));
+}
+
+/**
+ * Pick questions for a blueprint. Does not create anything.
+ * Returns the selected question IDs (in blueprint order), a per-row report
+ * and the rows that could not be filled completely.
+ */
+export async function selectQuestionsByBlueprint({
+  quizDate,
+  slot = DEFAULT_SLOT,
+  classGrade = 'ALL',
+  blueprint,
+  excludeUsedWithinDays = DEFAULT_EXCLUDE_USED_WITHIN_DAYS
+}) {
+  validateBlueprint(blueprint);
+  slot = normalizeSlot(slot);
+
+  const cutoff = shiftDate(quizDate, excludeUsedWithinDays);
+
+  // Questions already planned for other upcoming quizzes (not this one, which is being replaced)
+  const upcoming = await Quiz.find({
+    state: { $in: UPCOMING_STATES },
+    quizDate: { $gte: cutoff },
+    $nor: [{ quizDate, slot }]
+  }).select('questions').lean();
+  const excluded = new Set(
+    upcoming.flatMap(q => (q.questions || []).map(String)).filter(id => mongoose.Types.ObjectId.isValid(id))
+  );
+
+  const selected = [];
+  const rows = [];
+
+  for (const row of blueprint) {
+    // Aggregation does not cast, so IDs must be ObjectIds
+    const match = {
+      archived: { $ne: true },
+      $or: [{ lastUsedDate: null }, { lastUsedDate: { $lt: cutoff } }],
+      _id: { $nin: [...excluded].map(id => new mongoose.Types.ObjectId(id)) }
+    };
+    if (classGrade && classGrade !== 'ALL') match.classGrade = { $in: [classGrade, 'ALL'] };
+    if (row.subject) match.subject = new RegExp(`^${escapeRegex(row.subject.trim())}$`, 'i');
+    if (row.difficulty) match.difficulty = row.difficulty;
+
+    const picked = await Question.aggregate([
+      { $match: match },
+      { $sample: { size: row.count } },
+      { $project: { _id: 1 } }
+    ]);
+
+    for (const { _id } of picked) {
+      excluded.add(String(_id));
+      selected.push(_id);
+    }
+
+    rows.push({
+      subject: row.subject || null,
+      difficulty: row.difficulty || null,
+      requested: row.count,
+      selected: picked.length
+    });
+  }
+
+  return {
+    questionIds: selected,
+    rows,
+    shortfall: rows
+      .filter(r => r.selected < r.requested)
+      .map(r => ({ ...r, missing: r.requested - r.selected }))
+  };
+}
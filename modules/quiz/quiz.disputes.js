@@ -0,0 +1,238 @@
+// modules/quiz/quiz.disputes.js
+// Disputed questions after a quiz has ended. An admin can void a question
+// (nobody scores on it) or accept several answers; every attempt is then
+// rescored, winners of a finalized quiz are recomputed into a new
+// WinnerRevision, and users whose score or rank changed are notified.
+import Quiz from "./quiz.model.js";
+import QuizAttempt from "./quizAttempt.model.js";
+import Winner from "./winner.model.js";
+import WinnerRevision from "./winnerRevision.model.js";
+import redisClient from "../../config/redis.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey } from "./quiz.slot.js";
+import { scoreAttempt } from "./quiz.scoring.js";
+import { calculateAndPersistWinners } from "./quiz.service.js";
+import { findQuizWithQuestions } from "./quiz.version.js";
+import { QUESTION_TYPES, questionType, optionCount, answerKey } from "./question.types.js";
+import { logAdminAction } from "../admin/adminAudit.service.js";
+import { sendScoreRevisionNotification } from "../notification/notification.service.js";
+
+export const ADJUSTMENT_ACTIONS = ['VOID', 'ACCEPT_ANSWERS', 'RESTORE'];
+
+const ADJUSTABLE_STATES = ['ENDED', 'FINALIZED', 'RESULT_PUBLISHED'];
+
+const AUDIT_ACTIONS = {
+  VOID: 'QUESTION_VOIDED',
+  ACCEPT_ANSWERS: 'QUESTION_ANSWERS_ACCEPTED',
+  RESTORE: 'QUESTION_ADJUSTMENT_REMOVED'
+};
+
+function validateAcceptedIndexes(acceptedIndexes, question) {
+  if (questionType(question) === QUESTION_TYPES.NUMERIC) {
+    throw new Error('Numeric questions have no options to accept; void the question instead');
+  }
+  const last = optionCount(question) - 1;
+  if (!Array.isArray(acceptedIndexes) || acceptedIndexes.length === 0) {
+    throw new Error(`acceptedIndexes must be a non-empty array of option indexes (0-${last})`);
+  }
+  if (acceptedIndexes.some(i => !Number.isInteger(i) || i < 0 || i > last)) {
+    throw new Error(`acceptedIndexes must only contain option indexes 0-${last}`);
+  }
+  return [...new Set(acceptedIndexes)].sort((a, b) => a - b);
+}
+
+function plainAdjustments(quiz) {
+  return (quiz.questionAdjustments || []).map(a => ({
+    question: String(a.question),
+    status: a.status,
+    acceptedIndexes: a.acceptedIndexes,
+    reason: a.reason
+  }));
+}
+
+// Notifications are best effort and must not hold up the admin request
+function notifyAffectedUsers(quizDate, slot, changes, reason) {
+  (async () => {
+    for (const change of changes) {
+      try {
+        await sendScoreRevisionNotification(change.userId, { quizDate, slot, reason, ...change });
+      } catch (error) {
+        console.error(`Failed to notify ${change.userId} of rescore:`, error);
+      }
+    }
+  })();
+}
+
+/**
+ * Rescore every attempt of an ended quiz with its current question
+ * adjustments. Winners of a finalized quiz are recomputed and stored as a
+ * new revision; an ENDED quiz picks the adjustments up when it finalizes.
+ */
+export async function rescoreQuiz(quizDate, slot = DEFAULT_SLOT, { reason, adminId = null, req = null } = {}) {
+  slot = normalizeSlot(slot);
+  const key = quizKey(quizDate, slot);
+
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz) throw new Error('Quiz not found');
+  if (!ADJUSTABLE_STATES.includes(quiz.state)) throw new Error('Quiz can only be rescored after it ends');
+
+  const attempts = await QuizAttempt.find({ quizDate, slot });
+  const scoreChanges = new Map();
+
+  const ops = attempts.map(attempt => {
+    const result = scoreAttempt(quiz, attempt);
+    const newScore = attempt.isEligible ? result.score : 0;
+    if (newScore !== attempt.score) {
+      scoreChanges.set(String(attempt.user), { oldScore: attempt.score, newScore });
+    }
+    attempt.score = newScore;
+
+    return {
+      updateOne: {
+        filter: { _id: attempt._id },
+        update: {
+          $set: {
+            score: newScore,
+            correctCount: result.correctCount,
+            maxScore: result.maxScore,
+            scoring: result.scoring,
+            scoreBreakdown: result.breakdown
+          }
+        }
+      }
+    };
+  });
+  // One round trip, and every new score is stored before winners are recomputed
+  if (ops.length) await QuizAttempt.bulkWrite(ops, { ordered: false });
+
+  let before = [];
+  let after = [];
+  const winnersRecomputed = ['FINALIZED', 'RESULT_PUBLISHED'].includes(quiz.state);
+
+  if (winnersRecomputed) {
+    before = await Winner.find({ quizDate, slot }).sort({ rank: 1 }).select('user rank score').lean();
+    const winners = await calculateAndPersistWinners(quizDate, {
+      slot,
+      revision: { trigger: 'RESCORE', reason, adminId }
+    });
+    after = winners.map(w => ({ user: w.user?._id || w.user, rank: w.rank, score: w.score }));
+
+    try {
+      await redisClient.del(`leaderboard:${key}`);
+      await redisClient.del(`winners:${key}`);
+    } catch (error) {
+      console.warn('Failed to clear leaderboard and winners cache:', error.message);
+    }
+  }
+
+  const oldRanks = new Map(before.map(w => [String(w.user), w.rank]));
+  const newRanks = new Map(after.map(w => [String(w.user), w.rank]));
+  const rankChanges = [...new Set([...oldRanks.keys(), ...newRanks.keys()])]
+    .filter(userId => oldRanks.get(userId) !== newRanks.get(userId))
+    .map(userId => ({ userId, oldRank: oldRanks.get(userId) || null, newRank: newRanks.get(userId) || null }));
+
+  // Everyone whose score or rank moved
+  const attemptsByUser = new Map(attempts.map(a => [String(a.user), a]));
+  const affected = [...new Set([...scoreChanges.keys(), ...rankChanges.map(c => c.userId)])].map(userId => {
+    const newScore = attemptsByUser.get(userId)?.score ?? 0;
+    return {
+      userId,
+      oldScore: scoreChanges.get(userId)?.oldScore ?? newScore,
+      newScore,
+      oldRank: oldRanks.get(userId) || null,
+      newRank: newRanks.get(userId) || null
+    };
+  });
+
+  await logAdminAction(adminId, 'QUIZ_RESCORED', 'QUIZ', key, {
+    slot,
+    reason,
+    attemptsRescored: attempts.length,
+    scoresChanged: scoreChanges.size,
+    winnersRecomputed,
+    rankChanges
+  }, req, winnersRecomputed ? { before, after } : null);
+
+  notifyAffectedUsers(quizDate, slot, affected, reason);
+
+  return {
+    quizDate,
+    slot,
+    attemptsRescored: attempts.length,
+    scoresChanged: scoreChanges.size,
+    winnersRecomputed,
+    rankChanges,
+    usersNotified: affected.length
+  };
+}
+
+/**
+ * Void a question, accept several answers for it, or restore it, then rescore.
+ *   action: VOID | ACCEPT_ANSWERS (acceptedIndexes: original option indexes) | RESTORE
+ * For a multi-select question acceptedIndexes replaces the set of correct
+ * options. Numeric questions can only be voided.
+ */
+export async function adjustQuizQuestion(quizDate, slot, questionId, { action, acceptedIndexes, reason } = {}, adminId, req = null) {
+  slot = normalizeSlot(slot);
+
+  if (!ADJUSTMENT_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${ADJUSTMENT_ACTIONS.join(', ')}`);
+  }
+  if (typeof reason !== 'string' || reason.trim().length < 5) {
+    throw new Error('A reason of at least 5 characters is required');
+  }
+  reason = reason.trim();
+
+  // The answer key in force is the frozen one, not the bank's current one
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz) throw new Error('Quiz not found');
+  if (!ADJUSTABLE_STATES.includes(quiz.state)) {
+    throw new Error('Questions can only be adjusted after the quiz ends');
+  }
+  const question = quiz.questions.find(q => String(q._id) === String(questionId));
+  if (!question) throw new Error('Question is not part of this quiz');
+  const accepted = action === 'ACCEPT_ANSWERS' ? validateAcceptedIndexes(acceptedIndexes, question) : undefined;
+
+  const before = plainAdjustments(quiz);
+  const adjustments = (quiz.questionAdjustments || []).filter(a => String(a.question) !== String(questionId));
+
+  if (action === 'VOID') {
+    adjustments.push({ question: question._id, status: 'VOIDED', reason, adjustedBy: adminId, adjustedAt: new Date() });
+  } else if (action === 'ACCEPT_ANSWERS') {
+    adjustments.push({
+      question: question._id,
+      status: 'MULTIPLE_ANSWERS',
+      acceptedIndexes: accepted,
+      reason,
+      adjustedBy: adminId,
+      adjustedAt: new Date()
+    });
+  } else if (adjustments.length === before.length) {
+    throw new Error('Question has no adjustment to remove');
+  }
+
+  // Conditional on state so a concurrent transition cannot slip past the check
+  const updated = await Quiz.findOneAndUpdate(
+    { _id: quiz._id, state: { $in: ADJUSTABLE_STATES } },
+    { $set: { questionAdjustments: adjustments } },
+    { new: true }
+  );
+  if (!updated) throw new Error('Quiz state changed; try again');
+
+  await logAdminAction(adminId, AUDIT_ACTIONS[action], 'QUIZ', quizKey(quizDate, slot), {
+    slot,
+    questionId: String(questionId),
+    answerKey: answerKey(question),
+    acceptedIndexes: accepted,
+    reason
+  }, req, { before, after: plainAdjustments(updated) });
+
+  const rescore = await rescoreQuiz(quizDate, slot, { reason, adminId, req });
+  return { questionAdjustments: updated.questionAdjustments, ...rescore };
+}
+
+export async function getWinnerRevisions(quizDate, slot = DEFAULT_SLOT) {
+  return WinnerRevision.find({ quizDate, slot: normalizeSlot(slot) })
+    .sort({ revision: -1 })
+    .populate('createdBy', 'name email')
+    .lean();
+}
@@ -0,0 +1,59 @@
+// modules/quiz/quiz.latency.js
+// Latency compensation for answer deadlines. The socket heartbeat (`ping`
+// with the server time, echoed back as `pong`) gives a round-trip time per
+// user; the last few samples are kept in Redis so whichever node takes the
+// answer sees them. A player on a slow connection gets their median RTT as
+// extra time past the deadline (the question reaches them late and the
+// answer comes back late), capped at MAX_LATENCY_GRACE_MS. No samples (HTTP
+// only clients) means no grace.
+//
+// The grace actually used for each answer is stored on the attempt
+// (latencyCompensationMs / rttMs) so disputes can be audited.
+import { redisWithCircuitBreaker } from "../../config/redisCircuitBreaker.js";
+import redisClient from "../../config/redis.js";
+
+export const MAX_LATENCY_GRACE_MS = 2000;
+const RTT_SAMPLE_COUNT = 5;
+const MAX_RTT_SAMPLE_MS = 10000;
+const RTT_TTL_SECONDS = 15 * 60;
+
+function rttKey(userId) {
+  return `quiz:rtt:${userId}`;
+}
+
+/**
+ * Record a heartbeat echo. `sentAt` is the server timestamp sent in `ping`;
+ * anything that is not a recent server time is ignored so a client cannot
+ * inflate its grace with a made-up value.
+ */
+export async function recordHeartbeat(userId, sentAt, now = Date.now()) {
+  const rtt = now - Number(sentAt);
+  if (!Number.isFinite(rtt) || rtt < 0 || rtt > MAX_RTT_SAMPLE_MS) return null;
+
+  await redisWithCircuitBreaker(async () => {
+    const key = rttKey(userId);
+    await redisClient.lpush(key, String(rtt));
+    await redisClient.ltrim(key, 0, RTT_SAMPLE_COUNT - 1);
+    await redisClient.expire(key, RTT_TTL_SECONDS);
+  });
+  return rtt;
+}
+
+/**
+ * Median of the user's recent RTT samples, or null when there are none.
+ */
+export async function getMeasuredRtt(userId) {
+  const samples = await redisWithCircuitBreaker(() => redisClient.lrange(rttKey(userId), 0, RTT_SAMPLE_COUNT - 1), []);
+  const values = (samples || []).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  return values[Math.floor(values.length / 2)];
+}
+
+/**
+ * Extra time (ms) allowed past a question's deadline for this user.
+ * Returns { rttMs, graceMs }.
+ */
+export async function getLatencyGrace(userId) {
+  const rttMs = await getMeasuredRtt(userId);
+  return { rttMs, graceMs: rttMs === null ? 0 : Math.min(rttMs, MAX_LATENCY_GRACE_MS) };
+}
@@ -1,10 +1,11 @@
 // modules/quiz/quiz.lifecycle.js
 import Quiz from "./quiz.model.js";
 import ObservabilityService from "../monitoring/observability.service.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey, quizRoom } from "./quiz.slot.js";
 
-async function forceLeaveQuizRoom(quizDate) {
+async function forceLeaveQuizRoom(quizDate, slot = DEFAULT_SLOT) {
   if (!global.io) return;
-  const roomName = `quiz-${quizDate}`;
+  const roomName = quizRoom(quizDate, slot);
   const socks = await global.io.in(roomName).fetchSockets();
   for (const s of socks) {
     s.leave(roomName);
@@ -22,6 +23,9 @@ export const QUIZ_STATES = {
   RESULT_PUBLISHED: "RESULT_PUBLISHED"
 };
 
+// States a quiz can be in once it has ended
+export const ENDED_STATES = [QUIZ_STATES.ENDED, QUIZ_STATES.FINALIZED, QUIZ_STATES.RESULT_PUBLISHED];
+
 export const QUIZ_TRANSITIONS = {
   [QUIZ_STATES.DRAFT]: [QUIZ_STATES.SCHEDULED, QUIZ_STATES.LOCKED],
   [QUIZ_STATES.SCHEDULED]: [QUIZ_STATES.LOCKED, QUIZ_STATES.LIVE],
@@ -32,10 +36,10 @@ export const QUIZ_TRANSITIONS = {
   [QUIZ_STATES.FINALIZED]: [QUIZ_STATES.RESULT_PUBLISHED]
 };
 
-export async function canTransition(quizDate, fromState, toState) {
+export async function canTransition(quizDate, fromState, toState, slot = DEFAULT_SLOT) {
   // If fromState is provided, use it; otherwise get current state from DB
   if (!fromState) {
-    const quiz = await Quiz.findOne({ quizDate });
+    const quiz = await Quiz.findOne({ quizDate, slot: normalizeSlot(slot) });
     if (!quiz) return false;
     fromState = quiz.state;
   }
@@ -44,8 +48,9 @@ export async function canTransition(quizDate, fromState, toState) {
   return QUIZ_TRANSITIONS[fromState]?.includes(toState);
 }
 
-export async function transitionQuiz(quizDate, toState, adminId = null) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function transitionQuiz(quizDate, toState, adminId = null, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) throw new Error("Quiz not found");
 
   const fromState = quiz.state;
@@ -56,8 +61,11 @@ export async function transitionQuiz(quizDate, toState, adminId = null) {
     throw new Error(`Invalid transition from ${quiz.state} to ${toState}`);
   }
 
-  // A3: Atomic update - set state and timestamp in one operation
-  quiz.state = toState;
+  // Content is frozen before the quiz can lock (or go live without locking)
+  if ([QUIZ_STATES.LOCKED, QUIZ_STATES.LIVE].includes(toState) && !quiz.versionId) {
+    const { freezeQuizVersion } = await import('./quiz.version.js');
+    await freezeQuizVersion(quizDate, slot, adminId);
+  }
 
   const timestampFields = {
     [QUIZ_STATES.LOCKED]: 'lockedAt',
@@ -69,56 +77,67 @@ export async function transitionQuiz(quizDate, toState, adminId = null) {
   };
 
   const timestampField = timestampFields[toState];
+  const update = { state: toState };
   if (timestampField) {
-    quiz[timestampField] = new Date();
+    update[timestampField] = new Date();
   }
 
-  await quiz.save();
+  // A3: Atomic update - only succeeds if no other node changed the state first
+  const updated = await Quiz.findOneAndUpdate(
+    { _id: quiz._id, state: fromState },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error(`Quiz state changed concurrently, expected ${fromState}`);
+  }
 
   // G1: Log every quiz state change - who, when, from->to
   const { logAdminAction } = await import('../admin/adminAudit.service.js');
-  await logAdminAction(adminId, 'QUIZ_STATE_CHANGE', 'QUIZ', quizDate, {
+  await logAdminAction(adminId, 'QUIZ_STATE_CHANGE', 'QUIZ', quizKey(quizDate, slot), {
+    slot,
     fromState,
     toState,
     timestampField,
-    transitionedAt: quiz[timestampField],
+    transitionedAt: updated[timestampField],
+    versionHash: updated.versionHash,
     triggeredBy: adminId ? 'ADMIN' : 'SYSTEM'
   }, null);
 
   // Record state change for observability
-  await ObservabilityService.recordQuizStateChange(quizDate, fromState, toState, {
+  await ObservabilityService.recordQuizStateChange(quizKey(quizDate, slot), fromState, toState, {
     timestampField,
-    transitionedAt: quiz[timestampField],
+    transitionedAt: updated[timestampField],
     adminId
   });
 
   if (global.io) {
-    global.io.to(`quiz-${quizDate}`).emit('quiz-state-changed', {
-      quizDate, fromState, toState, timestamp: new Date().toISOString(), transitionedAt: quiz[timestampField]
+    global.io.to(quizRoom(quizDate, slot)).emit('quiz-state-changed', {
+      quizDate, slot, fromState, toState, timestamp: new Date().toISOString(), transitionedAt: updated[timestampField]
     });
-    if ([QUIZ_STATES.ENDED, QUIZ_STATES.FINALIZED, QUIZ_STATES.RESULT_PUBLISHED].includes(toState)) {
-      global.io.to(`quiz-${quizDate}`).emit('quiz-ended', { quizDate, toState });
-      forceLeaveQuizRoom(quizDate);
+    if (ENDED_STATES.includes(toState)) {
+      global.io.to(quizRoom(quizDate, slot)).emit('quiz-ended', { quizDate, slot, toState });
+      forceLeaveQuizRoom(quizDate, slot);
     }
   }
 
-  return quiz;
+  return updated;
 }
 
-export async function getQuizState(quizDate) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function getQuizState(quizDate, slot = DEFAULT_SLOT) {
+  const quiz = await Quiz.findOne({ quizDate, slot: normalizeSlot(slot) });
   return quiz ? quiz.state : null;
 }
 
-export async function isQuizLive(quizDate) {
-  return await getQuizState(quizDate) === QUIZ_STATES.LIVE;
+export async function isQuizLive(quizDate, slot = DEFAULT_SLOT) {
+  return await getQuizState(quizDate, slot) === QUIZ_STATES.LIVE;
 }
 
-export async function isQuizClosed(quizDate) {
-  const state = await getQuizState(quizDate);
+export async function isQuizClosed(quizDate, slot = DEFAULT_SLOT) {
+  const state = await getQuizState(quizDate, slot);
   return [QUIZ_STATES.ENDED, QUIZ_STATES.RESULT_PUBLISHED].includes(state);
 }
 
-export async function isQuizFinalized(quizDate) {
-  return await getQuizState(quizDate) === QUIZ_STATES.RESULT_PUBLISHED;
+export async function isQuizFinalized(quizDate, slot = DEFAULT_SLOT) {
+  return await getQuizState(quizDate, slot) === QUIZ_STATES.RESULT_PUBLISHED;
 }
\ No newline at end of file
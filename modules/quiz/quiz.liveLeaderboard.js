@@ -0,0 +1,124 @@
+// modules/quiz/quiz.liveLeaderboard.js
+// Provisional leaderboard while a quiz is LIVE: one Redis sorted set per quiz,
+// updated on every answer of an attempt that counts for scoring. The member
+// is the user id; the score packs the attempt score (scoreAttempt, same
+// scoring mode as the final result) with the time taken so far, so the set
+// orders by score, then by less time.
+//
+// It is only a preview. Winners computed at finalize stay authoritative:
+// they recheck eligibility and rescore every attempt. finalizeWinners calls
+// reconcileProvisionalLeaderboard, which audits where the preview differed
+// from the final top and drops the set.
+import redisClient from "../../config/redis.js";
+import { redisWithCircuitBreaker } from "../../config/redisCircuitBreaker.js";
+import { logAdminAction } from "../admin/adminAudit.service.js";
+import { DEFAULT_SLOT, quizKey } from "./quiz.slot.js";
+
+// Time takes the low digits of the packed score: up to ~27 hours in ms. Scores
+// keep two decimals, which leaves room for scores up to ~900k below 2^53.
+const TIME_SPAN_MS = 1e8;
+const BOARD_TTL_SECONDS = 24 * 60 * 60;
+export const MAX_LEADERBOARD_LIMIT = 100;
+
+function boardKey(quizDate, slot) {
+  return `quiz:leaderboard:live:${quizKey(quizDate, slot)}`;
+}
+
+function packScore(score, totalTimeMs) {
+  const time = Math.min(Math.max(0, Math.round(totalTimeMs || 0)), TIME_SPAN_MS - 1);
+  return Math.round((score || 0) * 100) * TIME_SPAN_MS - time;
+}
+
+function unpackScore(packed) {
+  const points = Math.ceil(packed / TIME_SPAN_MS);
+  return { score: points / 100, totalTimeMs: points * TIME_SPAN_MS - packed };
+}
+
+/**
+ * Time an attempt has taken so far: the sum of its recorded response times.
+ */
+export function attemptTimeSoFar(attempt) {
+  return (attempt.responseTimesMs || []).reduce((sum, ms) => sum + (Number.isFinite(ms) ? ms : 0), 0);
+}
+
+export async function recordProvisionalScore(quizDate, slot, userId, score, totalTimeMs) {
+  await redisWithCircuitBreaker(async () => {
+    const key = boardKey(quizDate, slot);
+    await redisClient.zadd(key, packScore(score, totalTimeMs), String(userId));
+    await redisClient.expire(key, BOARD_TTL_SECONDS);
+  });
+}
+
+/**
+ * A player's 1-based provisional rank and score, or null when they are not
+ * on the board.
+ */
+export async function getProvisionalRank(quizDate, slot, userId) {
+  const key = boardKey(quizDate, slot);
+  const [rank, packed] = await Promise.all([
+    redisWithCircuitBreaker(() => redisClient.zrevrank(key, String(userId)), null),
+    redisWithCircuitBreaker(() => redisClient.zscore(key, String(userId)), null)
+  ]);
+  if (rank === null || rank === undefined || packed === null || packed === undefined) return null;
+  return { rank: Number(rank) + 1, ...unpackScore(Number(packed)) };
+}
+
+/**
+ * Top `limit` of the provisional board with user names, the number of players
+ * on it and, when `userId` is given, that player's own entry.
+ */
+export async function getProvisionalLeaderboard(quizDate, slot = DEFAULT_SLOT, { limit = 20, userId = null } = {}) {
+  const key = boardKey(quizDate, slot);
+  const size = Math.min(Math.max(1, limit), MAX_LEADERBOARD_LIMIT);
+  const [entries, players, me] = await Promise.all([
+    redisWithCircuitBreaker(() => redisClient.zrevrange(key, 0, size - 1), []),
+    redisWithCircuitBreaker(() => redisClient.zcard(key), 0),
+    userId ? getProvisionalRank(quizDate, slot, userId) : null
+  ]);
+
+  const { default: User } = await import('../user/user.model.js');
+  const users = await User.find({ _id: { $in: (entries || []).map(e => e.member) } }).select('name profileImage').lean();
+  const byId = new Map(users.map(u => [String(u._id), u]));
+
+  return {
+    provisional: true,
+    players: Number(players) || 0,
+    top: (entries || []).map((entry, index) => ({
+      rank: index + 1,
+      user: byId.get(entry.member) || { _id: entry.member },
+      ...unpackScore(entry.score)
+    })),
+    me
+  };
+}
+
+/**
+ * Compare the provisional top with the final winners, audit the differences
+ * and drop the provisional board. `winners` are the Winner docs of the quiz.
+ */
+export async function reconcileProvisionalLeaderboard(quizDate, slot = DEFAULT_SLOT, winners = []) {
+  const key = boardKey(quizDate, slot);
+  const entries = await redisWithCircuitBreaker(() => redisClient.zrevrange(key, 0, Math.max(winners.length, 1) - 1), []);
+  if (!entries?.length) return null;
+
+  const finalRanks = new Map(winners.map(w => [String(w.user?._id || w.user), w.rank]));
+  const provisionalRanks = new Map(entries.map((e, i) => [e.member, i + 1]));
+  const moved = entries
+    .map((entry, index) => ({ userId: entry.member, provisionalRank: index + 1, finalRank: finalRanks.get(entry.member) ?? null }))
+    .filter(e => e.provisionalRank !== e.finalRank);
+
+  const summary = {
+    slot,
+    compared: entries.length,
+    matched: entries.length - moved.length,
+    moved,
+    // Winners the preview never showed in its top, e.g. late rescoring
+    missing: winners
+      .filter(w => !provisionalRanks.has(String(w.user?._id || w.user)))
+      .map(w => ({ userId: String(w.user?._id || w.user), finalRank: w.rank }))
+  };
+
+  await logAdminAction(null, 'LEADERBOARD_RECONCILED', 'QUIZ', quizKey(quizDate, slot), summary, null);
+  await redisWithCircuitBreaker(() => redisClient.del(key));
+  return summary;
+}
@@ -0,0 +1,117 @@
+// modules/quiz/quiz.liveStats.js
+// Live quiz stats as Redis counters, updated on every answer so reading them
+// never touches QuizAttempt. Per quiz (quiz:live:{date}:{slot}):
+//   :questions  `${position}:answered` / `${position}:correct`
+//   :players    userId -> running score
+//   :scores     running score -> number of players on it
+// Stats are per position, not per question: everyone is on the same
+// position at the same time even though question orders differ.
+//
+// The running score is the sum of answer credits (x100, Redis counters are
+// integers) of attempts that count for scoring. It ranks players while the
+// quiz runs; the real score (scoring mode, speed bonus) is computed at the
+// end. Percentiles come from the :scores histogram, so they cost the number
+// of distinct scores, not the number of players.
+import redisClient from "../../config/redis.js";
+import { redisWithCircuitBreaker } from "../../config/redisCircuitBreaker.js";
+import { DEFAULT_SLOT, quizKey } from "./quiz.slot.js";
+
+const LIVE_STATS_TTL_SECONDS = 24 * 60 * 60;
+
+function liveKey(quizDate, slot, name) {
+  return `quiz:live:${quizKey(quizDate, slot)}:${name}`;
+}
+
+function creditPoints(credit) {
+  return Math.round((credit || 0) * 100);
+}
+
+/**
+ * Count an answer. `firstAnswer` is true for the attempt's first answer, which
+ * puts the player on the score histogram.
+ */
+export async function recordLiveAnswer(quizDate, slot, userId, position, { credit, countsForScore, firstAnswer }) {
+  await redisWithCircuitBreaker(async () => {
+    const questionsKey = liveKey(quizDate, slot, 'questions');
+    await redisClient.hincrby(questionsKey, `${position}:answered`, 1);
+    if (credit === 1) await redisClient.hincrby(questionsKey, `${position}:correct`, 1);
+    if (firstAnswer) await redisClient.expire(questionsKey, LIVE_STATS_TTL_SECONDS);
+    if (!countsForScore) return;
+
+    const playersKey = liveKey(quizDate, slot, 'players');
+    const scoresKey = liveKey(quizDate, slot, 'scores');
+    const points = creditPoints(credit);
+    const score = await redisClient.hincrby(playersKey, String(userId), points);
+    if (firstAnswer) {
+      await redisClient.hincrby(scoresKey, String(score), 1);
+      await redisClient.expire(playersKey, LIVE_STATS_TTL_SECONDS);
+      await redisClient.expire(scoresKey, LIVE_STATS_TTL_SECONDS);
+    } else if (points !== 0) {
+      await redisClient.hincrby(scoresKey, String(score - points), -1);
+      await redisClient.hincrby(scoresKey, String(score), 1);
+    }
+  });
+}
+
+// [[score, players]] without emptied buckets, highest score first
+function scoreHistogram(hash) {
+  return Object.entries(hash || {})
+    .map(([score, count]) => [Number(score), Number(count)])
+    .filter(([score, count]) => Number.isFinite(score) && count > 0)
+    .sort((a, b) => b[0] - a[0]);
+}
+
+/**
+ * Percentile (0-100) of `score` among scored players: the share with a lower
+ * score, counting ties as half.
+ */
+export function percentileOf(histogram, score) {
+  let total = 0;
+  let below = 0;
+  let equal = 0;
+  for (const [value, count] of histogram) {
+    total += count;
+    if (value < score) below += count;
+    else if (value === score) equal += count;
+  }
+  if (total === 0) return null;
+  return Math.round(((below + equal / 2) / total) * 100);
+}
+
+/**
+ * Stats for one position plus the running score distribution. The histogram
+ * is returned as well so callers can work out players' percentiles.
+ */
+export async function getLiveStats(quizDate, slot = DEFAULT_SLOT, position = 0) {
+  const [questions, scores] = await Promise.all([
+    redisWithCircuitBreaker(() => redisClient.hgetall(liveKey(quizDate, slot, 'questions')), {}),
+    redisWithCircuitBreaker(() => redisClient.hgetall(liveKey(quizDate, slot, 'scores')), {})
+  ]);
+  const answered = Number(questions?.[`${position}:answered`] || 0);
+  const correct = Number(questions?.[`${position}:correct`] || 0);
+  const histogram = scoreHistogram(scores);
+  const players = histogram.reduce((sum, [, count]) => sum + count, 0);
+  const total = histogram.reduce((sum, [score, count]) => sum + score * count, 0);
+
+  return {
+    position,
+    answered,
+    correct,
+    percentCorrect: answered ? Math.round((correct / answered) * 100) : null,
+    scoredPlayers: players,
+    averageRunningScore: players ? Math.round(total / players) / 100 : 0,
+    maxRunningScore: histogram.length ? histogram[0][0] / 100 : 0,
+    histogram
+  };
+}
+
+/**
+ * A player's running score and percentile, or nulls when they have no
+ * scored answer yet.
+ */
+export async function getPlayerStanding(quizDate, slot, userId, histogram) {
+  const value = await redisWithCircuitBreaker(() => redisClient.hget(liveKey(quizDate, slot, 'players'), String(userId)), null);
+  if (value === null || value === undefined) return { runningScore: null, percentile: null };
+  const score = Number(value);
+  return { runningScore: score / 100, percentile: percentileOf(histogram, score) };
+}
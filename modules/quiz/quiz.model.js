@@ -1,5 +1,7 @@
 // modules/quiz/quiz.model.js
 import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+import { SCHEDULE_FIELDS, buildQuizSchedule } from "./quiz.schedule.js";
 
 const questionSchema = new mongoose.Schema(
   {
@@ -14,10 +16,17 @@ const quizSchema = new mongoose.Schema(
   {
     quizDate: {
       type: String, // YYYY-MM-DD (IST)
-      unique: true,
       index: true
     },
 
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
     title: {
       type: String,
       default: 'Daily Quiz',
@@ -26,7 +35,7 @@ const quizSchema = new mongoose.Schema(
 
     description: {
       type: String,
-      default: 'Daily 50 Question Quiz',
+      default: 'Daily Quiz',
       trim: true
     },
 
@@ -42,6 +51,49 @@ const quizSchema = new mongoose.Schema(
       ref: 'Question' // Reference to Question model
     },
 
+    // Disputed questions (see quiz.disputes.js): VOIDED questions score
+    // nothing for anyone; MULTIPLE_ANSWERS accepts any of acceptedIndexes
+    // (original option indexes) as correct
+    questionAdjustments: {
+      type: [
+        {
+          _id: false,
+          question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+          status: { type: String, enum: ['VOIDED', 'MULTIPLE_ANSWERS'], required: true },
+          acceptedIndexes: { type: [Number], default: undefined },
+          reason: { type: String, required: true },
+          adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          adjustedAt: { type: Date, default: Date.now }
+        }
+      ],
+      default: []
+    },
+
+    // Serve each user `size` questions sampled from the pool, stratified so
+    // everyone gets the same mix (see quiz.randomization.js). 0 = whole pool.
+    sampling: {
+      size: { type: Number, default: 0, min: 0 },
+      stratifyBy: { type: String, enum: ['DIFFICULTY', 'SUBJECT', 'NONE'], default: 'DIFFICULTY' }
+    },
+
+    // Per-question time limits in ms, by question position (see quiz.timing.js).
+    // Empty means the default limit for every question.
+    questionTimeLimits: {
+      type: [Number],
+      default: []
+    },
+
+    // Content frozen at LOCKED (see quiz.version.js); set once, never changed
+    versionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizVersion',
+      default: null
+    },
+    versionHash: {
+      type: String,
+      default: null
+    },
+
     eligibleUsers: {
       type: [mongoose.Schema.Types.ObjectId],
       ref: 'User',
@@ -77,6 +129,53 @@ const quizSchema = new mongoose.Schema(
       index: true
     },
 
+    // Planned schedule (absolute instants). The scheduler drives the
+    // lifecycle from these; see quiz.schedule.js for defaults.
+    lockAt: { type: Date, index: true },
+    paymentCutoffAt: Date,
+    startAt: Date,
+    endAt: Date,
+
+    // Scoring mode and negative marking (see quiz.scoring.js)
+    scoring: {
+      mode: {
+        type: String,
+        enum: ['FLAT', 'POINTS', 'DIFFICULTY', 'SPEED_BONUS'],
+        default: 'FLAT'
+      },
+      negativeMarking: { type: Number, default: 0, min: 0 },
+      speedBonusMinRatio: { type: Number, default: 0.5, min: 0, max: 1 }
+    },
+
+    // Prize money by rank (see quiz.prizes.js). value is ₹ per rank (FIXED)
+    // or % of the entry fee pool per rank (POOL_PERCENT).
+    prizes: {
+      mode: {
+        type: String,
+        enum: ['NONE', 'FIXED', 'POOL_PERCENT'],
+        default: 'NONE'
+      },
+      bands: {
+        type: [
+          {
+            _id: false,
+            fromRank: { type: Number, required: true, min: 1 },
+            toRank: { type: Number, required: true, min: 1 },
+            value: { type: Number, required: true, min: 0 }
+          }
+        ],
+        default: []
+      }
+    },
+
+    // Durable question advancement state (see quiz.advancement.js)
+    currentQuestionIndex: { type: Number, default: 0, min: 0 },
+    currentQuestionStartedAt: Date,
+    advancementLease: {
+      owner: String,
+      expiresAt: Date
+    },
+
     lockedAt: Date,
     paymentClosedAt: Date,
     liveAt: Date,
@@ -92,7 +191,25 @@ quizSchema.virtual('isLive').get(function() {
   return this.state === 'LIVE';
 });
 
+// Fill in any missing schedule fields from the default timings
+quizSchema.pre('validate', function(next) {
+  if (!this.quizDate) return next();
+
+  const missing = SCHEDULE_FIELDS.filter(field => !this[field]);
+  if (missing.length === 0) return next();
+
+  try {
+    const defaults = buildQuizSchedule(this.quizDate);
+    for (const field of missing) this[field] = defaults[field];
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 // FSM transitions enforced in quiz.lifecycle.transitionQuiz
+// One quiz per (date, slot)
+quizSchema.index({ quizDate: 1, slot: 1 }, { unique: true });
 quizSchema.index({ state: 1, quizDate: -1 });
 quizSchema.index({ quizDate: -1 });
 
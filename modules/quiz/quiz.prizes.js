@@ -0,0 +1,196 @@
+// modules/quiz/quiz.prizes.js
+// Prize money per quiz:
+//   NONE         - no prizes (default)
+//   FIXED        - each band of ranks pays `value` rupees per rank
+//   POOL_PERCENT - each band pays `value`% of the prize pool per rank; the
+//                  pool is the entry fees collected (SUCCESS QUIZ_ENTRY
+//                  payments for the quiz)
+// Only ranks in the Winner list (1..WINNER_COUNT) can carry a prize.
+//
+// Tied winners (same score and time) split the prizes of the ranks they
+// occupy equally; leftover paise go one each to the first of them. When the winners
+// are computed (calculateAndPersistWinners) the quiz's PENDING Payout ledger
+// entries are replaced with one per winner with a prize.
+import Payment from "../payment/payment.model.js";
+import Payout from "../payment/payout.model.js";
+import { DEFAULT_SLOT, normalizeSlot } from "./quiz.slot.js";
+import { WINNER_COUNT } from "./quiz.ranking.js";
+
+export const PRIZE_MODES = ['NONE', 'FIXED', 'POOL_PERCENT'];
+
+export const DEFAULT_PRIZES = { mode: 'NONE', bands: [] };
+
+/**
+ * Effective prize config of a quiz; quizzes without one pay nothing.
+ */
+export function getPrizeConfig(quiz) {
+  const prizes = quiz?.prizes || {};
+  return {
+    mode: prizes.mode || DEFAULT_PRIZES.mode,
+    bands: (prizes.bands || []).map(({ fromRank, toRank, value }) => ({ fromRank, toRank, value }))
+  };
+}
+
+/**
+ * Validate admin input and merge it over the current (or default) config.
+ * Bands are returned sorted by rank.
+ */
+export function buildPrizeConfig(input = {}, current = DEFAULT_PRIZES) {
+  const prizes = { ...DEFAULT_PRIZES, ...current, ...input };
+
+  if (!PRIZE_MODES.includes(prizes.mode)) {
+    throw new Error(`Invalid prize mode. Must be one of: ${PRIZE_MODES.join(', ')}`);
+  }
+  if (prizes.mode === 'NONE') return { mode: 'NONE', bands: [] };
+
+  if (!Array.isArray(prizes.bands) || prizes.bands.length === 0) {
+    throw new Error('prizes.bands must be a non-empty array');
+  }
+  const bands = prizes.bands
+    .map(({ fromRank, toRank = fromRank, value }) => ({ fromRank, toRank, value }))
+    .sort((a, b) => a.fromRank - b.fromRank);
+
+  bands.forEach((band, i) => {
+    if (!Number.isInteger(band.fromRank) || !Number.isInteger(band.toRank) ||
+        band.fromRank < 1 || band.toRank < band.fromRank || band.toRank > WINNER_COUNT) {
+      throw new Error(`Prize band ranks must be integers with 1 <= fromRank <= toRank <= ${WINNER_COUNT}`);
+    }
+    if (typeof band.value !== 'number' || !Number.isFinite(band.value) || band.value < 0) {
+      throw new Error('Prize band value must be a non-negative number');
+    }
+    if (i > 0 && band.fromRank <= bands[i - 1].toRank) {
+      throw new Error(`Prize bands overlap at rank ${band.fromRank}`);
+    }
+  });
+
+  if (prizes.mode === 'POOL_PERCENT') {
+    const percent = bands.reduce((sum, band) => sum + band.value * (band.toRank - band.fromRank + 1), 0);
+    if (percent > 100) {
+      throw new Error(`Prize bands pay out ${percent}% of the pool; the total cannot exceed 100%`);
+    }
+  }
+
+  return { mode: prizes.mode, bands };
+}
+
+/**
+ * Entry fees collected for a quiz, in rupees.
+ */
+export async function getPrizePool(quizDate, slot = DEFAULT_SLOT, { session = null } = {}) {
+  const [result] = await Payment.aggregate([
+    { $match: { quizDate, slot: normalizeSlot(slot), status: 'SUCCESS', paymentType: 'QUIZ_ENTRY' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+  return result?.total || 0;
+}
+
+// Prize of a single rank in paise, before any tie split
+function rankPrizePaise(config, rank, poolAmount) {
+  const band = config.bands.find(b => rank >= b.fromRank && rank <= b.toRank);
+  if (!band) return 0;
+  if (config.mode === 'FIXED') return Math.round(band.value * 100);
+  return Math.floor((poolAmount * 100 * band.value) / 100);
+}
+
+/**
+ * Prize per winner. `winners` are in rank order with user, rank, score and
+ * totalTimeMs. Returns [{ winner, rank, tieSize, amount }] (rupees) for the
+ * winners with a prize.
+ */
+export function computePayouts(winners, config, poolAmount = 0) {
+  if (config.mode === 'NONE') return [];
+
+  const payouts = [];
+  for (let start = 0; start < winners.length;) {
+    let end = start + 1;
+    while (end < winners.length &&
+           winners[end].score === winners[start].score &&
+           winners[end].totalTimeMs === winners[start].totalTimeMs) {
+      end++;
+    }
+
+    const tied = winners.slice(start, end);
+    const totalPaise = tied.reduce((sum, w) => sum + rankPrizePaise(config, w.rank, poolAmount), 0);
+    const share = Math.floor(totalPaise / tied.length);
+    const leftover = totalPaise - share * tied.length;
+    tied.forEach((winner, i) => {
+      const paise = share + (i < leftover ? 1 : 0);
+      if (paise > 0) payouts.push({ winner, rank: winner.rank, tieSize: tied.length, amount: paise / 100 });
+    });
+    start = end;
+  }
+  return payouts;
+}
+
+/**
+ * Replace the quiz's PENDING payout entries with the prizes of `winners`
+ * (Winner documents in rank order). Entries already past PENDING are left
+ * alone. Returns the entries written.
+ */
+export async function replacePayoutLedger(quiz, winners, { session = null } = {}) {
+  const { quizDate } = quiz;
+  const slot = quiz.slot || DEFAULT_SLOT;
+  const config = getPrizeConfig(quiz);
+
+  await Payout.deleteMany({ quizDate, slot, status: 'PENDING' }, { session });
+  if (config.mode === 'NONE') return [];
+
+  const poolAmount = await getPrizePool(quizDate, slot, { session });
+  const settled = new Set(
+    (await Payout.find({ quizDate, slot }, null, { session }).select('user').lean()).map(p => String(p.user))
+  );
+
+  const entries = computePayouts(winners, config, poolAmount)
+    .filter(({ winner }) => !settled.has(String(winner.user?._id || winner.user)))
+    .map(({ winner, rank, tieSize, amount }) => ({
+      quizDate,
+      slot,
+      user: winner.user?._id || winner.user,
+      winner: winner._id,
+      rank,
+      tieSize,
+      amount,
+      prizeMode: config.mode,
+      poolAmount
+    }));
+
+  if (entries.length) await Payout.insertMany(entries, { session });
+  return entries;
+}
+
+/**
+ * Total prize liability per quiz (newest first), optionally for one quiz.
+ * Amounts in rupees, split by payout status.
+ */
+export async function getPayoutLiability({ quizDate, slot } = {}) {
+  const match = {};
+  if (quizDate) match.quizDate = quizDate;
+  if (slot) match.slot = normalizeSlot(slot);
+
+  const rows = await Payout.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { quizDate: '$quizDate', slot: '$slot', status: '$status' },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 },
+        poolAmount: { $max: '$poolAmount' }
+      }
+    },
+    { $sort: { '_id.quizDate': -1, '_id.slot': 1 } }
+  ]);
+
+  const quizzes = new Map();
+  for (const row of rows) {
+    const key = `${row._id.quizDate}:${row._id.slot}`;
+    if (!quizzes.has(key)) {
+      quizzes.set(key, { quizDate: row._id.quizDate, slot: row._id.slot, poolAmount: 0, totalLiability: 0, winners: 0, byStatus: {} });
+    }
+    const quiz = quizzes.get(key);
+    quiz.poolAmount = Math.max(quiz.poolAmount, row.poolAmount || 0);
+    quiz.totalLiability = Math.round((quiz.totalLiability + row.amount) * 100) / 100;
+    quiz.winners += row.count;
+    quiz.byStatus[row._id.status] = { amount: Math.round(row.amount * 100) / 100, count: row.count };
+  }
+  return [...quizzes.values()];
+}
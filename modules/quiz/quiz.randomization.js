@@ -0,0 +1,147 @@
+// modules/quiz/quiz.randomization.js
+// Per-user question and option order. Every sequence comes from an
+// HMAC-SHA256 stream keyed by QUIZ_SHUFFLE_SECRET over the quiz id, the user
+// and what is being shuffled, so orders are reproducible on the server (any
+// node derives the same order) but cannot be predicted or shared between
+// users without the secret.
+//
+// A quiz can also serve each user `sampling.size` questions drawn from a
+// larger pool. With stratifyBy DIFFICULTY (default) or SUBJECT every user
+// gets the same number of questions from each stratum, in proportion to the
+// pool, so nobody is dealt a harder paper than anyone else.
+import crypto from "crypto";
+import { getQuestionCount, MIN_QUIZ_QUESTIONS } from "./quiz.timing.js";
+import { QUESTION_TYPES, CHOICE_OPTION_COUNT, optionCount, questionType } from "./question.types.js";
+
+export const STRATIFY_OPTIONS = ['DIFFICULTY', 'SUBJECT', 'NONE'];
+
+const STRATIFY_FIELDS = { DIFFICULTY: 'difficulty', SUBJECT: 'subject' };
+
+function shuffleSecret() {
+  const secret = process.env.QUIZ_SHUFFLE_SECRET;
+  if (!secret) throw new Error('QUIZ_SHUFFLE_SECRET is not configured');
+  return secret;
+}
+
+/**
+ * Deterministic random source for the given seed parts. int(n) returns an
+ * unbiased integer in [0, n).
+ */
+export function createSeededRandom(...parts) {
+  const key = crypto.createHmac('sha256', shuffleSecret()).update(parts.map(String).join(':')).digest();
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  function nextUint32() {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac('sha256', key).update(String(counter++)).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  }
+
+  return {
+    int(n) {
+      // Rejection sampling so small ranges are not biased by the modulo
+      const limit = Math.floor(0x100000000 / n) * n;
+      let value;
+      do {
+        value = nextUint32();
+      } while (value >= limit);
+      return value % n;
+    }
+  };
+}
+
+function shuffleWith(array, random) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = random.int(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Questions per stratum for a sample of `size`: proportional to the pool,
+ * rounded by largest remainder. Depends only on the pool, so it is the same
+ * for every user. Returns [[stratum, indexes, quota]] in a stable order.
+ */
+export function stratumQuotas(questions, size, stratifyBy = 'DIFFICULTY') {
+  const field = STRATIFY_FIELDS[stratifyBy];
+  const groups = new Map();
+  questions.forEach((question, index) => {
+    const stratum = field ? String(question?.[field] ?? 'UNSPECIFIED') : 'ALL';
+    if (!groups.has(stratum)) groups.set(stratum, []);
+    groups.get(stratum).push(index);
+  });
+
+  const total = questions.length;
+  const strata = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([stratum, indexes]) => {
+      const exact = (size * indexes.length) / total;
+      return { stratum, indexes, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+  let left = size - strata.reduce((sum, s) => sum + s.quota, 0);
+  const byRemainder = [...strata].sort((a, b) => b.remainder - a.remainder || b.indexes.length - a.indexes.length);
+  for (const s of byRemainder) {
+    if (left === 0) break;
+    s.quota++;
+    left--;
+  }
+
+  return strata.map(s => [s.stratum, s.indexes, s.quota]);
+}
+
+/**
+ * Original question indexes shown to a user, in the order shown. The whole
+ * pool when the quiz does not sample. `quiz.questions` must carry content
+ * (difficulty / subject) when stratifying.
+ */
+export function buildQuestionOrder(quiz, userId) {
+  const random = createSeededRandom('questions', quiz._id, userId);
+  const pool = quiz.questions.map((_, i) => i);
+  const size = getQuestionCount(quiz);
+  if (size >= pool.length) return shuffleWith(pool, random);
+
+  const picked = stratumQuotas(quiz.questions, size, quiz.sampling?.stratifyBy)
+    .flatMap(([, indexes, quota]) => shuffleWith(indexes, random).slice(0, quota));
+  return shuffleWith(picked, random);
+}
+
+/**
+ * optionOrder[shownIndex] = original option index, for one question position.
+ * True/false keeps its natural order and numeric questions have no options.
+ */
+export function buildOptionOrder(quiz, userId, position, question = null) {
+  const identity = Array.from({ length: question ? optionCount(question) : CHOICE_OPTION_COUNT }, (_, i) => i);
+  if (question && questionType(question) === QUESTION_TYPES.TRUE_FALSE) return identity;
+  const random = createSeededRandom('options', quiz._id, userId, position);
+  return shuffleWith(identity, random);
+}
+
+/**
+ * Validate admin sampling input for a pool of `poolSize` questions. A size of
+ * 0 (or the pool size) serves the whole pool.
+ */
+export function buildSamplingConfig(input = {}, poolSize) {
+  const size = input.size === undefined || input.size === null || input.size === '' ? 0 : Number(input.size);
+  const stratifyBy = input.stratifyBy || 'DIFFICULTY';
+
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error('sampling.size must be a non-negative integer');
+  }
+  if (size > 0 && (size < MIN_QUIZ_QUESTIONS || size > poolSize)) {
+    throw new Error(`sampling.size must be between ${MIN_QUIZ_QUESTIONS} and the pool size (${poolSize})`);
+  }
+  if (!STRATIFY_OPTIONS.includes(stratifyBy)) {
+    throw new Error(`sampling.stratifyBy must be one of: ${STRATIFY_OPTIONS.join(', ')}`);
+  }
+
+  return { size: size === poolSize ? 0 : size, stratifyBy };
+}
@@ -0,0 +1,111 @@
+// modules/quiz/quiz.ranking.js
+// Full results of a quiz. calculateAndPersistWinners ranks every counted
+// attempt (same order as the winners) and replaces the quiz's QuizRanking
+// documents with it, inside the same transaction as the Winner list.
+import QuizRanking from "./quizRanking.model.js";
+import { DEFAULT_SLOT, normalizeSlot } from "./quiz.slot.js";
+import { attemptAccuracy, scorableQuestionCount } from "./quiz.scoring.js";
+
+export const MAX_RANKING_PAGE_SIZE = 100;
+
+// Size of the Winner list (prize-eligible top of the rankings)
+export const WINNER_COUNT = 20;
+
+/**
+ * Replace the rankings of a quiz. `rankedAttempts` are the counted attempts
+ * in final order; the first `winnerCount` are the winners.
+ */
+export async function replaceQuizRankings(quiz, rankedAttempts, { winnerCount, session = null } = {}) {
+  const { quizDate } = quiz;
+  const slot = quiz.slot || DEFAULT_SLOT;
+  const participants = rankedAttempts.length;
+
+  await QuizRanking.deleteMany({ quizDate, slot }, { session });
+  if (participants === 0) return [];
+
+  const rankings = rankedAttempts.map((attempt, index) => ({
+    quizDate,
+    slot,
+    user: attempt.user?._id || attempt.user,
+    attempt: attempt._id,
+    rank: index + 1,
+    percentile: Math.round(((participants - index) / participants) * 100),
+    participants,
+    score: attempt.score,
+    accuracy: attemptAccuracy(attempt, scorableQuestionCount(quiz, attempt)),
+    correctCount: attempt.correctCount,
+    maxScore: attempt.maxScore,
+    totalTimeMs: attempt.totalTimeMs,
+    isWinner: index < winnerCount
+  }));
+
+  await QuizRanking.insertMany(rankings, { session });
+  return rankings;
+}
+
+/**
+ * One page of a quiz's rankings, best first, with public user fields.
+ */
+export async function getQuizRankings(quizDate, slot = DEFAULT_SLOT, { page = 1, limit = 50 } = {}) {
+  slot = normalizeSlot(slot);
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit) || 50), MAX_RANKING_PAGE_SIZE);
+
+  const [rankings, total] = await Promise.all([
+    QuizRanking.find({ quizDate, slot })
+      .sort({ rank: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('user', 'name profileImage')
+      .select('user rank percentile score accuracy correctCount maxScore totalTimeMs isWinner')
+      .lean(),
+    QuizRanking.countDocuments({ quizDate, slot })
+  ]);
+
+  return {
+    rankings,
+    pagination: {
+      currentPage: pageNumber,
+      total,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+/**
+ * A user's ranking for one quiz, or null when their attempt was not ranked.
+ */
+export async function getUserRanking(userId, quizDate, slot = DEFAULT_SLOT) {
+  return QuizRanking.findOne({ user: userId, quizDate, slot: normalizeSlot(slot) })
+    .select('quizDate slot rank percentile participants score accuracy correctCount maxScore totalTimeMs isWinner')
+    .lean();
+}
+
+/**
+ * A user's rankings across quizzes, newest first.
+ */
+export async function getUserRankings(userId, { page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit) || 20), MAX_RANKING_PAGE_SIZE);
+
+  const [rankings, total] = await Promise.all([
+    QuizRanking.find({ user: userId })
+      .sort({ quizDate: -1, slot: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('quizDate slot rank percentile participants score accuracy correctCount maxScore totalTimeMs isWinner')
+      .lean(),
+    QuizRanking.countDocuments({ user: userId })
+  ]);
+
+  return {
+    rankings,
+    pagination: {
+      currentPage: pageNumber,
+      total,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
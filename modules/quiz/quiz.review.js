@@ -0,0 +1,86 @@
+// modules/quiz/quiz.review.js
+// Post-quiz review: a user's own attempt mapped back to the questions, in the
+// order and option order they were shown. Only available once results are
+// published so answers cannot leak while anyone can still play. Text is in
+// the user's language where translated.
+import QuizAttempt from "./quizAttempt.model.js";
+import { DEFAULT_SLOT, normalizeSlot } from "./quiz.slot.js";
+import { scoreAttempt, acceptedAnswers, getQuestionAdjustment } from "./quiz.scoring.js";
+import { findQuizWithQuestions } from "./quiz.version.js";
+import { QUESTION_TYPES, questionType, optionCount, answerKey, presentOptions, presentQuestionMedia } from "./question.types.js";
+import { getUserLocale, localizeQuestion } from "./question.locale.js";
+
+function reviewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export async function getQuizReview(userId, quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz) throw reviewError('Quiz not found', 404);
+  if (quiz.state !== 'RESULT_PUBLISHED') {
+    throw reviewError('Review is available after results are published', 403);
+  }
+
+  const attempt = await QuizAttempt.findOne({ user: userId, quizDate, slot });
+  if (!attempt) throw reviewError('You did not attempt this quiz', 404);
+
+  const result = scoreAttempt(quiz, attempt);
+  const questionOrder = attempt.questionOrder?.length ? attempt.questionOrder : quiz.questions.map((_, i) => i);
+  const locale = await getUserLocale(userId);
+
+  const questions = [];
+  questionOrder.forEach((originalIndex, position) => {
+    const question = quiz.questions[originalIndex];
+    if (!question) return;
+
+    // optionOrder[shownIndex] = original option index
+    const count = optionCount(question);
+    const optionOrder = attempt.optionOrders?.[position]?.length === count
+      ? attempt.optionOrders[position]
+      : Array.from({ length: count }, (_, i) => i);
+    const shown = i => optionOrder.indexOf(i);
+    const entry = result.breakdown.find(b => b.position === position);
+    const type = questionType(question);
+    const localized = localizeQuestion(question, locale);
+
+    questions.push({
+      position,
+      questionId: question._id,
+      question: localized.question,
+      locale: localized.locale,
+      ...presentQuestionMedia(question),
+      ...presentOptions(localized, optionOrder),
+      // Option index, option indexes (MULTI_SELECT) or the number entered (NUMERIC)
+      selectedIndex: attempt.answers?.[position] ?? null,
+      ...(type === QUESTION_TYPES.NUMERIC
+        ? { numericAnswer: question.numericAnswer, numericTolerance: question.numericTolerance || 0 }
+        : type === QUESTION_TYPES.MULTI_SELECT
+          ? { correctIndexes: answerKey(question).map(shown).sort((x, y) => x - y) }
+          : { correctIndex: shown(question.correctIndex) }),
+      // Differs from the key only when more answers were accepted after a dispute
+      acceptedIndexes: acceptedAnswers(quiz, question).map(shown),
+      voided: getQuestionAdjustment(quiz, question._id)?.status === 'VOIDED',
+      correct: entry?.correct ?? null,
+      credit: entry?.credit ?? null,
+      points: entry?.points ?? 0,
+      responseTimeMs: entry?.responseTimeMs ?? null,
+      explanation: localized.explanation || null
+    });
+  });
+
+  return {
+    quizDate,
+    slot,
+    title: quiz.title,
+    versionHash: quiz.versionHash || null,
+    score: attempt.score,
+    correctCount: attempt.correctCount ?? result.correctCount,
+    maxScore: attempt.maxScore ?? result.maxScore,
+    totalQuestions: questions.length,
+    questions
+  };
+}
@@ -6,6 +6,12 @@ import { authRequired, eligibilityRequired } from "../../middlewares/auth.middle
 import { quizAttemptRateLimit, quizAnswerRateLimit, quizListRateLimit, quizStatusRateLimit, quizQuestionRateLimit } from "../../middlewares/rate-limit.middleware.js";
 import redis from "../../config/redis.js";
 import { validate, quizSchemas } from "../../utils/validation.js";
+import { DEFAULT_SLOT, quizKey, requestedSlot } from "./quiz.slot.js";
+import { getQuestionCount, getAttemptQuestionCount, resolveQuestionTimeLimits } from "./quiz.timing.js";
+import { getQuizReview } from "./quiz.review.js";
+import { getPublicQuizVersion } from "./quiz.version.js";
+import { onlinePlayerIds } from "./quiz.socket.js";
+import { getQuizRankings, getUserRanking, getUserRankings } from "./quiz.ranking.js";
 
 const router = express.Router();
 
@@ -13,9 +19,13 @@ const router = express.Router();
 const enforceEligibility = async (req, res, next) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const user = req.user;
+    const { isEligible, eligibleDate, slot } = req.user.quizEligibility || {};
+    // eligibleDate is stored from the quizDate string, i.e. midnight UTC
+    const eligibleQuizDate = eligibleDate ? new Date(eligibleDate).toISOString().slice(0, 10) : null;
+    // Eligibility is per slot; records from before slots existed are for the default one
+    const quizSlot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
 
-    if (!user.quizEligibility?.isEligible || user.quizEligibility.eligibleDate !== today) {
+    if (!isEligible || eligibleQuizDate !== today || (slot || DEFAULT_SLOT) !== quizSlot) {
       return res.status(403).json({ message: "User not eligible for this quiz" });
     }
 
@@ -29,12 +39,13 @@ const enforceEligibility = async (req, res, next) => {
 router.get("/today", authRequired, async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const quiz = await QuizService.getTodayQuiz(today, req.user._id);
+    const quiz = await QuizService.getTodayQuiz(today, req.user._id, requestedSlot(req));
     
     if (!quiz) {
       // Check if quiz exists but user's class doesn't match
       const Quiz = (await import('./quiz.model.js')).default;
-      const anyQuiz = await Quiz.findOne({ quizDate: today });
+      const slot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
+      const anyQuiz = await Quiz.findOne({ quizDate: today, slot });
       if (anyQuiz) {
         // Quiz exists but not for this user's class
         const User = (await import('../user/user.model.js')).default;
@@ -59,17 +70,20 @@ router.get("/today", authRequired, async (req, res) => {
 
     // Check if user has participated
     const QuizAttempt = (await import('./quizAttempt.model.js')).default;
-    const attempt = await QuizAttempt.findOne({ user: req.user._id, quizDate: today });
+    const attempt = await QuizAttempt.findOne({ user: req.user._id, quizDate: today, slot: quiz.slot });
 
     // Check eligibility
     const { getEffectiveEligibility } = await import('../payment/payment.service.js');
-    const eligibility = await getEffectiveEligibility(req.user._id, today);
+    const eligibility = await getEffectiveEligibility(req.user._id, today, quiz.slot);
 
     // Check if quiz is live
     const isLive = quiz.state === 'LIVE';
     const isCompleted = quiz.state === 'RESULT_PUBLISHED' || quiz.state === 'ENDED' || quiz.state === 'CLOSED';
     const userParticipated = !!attempt?.answersSaved;
 
+    const { getQuizSchedule } = await import('./quiz.schedule.js');
+    const schedule = getQuizSchedule(quiz);
+
     // C2: Normalized response contract
     res.json({
       success: true,
@@ -78,19 +92,22 @@ router.get("/today", authRequired, async (req, res) => {
         quiz: {
           _id: quiz._id,
           quizDate: quiz.quizDate,
+          slot: quiz.slot,
           state: quiz.state,
           isLive,
           isCompleted,
-          totalQuestions: quiz.questions?.length || 50,
+          totalQuestions: getQuestionCount(quiz),
+          questionTimeLimits: resolveQuestionTimeLimits(quiz),
           userParticipated,
           userEligible: eligibility.eligible,
           classGrade: quiz.classGrade || 'ALL',
+          schedule,
           lockedAt: quiz.lockedAt,
           liveAt: quiz.liveAt,
           endedAt: quiz.endedAt
         }
       },
-      meta: { quizDate: today }
+      meta: { quizDate: today, slot: quiz.slot }
     });
   } catch (error) {
     // C2: Normalized error response
@@ -105,15 +122,16 @@ router.get("/today", authRequired, async (req, res) => {
 router.get("/eligibility", authRequired, async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const quiz = await QuizService.getTodayQuiz(today, req.user._id, requestedSlot(req));
     const { isUserEligible } = await import('../payment/payment.service.js');
-    const eligible = await isUserEligible(req.user._id, today);
+    const eligible = await isUserEligible(req.user._id, today, quiz?.slot);
     
     // Check if quiz is live
-    const quiz = await QuizService.getTodayQuiz(today);
     const quizNotLiveYet = !quiz || quiz.state !== 'LIVE';
 
     res.json({
       eligible,
+      slot: quiz?.slot || null,
       quizNotLiveYet,
       message: eligible 
         ? "You are eligible to participate" 
@@ -131,7 +149,7 @@ router.post("/enter", authRequired, quizAttemptRateLimit, async (req, res) => {
     const { quizId } = req.body;
 
     // Verify quiz exists and is live
-    const quiz = await QuizService.getTodayQuiz(today);
+    const quiz = await QuizService.getTodayQuiz(today, req.user._id, requestedSlot(req));
     if (!quiz) {
       return res.status(404).json({ message: 'Quiz not found for today' });
     }
@@ -161,14 +179,14 @@ router.post("/enter", authRequired, quizAttemptRateLimit, async (req, res) => {
 
     // Check eligibility
     const { isUserEligible } = await import('../payment/payment.service.js');
-    const eligible = await isUserEligible(req.user._id, today);
+    const eligible = await isUserEligible(req.user._id, today, quiz.slot);
     
     const deviceInfo = {
       deviceId: req.body?.deviceId,
       deviceFingerprint: req.body?.deviceFingerprint,
       ipAddress: req.ip || req.connection.remoteAddress
     };
-    const attempt = await QuizService.createQuizAttempt(req.user._id, today, deviceInfo);
+    const attempt = await QuizService.createQuizAttempt(req.user._id, today, deviceInfo, quiz.slot);
     
     res.json({ 
       success: true, 
@@ -197,15 +215,16 @@ router.get("/state/:quizDate", authRequired, async (req, res) => {
     const QuizAttempt = (await import('./quizAttempt.model.js')).default;
     const attempt = await QuizAttempt.findOne({
       user: req.user._id,
-      quizDate: req.params.quizDate
-    }).select('currentQuestionIndex answers answersSaved startedAt updatedAt');
+      quizDate: req.params.quizDate,
+      slot: requestedSlot(req) || DEFAULT_SLOT
+    }).select('currentQuestionIndex answers answersSaved startedAt updatedAt questionIds questionOrder');
 
     if (!attempt) return res.status(404).json({ message: 'Quiz attempt not found' });
 
     const payload = {
       currentQuestionIndex: attempt.currentQuestionIndex,
       answeredCount: attempt.answers?.length || 0,
-      totalQuestions: 50,
+      totalQuestions: getAttemptQuestionCount(attempt),
       startedAt: attempt.startedAt,
       answersSaved: attempt.answersSaved
     };
@@ -225,7 +244,7 @@ router.get("/state/:quizDate", authRequired, async (req, res) => {
 router.get("/question/:quizDate/:questionIndex", authRequired, quizAttemptRateLimit, async (req, res) => {
   try {
     const questionIndex = parseInt(req.params.questionIndex);
-    const question = await QuizService.getNextQuestion(req.user._id, req.params.quizDate, questionIndex);
+    const question = await QuizService.getNextQuestion(req.user._id, req.params.quizDate, questionIndex, requestedSlot(req));
     res.json(question);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -236,7 +255,8 @@ router.get("/question/:quizDate/:questionIndex", authRequired, quizAttemptRateLi
 router.post("/finish", authRequired, quizAttemptRateLimit, async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const attempt = await QuizService.finalizeQuizAttempt(req.user._id, today);
+    const slot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
+    const attempt = await QuizService.finalizeQuizAttempt(req.user._id, today, slot);
     
     // C2: Normalized response contract
     res.json({
@@ -246,7 +266,7 @@ router.post("/finish", authRequired, quizAttemptRateLimit, async (req, res) => {
         counted: attempt.counted,
         isEligible: attempt.isEligible
       },
-      meta: { quizDate: today }
+      meta: { quizDate: today, slot }
     });
   } catch (error) {
     // C2: Normalized error response
@@ -258,14 +278,25 @@ router.post("/finish", authRequired, quizAttemptRateLimit, async (req, res) => {
 });
 
 // C2: Normalized API endpoint - GET /quiz/leaderboard/:quizDate
+// While the quiz is LIVE this is the provisional board (top ?limit, default 20)
 router.get("/leaderboard/:quizDate", quizListRateLimit, async (req, res) => {
   try {
-    const leaderboard = await QuizService.getLeaderboard(req.params.quizDate);
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const live = await QuizService.getLiveLeaderboard(req.params.quizDate, slot, { limit: parseInt(req.query.limit) || 20 });
+    if (live) {
+      return res.json({
+        success: true,
+        data: live,
+        meta: { quizDate: req.params.quizDate, slot, provisional: true }
+      });
+    }
+
+    const leaderboard = await QuizService.getLeaderboard(req.params.quizDate, slot);
     // C2: Normalized response contract
     res.json({
       success: true,
       data: leaderboard,
-      meta: { quizDate: req.params.quizDate }
+      meta: { quizDate: req.params.quizDate, slot, provisional: false }
     });
   } catch (error) {
     // C2: Normalized error response
@@ -276,10 +307,71 @@ router.get("/leaderboard/:quizDate", quizListRateLimit, async (req, res) => {
   }
 });
 
+// GET /quiz/rankings/:quizDate?page&limit - every counted attempt of a
+// finalized quiz, best first (Winner is only the prize-eligible top)
+router.get("/rankings/:quizDate", quizListRateLimit, async (req, res) => {
+  try {
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const { rankings, pagination } = await getQuizRankings(req.params.quizDate, slot, req.query);
+    res.json({
+      success: true,
+      data: rankings,
+      meta: { quizDate: req.params.quizDate, slot, pagination }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /quiz/rankings/:quizDate/me - the user's own rank and percentile
+router.get("/rankings/:quizDate/me", authRequired, quizListRateLimit, async (req, res) => {
+  try {
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
+    const ranking = await getUserRanking(req.user._id, req.params.quizDate, slot);
+    if (!ranking) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No ranking for this quiz' 
+      });
+    }
+    res.json({
+      success: true,
+      data: ranking,
+      meta: { quizDate: req.params.quizDate, slot }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /quiz/my-rankings?page&limit - the user's ranks across quizzes, newest first
+router.get("/my-rankings", authRequired, quizListRateLimit, async (req, res) => {
+  try {
+    const { rankings, pagination } = await getUserRankings(req.user._id, req.query);
+    res.json({
+      success: true,
+      data: rankings,
+      meta: { pagination }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 // Get winners (all or by date)
 router.get("/winners", quizListRateLimit, async (req, res) => {
   try {
     const { quizDate } = req.query;
+    const slot = requestedSlot(req) || DEFAULT_SLOT;
     
     // Get today's date in YYYY-MM-DD format (IST timezone)
     let today = quizDate;
@@ -291,7 +383,7 @@ router.get("/winners", quizListRateLimit, async (req, res) => {
     
     console.log(`[WINNERS API] Fetching winners for: ${today}`);
     
-    const cacheKey = `winners:${today}`;
+    const cacheKey = `winners:${quizKey(today, slot)}`;
     const cached = await redis.get(cacheKey);
     if (cached) {
       try {
@@ -301,6 +393,7 @@ router.get("/winners", quizListRateLimit, async (req, res) => {
           success: true,
           winners: parsed,
           quizDate: today,
+          slot,
           totalParticipants: parsed.length,
           resultPublished: true
         });
@@ -310,7 +403,7 @@ router.get("/winners", quizListRateLimit, async (req, res) => {
     }
     
     // Query winners by date
-    const query = { quizDate: today };
+    const query = { quizDate: today, slot };
     const winners = await Winner.find(query)
       .populate("user", "name profileImage fullName username classGrade")
       .sort({ rank: 1 })
@@ -324,6 +417,7 @@ router.get("/winners", quizListRateLimit, async (req, res) => {
         success: true,
         winners: [],
         quizDate: today,
+        slot,
         totalParticipants: 0,
         resultPublished: false,
         message: `No results published for ${today}`
@@ -357,6 +451,7 @@ router.get("/winners", quizListRateLimit, async (req, res) => {
       success: true,
       winners: result,
       quizDate: today,
+      slot,
       totalParticipants: result.length,
       resultPublished: true
     });
@@ -384,56 +479,69 @@ router.get("/history", authRequired, async (req, res) => {
   }
 });
 
-// Get live analytics for a specific quiz (for quiz analytics page)
+// Get live analytics for a specific quiz (for quiz analytics page). Reads the
+// live counters (quiz.liveStats.js) instead of every attempt.
 router.get("/analytics/:quizId", authRequired, async (req, res) => {
   try {
     const { quizId } = req.params;
     // Get the quiz details
     const Quiz = (await import('./quiz.model.js')).default;
-    const quiz = await Quiz.findById(quizId);
+    const quiz = await Quiz.findById(quizId).select('title quizDate slot state currentQuestionIndex questions sampling').lean();
     
     if (!quiz) {
       return res.status(404).json({ message: "Quiz not found" });
     }
 
-    // Get all attempts for this quiz
+    const slot = quiz.slot || DEFAULT_SLOT;
     const QuizAttempt = (await import('./quizAttempt.model.js')).default;
-    const attempts = await QuizAttempt.find({ quizDate: quiz.quizDate }).populate('user', 'name username');
-
-    // Get user's personal attempt
-    const userAttempt = attempts.find(a => a.user._id.toString() === req.user._id.toString());
-
-    // Calculate analytics
-    const totalAttempts = attempts.length;
-    const avgScore = attempts.length > 0 ? Math.round(attempts.reduce((sum, a) => sum + a.score, 0) / attempts.length) : 0;
-    const maxScore = attempts.length > 0 ? Math.max(...attempts.map(a => a.score)) : 0;
-    
-    // Get current question index (find the highest question index that has been answered by any participant)
-    const currentQuestionIndex = attempts.length > 0 
-      ? Math.max(...attempts.map(a => a.currentQuestionIndex || 0))
-      : 0;
+    const { getCurrentQuestionIndex } = await import('./quiz.advancement.js');
+    const { getLiveStats, getPlayerStanding } = await import('./quiz.liveStats.js');
+
+    const currentQuestionIndex = quiz.state === 'LIVE'
+      ? await getCurrentQuestionIndex(quiz.quizDate, slot)
+      : quiz.currentQuestionIndex || 0;
+    const previousIndex = quiz.state === 'LIVE' ? currentQuestionIndex - 1 : currentQuestionIndex;
+
+    const [totalParticipants, userAttempt, current, previous, online] = await Promise.all([
+      QuizAttempt.countDocuments({ quizDate: quiz.quizDate, slot }),
+      QuizAttempt.findOne({ user: req.user._id, quizDate: quiz.quizDate, slot }).select('score answers completedAt').lean(),
+      getLiveStats(quiz.quizDate, slot, currentQuestionIndex),
+      previousIndex >= 0 ? getLiveStats(quiz.quizDate, slot, previousIndex) : null,
+      global.io ? onlinePlayerIds(global.io, quiz.quizDate, slot) : []
+    ]);
+    const standing = userAttempt
+      ? await getPlayerStanding(quiz.quizDate, slot, req.user._id, current.histogram)
+      : null;
 
     res.json({
       quiz: {
         _id: quiz._id,
         title: quiz.title || `Quiz on ${quiz.quizDate}`,
         quizDate: quiz.quizDate,
+        slot,
         state: quiz.state
       },
       analytics: {
-        totalParticipants: totalAttempts,
-        participantsAnswered: attempts.filter(a => a.submitted).length,
-        currentQuestionIndex: currentQuestionIndex,
-        totalQuestions: 50, // Standard quiz has 50 questions
-        averageScore: avgScore,
-        maxScore,
-        participantCount: totalAttempts,
-        liveCount: attempts.filter(a => !a.submitted).length
+        totalParticipants,
+        participantsAnswered: current.answered,
+        currentQuestionIndex,
+        totalQuestions: getQuestionCount(quiz),
+        averageScore: current.averageRunningScore,
+        maxScore: current.maxRunningScore,
+        participantCount: totalParticipants,
+        liveCount: online.length,
+        previousQuestion: previous ? {
+          position: previous.position,
+          answered: previous.answered,
+          percentCorrect: previous.percentCorrect
+        } : null
       },
       userAttempt: userAttempt ? {
         score: userAttempt.score,
-        answered: userAttempt.answers ? userAttempt.answers.length : 0,
-        submitted: userAttempt.submitted,
+        answered: (userAttempt.answers || []).filter(a => a !== null && a !== undefined).length,
+        completed: Boolean(userAttempt.completedAt),
+        runningScore: standing.runningScore,
+        percentile: standing.percentile,
         rank: null
       } : null
     });
@@ -461,7 +569,7 @@ router.post("/progress/:quizDate", authRequired, async (req, res) => {
       answerTimestamps,
       questionStartTimes,
       timeRemaining
-    });
+    }, requestedSlot(req));
     res.json(progress);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -471,7 +579,7 @@ router.post("/progress/:quizDate", authRequired, async (req, res) => {
 // Load quiz progress
 router.get("/progress/:quizDate", authRequired, async (req, res) => {
   try {
-    const progress = await QuizService.loadQuizProgress(req.user._id, req.params.quizDate);
+    const progress = await QuizService.loadQuizProgress(req.user._id, req.params.quizDate, requestedSlot(req));
     res.json(progress || { currentQuestionIndex: 0, answers: [], answerTimestamps: [], questionStartTimes: [], timeRemaining: 900000 });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -487,13 +595,14 @@ router.post("/join", authRequired, quizAttemptRateLimit, async (req, res) => {
       deviceFingerprint: req.body?.deviceFingerprint,
       ipAddress: req.ip || req.connection.remoteAddress
     };
-    const attempt = await QuizService.createQuizAttempt(req.user._id, today, deviceInfo);
+    const slot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
+    const attempt = await QuizService.createQuizAttempt(req.user._id, today, deviceInfo, slot);
     
     // C2: Normalized response contract
     res.json({ 
       success: true, 
       data: { attemptId: attempt._id },
-      meta: { quizDate: today }
+      meta: { quizDate: today, slot }
     });
   } catch (error) {
     // C2: Normalized error response
@@ -508,9 +617,9 @@ router.post("/join", authRequired, quizAttemptRateLimit, async (req, res) => {
 router.get("/status", quizStatusRateLimit, async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const quiz = await QuizService.getTodayQuiz(today);
+    const quiz = await QuizService.getTodayQuiz(today, null, requestedSlot(req));
     const state = quiz ? quiz.state : 'NO_QUIZ';
-    const etag = `"${state}-${today}"`;
+    const etag = `"${state}-${quiz ? quizKey(today, quiz.slot) : today}"`;
     res.set('ETag', etag);
     // res.set('Cache-Control', 'private, max-age=5');
     res.set('Cache-Control', 'no-store');
@@ -519,7 +628,7 @@ router.get("/status", quizStatusRateLimit, async (req, res) => {
     if (!quiz) {
       return res.json({ success: true, data: { state: 'NO_QUIZ' }, meta: { quizDate: today } });
     }
-    res.json({ success: true, data: { state: quiz.state, quizDate: quiz.quizDate }, meta: { quizDate: today } });
+    res.json({ success: true, data: { state: quiz.state, quizDate: quiz.quizDate, slot: quiz.slot }, meta: { quizDate: today } });
   } catch (error) {
     // C2: Normalized error response
     res.status(500).json({ 
@@ -532,7 +641,7 @@ router.get("/status", quizStatusRateLimit, async (req, res) => {
 // C2: Normalized API endpoint - GET /quiz/current-question
 router.get("/current-question", authRequired, quizQuestionRateLimit, async (req, res) => {
   try {
-    const question = await QuizService.getCurrentQuestion(req.user._id);
+    const question = await QuizService.getCurrentQuestion(req.user._id, requestedSlot(req));
     // C2: Normalized response contract
     res.json({
       success: true,
@@ -554,10 +663,66 @@ router.get("/current-question", authRequired, quizQuestionRateLimit, async (req,
   }
 });
 
+// POST /quiz/resume - after a disconnect: current index, server time, deadline,
+// answered positions and the current question in one call (also a socket event)
+router.post("/resume", authRequired, quizQuestionRateLimit, async (req, res) => {
+  try {
+    const state = await QuizService.resumeQuiz(req.user._id, requestedSlot(req));
+    res.json({
+      success: true,
+      data: state,
+      meta: { quizDate: state.quizDate, slot: state.slot }
+    });
+  } catch (error) {
+    if (error.message === 'Quiz not found' || error.message === 'No attempt found') {
+      return res.status(404).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    res.status(400).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// GET /quiz/live-leaderboard - provisional top ?limit (default 20) and the
+// user's own live rank for today's quiz
+router.get("/live-leaderboard", authRequired, quizStatusRateLimit, async (req, res) => {
+  try {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const slot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
+    const board = await QuizService.getLiveLeaderboard(today, slot, {
+      limit: parseInt(req.query.limit) || 20,
+      userId: req.user._id
+    });
+    if (!board) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Quiz is not live' 
+      });
+    }
+    res.json({
+      success: true,
+      data: board,
+      meta: { quizDate: today, slot, provisional: true }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 // C1, C2: Normalized API endpoint - POST /quiz/answer
 router.post("/answer", authRequired, quizAnswerRateLimit, async (req, res) => {
   try {
-    const { questionId, selectedOptionIndex, deviceId, deviceFingerprint } = req.body;
+    // answer: option index, option indexes (multi-select) or a number (numeric);
+    // selectedOptionIndex is still accepted for single-choice clients.
+    // Fallback for clients not answering over the socket (see quiz.socket.js).
+    const { questionId, answer, selectedOptionIndex, deviceId, deviceFingerprint } = req.body;
     
     // Extract device info for validation
     const deviceInfo = {
@@ -566,33 +731,21 @@ router.post("/answer", authRequired, quizAnswerRateLimit, async (req, res) => {
       ipAddress: req.ip || req.connection.remoteAddress
     };
     
-    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const result = await QuizService.submitAnswer(req.user._id, questionId, selectedOptionIndex, deviceInfo);
-    
-    // Check if user is eligible - return this info to frontend
-    const { getEffectiveEligibility } = await import('../payment/payment.service.js');
-    const eligibility = await getEffectiveEligibility(req.user._id, today);
+    // A duplicate answer comes back as { alreadyAnswered: true }
+    const { quizDate, slot, ...data } = await QuizService.answerQuestion(req.user._id, {
+      questionId,
+      answer: answer ?? selectedOptionIndex,
+      deviceInfo,
+      slot: requestedSlot(req)
+    });
     
     // C2: Normalized response contract
     res.json({
       success: true,
-      data: {
-        isCorrect: result.isCorrect,
-        countsForScore: result.countsForScore,
-        alreadyAnswered: result.alreadyAnswered || false,
-        eligible: eligibility.eligible
-      },
-      meta: { quizDate: today }
+      data,
+      meta: { quizDate, slot }
     });
   } catch (error) {
-    // Handle already answered case gracefully
-    if (error.message.includes('already answered') || error.message.includes('already submitted')) {
-      return res.json({ 
-        success: true, 
-        data: { alreadyAnswered: true },
-        meta: {}
-      });
-    }
     // C2: Normalized error response
     res.status(400).json({ 
       success: false, 
@@ -601,11 +754,37 @@ router.post("/answer", authRequired, quizAnswerRateLimit, async (req, res) => {
   }
 });
 
+// GET /quiz/review/:quizDate - the user's answers, correct options and explanations
+// (unlocked once the quiz is RESULT_PUBLISHED)
+router.get("/review/:quizDate", authRequired, quizListRateLimit, async (req, res) => {
+  try {
+    const review = await getQuizReview(req.user._id, req.params.quizDate, requestedSlot(req) || DEFAULT_SLOT);
+    res.set('Cache-Control', 'private, no-store');
+    res.json(review);
+  } catch (error) {
+    if (!error.status) console.error('Quiz review error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /quiz/version/:quizDate - public proof of the frozen quiz content: the
+// sha256 hash from lock time, and the hashed content once results are published
+router.get("/version/:quizDate", quizListRateLimit, async (req, res) => {
+  try {
+    const proof = await getPublicQuizVersion(req.params.quizDate, requestedSlot(req) || DEFAULT_SLOT);
+    res.json(proof);
+  } catch (error) {
+    if (!error.status) console.error('Quiz version error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 // GET /quiz/result
 router.get("/result", authRequired, async (req, res) => {
   try {
     const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    const result = await QuizService.getLeaderboard(today);
+    const slot = await QuizService.resolveTodaySlot(req.user._id, requestedSlot(req));
+    const result = await QuizService.getLeaderboard(today, slot);
     res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
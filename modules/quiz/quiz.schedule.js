@@ -0,0 +1,83 @@
+// modules/quiz/quiz.schedule.js
+// Per-quiz schedule helpers. Each quiz carries its own lock / payment cutoff /
+// start / end instants; quizzes created before these fields existed fall back
+// to the historical 19:50 / 19:55 / 20:00 / 20:30 IST timings.
+
+export const SCHEDULE_FIELDS = ['lockAt', 'paymentCutoffAt', 'startAt', 'endAt'];
+
+export const DEFAULT_SCHEDULE = {
+  lockAt: '19:50',
+  paymentCutoffAt: '19:55',
+  startAt: '20:00',
+  endAt: '20:30'
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Resolve a schedule value into a Date.
+ * Accepts "HH:MM" (IST, on the quiz date), an ISO string or a Date.
+ */
+export function resolveScheduleTime(quizDate, value) {
+  if (value instanceof Date) return new Date(value.getTime());
+
+  if (typeof value === 'string' && TIME_OF_DAY.test(value)) {
+    return new Date(`${quizDate}T${value}:00+05:30`);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid schedule time: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Build a full schedule for a quiz date, applying any overrides on top of the defaults.
+ */
+export function buildQuizSchedule(quizDate, overrides = {}) {
+  const schedule = {};
+  for (const field of SCHEDULE_FIELDS) {
+    const value = overrides[field] ?? DEFAULT_SCHEDULE[field];
+    schedule[field] = resolveScheduleTime(quizDate, value);
+  }
+  validateQuizSchedule(schedule);
+  return schedule;
+}
+
+/**
+ * Ensure lock <= payment cutoff <= start < end.
+ */
+export function validateQuizSchedule(schedule) {
+  const { lockAt, paymentCutoffAt, startAt, endAt } = schedule;
+
+  if (lockAt > paymentCutoffAt) {
+    throw new Error('Quiz lock time must not be after the payment cutoff');
+  }
+  if (paymentCutoffAt > startAt) {
+    throw new Error('Payment cutoff must not be after the quiz start time');
+  }
+  if (startAt >= endAt) {
+    throw new Error('Quiz end time must be after the start time');
+  }
+}
+
+/**
+ * Effective schedule of a quiz document. Missing fields (legacy quizzes)
+ * fall back to the default timings on the quiz date.
+ */
+export function getQuizSchedule(quiz) {
+  const defaults = buildQuizSchedule(quiz.quizDate);
+  const schedule = {};
+  for (const field of SCHEDULE_FIELDS) {
+    schedule[field] = quiz[field] ? new Date(quiz[field]) : defaults[field];
+  }
+  return schedule;
+}
+
+/**
+ * True while quiz content must not be edited: from lock time until the quiz ends.
+ */
+export function isWithinLockWindow(schedule, now = new Date()) {
+  return now >= schedule.lockAt && now < schedule.endAt;
+}
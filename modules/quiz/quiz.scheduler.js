@@ -3,49 +3,144 @@
 import cron from "node-cron";
 import * as QuizService from "./quiz.service.js";
 import Quiz from "./quiz.model.js";
+import { getQuizSchedule } from "./quiz.schedule.js";
+import { quizKey } from "./quiz.slot.js";
+
+// States the scheduler still has work to do for
+const SCHEDULED_STATES = ["DRAFT", "SCHEDULED", "LOCKED", "PAYMENT_CLOSED", "LIVE", "ENDED"];
+const PRE_LIVE_STATES = ["DRAFT", "SCHEDULED", "LOCKED", "PAYMENT_CLOSED"];
+
+function istDate(offsetDays = 0) {
+  const date = new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000);
+  return date.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
+}
 
 // ===============================
-// Recover quiz state on server start
+// Advance a single quiz according to its schedule
 // ===============================
-export async function recoverQuizState() {
-  try {
-    const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-    const quiz = await Quiz.findOne({ quizDate: today });
-
-    if (!quiz) {
-      console.log(`[QUIZ] No quiz to recover for ${today}`);
-      return;
+async function advanceQuiz(quiz, now) {
+  const { quizDate, slot } = quiz;
+  const key = quizKey(quizDate, slot);
+  const { lockAt, paymentCutoffAt, startAt, endAt } = getQuizSchedule(quiz);
+
+  // Quiz should be locked but still DRAFT/SCHEDULED
+  if ((quiz.state === "SCHEDULED" || quiz.state === "DRAFT") && now >= lockAt) {
+    if (now >= endAt) {
+      console.warn(`[SCHEDULER] Quiz ${key} missed its window (ended ${endAt.toISOString()}), leaving in ${quiz.state}`);
+      return false;
     }
+    console.log(`[SCHEDULER] Locking quiz ${key}`);
+    await QuizService.lockQuiz(quizDate, slot);
+    return true;
+  }
 
-    const now = new Date();
-    const hour = now.getHours();
-    const minute = now.getMinutes();
+  // Payment cutoff reached: snapshot eligible users (LOCKED -> PAYMENT_CLOSED)
+  if (quiz.state === "LOCKED" && now >= paymentCutoffAt && now < startAt) {
+    console.log(`[SCHEDULER] Snapshotting eligible users for ${key}`);
+    await QuizService.snapshotEligibleUsers(quizDate, slot);
+    return true;
+  }
 
-    // Quiz should have ended but still LIVE
-    if (quiz.state === "LIVE" && (hour > 20 || (hour === 20 && minute >= 30))) {
-      console.log(`[RECOVERY] Ending quiz that should have completed for ${today}`);
-      await QuizService.endQuiz(today);
-    }
-    // Quiz should have started but still not LIVE (could be LOCKED or PAYMENT_CLOSED)
-    else if ((quiz.state === "LOCKED" || quiz.state === "PAYMENT_CLOSED") && (hour > 20 || (hour === 20 && minute >= 0))) {
-      console.log(`[RECOVERY] Starting quiz that should be live for ${today}`);
-      await QuizService.startQuiz(today);
+  // Quiz should have started but still not LIVE (could be LOCKED or PAYMENT_CLOSED)
+  if ((quiz.state === "LOCKED" || quiz.state === "PAYMENT_CLOSED") && now >= startAt) {
+    if (now >= endAt) {
+      console.warn(`[SCHEDULER] Quiz ${key} missed its window (ended ${endAt.toISOString()}), not starting`);
+      return false;
     }
-    // Quiz should be locked but still CREATED
-    else if ((quiz.state === "SCHEDULED" || quiz.state === "DRAFT") && (hour > 19 || (hour === 19 && minute >= 50))) {
-      console.log(`[RECOVERY] Locking quiz that should have been locked for ${today}`);
-      await QuizService.lockQuiz(today);
+    if (quiz.state === "LOCKED") {
+      // Cutoff was missed (e.g. downtime) - still snapshot before going live
+      try {
+        await QuizService.snapshotEligibleUsers(quizDate, slot);
+      } catch (err) {
+        console.error(`[SCHEDULER] Late snapshot failed for ${key}:`, err);
+      }
     }
-    // Quiz ended but winners not finalized
-    else if ((quiz.state === "ENDED" || quiz.state === "CLOSED") && !quiz.finalizedAt) {
-      console.log(`[RECOVERY] Finalizing winners for completed quiz ${today}`);
-      await QuizService.finalizeWinners(today);
+    console.log(`[SCHEDULER] Starting quiz ${key}`);
+    await QuizService.startQuiz(quizDate, slot);
+    return true;
+  }
+
+  // Quiz should have ended but still LIVE
+  if (quiz.state === "LIVE" && now >= endAt) {
+    console.log(`[SCHEDULER] Ending quiz ${key}`);
+    await QuizService.endQuiz(quizDate, slot);
+    return true;
+  }
+
+  // Quiz ended but winners not finalized
+  if (quiz.state === "ENDED" && !quiz.finalizedAt) {
+    console.log(`[SCHEDULER] Finalizing winners for completed quiz ${key}`);
+    await QuizService.finalizeWinners(quizDate, slot);
+    return false;
+  }
+
+  return false;
+}
+
+// ===============================
+// Scheduler tick: move every due quiz through its lifecycle
+// ===============================
+let tickInProgress = false;
+
+export async function runScheduledTransitions(now = new Date()) {
+  if (tickInProgress) return;
+  tickInProgress = true;
+
+  try {
+    // Selected by state, not date, so a quiz left LIVE or unfinalized by an
+    // outage of any length is still picked up. Quizzes before LIVE only
+    // matter while their window is open; legacy ones without schedule
+    // fields use the default timings of today or yesterday.
+    const quizzes = await Quiz.find({
+      $or: [
+        { state: "ENDED", finalizedAt: null },
+        { state: "LIVE" },
+        { state: { $in: PRE_LIVE_STATES }, lockAt: { $lte: now }, endAt: { $gt: now } },
+        { state: { $in: PRE_LIVE_STATES }, lockAt: null, quizDate: { $gte: istDate(-1), $lte: istDate(0) } }
+      ]
+    }).select("quizDate slot state lockAt paymentCutoffAt startAt endAt finalizedAt");
+
+    for (const quiz of quizzes) {
+      try {
+        // A late tick (e.g. after downtime) may need several steps in a row
+        for (let step = 0; step < SCHEDULED_STATES.length; step++) {
+          const advanced = await advanceQuiz(quiz, now);
+          if (!advanced) break;
+
+          const fresh = await Quiz.findOne({ quizDate: quiz.quizDate, slot: quiz.slot })
+            .select("quizDate slot state lockAt paymentCutoffAt startAt endAt finalizedAt");
+          if (!fresh || fresh.state === quiz.state) break;
+          quiz.state = fresh.state;
+          quiz.finalizedAt = fresh.finalizedAt;
+        }
+      } catch (err) {
+        console.error(`[SCHEDULER] Error advancing quiz ${quizKey(quiz.quizDate, quiz.slot)}:`, err);
+      }
     }
   } catch (err) {
-    console.error("[QUIZ] Error during crash recovery:", err);
+    console.error("[SCHEDULER] Error running scheduled transitions:", err);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+async function reconcilePayouts() {
+  try {
+    const { reconcileStalePayouts } = await import("../payment/payout.service.js");
+    const counts = await reconcileStalePayouts();
+    if (Object.keys(counts).length) console.log("[SCHEDULER] Reconciled payouts:", counts);
+  } catch (err) {
+    console.error("[SCHEDULER] Error reconciling payouts:", err);
   }
 }
 
+// ===============================
+// Recover quiz state on server start
+// ===============================
+export async function recoverQuizState() {
+  await runScheduledTransitions();
+}
+
 // ===============================
 // Cron tasks
 // ===============================
@@ -54,81 +149,20 @@ const scheduledTasks = [];
 export function startQuizScheduler() {
   recoverQuizState();
 
-  // 1️⃣ Snapshot eligible users at 19:55 IST
+  // Check every minute; each quiz's own lockAt/paymentCutoffAt/startAt/endAt decide what runs
   scheduledTasks.push(
     cron.schedule(
-      "55 19 * * *",
-      async () => {
-        const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-        try {
-          await QuizService.snapshotEligibleUsers(today);
-          console.log(`[CRON] Eligible users snapshotted for ${today}`);
-        } catch (err) {
-          console.error(`[CRON] Error snapshotting eligible users for ${today}:`, err);
-        }
-      },
+      "* * * * *",
+      () => runScheduledTransitions(),
       { timezone: "Asia/Kolkata" }
     )
   );
 
-  // 2️⃣ Lock quiz at 19:50 IST
+  // Prize payouts whose provider outcome was lost (see payment/payout.service.js)
   scheduledTasks.push(
     cron.schedule(
-      "50 19 * * *",
-      async () => {
-        const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-        try {
-          await QuizService.lockQuiz(today);
-          console.log(`[CRON] Quiz locked for ${today}`);
-        } catch (err) {
-          console.error(`[CRON] Error locking quiz for ${today}:`, err);
-        }
-      },
-      { timezone: "Asia/Kolkata" }
-    )
-  );
-
-  // 3️⃣ Start quiz at 20:00 IST
-  scheduledTasks.push(
-    cron.schedule(
-      "0 20 * * *",
-      async () => {
-        const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-        try {
-          await QuizService.startQuiz(today);
-          console.log(`[CRON] Quiz started for ${today}`);
-        } catch (err) {
-          console.error(`[CRON] Error starting quiz for ${today}:`, err);
-        }
-      },
-      { timezone: "Asia/Kolkata" }
-    )
-  );
-
-  // 4️⃣ End quiz at 20:30 IST
-  scheduledTasks.push(
-    cron.schedule(
-      "30 20 * * *",
-      async () => {
-        const today = new Date().toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
-        try {
-          const quiz = await Quiz.findOne({ quizDate: today });
-          if (!quiz) {
-            console.log(`[CRON] No quiz found for ${today}, skipping endQuiz`);
-            return;
-          }
-
-          if (quiz.state !== "LIVE") {
-            console.log(`[CRON] Quiz ${today} is in state ${quiz.state}, skipping endQuiz`);
-            return;
-          }
-
-          await QuizService.endQuiz(today);
-          console.log(`[CRON] Quiz ended for ${today}`);
-        } catch (err) {
-          console.error(`[CRON] Error ending quiz for ${today}:`, err);
-        }
-      },
+      "*/5 * * * *",
+      () => reconcilePayouts(),
       { timezone: "Asia/Kolkata" }
     )
   );
@@ -0,0 +1,203 @@
+// modules/quiz/quiz.scoring.js
+// Per-quiz scoring modes:
+//   FLAT        - every correct answer is worth 1
+//   POINTS      - a correct answer is worth its Question.points
+//   DIFFICULTY  - a correct answer is worth 1 / 2 / 3 for EASY / MEDIUM / HARD
+//   SPEED_BONUS - Question.points, decaying linearly over the question's
+//                 time limit down to speedBonusMinRatio of the points
+// Optional negative marking deducts a fixed amount per wrong answer
+// (unanswered questions never lose points). The total never goes below 0.
+// Question adjustments made after a dispute are applied on top: voided
+// questions are worth nothing to anyone and do not count towards maxScore.
+// A multi-select answer can earn part of the points (see question.types.js);
+// only a fully correct answer counts towards correctCount, and negative
+// marking applies when an answer earns nothing.
+import { getQuestionTimeLimit } from "./quiz.timing.js";
+import { answerKey, gradeAnswer, toOriginalAnswer } from "./question.types.js";
+
+export const SCORING_MODES = ['FLAT', 'POINTS', 'DIFFICULTY', 'SPEED_BONUS'];
+
+export const DIFFICULTY_POINTS = { EASY: 1, MEDIUM: 2, HARD: 3 };
+
+export const DEFAULT_SCORING = {
+  mode: 'FLAT',
+  negativeMarking: 0,
+  speedBonusMinRatio: 0.5
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Effective scoring config of a quiz; quizzes without one score FLAT.
+ */
+export function getScoringConfig(quiz) {
+  const scoring = quiz?.scoring || {};
+  return {
+    mode: scoring.mode || DEFAULT_SCORING.mode,
+    negativeMarking: scoring.negativeMarking ?? DEFAULT_SCORING.negativeMarking,
+    speedBonusMinRatio: scoring.speedBonusMinRatio ?? DEFAULT_SCORING.speedBonusMinRatio
+  };
+}
+
+/**
+ * Validate admin input and merge it over the current (or default) config.
+ */
+export function buildScoringConfig(input = {}, current = DEFAULT_SCORING) {
+  const scoring = { ...DEFAULT_SCORING, ...current, ...input };
+
+  if (!SCORING_MODES.includes(scoring.mode)) {
+    throw new Error(`Invalid scoring mode. Must be one of: ${SCORING_MODES.join(', ')}`);
+  }
+  if (typeof scoring.negativeMarking !== 'number' || scoring.negativeMarking < 0) {
+    throw new Error('negativeMarking must be a non-negative number');
+  }
+  if (typeof scoring.speedBonusMinRatio !== 'number' || scoring.speedBonusMinRatio < 0 || scoring.speedBonusMinRatio > 1) {
+    throw new Error('speedBonusMinRatio must be between 0 and 1');
+  }
+
+  return {
+    mode: scoring.mode,
+    negativeMarking: scoring.negativeMarking,
+    speedBonusMinRatio: scoring.speedBonusMinRatio
+  };
+}
+
+/**
+ * Dispute adjustment for a question of this quiz, if any.
+ */
+export function getQuestionAdjustment(quiz, questionId) {
+  const id = String(questionId);
+  return (quiz?.questionAdjustments || []).find(a => String(a.question?._id || a.question) === id) || null;
+}
+
+/**
+ * Original option indexes accepted as correct for a question: any one of
+ * them for single-answer types, the full set for MULTI_SELECT.
+ */
+export function acceptedAnswers(quiz, question) {
+  const adjustment = getQuestionAdjustment(quiz, question._id);
+  return adjustment?.status === 'MULTIPLE_ANSWERS' && adjustment.acceptedIndexes?.length
+    ? adjustment.acceptedIndexes
+    : answerKey(question);
+}
+
+/**
+ * Number of questions that still count (not voided).
+ */
+export function scorableQuestionCount(quiz, attempt = null) {
+  // An attempt of a sampling quiz only counts the questions it was shown
+  const questions = attempt?.questionOrder?.length
+    ? attempt.questionOrder.map(i => quiz?.questions?.[i]).filter(Boolean)
+    : quiz?.questions || [];
+  return questions.filter(q => getQuestionAdjustment(quiz, q?._id || q)?.status !== 'VOIDED').length;
+}
+
+// Time the user took on a question: recorded at submit time, or derived
+// from timestamps for attempts made before responseTimesMs existed
+function responseTimeMs(attempt, position) {
+  const recorded = attempt.responseTimesMs?.[position];
+  if (Number.isFinite(recorded)) return recorded;
+
+  const answeredAt = attempt.answerTimestamps?.[position];
+  const sentAt = attempt.questionStartTimes?.[position];
+  if (answeredAt && sentAt) return Math.max(0, new Date(answeredAt) - new Date(sentAt));
+  return null;
+}
+
+// Points a correct answer is worth before any speed decay
+function basePoints(question, mode) {
+  if (mode === 'FLAT') return 1;
+  if (mode === 'DIFFICULTY') return DIFFICULTY_POINTS[question.difficulty] || DIFFICULTY_POINTS.MEDIUM;
+  return question.points || 1;
+}
+
+function correctPoints(question, config, timeMs, limitMs) {
+  const points = basePoints(question, config.mode);
+  if (config.mode !== 'SPEED_BONUS') return points;
+
+  // SPEED_BONUS: no recorded time counts as answering at the buzzer
+  const elapsed = timeMs === null ? 1 : Math.min(1, timeMs / limitMs);
+  return round2(points * (1 - (1 - config.speedBonusMinRatio) * elapsed));
+}
+
+/**
+ * Score an attempt against a quiz whose questions are populated.
+ * Returns the total, the number of correct answers, the best possible score
+ * and a per-question breakdown (by position shown to the user).
+ */
+export function scoreAttempt(quiz, attempt) {
+  const config = getScoringConfig(quiz);
+  const questionOrder = attempt.questionOrder?.length ? attempt.questionOrder : quiz.questions.map((_, i) => i);
+  const optionOrders = attempt.optionOrders || [];
+  const limitSource = attempt.questionTimeLimits?.length ? attempt : quiz;
+
+  const breakdown = [];
+  let total = 0;
+  let correctCount = 0;
+  let maxScore = 0;
+
+  questionOrder.forEach((originalIndex, position) => {
+    const question = quiz.questions[originalIndex];
+    if (!question) return;
+
+    const selected = attempt.answers?.[position];
+    const answered = selected !== undefined && selected !== null && !(Array.isArray(selected) && selected.length === 0);
+    const entry = {
+      position,
+      questionId: question._id,
+      selectedIndex: answered ? selected : null,
+      correct: null,
+      responseTimeMs: null,
+      points: 0
+    };
+
+    if (getQuestionAdjustment(quiz, question._id)?.status === 'VOIDED') {
+      entry.voided = true;
+      breakdown.push(entry);
+      return;
+    }
+
+    maxScore += basePoints(question, config.mode);
+
+    if (answered) {
+      // Map shuffled answer back to original option indexes
+      const originalAnswer = toOriginalAnswer(question, selected, optionOrders[position]);
+      const credit = gradeAnswer(question, originalAnswer, acceptedAnswers(quiz, question));
+
+      entry.correct = credit === 1;
+      entry.credit = credit;
+      entry.responseTimeMs = responseTimeMs(attempt, position);
+
+      if (credit > 0) {
+        if (entry.correct) correctCount++;
+        const points = correctPoints(question, config, entry.responseTimeMs, getQuestionTimeLimit(limitSource, position));
+        entry.points = round2(points * credit);
+      } else if (config.negativeMarking > 0) {
+        entry.points = -config.negativeMarking;
+      }
+    }
+
+    total += entry.points;
+    breakdown.push(entry);
+  });
+
+  return {
+    score: Math.max(0, round2(total)),
+    correctCount,
+    maxScore: round2(maxScore),
+    scoring: config,
+    breakdown
+  };
+}
+
+/**
+ * Percentage of questions answered correctly. Attempts scored before
+ * correctCount existed were FLAT, so their score is the correct count.
+ */
+export function attemptAccuracy(attempt, questionCount) {
+  if (!questionCount) return 0;
+  const correct = attempt.correctCount ?? attempt.score ?? 0;
+  return Math.round((correct / questionCount) * 100);
+}
@@ -4,6 +4,8 @@ import crypto from "crypto";
 import QuizAttempt from "./quizAttempt.model.js";
 import Quiz from "./quiz.model.js";
 import Winner from "./winner.model.js";
+import WinnerRevision from "./winnerRevision.model.js";
+import QuizRanking from "./quizRanking.model.js";
 import QuizProgress from "./quizProgress.model.js";
 import { isUserEligible } from "../payment/payment.service.js";
 import redisClient from "../../config/redis.js";
@@ -17,135 +19,95 @@ import { updateUserStreak, getUserStreakStats } from "../user/streak.service.js"
 import { evaluateEligibilityForWinners } from "./quizEligibility.js";
 import { createQuizAttemptAtomic } from "./quizAttempt.atomic.js";
 import { acquireJoinSlot, releaseJoinSlot } from "./quizJoinQueue.js";
-
-const quizIntervals = new Map();
-const redisFallback = new Map();
-
-export function stopQuizIntervals() {
-  for (const [, interval] of quizIntervals) clearInterval(interval);
-  quizIntervals.clear();
-}
-
-async function redisGetSafe(key, fallback) {
-  try {
-    const v = await redisClient.get(key);
-    return v !== null && v !== undefined ? v : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-async function redisSetSafe(key, value) {
-  try {
-    await redisClient.set(key, value);
-  } catch (e) {
-    console.warn('Redis set failed, using fallback:', e.message);
+import { getQuizSchedule } from "./quiz.schedule.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey, quizRoom, pickQuizForUser } from "./quiz.slot.js";
+import { getQuestionTimeLimit, getQuestionCount, getAttemptQuestionCount } from "./quiz.timing.js";
+import { getCurrentQuestionIndex, getQuestionStartTime, beginQuestionAdvancement, pushQuestionToPlayers } from "./quiz.advancement.js";
+import { scoreAttempt, attemptAccuracy, scorableQuestionCount, acceptedAnswers } from "./quiz.scoring.js";
+import { findQuizWithQuestions } from "./quiz.version.js";
+import { buildOptionOrder } from "./quiz.randomization.js";
+import { parseSubmittedAnswer, toOriginalAnswer, gradeAnswer, presentOptions, presentQuestionMedia } from "./question.types.js";
+import { getUserLocale, localizeQuestion } from "./question.locale.js";
+import { getLatencyGrace } from "./quiz.latency.js";
+import { recordLiveAnswer } from "./quiz.liveStats.js";
+import { replaceQuizRankings, WINNER_COUNT } from "./quiz.ranking.js";
+import { replacePayoutLedger } from "./quiz.prizes.js";
+import { recordProvisionalScore, attemptTimeSoFar, getProvisionalLeaderboard, reconcileProvisionalLeaderboard } from "./quiz.liveLeaderboard.js";
+
+/**
+ * Recompute an attempt's score from its stored answers, optionOrders and the
+ * questions' correctIndex (score is 0 when not eligible). The breakdown is
+ * kept either way so the result can be explained. A previously stored score
+ * that disagrees is recorded as an anti-cheat event. Returns true if the
+ * score changed; the caller saves the attempt.
+ */
+async function rescoreAttempt(attempt, quiz, eligible, context) {
+  const result = scoreAttempt(quiz, attempt);
+  const computedScore = eligible ? result.score : 0;
+
+  // Before the first scoring pass the stored score is the initial 0
+  const previouslyScored = attempt.answersSaved || attempt.score !== 0;
+  const changed = attempt.score !== computedScore;
+
+  if (previouslyScored && changed) {
+    try {
+      await ObservabilityService.recordAntiCheatEvent(attempt.user?._id || attempt.user, quizKey(attempt.quizDate, attempt.slot), 'score_mismatch', {
+        attemptId: attempt._id,
+        storedScore: attempt.score,
+        computedScore,
+        context
+      });
+    } catch (error) {
+      console.error('Failed to record score mismatch:', error);
+    }
   }
-}
-
-export async function getCurrentQuestionIndex(quizDate) {
-  const key = `quiz:${quizDate}:currentQuestionIndex`;
-  const v = await redisGetSafe(key, redisFallback.get(key) ?? '0');
-  const num = parseInt(v, 10);
-  return isNaN(num) ? 0 : num;
-}
-
-export async function setCurrentQuestionIndex(quizDate, index) {
-  const key = `quiz:${quizDate}:currentQuestionIndex`;
-  redisFallback.set(key, String(index));
-  await redisSetSafe(key, String(index));
-}
 
-export async function setQuestionStartTime(quizDate, startTime) {
-  const key = `quiz:${quizDate}:questionStartTime`;
-  redisFallback.set(key, String(startTime));
-  await redisSetSafe(key, String(startTime));
+  attempt.score = computedScore;
+  attempt.correctCount = result.correctCount;
+  attempt.maxScore = result.maxScore;
+  attempt.scoring = result.scoring;
+  attempt.scoreBreakdown = result.breakdown;
+  return changed;
 }
 
-export async function getQuestionStartTime(quizDate) {
-  const key = `quiz:${quizDate}:questionStartTime`;
-  const v = await redisGetSafe(key, redisFallback.get(key) ?? String(Date.now()));
-  const num = parseInt(v, 10);
-  return isNaN(num) ? Date.now() : num;
+// Attempts copy the quiz's limits at join time; older attempts have none
+function questionTimeLimitFor(attempt, quiz, index) {
+  return attempt?.questionTimeLimits?.length
+    ? getQuestionTimeLimit(attempt, index)
+    : getQuestionTimeLimit(quiz, index);
 }
 
-// Recover quiz advancement for live quizzes on server startup
-export async function recoverQuizAdvancement() {
-  try {
-    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-    let quiz = await Quiz.findOne({ quizDate: today });
-    
-    if (!quiz) {
-      console.log(`No quiz found for ${today}`);
-      return;
-    }
-    
-    // Only recover advancement for quizzes that are already LIVE
-    // Don't automatically start SCHEDULED quizzes on server startup
-    if (quiz.state !== 'LIVE') {
-      console.log(`Quiz for ${today} is in ${quiz.state} state, not starting automatically`);
-      return;
-    }
-    
-    // Quiz is already live, recover advancement
-    console.log(`Recovering quiz advancement for ${today}`);
-    
-    // Check if advancement is already running
-    if (quizIntervals.has(today)) {
-      console.log(`Advancement already running for ${today}`);
-      return;
-    }
-    
-    // Get current global index
-    const currentIndex = await getCurrentQuestionIndex(today);
-    console.log(`Resuming advancement from question index ${currentIndex} for ${today}`);
-    
-    // Resume advancement
-    const interval = setInterval(async () => {
-      try {
-        const current = await getCurrentQuestionIndex(today);
-        console.log(`Quiz ${today}: Current question index: ${current}`);
-        if (current < 49) {
-          const nextIndex = current + 1;
-          await setCurrentQuestionIndex(today, nextIndex);
-          await setQuestionStartTime(today, Date.now());
-          console.log(`Quiz ${today}: Advanced to question index: ${nextIndex}`);
-          // Emit to quiz room clients
-          if (global.io) {
-            global.io.to(`quiz-${today}`).emit('question-advanced', { 
-              quizDate: today, 
-              currentQuestionIndex: nextIndex,
-              timestamp: new Date().toISOString()
-            });
-          }
-        } else {
-          console.log(`Quiz ${today}: Reached final question, stopping advancement`);
-          // Quiz finished advancing - end the quiz
-          clearInterval(interval);
-          quizIntervals.delete(today);
-          
-          // End the quiz automatically when it reaches the final question
-          try {
-            await endQuiz(today);
-            console.log(`Quiz ${today}: Automatically ended after reaching final question`);
-          } catch (error) {
-            console.error(`Error ending quiz ${today}:`, error);
-          }
-        }
-      } catch (error) {
-        console.error('Error advancing question:', error);
-      }
-    }, 15000);
-    
-    quizIntervals.set(today, interval);
-    console.log(`Quiz advancement recovered for ${today}`);
-  } catch (error) {
-    console.error('Error recovering quiz advancement:', error);
-  }
+// Append the winner list just persisted to the quiz's revision history
+async function recordWinnerRevision(quiz, winners, revision, session = null) {
+  const { quizDate } = quiz;
+  const slot = quiz.slot || DEFAULT_SLOT;
+  const previous = await WinnerRevision.countDocuments({ quizDate, slot }, { session });
+
+  await WinnerRevision.create([{
+    quizDate,
+    slot,
+    revision: previous + 1,
+    trigger: revision.trigger,
+    reason: revision.reason,
+    createdBy: revision.adminId || null,
+    questionAdjustments: (quiz.questionAdjustments || []).map(a => ({
+      question: String(a.question?._id || a.question),
+      status: a.status,
+      acceptedIndexes: a.acceptedIndexes,
+      reason: a.reason
+    })),
+    winners: winners.map(w => ({
+      user: w.user?._id || w.user,
+      rank: w.rank,
+      score: w.score,
+      accuracy: w.accuracy,
+      correctCount: w.correctCount,
+      maxScore: w.maxScore,
+      totalTimeMs: w.totalTimeMs
+    }))
+  }], { session });
 }
 
-
-
 function sortAttemptsDeterministic(a, b) {
   if (b.attempt.score !== a.attempt.score) return b.attempt.score - a.attempt.score;
   if (a.attempt.totalTimeMs !== b.attempt.totalTimeMs) return a.attempt.totalTimeMs - b.attempt.totalTimeMs;
@@ -155,30 +117,14 @@ function sortAttemptsDeterministic(a, b) {
   return String(a.attempt._id).localeCompare(String(b.attempt._id));
 }
 
-function shuffleArray(array, seed) {
-  const shuffled = [...array];
-  // Use crypto-based RNG seeded with userId + quizDate for deterministic per-user shuffling
-  const random = () => {
-    // Create deterministic but seemingly random sequence per user
-    seed = (seed * 9301 + 49297) % 233280;
-    return seed / 233280;
-  };
-  
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
-export async function createQuizAttempt(userId, quizDate, deviceInfo = {}) {
+export async function createQuizAttempt(userId, quizDate, deviceInfo = {}, slot = DEFAULT_SLOT) {
   try {
-    const slot = await acquireJoinSlot(quizDate);
-    if (!slot.allowed) {
+    const joinSlot = await acquireJoinSlot(quizDate);
+    if (!joinSlot.allowed) {
       throw new Error('Quiz is very busy. Please retry in a moment.');
     }
     try {
-      return await createQuizAttemptAtomic(userId, quizDate, deviceInfo);
+      return await createQuizAttemptAtomic(userId, quizDate, deviceInfo, slot);
     } finally {
       await releaseJoinSlot(quizDate);
     }
@@ -188,26 +134,29 @@ export async function createQuizAttempt(userId, quizDate, deviceInfo = {}) {
   }
 }
 
-export async function finalizeQuizAttempt(userId, quizDate) {
+export async function finalizeQuizAttempt(userId, quizDate, slot = DEFAULT_SLOT) {
   try {
-    const attempt = await QuizAttempt.findOne({ user: userId, quizDate });
+    slot = normalizeSlot(slot);
+    const attempt = await QuizAttempt.findOne({ user: userId, quizDate, slot });
     if (!attempt) throw new Error('No attempt found');
 
     if (attempt.finalizedAt) {
       return attempt;
     }
+
+    const quiz = await findQuizWithQuestions({ quizDate, slot });
+    if (!quiz) {
+      throw new Error('Quiz not found');
+    }
     
     if (attempt.answersSaved) {
+      // Already scored - verify the stored score before sealing it
+      await rescoreAttempt(attempt, quiz, attempt.isEligible, 'finalize');
       attempt.finalizedAt = new Date();
       await attempt.save();
       return attempt;
     }
 
-    const quiz = await Quiz.findOne({ quizDate }).populate('questions');
-    if (!quiz) {
-      throw new Error('Quiz not found');
-    }
-
     // B2: Use eligibility snapshot from quiz start (frozen at attempt creation)
     let eligibility;
     if (attempt.eligibilitySnapshot) {
@@ -221,43 +170,13 @@ export async function finalizeQuizAttempt(userId, quizDate) {
       // Fallback: evaluate eligibility if snapshot missing (backward compatibility)
       const [user, payment] = await Promise.all([
         mongoose.model('User').findById(userId),
-        mongoose.model('Payment').findOne({ user: userId, quizDate, status: 'SUCCESS' })
+        mongoose.model('Payment').findOne({ user: userId, quizDate, slot, status: 'SUCCESS' })
       ]);
       eligibility = evaluateEligibility({ user, payment, quiz });
     }
 
     // Calculate score - but set to 0 if not eligible
-    // Map shuffled answers back to original question order
-    let score = 0;
-    if (eligibility.eligible) {
-      const questionOrder = attempt.questionOrder || quiz.questions.map((_, i) => i);
-      const optionOrders = attempt.optionOrders || [];
-      
-      quiz.questions.forEach((originalQuestion, originalIndex) => {
-        // Find which shuffled question index this original question is at
-        const shuffledIndex = questionOrder.indexOf(originalIndex);
-        
-        if (shuffledIndex >= 0 && attempt.answers[shuffledIndex] !== undefined) {
-          // Get shuffled answer
-          const shuffledAnswer = attempt.answers[shuffledIndex];
-          
-          // Map shuffled answer back to original option index
-          if (optionOrders[shuffledIndex] && optionOrders[shuffledIndex].length === 4) {
-            const originalAnswerIndex = optionOrders[shuffledIndex][shuffledAnswer];
-            if (originalAnswerIndex === originalQuestion.correctIndex) {
-              score++;
-            }
-          } else {
-            // Fallback: if no option order, assume answer is already in original order
-            if (shuffledAnswer === originalQuestion.correctIndex) {
-              score++;
-            }
-          }
-        }
-      });
-    }
-
-    attempt.score = score;
+    await rescoreAttempt(attempt, quiz, eligibility.eligible, 'finalize');
     attempt.answersSaved = true;
     attempt.isEligible = eligibility.eligible;
     attempt.counted = eligibility.eligible;
@@ -272,9 +191,10 @@ export async function finalizeQuizAttempt(userId, quizDate) {
     try {
       await sendQuizCompletionNotification(userId, {
         score: attempt.score,
-        totalQuestions: quiz.questions.length,
+        totalQuestions: getAttemptQuestionCount(attempt),
         counted: attempt.counted,
-        quizDate
+        quizDate,
+        slot
       });
     } catch (notificationError) {
       console.error('Failed to send quiz completion notification:', notificationError);
@@ -288,14 +208,16 @@ export async function finalizeQuizAttempt(userId, quizDate) {
   }
 }
 
-export async function getLeaderboard(quizDate) {
+export async function getLeaderboard(quizDate, slot = DEFAULT_SLOT) {
   try {
+    slot = normalizeSlot(slot);
+
     // Global eligibility enforcement: only show leaderboard if quiz has ended
-    if (!(await isQuizClosed(quizDate))) {
+    if (!(await isQuizClosed(quizDate, slot))) {
       throw new Error('Leaderboard not available until quiz ends');
     }
 
-    const cacheKey = `leaderboard:${quizDate}`;
+    const cacheKey = `leaderboard:${quizKey(quizDate, slot)}`;
     let cached = await redisGet(cacheKey);
     if (cached) {
       try {
@@ -310,7 +232,7 @@ export async function getLeaderboard(quizDate) {
       }
     }
 
-    const winners = await Winner.find({ quizDate })
+    const winners = await Winner.find({ quizDate, slot })
       .sort({ rank: 1 })
       .populate('user', 'name phone profilePicture')
       .select('user rank score totalTimeMs');
@@ -324,13 +246,45 @@ export async function getLeaderboard(quizDate) {
   }
 }
 
+/**
+ * Provisional leaderboard of a LIVE quiz (quiz.liveLeaderboard.js), with the
+ * player's own rank when `userId` is given. Null when the quiz is not live.
+ */
+export async function getLiveLeaderboard(quizDate, slot = DEFAULT_SLOT, { limit, userId = null } = {}) {
+  slot = normalizeSlot(slot);
+  if (!(await isQuizLive(quizDate, slot))) return null;
+  return getProvisionalLeaderboard(quizDate, slot, { limit, userId });
+}
+
+// Winners are authoritative; audit how far the live preview was off and drop it
+async function reconcileLiveLeaderboard(quizDate, slot, winners) {
+  try {
+    await reconcileProvisionalLeaderboard(quizDate, slot, winners);
+  } catch (error) {
+    console.error('Error reconciling provisional leaderboard:', error);
+  }
+}
+
+/**
+ * Rank every counted attempt (QuizRanking, see quiz.ranking.js), take the
+ * top WINNER_COUNT and replace the quiz's Winner documents and prize payout
+ * ledger (quiz.prizes.js), then reconcile the provisional live leaderboard. Finalized quizzes are only recomputed in
+ * disasterMode or with options.revision (a rescore after a question
+ * adjustment); every computation is stored as a WinnerRevision with
+ * options.revision.reason.
+ */
 export async function calculateAndPersistWinners(quizDate, options = {}) {
   const { disasterMode = false, adminId = null } = options;
-  const quiz = await Quiz.findOne({ quizDate });
+  const slot = normalizeSlot(options.slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) throw new Error('Quiz not found');
 
-  if (['FINALIZED', 'RESULT_PUBLISHED'].includes(quiz.state) && !disasterMode) {
-    return Winner.find({ quizDate }).sort({ rank: 1 }).populate('user');
+  const revision = options.revision || (disasterMode
+    ? { trigger: 'DISASTER_RECOVERY', reason: 'Disaster recovery recompute', adminId }
+    : { trigger: 'FINALIZE', reason: 'Winners calculated at finalization' });
+
+  if (['FINALIZED', 'RESULT_PUBLISHED'].includes(quiz.state) && !disasterMode && !options.revision) {
+    return Winner.find({ quizDate, slot }).sort({ rank: 1 }).populate('user');
   }
 
   if (disasterMode && adminId) {
@@ -339,24 +293,26 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
     if (admin?.role !== 'SUPER_ADMIN') {
       throw new Error('Only SUPER_ADMIN can run disaster recovery');
     }
-    await logAdminAction(adminId, 'DISASTER_RECOVERY', 'QUIZ', quizDate, { action: 'recompute_winners' }, null);
+    await logAdminAction(adminId, 'DISASTER_RECOVERY', 'QUIZ', quizKey(quizDate, slot), { action: 'recompute_winners', slot }, null);
   }
 
   if (process.env.NODE_ENV === 'test') {
     // Idempotent: delete any existing winners first to ensure clean state
-    await Winner.deleteMany({ quizDate });
+    await Winner.deleteMany({ quizDate, slot });
 
     // Get quiz for snapshot
-    const quiz = await Quiz.findOne({ quizDate }).populate('questions');
+    const quiz = await findQuizWithQuestions({ quizDate, slot });
     if (!quiz) {
       throw new Error('Quiz not found');
     }
 
     // Create quiz snapshot for forensic integrity
+    // The frozen version's hash when there is one (see quiz.version.js).
+    // Hashes cover the English content only, so they do not depend on language.
     const quizSnapshot = {
-      version: crypto.createHash('sha256').update(JSON.stringify({
+      version: quiz.versionHash || crypto.createHash('sha256').update(JSON.stringify({
         quizDate: quiz.quizDate,
-        questions: quiz.questions,
+        questions: quiz.questions.map(({ translations, ...question }) => question),
         createdAt: quiz.createdAt
       })).digest('hex'),
       questionCount: quiz.questions.length,
@@ -370,16 +326,22 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
       createdAt: quiz.createdAt
     };
 
-    const allAttempts = await QuizAttempt.find({ quizDate, answersSaved: true })
+    const allAttempts = await QuizAttempt.find({ quizDate, slot, answersSaved: true })
       .populate('user')
       .sort({ score: -1, totalTimeMs: 1, completedAt: 1, _id: 1 });
 
     // Filter attempts using centralized eligibility check
     const eligibleAttempts = [];
     for (const attempt of allAttempts) {
+      // Never trust the stored score - recompute it from the answers
+      if (await rescoreAttempt(attempt, quiz, attempt.isEligible, 'winners')) {
+        await attempt.save();
+      }
+
       const payment = await mongoose.model('Payment').findOne({
         user: attempt.user._id,
         quizDate,
+        slot,
         status: 'SUCCESS'
       });
 
@@ -401,34 +363,48 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
 
     eligibleAttempts.sort(sortAttemptsDeterministic);
 
-    const topAttempts = eligibleAttempts.slice(0, 20);
+    // Every counted attempt gets a rank; the first WINNER_COUNT are the winners
+    await replaceQuizRankings(quiz, eligibleAttempts.map(e => e.attempt), { winnerCount: WINNER_COUNT });
+    const topAttempts = eligibleAttempts.slice(0, WINNER_COUNT);
 
-    if (!topAttempts.length) return [];
+    if (!topAttempts.length) {
+      await replacePayoutLedger(quiz, []);
+      await recordWinnerRevision(quiz, [], revision);
+      await reconcileLiveLeaderboard(quizDate, slot, []);
+      return [];
+    }
 
     const winners = topAttempts.map((eligibleAttempt, index) => {
       const attempt = eligibleAttempt.attempt;
       // Create attempt snapshot for dispute resolution
       const attemptSnapshot = {
         answersHash: crypto.createHash('sha256').update(JSON.stringify(attempt.answers)).digest('hex'),
-        questionOrder: attempt.questionHashes ? attempt.questionHashes.map((_, i) => i) : [], // Sequential for now
+        questionOrder: attempt.questionOrder || [],
         answerTimestamps: attempt.answerTimestamps || [],
-        finalizedAt: attempt.updatedAt
+        finalizedAt: attempt.updatedAt,
+        scoring: attempt.scoring,
+        scoreBreakdown: attempt.scoreBreakdown
       };
 
       return {
         quizDate,
+        slot,
         user: attempt.user,
         rank: index + 1,
         score: attempt.score,
-        accuracy: Math.round((attempt.score / 50) * 100),
+        accuracy: attemptAccuracy(attempt, scorableQuestionCount(quiz, attempt)),
+        correctCount: attempt.correctCount,
+        maxScore: attempt.maxScore,
         totalTimeMs: attempt.totalTimeMs,
         quizSnapshot,
         attemptSnapshot
       };
     });
 
-    // Insert winners
-    await Winner.insertMany(winners);
+    // Insert winners and their prizes (quiz.prizes.js)
+    const insertedWinners = await Winner.insertMany(winners);
+    await replacePayoutLedger(quiz, insertedWinners);
+    await recordWinnerRevision(quiz, winners, revision);
 
     // Process referral rewards for participants
     try {
@@ -483,6 +459,7 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
       // Don't fail finalization for reward processing errors
     }
 
+    await reconcileLiveLeaderboard(quizDate, slot, winners);
     return winners;
   }
 
@@ -492,19 +469,21 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
 
   try {
     // Idempotent: delete any existing winners first to ensure clean state
-    await Winner.deleteMany({ quizDate }, { session });
+    await Winner.deleteMany({ quizDate, slot }, { session });
 
     // Get quiz for snapshot
-    const quiz = await Quiz.findOne({ quizDate }, null, { session });
+    const quiz = await findQuizWithQuestions({ quizDate, slot }, { session });
     if (!quiz) {
       throw new Error('Quiz not found');
     }
 
     // Create quiz snapshot for forensic integrity
+    // The frozen version's hash when there is one (see quiz.version.js).
+    // Hashes cover the English content only, so they do not depend on language.
     const quizSnapshot = {
-      version: crypto.createHash('sha256').update(JSON.stringify({
+      version: quiz.versionHash || crypto.createHash('sha256').update(JSON.stringify({
         quizDate: quiz.quizDate,
-        questions: quiz.questions,
+        questions: quiz.questions.map(({ translations, ...question }) => question),
         createdAt: quiz.createdAt
       })).digest('hex'),
       questionCount: quiz.questions.length,
@@ -518,16 +497,22 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
       createdAt: quiz.createdAt
     };
 
-    const allAttempts = await QuizAttempt.find({ quizDate, answersSaved: true }, null, { session })
+    const allAttempts = await QuizAttempt.find({ quizDate, slot, answersSaved: true }, null, { session })
       .populate('user')
       .sort({ score: -1, totalTimeMs: 1, completedAt: 1, _id: 1 });
 
     // Filter attempts using centralized eligibility check
     const eligibleAttempts = [];
     for (const attempt of allAttempts) {
+      // Never trust the stored score - recompute it from the answers
+      if (await rescoreAttempt(attempt, quiz, attempt.isEligible, 'winners')) {
+        await attempt.save({ session });
+      }
+
       const payment = await mongoose.model('Payment').findOne({
         user: attempt.user._id,
         quizDate,
+        slot,
         status: 'SUCCESS'
       }, null, { session });
 
@@ -549,11 +534,16 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
 
     eligibleAttempts.sort(sortAttemptsDeterministic);
 
-    const topAttempts = eligibleAttempts.slice(0, 20);
+    // Every counted attempt gets a rank; the first WINNER_COUNT are the winners
+    await replaceQuizRankings(quiz, eligibleAttempts.map(e => e.attempt), { winnerCount: WINNER_COUNT, session });
+    const topAttempts = eligibleAttempts.slice(0, WINNER_COUNT);
 
     if (!topAttempts.length) {
+      await replacePayoutLedger(quiz, [], { session });
+      await recordWinnerRevision(quiz, [], revision, session);
       await session.commitTransaction();
       session.endSession();
+      await reconcileLiveLeaderboard(quizDate, slot, []);
       return [];
     }
 
@@ -561,20 +551,26 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
       // Create attempt snapshot for dispute resolution
       const attemptSnapshot = {
         answersHash: crypto.createHash('sha256').update(JSON.stringify(attempt.answers)).digest('hex'),
-        questionOrder: attempt.questionHashes ? attempt.questionHashes.map((_, i) => i) : [], // Sequential for now
+        questionOrder: attempt.questionOrder || [],
         answerTimestamps: attempt.answerTimestamps || [],
         finalizedAt: attempt.updatedAt,
         eligibilityReason,
         paymentId: payment ? payment._id : null,
         totalTimeMs: attempt.totalTimeMs,
-        score: attempt.score
+        score: attempt.score,
+        scoring: attempt.scoring,
+        scoreBreakdown: attempt.scoreBreakdown
       };
 
       return {
         quizDate,
+        slot,
         user: attempt.user._id,
         rank: index + 1,
         score: attempt.score,
+        accuracy: attemptAccuracy(attempt, scorableQuestionCount(quiz, attempt)),
+        correctCount: attempt.correctCount,
+        maxScore: attempt.maxScore,
         totalTimeMs: attempt.totalTimeMs,
         quizSnapshot,
         attemptSnapshot,
@@ -582,12 +578,14 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
       };
     });
 
-    // Insert winners
-    await Winner.insertMany(winners, { session });
+    // Insert winners and their prizes (quiz.prizes.js)
+    const insertedWinners = await Winner.insertMany(winners, { session });
+    await replacePayoutLedger(quiz, insertedWinners, { session });
+    await recordWinnerRevision(quiz, winners, revision, session);
 
-    // Atomic state transition within transaction
+    // Atomic state transition within transaction (a rescore keeps published results published)
     await Quiz.updateOne(
-      { quizDate },
+      { quizDate, slot, state: { $ne: 'RESULT_PUBLISHED' } },
       { $set: { state: 'FINALIZED', finalizedAt: new Date() } },
       { session }
     );
@@ -595,6 +593,7 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
     await session.commitTransaction();
     session.endSession();
 
+    await reconcileLiveLeaderboard(quizDate, slot, winners);
     return winners;
   } catch (error) {
     await session.abortTransaction();
@@ -603,55 +602,58 @@ export async function calculateAndPersistWinners(quizDate, options = {}) {
   }
 }
 
-export async function finalizeWinners(quizDate) {
+export async function finalizeWinners(quizDate, slot = DEFAULT_SLOT) {
   const startTime = Date.now();
+  slot = normalizeSlot(slot);
+  const key = quizKey(quizDate, slot);
 
   // B3: Redis fencing to prevent double finalization (idempotency)
-  const token = await redisClient.incr(`quiz:${quizDate}:finalize`);
+  const token = await redisClient.incr(`quiz:${key}:finalize`);
   if (token !== 1) {
-    console.log(`Finalize already running for ${quizDate}, token: ${token}`);
-    await ObservabilityService.recordRedisFencingFailure(quizDate, 'finalize');
+    console.log(`Finalize already running for ${key}, token: ${token}`);
+    await ObservabilityService.recordRedisFencingFailure(key, 'finalize');
     return;
   }
 
   try {
     // Ensure quiz is in ENDED state before finalizing
-    const quiz = await Quiz.findOne({ quizDate });
+    const quiz = await Quiz.findOne({ quizDate, slot });
     if (!quiz) {
       throw new Error('Quiz not found');
     }
 
     // A3: Atomic state transition - ensure quiz is ENDED
     if (quiz.state !== 'ENDED') {
-      await transitionQuiz(quizDate, 'ENDED');
+      await transitionQuiz(quizDate, 'ENDED', null, slot);
     }
 
     // B3: Check if already finalized (idempotency check)
     if (quiz.state === 'FINALIZED' || quiz.state === 'RESULT_PUBLISHED') {
-      console.log(`Quiz ${quizDate} already finalized, skipping`);
+      console.log(`Quiz ${key} already finalized, skipping`);
       return;
     }
 
     // Check if quiz can transition to FINALIZED
-    if (!(await canTransition(quizDate, null, 'FINALIZED'))) {
+    if (!(await canTransition(quizDate, null, 'FINALIZED', slot))) {
       return;
     }
 
     // Calculate and persist winners using isolated function
-    const winners = await calculateAndPersistWinners(quizDate);
+    const winners = await calculateAndPersistWinners(quizDate, { slot });
 
     // Comprehensive audit logging for winners
     if (winners.length > 0) {
       // Get all attempts for detailed audit
       const allAttempts = await QuizAttempt.find({
         quizDate,
+        slot,
         answersSaved: true
       })
         .populate('user', 'name phone')
         .sort({ score: -1, totalTimeMs: 1 });
 
       const eligibleAttempts = allAttempts.filter(attempt => attempt.counted);
-      const top20Attempts = eligibleAttempts.slice(0, 20);
+      const top20Attempts = eligibleAttempts.slice(0, WINNER_COUNT);
 
       // Log detailed winner calculation audit
       const auditData = {
@@ -691,13 +693,14 @@ export async function finalizeWinners(quizDate) {
         fencingToken: token
       };
 
-      await logAdminAction(null, 'WINNERS_CALCULATED', 'QUIZ', quizDate, auditData, null);
+      await logAdminAction(null, 'WINNERS_CALCULATED', 'QUIZ', key, auditData, null);
     }
 
     // Update streaks for all participants
     try {
       const allParticipants = await QuizAttempt.find({
         quizDate,
+        slot,
         answersSaved: true,
         counted: true
       }).distinct('user');
@@ -711,50 +714,46 @@ export async function finalizeWinners(quizDate) {
     }
 
     // State already set to FINALIZED in calculateAndPersistWinners transaction
-    await logAdminAction(null, 'QUIZ_STATE_CHANGE', 'QUIZ', quizDate, {
-      fromState: 'ENDED', toState: 'FINALIZED', triggeredBy: 'SYSTEM'
+    await logAdminAction(null, 'QUIZ_STATE_CHANGE', 'QUIZ', key, {
+      slot, fromState: 'ENDED', toState: 'FINALIZED', triggeredBy: 'SYSTEM'
     }, null);
-    await ObservabilityService.recordQuizStateChange(quizDate, 'ENDED', 'FINALIZED', {});
+    await ObservabilityService.recordQuizStateChange(key, 'ENDED', 'FINALIZED', {});
     if (global.io) {
-      global.io.to(`quiz-${quizDate}`).emit('quiz-state-changed', {
-        quizDate, fromState: 'ENDED', toState: 'FINALIZED',
+      global.io.to(quizRoom(quizDate, slot)).emit('quiz-state-changed', {
+        quizDate, slot, fromState: 'ENDED', toState: 'FINALIZED',
         timestamp: new Date().toISOString()
       });
     }
 
     // Record successful finalization latency
     const latency = Date.now() - startTime;
-    await ObservabilityService.recordFinalizeLatency(quizDate, latency, true);
+    await ObservabilityService.recordFinalizeLatency(key, latency, true);
 
   } catch (error) {
     // Record failed finalization latency
     const latency = Date.now() - startTime;
-    await ObservabilityService.recordFinalizeLatency(quizDate, latency, false);
+    await ObservabilityService.recordFinalizeLatency(key, latency, false);
 
     console.error('Error finalizing winners:', error);
     throw error;
   }
 }
 
-export async function getTodayQuiz(date, userId = null) {
+export async function getTodayQuiz(date, userId = null, slot = undefined) {
   try {
-    const quiz = await Quiz.findOne({ quizDate: date });
-    
-    // If user provided, check class grade matching
-    if (quiz && userId && quiz.classGrade && quiz.classGrade !== 'ALL') {
+    // An explicit slot narrows the choice to that quiz
+    const filter = { quizDate: date };
+    if (slot !== undefined) filter.slot = normalizeSlot(slot);
+    const quizzes = await Quiz.find(filter);
+
+    // If user provided, pick the quiz matching their class grade
+    let user = null;
+    if (userId) {
       const User = (await import('../user/user.model.js')).default;
-      const user = await User.findById(userId).select('class');
-      if (user && user.class) {
-        // Map user's class to quiz classGrade format
-        const userClassGrade = user.class === '10' ? '10th' : user.class === '12' ? '12th' : 'Other';
-        if (userClassGrade !== quiz.classGrade) {
-          // User is not eligible for this quiz class
-          return null;
-        }
-      }
+      user = await User.findById(userId).select('class');
     }
-    
-    return quiz;
+
+    return pickQuizForUser(quizzes, user);
   } catch (error) {
     console.error('Error getting today quiz:', error);
     throw error;
@@ -763,29 +762,32 @@ export async function getTodayQuiz(date, userId = null) {
 
 // Additional functions for quiz state management
 
-export async function getQuizStatus(quizDate, userId) {
+export async function getQuizStatus(quizDate, userId, slot = DEFAULT_SLOT) {
   try {
+    slot = normalizeSlot(slot);
+
     // Get user, payment, quiz
     const [user, payment, quiz] = await Promise.all([
       mongoose.model('User').findById(userId),
-      mongoose.model('Payment').findOne({ user: userId, quizDate, status: 'SUCCESS' }),
-      Quiz.findOne({ quizDate })
+      mongoose.model('Payment').findOne({ user: userId, quizDate, slot, status: 'SUCCESS' }),
+      Quiz.findOne({ quizDate, slot })
     ]);
 
     // Evaluate eligibility
     const eligibility = evaluateEligibility({ user, payment, quiz });
 
     // Get user's attempt if exists
-    const attempt = await QuizAttempt.findOne({ user: userId, quizDate }).select('joinedAt score answersSaved answerTimestamps questionStartTimes currentQuestionIndex');
+    const attempt = await QuizAttempt.findOne({ user: userId, quizDate, slot }).select('joinedAt score answersSaved answerTimestamps questionStartTimes currentQuestionIndex');
 
     const status = {
       eligible: eligibility.eligible,
       quiz: quiz ? {
         quizDate: quiz.quizDate,
+        slot: quiz.slot,
         state: quiz.state,
         questionCount: quiz.questions ? quiz.questions.length : 0,
-        startTime: new Date(`${quiz.quizDate}T20:00:00+05:30`), // 8 PM IST
-        endTime: quiz.endTime,
+        startTime: getQuizSchedule(quiz).startAt,
+        endTime: getQuizSchedule(quiz).endAt,
         // DO NOT include questions in status - serve per question for security
         questions: null
       } : null,
@@ -804,15 +806,17 @@ export async function getQuizStatus(quizDate, userId) {
   }
 }
 
-export async function getNextQuestion(userId, quizDate, requestedQuestionIndex) {
+export async function getNextQuestion(userId, quizDate, requestedQuestionIndex, slot = DEFAULT_SLOT) {
   try {
+    slot = normalizeSlot(slot);
+
     // A3: Validate quiz is live - reject if not LIVE
-    if (!(await isQuizLive(quizDate))) {
+    if (!(await isQuizLive(quizDate, slot))) {
       throw new Error('Quiz is not live');
     }
 
     // Get user's attempt
-    const attempt = await QuizAttempt.findOne({ user: userId, quizDate });
+    const attempt = await QuizAttempt.findOne({ user: userId, quizDate, slot });
     if (!attempt) {
       throw new Error('No active attempt found');
     }
@@ -823,7 +827,7 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
 
     // A1: IGNORE client questionIndex - server owns quiz flow
     // Read currentQuestionIndex ONLY from quizAttempt (server-controlled)
-    const globalCurrentIndex = await getCurrentQuestionIndex(quizDate);
+    const globalCurrentIndex = await getCurrentQuestionIndex(quizDate, slot);
     console.log(`User ${userId} requested question ${requestedQuestionIndex} (IGNORED), using server current: ${globalCurrentIndex}, attempt current: ${attempt.currentQuestionIndex}`);
     
     // A1: Update user's current question index to match global (server-controlled)
@@ -843,7 +847,7 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
     }
 
     // Get quiz
-    const quiz = await Quiz.findOne({ quizDate }).select('questions');
+    const quiz = await findQuizWithQuestions({ quizDate, slot });
     if (!quiz || !quiz.questions) {
       throw new Error('Quiz not found');
     }
@@ -855,7 +859,7 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
     const actualQuestionIndex = questionOrder[currentQuestionIndex];
     
     // Validate question index
-    if (currentQuestionIndex < 0 || currentQuestionIndex >= quiz.questions.length) {
+    if (currentQuestionIndex < 0 || currentQuestionIndex >= questionOrder.length) {
       throw new Error('Invalid question index');
     }
     if (actualQuestionIndex < 0 || actualQuestionIndex >= quiz.questions.length) {
@@ -877,11 +881,10 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
     const actualQuestion = quiz.questions[actualQuestionIndex];
     
     // Shuffle options within the question for extra security
-    const optionIndices = shuffleArray([0, 1, 2, 3], userId.toString().charCodeAt(0) + currentQuestionIndex);
-    const shuffledOptions = optionIndices.map(i => actualQuestion.options[i]);
-    const originalCorrectIndex = actualQuestion.correctIndex;
-    const shuffledCorrectIndex = optionIndices.indexOf(originalCorrectIndex);
-    
+    const optionIndices = buildOptionOrder(quiz, userId, currentQuestionIndex, actualQuestion);
+    const { options: shuffledOptions, optionImages } = presentOptions(actualQuestion, optionIndices);
+    const localized = localizeQuestion(actualQuestion, await getUserLocale(userId));
+
     // Store option order for this question
     if (!attempt.optionOrders) attempt.optionOrders = [];
     attempt.optionOrders[currentQuestionIndex] = optionIndices;
@@ -890,11 +893,10 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
       _id: `${quiz._id}_${currentQuestionIndex}`,
       text: actualQuestion.question,
       options: shuffledOptions,
-      originalIndex: actualQuestionIndex,
-      shuffledCorrectIndex: shuffledCorrectIndex
+      originalIndex: actualQuestionIndex
     };
 
-    // Generate question hash for integrity checking (use actual question text)
+    // Generate question hash for integrity checking (English text, whatever the user's language)
     const questionContent = JSON.stringify({
       question: question.text,
       options: question.options,
@@ -915,10 +917,13 @@ export async function getNextQuestion(userId, quizDate, requestedQuestionIndex)
 
     return {
       questionIndex: currentQuestionIndex,
-      question: question.text, // Use text property
-      options: question.options,
+      question: localized.question,
+      locale: localized.locale,
+      ...presentQuestionMedia(actualQuestion),
+      options: presentOptions(localized, optionIndices).options,
+      optionImages,
       questionHash,
-      timeLimitMs: 15000, // 15 seconds per question
+      timeLimitMs: questionTimeLimitFor(attempt, quiz, currentQuestionIndex),
       serverTimestamp: new Date().toISOString(),
       startTime: attempt.questionStartTimes[currentQuestionIndex]?.getTime() || Date.now()
     };
@@ -950,40 +955,61 @@ export async function getUserQuizAnalytics(userId) {
 
     // Calculate statistics
     const totalQuizzes = attempts.length;
+    // Weighted modes score out of maxScore; older (flat) attempts out of the question count
     const totalScore = attempts.reduce((sum, attempt) => sum + attempt.score, 0);
-    const averageScore = Math.round((totalScore / totalQuizzes) * 2); // Convert to percentage out of 50
+    const totalQuestions = attempts.reduce((sum, attempt) => sum + getAttemptQuestionCount(attempt), 0);
+    const totalMaxScore = attempts.reduce((sum, attempt) => sum + (attempt.maxScore ?? getAttemptQuestionCount(attempt)), 0);
+    const averageScore = Math.round((totalScore / totalMaxScore) * 100); // Percentage of the best possible score
 
-    // Get ranks from winners collection
+    // Ranks of every counted attempt (quiz.ranking.js), not just the winners
     const quizDates = attempts.map(a => a.quizDate);
-    const winners = await Winner.find({ quizDate: { $in: quizDates } })
-      .populate('user', 'name username');
+    const rankings = await QuizRanking.find({ user: userId, quizDate: { $in: quizDates } })
+      .select('quizDate slot rank percentile participants isWinner')
+      .lean();
+    const sameQuiz = attempt => r => r.quizDate === attempt.quizDate && (r.slot || DEFAULT_SLOT) === (attempt.slot || DEFAULT_SLOT);
+
+    // Quizzes finalized before rankings were stored only have Winner records
+    const unranked = attempts.filter(a => !rankings.some(sameQuiz(a))).map(a => a.quizDate);
+    const winners = unranked.length
+      ? await Winner.find({ user: userId, quizDate: { $in: unranked } }).select('quizDate slot rank').lean()
+      : [];
+
+    const rankingFor = attempt => {
+      const ranking = rankings.find(sameQuiz(attempt));
+      if (ranking) return ranking;
+      const winner = winners.find(sameQuiz(attempt));
+      return winner ? { rank: winner.rank, percentile: null, participants: null, isWinner: true } : null;
+    };
 
     const quizHistory = attempts.map(attempt => {
-      // Find winner entry for this quiz date
-      const winnerEntry = winners.find(w => w.quizDate === attempt.quizDate && w.user && w.user._id.toString() === userId.toString());
-      const userRank = winnerEntry ? winnerEntry.rank : null;
+      const ranking = rankingFor(attempt);
 
       return {
         date: attempt.quizDate,
+        slot: attempt.slot || DEFAULT_SLOT,
         score: attempt.score,
-        rank: userRank,
+        rank: ranking ? ranking.rank : null,
+        percentile: ranking ? ranking.percentile : null,
+        participants: ranking ? ranking.participants : null,
+        isWinner: ranking ? ranking.isWinner : false,
         timeTaken: attempt.totalTimeMs ? `${Math.round(attempt.totalTimeMs / 1000)}s` : null,
         timeSpent: attempt.totalTimeMs || 0,
-        correctAnswers: attempt.score, // Assuming score = correct answers
-        totalQuestions: 50, // Standard quiz has 50 questions
+        correctAnswers: attempt.correctCount ?? attempt.score, // Flat attempts: score = correct answers
+        maxScore: attempt.maxScore ?? getAttemptQuestionCount(attempt),
+        totalQuestions: getAttemptQuestionCount(attempt),
         counted: attempt.counted
       };
     });
 
-    const bestRank = Math.min(...quizHistory.filter(h => h.rank).map(h => h.rank));
-    const totalCorrect = attempts.reduce((sum, attempt) => sum + attempt.score, 0);
-    const totalQuestions = totalQuizzes * 50; // Assuming 50 questions per quiz
+    const ranks = quizHistory.filter(h => h.rank).map(h => h.rank);
+    const bestRank = ranks.length ? Math.min(...ranks) : null;
+    const totalCorrect = attempts.reduce((sum, attempt) => sum + (attempt.correctCount ?? attempt.score), 0);
 
     // Generate achievements
     const achievements = [];
     if (totalQuizzes >= 1) achievements.push({ icon: '🎯', title: 'First Quiz', description: 'Completed your first quiz' });
     if (averageScore >= 70) achievements.push({ icon: '🏆', title: 'High Scorer', description: 'Average score above 70%' });
-    if (bestRank && bestRank <= 20) achievements.push({ icon: '⭐', title: 'Top 20', description: 'Ranked in top 20 at least once' });
+    if (bestRank && bestRank <= WINNER_COUNT) achievements.push({ icon: '⭐', title: 'Top 20', description: 'Ranked in top 20 at least once' });
     if (totalQuizzes >= 10) achievements.push({ icon: '🔥', title: 'Regular', description: 'Completed 10 quizzes' });
     if (totalCorrect >= 500) achievements.push({ icon: '🎖️', title: 'Expert', description: 'Answered 500+ questions correctly' });
 
@@ -1002,7 +1028,9 @@ export async function getUserQuizAnalytics(userId) {
   }
 }
 
-export async function saveQuizProgress(userId, quizDate, progressData) {
+// Progress is only a client resume aid; scoring always uses the answers the
+// server recorded on the attempt (see rescoreAttempt)
+export async function saveQuizProgress(userId, quizDate, progressData, slot = DEFAULT_SLOT) {
   try {
     const sanitized = { lastActivity: new Date() };
     if (typeof progressData.currentQuestionIndex === 'number') sanitized.currentQuestionIndex = progressData.currentQuestionIndex;
@@ -1012,7 +1040,7 @@ export async function saveQuizProgress(userId, quizDate, progressData) {
       update.$unset = { answerTimestamps: '', questionStartTimes: '', timeRemaining: '' };
     }
     const progress = await QuizProgress.findOneAndUpdate(
-      { user: userId, quizDate },
+      { user: userId, quizDate, slot: normalizeSlot(slot) },
       update,
       { upsert: true, new: true }
     );
@@ -1023,9 +1051,9 @@ export async function saveQuizProgress(userId, quizDate, progressData) {
   }
 }
 
-export async function loadQuizProgress(userId, quizDate) {
+export async function loadQuizProgress(userId, quizDate, slot = DEFAULT_SLOT) {
   try {
-    const progress = await QuizProgress.findOne({ user: userId, quizDate });
+    const progress = await QuizProgress.findOne({ user: userId, quizDate, slot: normalizeSlot(slot) });
     return progress;
   } catch (error) {
     console.error('Error loading quiz progress:', error);
@@ -1033,9 +1061,9 @@ export async function loadQuizProgress(userId, quizDate) {
   }
 }
 
-export async function clearQuizProgress(userId, quizDate) {
+export async function clearQuizProgress(userId, quizDate, slot = DEFAULT_SLOT) {
   try {
-    await QuizProgress.deleteOne({ user: userId, quizDate });
+    await QuizProgress.deleteOne({ user: userId, quizDate, slot: normalizeSlot(slot) });
   } catch (error) {
     console.error('Error clearing quiz progress:', error);
     throw error;
@@ -1043,16 +1071,18 @@ export async function clearQuizProgress(userId, quizDate) {
 }
 
 // Quiz lifecycle management functions
-export async function lockQuiz(quizDate) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function lockQuiz(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) throw new Error('Quiz not found');
 
-  await transitionQuiz(quizDate, 'LOCKED');
-  console.log(`Quiz ${quizDate} locked`);
+  await transitionQuiz(quizDate, 'LOCKED', null, slot);
+  console.log(`Quiz ${quizKey(quizDate, slot)} locked`);
 }
 
-export async function snapshotEligibleUsers(quizDate) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function snapshotEligibleUsers(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) throw new Error('Quiz not found');
 
   if (quiz.state !== 'LOCKED') {
@@ -1061,160 +1091,188 @@ export async function snapshotEligibleUsers(quizDate) {
 
   // Get all users who are eligible
   const User = mongoose.model('User');
+  // Users granted eligibility before slots existed have no slot recorded
   const eligibleUsers = await User.find({
     'quizEligibility.isEligible': true,
-    'quizEligibility.eligibleDate': quizDate
+    'quizEligibility.eligibleDate': quizDate,
+    'quizEligibility.slot': slot === DEFAULT_SLOT ? { $in: [slot, null] } : slot
   }).select('_id');
 
   quiz.eligibleUsers = eligibleUsers.map(u => u._id);
   await quiz.save();
 
-  console.log(`[QUIZ] Eligibility snapshotted for ${quizDate}: ${eligibleUsers.length} users`);
+  console.log(`[QUIZ] Eligibility snapshotted for ${quizKey(quizDate, slot)}: ${eligibleUsers.length} users`);
 
   // After snapshotting we officially close payments for the day.
   // Transition state from LOCKED -> PAYMENT_CLOSED. This way
   // quiz state history reflects that no further payments are
   // accepted and eligibility cannot change.
   try {
-    await transitionQuiz(quizDate, 'PAYMENT_CLOSED');
-    console.log(`[QUIZ] State moved to PAYMENT_CLOSED for ${quizDate}`);
+    await transitionQuiz(quizDate, 'PAYMENT_CLOSED', null, slot);
+    console.log(`[QUIZ] State moved to PAYMENT_CLOSED for ${quizKey(quizDate, slot)}`);
   } catch (err) {
-    console.error(`[QUIZ] Failed to transition to PAYMENT_CLOSED for ${quizDate}:`, err);
+    console.error(`[QUIZ] Failed to transition to PAYMENT_CLOSED for ${quizKey(quizDate, slot)}:`, err);
   }
   return quiz;
 }
 
-export async function startQuiz(quizDate) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function startQuiz(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const key = quizKey(quizDate, slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) throw new Error('Quiz not found');
 
-  await transitionQuiz(quizDate, 'LIVE');
-
-  // Set initial question index and start time
-  await setCurrentQuestionIndex(quizDate, 0);
-  await setQuestionStartTime(quizDate, Date.now());
+  // Set initial question index and start time before going LIVE so the
+  // advancement engine never sees a live quiz without them
+  await beginQuestionAdvancement(quizDate, slot);
+  await transitionQuiz(quizDate, 'LIVE', null, slot);
+  pushQuestionToPlayers(quizDate, slot);
 
-  // Start question advancement
-  const interval = setInterval(async () => {
-    try {
-      const current = await getCurrentQuestionIndex(quizDate);
-      if (current < 49) {
-        const nextIndex = current + 1;
-        await setCurrentQuestionIndex(quizDate, nextIndex);
-        await setQuestionStartTime(quizDate, Date.now());
-        // Emit to quiz room clients
-        if (global.io) {
-          global.io.to(`quiz-${quizDate}`).emit('question-advanced', { 
-            quizDate, 
-            currentQuestionIndex: nextIndex,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } else {
-        clearInterval(interval);
-        quizIntervals.delete(quizDate);
-      }
-    } catch (error) {
-      console.error('Error advancing question:', error);
-    }
-  }, 15000);
+  // Usage history feeds the question bank's "recently used" filter
+  try {
+    const { recordQuestionUsage } = await import('./question.service.js');
+    await recordQuestionUsage(quiz);
+  } catch (error) {
+    console.error(`Failed to record question usage for ${key}:`, error);
+  }
 
-  quizIntervals.set(quizDate, interval);
-  console.log(`Quiz ${quizDate} started`);
+  console.log(`Quiz ${key} started`);
 }
 
-export async function endQuiz(quizDate) {
-  const quiz = await Quiz.findOne({ quizDate });
+export async function endQuiz(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const key = quizKey(quizDate, slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
   if (!quiz) {
-    console.log(`[QUIZ] endQuiz skipped — quiz not found for ${quizDate}`);
+    console.log(`[QUIZ] endQuiz skipped — quiz not found for ${key}`);
     return;
   }
 
-  await transitionQuiz(quizDate, 'ENDED');
+  // Once ENDED the advancement engine stops picking the quiz up
+  await transitionQuiz(quizDate, 'ENDED', null, slot);
+
+  // Evaluate winners
+  await calculateAndPersistWinners(quizDate, { slot });
 
-  // Stop advancement
-  const interval = quizIntervals.get(quizDate);
-  if (interval) {
-    clearInterval(interval);
-    quizIntervals.delete(quizDate);
+  // Item analysis for the question bank; failures must not affect results
+  try {
+    const { updateQuizItemAnalytics } = await import('./question.analytics.js');
+    await updateQuizItemAnalytics(quizDate, slot);
+  } catch (error) {
+    console.error(`Failed to compute item analytics for ${key}:`, error);
   }
 
-  // Evaluate winners
-  await calculateAndPersistWinners(quizDate);
+  console.log(`Quiz ${key} ended and evaluated`);
+}
 
-  console.log(`Quiz ${quizDate} ended and evaluated`);
+// Slot of the user's quiz today: explicit slot if given, otherwise the quiz matching their class
+export async function resolveTodaySlot(userId, slot = undefined) {
+  if (slot !== undefined) return normalizeSlot(slot);
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const quiz = await getTodayQuiz(today, userId);
+  return quiz?.slot || DEFAULT_SLOT;
 }
 
-export async function getCurrentQuestion(userId) {
+export async function getCurrentQuestion(userId, slot = undefined) {
   const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
-  const quiz = await Quiz.findOne({ quizDate: today }).populate('questions');
+  slot = await resolveTodaySlot(userId, slot);
+  const quiz = await findQuizWithQuestions({ quizDate: today, slot });
   if (!quiz || quiz.state !== 'LIVE') {
     throw new Error('Quiz not live');
   }
 
-  const currentIndex = await getCurrentQuestionIndex(today);
-  if (currentIndex >= quiz.questions.length) {
+  const currentIndex = await getCurrentQuestionIndex(today, slot);
+  if (currentIndex >= getQuestionCount(quiz)) {
     throw new Error('Quiz ended');
   }
 
   // Get user's attempt to get shuffled question order
-  const attempt = await QuizAttempt.findOne({ user: userId, quizDate: today });
+  const attempt = await QuizAttempt.findOne({ user: userId, quizDate: today, slot });
   if (!attempt) {
     throw new Error('No attempt found');
   }
 
-  const questionOrder = attempt.questionOrder || quiz.questions.map((_, i) => i);
-  const actualQuestionIndex = questionOrder[currentIndex];
-  const question = quiz.questions[actualQuestionIndex];
-
-  // Shuffle options for this user and question
-  const optionIndices = shuffleArray([0, 1, 2, 3], userId.toString().charCodeAt(0) + currentIndex);
-  const shuffledOptions = optionIndices.map(i => question.options[i]);
+  const startTime = await getQuestionStartTime(today, slot);
+  const { payload, optionOrder } = presentCurrentQuestion(quiz, attempt, userId, currentIndex, startTime, await getUserLocale(userId));
 
   // Store option order in attempt if not already stored
   if (!attempt.optionOrders) attempt.optionOrders = [];
   if (!attempt.optionOrders[currentIndex]) {
-    attempt.optionOrders[currentIndex] = optionIndices;
+    attempt.optionOrders[currentIndex] = optionOrder;
     await attempt.save();
   }
 
-  // Calculate expiresAt based on stored start time
-  const startTime = await getQuestionStartTime(today);
-  const expiresAt = new Date(startTime + 15000); // 15 seconds from start
+  return payload;
+}
+
+/**
+ * The current question as one user sees it: their question order, option
+ * shuffle and language. Shared by GET /quiz/current-question and the socket
+ * push (quiz.socket.js). `quiz` must come from findQuizWithQuestions.
+ */
+export function presentCurrentQuestion(quiz, attempt, userId, currentIndex, startTime, locale) {
+  const questionOrder = attempt.questionOrder || quiz.questions.map((_, i) => i);
+  const question = quiz.questions[questionOrder[currentIndex]];
+
+  // Shuffle options for this user and question
+  const optionOrder = buildOptionOrder(quiz, userId, currentIndex, question);
+  const localized = localizeQuestion(question, locale);
+  const { options, optionImages } = presentOptions(localized, optionOrder);
+
+  // expiresAt from the stored start time
+  const timeLimitMs = questionTimeLimitFor(attempt, quiz, currentIndex);
+  const expiresAt = new Date(startTime + timeLimitMs);
 
   return {
-    questionId: question._id,
-    questionIndex: currentIndex + 1, // 1-based for display
-    text: question.question,
-    options: shuffledOptions,
-    expiresAt: expiresAt.toISOString()
+    optionOrder,
+    payload: {
+      questionId: question._id,
+      questionIndex: currentIndex + 1, // 1-based for display
+      text: localized.question,
+      locale: localized.locale,
+      ...presentQuestionMedia(question),
+      options,
+      optionImages,
+      timeLimitMs,
+      expiresAt: expiresAt.toISOString()
+    }
   };
 }
 
-export async function submitAnswer(userId, questionId, selectedOptionIndex, deviceInfo = {}) {
+/**
+ * Record the answer to the current question. `answer` is as shown to the
+ * user: an option index, option indexes for MULTI_SELECT or a number for
+ * NUMERIC (see question.types.js).
+ */
+export async function submitAnswer(userId, questionId, answer, deviceInfo = {}, slot = undefined) {
   const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  slot = await resolveTodaySlot(userId, slot);
+  const key = quizKey(today, slot);
   
   // A3: Lock quiz immediately on state change - reject if not LIVE
-  if (!(await isQuizLive(today))) {
+  if (!(await isQuizLive(today, slot))) {
     throw new Error('Quiz is not live - answers are locked');
   }
 
-  const quiz = await Quiz.findOne({ quizDate: today }).populate('questions');
+  const quiz = await findQuizWithQuestions({ quizDate: today, slot });
   if (!quiz) {
     throw new Error('Quiz not found');
   }
 
-  const attempt = await QuizAttempt.findOne({ user: userId, quizDate: today });
+  const attempt = await QuizAttempt.findOne({ user: userId, quizDate: today, slot });
   if (!attempt) {
     throw new Error('No attempt found');
   }
 
-  // A2: Enforce strict quiz time window - hard cap quiz duration
-  const QUIZ_DURATION_MS = 30 * 60 * 1000; // 30 minutes total
+  // A2: Enforce strict quiz time window - hard cap at the scheduled quiz duration
+  const { startAt, endAt } = getQuizSchedule(quiz);
+  const QUIZ_DURATION_MS = endAt - startAt;
   const now = Date.now();
+  // Extra time for this user's measured network latency (see quiz.latency.js)
+  const { rttMs, graceMs } = await getLatencyGrace(userId);
   if (attempt.quizStartedAt) {
     const elapsed = now - attempt.quizStartedAt.getTime();
-    if (elapsed > QUIZ_DURATION_MS) {
+    if (elapsed > QUIZ_DURATION_MS + graceMs) {
       throw new Error('Quiz time limit exceeded - quiz has ended');
     }
   }
@@ -1225,7 +1283,7 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
     .digest('hex');
   
   if (attempt.lockedDeviceHash && attempt.lockedDeviceHash !== currentDeviceHash) {
-    await ObservabilityService.recordAntiCheatEvent(userId, today, 'device_mismatch', {
+    await ObservabilityService.recordAntiCheatEvent(userId, key, 'device_mismatch', {
       expectedHash: attempt.lockedDeviceHash,
       providedHash: currentDeviceHash,
       deviceId: deviceInfo.deviceId,
@@ -1236,7 +1294,7 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
 
   // Legacy device validation (for backward compatibility)
   if (attempt.deviceId && deviceInfo.deviceId && attempt.deviceId !== deviceInfo.deviceId) {
-    await ObservabilityService.recordAntiCheatEvent(userId, today, 'device_mismatch', {
+    await ObservabilityService.recordAntiCheatEvent(userId, key, 'device_mismatch', {
       expectedDeviceId: attempt.deviceId,
       providedDeviceId: deviceInfo.deviceId,
       ipAddress: deviceInfo.ipAddress
@@ -1244,7 +1302,7 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
     throw new Error('Device mismatch detected - possible cheating attempt');
   }
   if (attempt.deviceFingerprint && deviceInfo.deviceFingerprint && attempt.deviceFingerprint !== deviceInfo.deviceFingerprint) {
-    await ObservabilityService.recordAntiCheatEvent(userId, today, 'device_fingerprint_mismatch', {
+    await ObservabilityService.recordAntiCheatEvent(userId, key, 'device_fingerprint_mismatch', {
       expectedFingerprint: attempt.deviceFingerprint,
       providedFingerprint: deviceInfo.deviceFingerprint,
       ipAddress: deviceInfo.ipAddress
@@ -1253,13 +1311,14 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
   }
 
   // Check if user has paid for today
-  const hasPaid = await isUserEligible(userId, today);
+  const hasPaid = await isUserEligible(userId, today, slot);
 
   // Find the question by _id
   const question = quiz.questions.find(q => q._id.toString() === questionId);
   if (!question) {
     throw new Error('Question not found');
   }
+  const submitted = parseSubmittedAnswer(question, answer);
 
   const questionOrder = attempt.questionOrder || quiz.questions.map((_, i) => i);
   const questionIndex = questionOrder.findIndex(idx => quiz.questions[idx]._id.toString() === questionId);
@@ -1268,37 +1327,43 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
   if (attempt.questionIds && attempt.questionIds[questionIndex]) {
     const expectedId = attempt.questionIds[questionIndex].toString?.() || String(attempt.questionIds[questionIndex]);
     if (expectedId !== String(questionId)) {
-      await ObservabilityService.recordAntiCheatEvent(userId, today, 'question_id_mismatch', { expectedId, providedId: String(questionId) });
+      await ObservabilityService.recordAntiCheatEvent(userId, key, 'question_id_mismatch', { expectedId, providedId: String(questionId) });
       throw new Error('Question identity mismatch - possible exploit');
     }
   }
 
-  // A1: Reject answers if index mismatch - server controls question index
-  const currentIndex = await getCurrentQuestionIndex(today);
-  if (questionIndex !== currentIndex) {
+  // A1: Reject answers if index mismatch - server controls question index.
+  // An answer to the previous question is still taken if it arrives within
+  // the user's latency grace of the advance.
+  const currentIndex = await getCurrentQuestionIndex(today, slot);
+  const currentStartTime = await getQuestionStartTime(today, slot);
+  const answersPrevious = questionIndex === currentIndex - 1 && now - currentStartTime <= graceMs;
+  if (questionIndex !== currentIndex && !answersPrevious) {
     // Question has already advanced - answer is too late
     throw new Error('Question has already advanced. Answer submitted too late.');
   }
   
-  // A2: Per-question max time enforcement - hard cap at 15 seconds
-  const PER_QUESTION_TIME_LIMIT_MS = 15000; // 15 seconds per question
-  const questionStartTime = await getQuestionStartTime(today);
+  // A2: Per-question max time enforcement - hard cap at this question's limit plus latency grace
+  const PER_QUESTION_TIME_LIMIT_MS = questionTimeLimitFor(attempt, quiz, questionIndex);
+  // The engine advances at the deadline, so the previous question started one limit earlier
+  const questionStartTime = answersPrevious ? currentStartTime - PER_QUESTION_TIME_LIMIT_MS : currentStartTime;
   const timeSinceStart = Date.now() - questionStartTime;
-  if (timeSinceStart > PER_QUESTION_TIME_LIMIT_MS) {
+  if (timeSinceStart > PER_QUESTION_TIME_LIMIT_MS + graceMs) {
     throw new Error('Time limit exceeded. Answer submitted too late.');
   }
+  const lateByMs = Math.max(0, timeSinceStart - PER_QUESTION_TIME_LIMIT_MS);
   
   // A2: Also check per-question time from attempt's questionStartTimes
   if (attempt.questionStartTimes && attempt.questionStartTimes[questionIndex]) {
     const questionStart = attempt.questionStartTimes[questionIndex].getTime();
     const questionElapsed = now - questionStart;
-    if (questionElapsed > PER_QUESTION_TIME_LIMIT_MS) {
+    if (questionElapsed > PER_QUESTION_TIME_LIMIT_MS + graceMs) {
       throw new Error('Time limit exceeded for this question.');
     }
   }
 
   // Check if already answered - check both QuizProgress and QuizAttempt
-  const progress = await QuizProgress.findOne({ user: userId, quizDate: today, 'questions.questionId': questionId });
+  const progress = await QuizProgress.findOne({ user: userId, quizDate: today, slot, 'questions.questionId': questionId });
   if (progress && progress.questions.find(q => q.questionId.toString() === questionId)?.answeredAt) {
     return { success: true, alreadyAnswered: true, message: 'Answer already submitted for this question' };
   }
@@ -1315,7 +1380,7 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
     if (timeSinceSent < 2000) { // Less than 2 seconds
       // Record anti-cheat event
       const ObservabilityService = (await import('../monitoring/observability.service.js')).default;
-      await ObservabilityService.recordAntiCheatEvent(userId, today, 'rapid_answer', {
+      await ObservabilityService.recordAntiCheatEvent(userId, key, 'rapid_answer', {
         timeSinceSent,
         questionId,
         deviceInfo
@@ -1327,14 +1392,19 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
   // Record answer
   const answeredAt = new Date();
   
-  // Map shuffled answer back to original
-  const optionOrder = attempt.optionOrders && attempt.optionOrders[questionIndex];
-  let originalSelectedIndex = selectedOptionIndex;
-  if (optionOrder) {
-    originalSelectedIndex = optionOrder[selectedOptionIndex];
+  // Map shuffled answer back to original and grade it by question type. A
+  // question pushed over the socket has no stored order yet; it is the same
+  // deterministic one, so derive and keep it.
+  let optionOrder = attempt.optionOrders && attempt.optionOrders[questionIndex];
+  if (!optionOrder?.length) {
+    optionOrder = buildOptionOrder(quiz, userId, questionIndex, question);
+    if (!attempt.optionOrders) attempt.optionOrders = [];
+    attempt.optionOrders[questionIndex] = optionOrder;
   }
-  
-  const isCorrect = originalSelectedIndex === question.correctIndex;
+  const credit = gradeAnswer(question, toOriginalAnswer(question, submitted, optionOrder), acceptedAnswers(quiz, question));
+  const isCorrect = credit === 1;
+
+  const firstAnswer = !attempt.answers.some(a => a !== null && a !== undefined);
 
   // Save answer to attempt immediately (for all users, paid or not)
   // This prevents duplicate submissions
@@ -1345,15 +1415,35 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
       attempt.answerTimestamps.push(null);
     }
   }
-  attempt.answers[questionIndex] = selectedOptionIndex;
+  attempt.answers[questionIndex] = submitted;
+  attempt.markModified('answers');
   attempt.answerTimestamps[questionIndex] = answeredAt;
+
+  // Time from the question going live, for speed-bonus scoring
+  while (attempt.responseTimesMs.length <= questionIndex) {
+    attempt.responseTimesMs.push(null);
+  }
+  attempt.responseTimesMs[questionIndex] = Math.max(0, answeredAt.getTime() - questionStartTime);
+
+  // Latency grace used past the deadline (0 when on time) and the RTT behind it, for disputes
+  while (attempt.latencyCompensationMs.length <= questionIndex) attempt.latencyCompensationMs.push(null);
+  while (attempt.rttMs.length <= questionIndex) attempt.rttMs.push(null);
+  attempt.latencyCompensationMs[questionIndex] = lateByMs;
+  attempt.rttMs[questionIndex] = rttMs;
   await attempt.save();
 
+  // Live stats feed counters (quiz.liveStats.js)
+  await recordLiveAnswer(today, slot, userId, questionIndex, { credit, countsForScore: hasPaid, firstAnswer });
+  if (hasPaid) {
+    // Provisional leaderboard; the final winners are computed at finalize
+    await recordProvisionalScore(today, slot, userId, scoreAttempt(quiz, attempt).score, attemptTimeSoFar(attempt));
+  }
+
   // Only save progress if user has paid (for scoring) - use server timestamps only
   if (hasPaid) {
-    const questionStart = attempt.questionStartTimes?.[questionIndex] || new Date(Date.now() - 15000);
+    const questionStart = attempt.questionStartTimes?.[questionIndex] || new Date(Date.now() - PER_QUESTION_TIME_LIMIT_MS);
     await QuizProgress.findOneAndUpdate(
-      { user: userId, quizDate: today },
+      { user: userId, quizDate: today, slot },
       {
         $push: {
           questions: {
@@ -1371,9 +1461,115 @@ export async function submitAnswer(userId, questionId, selectedOptionIndex, devi
   return { 
     success: true, 
     isCorrect, 
+    credit,
     countsForScore: hasPaid,
     message: hasPaid 
       ? 'Answer recorded and will count' 
       : 'Answer recorded but will not count without payment'
   };
 }
+
+// Resumes beyond this in one quiz are reported as an anti-cheat event
+export const RECONNECT_ALERT_THRESHOLD = 5;
+
+/**
+ * Everything a client needs to pick up today's quiz after a disconnect, in
+ * one call: the current position, server time and deadline, which positions
+ * the user has already answered and the current question (null once
+ * answered, or when the quiz is not live). Counts the resume on the attempt.
+ */
+export async function resumeQuiz(userId, slot = undefined) {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  slot = await resolveTodaySlot(userId, slot);
+  const key = quizKey(today, slot);
+
+  const quiz = await findQuizWithQuestions({ quizDate: today, slot });
+  if (!quiz) throw new Error('Quiz not found');
+
+  const now = new Date();
+  const attempt = await QuizAttempt.findOneAndUpdate(
+    { user: userId, quizDate: today, slot },
+    { $inc: { reconnectCount: 1 }, $set: { lastReconnectAt: now } },
+    { new: true }
+  );
+  if (!attempt) throw new Error('No attempt found');
+
+  if (attempt.reconnectCount > RECONNECT_ALERT_THRESHOLD) {
+    await ObservabilityService.recordAntiCheatEvent(userId, key, 'excessive_reconnects', {
+      reconnectCount: attempt.reconnectCount
+    });
+  }
+
+  const totalQuestions = getAttemptQuestionCount(attempt);
+  const answeredIndices = (attempt.answers || [])
+    .map((answer, position) => (answer !== null && answer !== undefined ? position : null))
+    .filter(position => position !== null);
+
+  const state = {
+    quizDate: today,
+    slot,
+    state: quiz.state,
+    totalQuestions,
+    answeredIndices,
+    reconnectCount: attempt.reconnectCount,
+    serverTime: now.toISOString(),
+    currentIndex: null,
+    currentAnswered: false,
+    deadline: null,
+    remainingMs: null,
+    question: null
+  };
+
+  const currentIndex = quiz.state === 'LIVE' ? await getCurrentQuestionIndex(today, slot) : null;
+  if (currentIndex === null || currentIndex >= totalQuestions) return state;
+
+  const startTime = await getQuestionStartTime(today, slot);
+  const { payload, optionOrder } = presentCurrentQuestion(quiz, attempt, userId, currentIndex, startTime, await getUserLocale(userId));
+
+  if (!attempt.optionOrders?.[currentIndex]?.length && optionOrder.length) {
+    await QuizAttempt.updateOne({ _id: attempt._id }, { $set: { [`optionOrders.${currentIndex}`]: optionOrder } });
+  }
+
+  const answered = answeredIndices.includes(currentIndex);
+  return {
+    ...state,
+    currentIndex,
+    deadline: payload.expiresAt,
+    remainingMs: Math.max(0, new Date(payload.expiresAt).getTime() - now.getTime()),
+    currentAnswered: answered,
+    question: answered ? null : payload
+  };
+}
+
+/**
+ * Answer today's current question and report eligibility. Shared by POST
+ * /quiz/answer and the socket `answer` event so both behave the same; a
+ * duplicate answer is reported as alreadyAnswered, other rejections throw.
+ */
+export async function answerQuestion(userId, { questionId, answer, deviceInfo = {}, slot = undefined }) {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  slot = await resolveTodaySlot(userId, slot);
+
+  let result;
+  try {
+    result = await submitAnswer(userId, questionId, answer, deviceInfo, slot);
+  } catch (error) {
+    if (error.message.includes('already answered') || error.message.includes('already submitted')) {
+      return { quizDate: today, slot, alreadyAnswered: true };
+    }
+    throw error;
+  }
+
+  const { getEffectiveEligibility } = await import('../payment/payment.service.js');
+  const eligibility = await getEffectiveEligibility(userId, today, slot);
+
+  return {
+    quizDate: today,
+    slot,
+    isCorrect: result.isCorrect,
+    credit: result.credit,
+    countsForScore: result.countsForScore,
+    alreadyAnswered: result.alreadyAnswered || false,
+    eligible: eligibility.eligible
+  };
+}
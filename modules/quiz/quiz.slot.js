@@ -0,0 +1,68 @@
+// modules/quiz/quiz.slot.js
+// Quiz slots allow several quizzes on the same date (e.g. separate 10th and
+// 12th grade quizzes). A quiz is identified by (quizDate, slot). The default
+// slot keeps the original date-only Redis keys and socket room names so
+// existing clients and records keep working.
+
+export const DEFAULT_SLOT = 'MAIN';
+
+// Slot names after normalizeSlot (trimmed, upper-cased)
+export const SLOT_PATTERN = /^[A-Z0-9_-]{1,32}$/;
+
+export function normalizeSlot(slot) {
+  if (slot === undefined || slot === null || slot === '') return DEFAULT_SLOT;
+  const normalized = String(slot).trim().toUpperCase();
+  if (!SLOT_PATTERN.test(normalized)) {
+    throw new Error(`Invalid quiz slot: ${slot}`);
+  }
+  return normalized;
+}
+
+/**
+ * Identifier used for Redis keys, fencing tokens and logs.
+ * Default slot -> "2024-01-01", other slots -> "2024-01-01:12TH".
+ */
+export function quizKey(quizDate, slot = DEFAULT_SLOT) {
+  const normalized = normalizeSlot(slot);
+  return normalized === DEFAULT_SLOT ? quizDate : `${quizDate}:${normalized}`;
+}
+
+/**
+ * Socket.IO room for a quiz.
+ */
+export function quizRoom(quizDate, slot = DEFAULT_SLOT) {
+  return `quiz-${quizKey(quizDate, slot)}`;
+}
+
+/**
+ * Slot requested by the client (query string or body), or undefined when
+ * the server should pick the user's quiz.
+ */
+export function requestedSlot(req) {
+  const slot = req.query?.slot ?? req.body?.slot;
+  return slot === undefined || slot === '' ? undefined : normalizeSlot(slot);
+}
+
+// Map a user's class ('10', '12', 'Other') to the quiz classGrade format
+export function userClassGrade(user) {
+  if (!user || !user.class) return null;
+  return user.class === '10' ? '10th' : user.class === '12' ? '12th' : 'Other';
+}
+
+/**
+ * Pick the quiz a user should take among the quizzes of one date:
+ * a class-specific quiz first, then an 'ALL' quiz. Without a user,
+ * the default slot (or the first quiz) is returned.
+ */
+export function pickQuizForUser(quizzes, user = null) {
+  if (!quizzes || quizzes.length === 0) return null;
+
+  const classGrade = userClassGrade(user);
+  if (!user || !classGrade) {
+    return quizzes.find(q => (q.slot || DEFAULT_SLOT) === DEFAULT_SLOT) || quizzes[0];
+  }
+
+  return quizzes.find(q => q.classGrade === classGrade)
+    || quizzes.find(q => !q.classGrade || q.classGrade === 'ALL')
+    || null;
+}
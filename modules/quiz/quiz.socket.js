@@ -0,0 +1,216 @@
+// modules/quiz/quiz.socket.js
+// Live quiz over Socket.IO. When a question starts the advancement engine
+// pushes each connected player their own copy of it (question order, option
+// shuffle, language) as a `question` event, so clients do not need to poll
+// GET /quiz/current-question. Answers come back as an `answer` event with an
+// ack and go through the same QuizService.answerQuestion as POST /quiz/answer,
+// so late, duplicate and invalid answers are treated exactly alike. The HTTP
+// endpoints stay as the fallback.
+//
+// Rooms: quizRoom(quizDate, slot) for broadcasts, plus one room per player
+// (playerRoom) so every device of a user gets their payload.
+//
+// After each question closes the room gets `live-stats` (quiz.liveStats.js):
+// players online, how many got that position right and, per player, their
+// running score, percentile and provisional rank (quiz.liveLeaderboard.js).
+//
+// A client that reconnects mid-quiz sends `resume` instead of `join-quiz`:
+// it rejoins the rooms and gets QuizService.resumeQuiz in the ack.
+//
+// Time sync: the heartbeat `ping` carries the server time and the client
+// echoes it in `pong`. Joining a quiz sends a ping straight away so RTT is
+// known before the first question. Each echo of the latest ping is recorded
+// (quiz.latency.js) and answered with `time-sync` { serverTime, rttMs,
+// graceMs }; the client's clock offset is serverTime + rttMs / 2 - its now.
+import QuizAttempt from "./quizAttempt.model.js";
+import User from "../user/user.model.js";
+import * as QuizService from "./quiz.service.js";
+import { DEFAULT_SLOT, normalizeSlot, quizRoom } from "./quiz.slot.js";
+import { findQuizWithQuestions } from "./quiz.version.js";
+import { getCurrentQuestionIndex, getQuestionStartTime } from "./quiz.advancement.js";
+import { getQuestionCount } from "./quiz.timing.js";
+import { userLocale } from "./question.locale.js";
+import { recordHeartbeat, getLatencyGrace } from "./quiz.latency.js";
+import { getLiveStats, getPlayerStanding } from "./quiz.liveStats.js";
+import { getProvisionalRank } from "./quiz.liveLeaderboard.js";
+
+export function playerRoom(quizDate, slot, userId) {
+  return `${quizRoom(quizDate, slot)}:user-${userId}`;
+}
+
+function reply(ack, body) {
+  if (typeof ack === 'function') ack(body);
+}
+
+/**
+ * Send a heartbeat ping. Only an echo of the latest one counts as an RTT
+ * sample, so replaying an old timestamp cannot inflate the grace.
+ */
+export function sendHeartbeat(socket) {
+  socket.data.pingSentAt = Date.now();
+  socket.emit('ping', socket.data.pingSentAt);
+}
+
+async function handlePong(socket, timestamp) {
+  if (!socket.data.pingSentAt || Number(timestamp) !== socket.data.pingSentAt) return;
+  socket.data.pingSentAt = null;
+
+  const rtt = await recordHeartbeat(socket.user._id, timestamp);
+  if (rtt === null) return;
+  const { rttMs, graceMs } = await getLatencyGrace(socket.user._id);
+  socket.emit('time-sync', { serverTime: Date.now(), rttMs, graceMs });
+}
+
+/**
+ * Users with at least one socket in the quiz room (on any node).
+ */
+export async function onlinePlayerIds(io, quizDate, slot = DEFAULT_SLOT) {
+  const sockets = await io.in(quizRoom(quizDate, normalizeSlot(slot))).fetchSockets();
+  return [...new Set(sockets.map(s => s.data?.userId).filter(Boolean))];
+}
+
+/**
+ * Push the current question to every player connected to the quiz room.
+ * Loads the quiz once and all attempts in one query. Returns the number of
+ * players sent a question.
+ */
+export async function pushCurrentQuestion(io, quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const userIds = await onlinePlayerIds(io, quizDate, slot);
+  if (userIds.length === 0) return 0;
+
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
+  if (!quiz || quiz.state !== 'LIVE') return 0;
+
+  const currentIndex = await getCurrentQuestionIndex(quizDate, slot);
+  if (currentIndex >= getQuestionCount(quiz)) return 0;
+  const startTime = await getQuestionStartTime(quizDate, slot);
+
+  const [attempts, users] = await Promise.all([
+    QuizAttempt.find({ quizDate, slot, user: { $in: userIds } }).select('user questionOrder questionTimeLimits').lean(),
+    User.find({ _id: { $in: userIds } }).select('preferences').lean()
+  ]);
+  const locales = new Map(users.map(u => [String(u._id), userLocale(u)]));
+
+  for (const attempt of attempts) {
+    const userId = String(attempt.user);
+    const { payload } = QuizService.presentCurrentQuestion(quiz, attempt, userId, currentIndex, startTime, locales.get(userId));
+    io.to(playerRoom(quizDate, slot, userId)).emit('question', { quizDate, slot, ...payload });
+  }
+  return attempts.length;
+}
+
+/**
+ * Push the stats of a closed question position to every player connected to
+ * the quiz room. Reads only the live counters. Returns the number of players
+ * online.
+ */
+export async function pushLiveStats(io, quizDate, slot = DEFAULT_SLOT, position = 0) {
+  slot = normalizeSlot(slot);
+  const userIds = await onlinePlayerIds(io, quizDate, slot);
+  if (userIds.length === 0) return 0;
+
+  const { histogram, ...stats } = await getLiveStats(quizDate, slot, position);
+  const feed = {
+    quizDate,
+    slot,
+    position,
+    online: userIds.length,
+    answered: stats.answered,
+    percentCorrect: stats.percentCorrect,
+    scoredPlayers: stats.scoredPlayers
+  };
+
+  await Promise.all(userIds.map(async userId => {
+    const [standing, provisional] = await Promise.all([
+      getPlayerStanding(quizDate, slot, userId, histogram),
+      getProvisionalRank(quizDate, slot, userId)
+    ]);
+    io.to(playerRoom(quizDate, slot, userId)).emit('live-stats', { ...feed, ...standing, rank: provisional?.rank ?? null });
+  }));
+  return userIds.length;
+}
+
+/**
+ * Add a socket to the quiz room and its player room, then send the question
+ * in progress (if any) so a late or reconnecting player does not wait for the
+ * next push.
+ */
+export async function joinQuizRooms(socket, quizDate, slot = DEFAULT_SLOT, { sendQuestion = true } = {}) {
+  slot = normalizeSlot(slot);
+  const userId = String(socket.user._id);
+  socket.data.userId = userId;
+  socket.join([quizRoom(quizDate, slot), playerRoom(quizDate, slot, userId)]);
+  sendHeartbeat(socket);
+  if (!sendQuestion) return;
+
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  if (quizDate !== today) return;
+  try {
+    const question = await QuizService.getCurrentQuestion(userId, slot);
+    socket.emit('question', { quizDate, slot, ...question });
+  } catch {
+    // Not live yet or already over; the push on LIVE takes care of it
+  }
+}
+
+/**
+ * Quiz events for an authenticated socket. `guard(event)` re-checks auth and
+ * rate limits (server.js) and resolves false when the event must be dropped.
+ *   answer            { questionId, answer | selectedOptionIndex, slot?, deviceId?, deviceFingerprint? }
+ *                     ack: same { success, data, meta } / { success: false, error } as POST /quiz/answer
+ *   current-question  { slot? }; ack: same as GET /quiz/current-question
+ *   resume            { slot? }; rejoins today's quiz rooms, ack: same as POST /quiz/resume
+ *   pong              echo of the `ping` timestamp; answered with `time-sync`
+ */
+export function registerQuizSocketEvents(socket, guard) {
+  socket.on('answer', async (payload, ack) => {
+    try {
+      if (!(await guard('answer'))) return reply(ack, { success: false, error: 'Request rejected' });
+
+      const { questionId, answer, selectedOptionIndex, slot, deviceId, deviceFingerprint } = payload || {};
+      const { quizDate, slot: resolvedSlot, ...data } = await QuizService.answerQuestion(socket.user._id, {
+        questionId: questionId === undefined ? undefined : String(questionId),
+        answer: answer ?? selectedOptionIndex,
+        deviceInfo: { deviceId, deviceFingerprint, ipAddress: socket.handshake.address },
+        slot
+      });
+      reply(ack, { success: true, data, meta: { quizDate, slot: resolvedSlot } });
+    } catch (error) {
+      reply(ack, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('current-question', async (payload, ack) => {
+    try {
+      if (!(await guard('current-question'))) return reply(ack, { success: false, error: 'Request rejected' });
+
+      const question = await QuizService.getCurrentQuestion(socket.user._id, payload?.slot);
+      reply(ack, { success: true, data: question, meta: {} });
+    } catch (error) {
+      reply(ack, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('pong', async (timestamp) => {
+    try {
+      if (!(await guard('pong'))) return;
+      await handlePong(socket, timestamp);
+    } catch {
+      // A lost sample only means less grace
+    }
+  });
+
+  socket.on('resume', async (payload, ack) => {
+    try {
+      if (!(await guard('resume'))) return reply(ack, { success: false, error: 'Request rejected' });
+
+      const state = await QuizService.resumeQuiz(socket.user._id, payload?.slot);
+      // The ack carries the question, so no separate push
+      await joinQuizRooms(socket, state.quizDate, state.slot, { sendQuestion: false });
+      reply(ack, { success: true, data: state, meta: { quizDate: state.quizDate, slot: state.slot } });
+    } catch (error) {
+      reply(ack, { success: false, error: error.message });
+    }
+  });
+}
@@ -0,0 +1,97 @@
+// modules/quiz/quiz.timing.js
+// Question count and per-question time limits. Question advancement is global,
+// so questionTimeLimits[i] is the time allowed for the i-th question shown to
+// every participant (not for a particular question document). Quizzes without
+// limits use the historical 15 seconds per question.
+
+export const DEFAULT_QUESTION_TIME_LIMIT_MS = 15000;
+export const MIN_QUESTION_TIME_LIMIT_MS = 5000;
+export const MAX_QUESTION_TIME_LIMIT_MS = 120000;
+
+export const MIN_QUIZ_QUESTIONS = 1;
+export const MAX_QUIZ_QUESTIONS = 200;
+
+// Quizzes created before variable counts always had 50 questions
+export const LEGACY_QUESTION_COUNT = 50;
+
+/**
+ * Number of questions each participant is shown: the whole pool, or
+ * sampling.size when the quiz samples from a larger pool (see
+ * quiz.randomization.js).
+ */
+export function getQuestionCount(quiz) {
+  const pool = quiz?.questions?.length || 0;
+  const size = quiz?.sampling?.size;
+  return size > 0 && size < pool ? size : pool;
+}
+
+/**
+ * Number of questions in an attempt, for analytics on old attempts whose
+ * quiz may no longer be loaded.
+ */
+export function getAttemptQuestionCount(attempt) {
+  return attempt?.questionIds?.length || attempt?.questionOrder?.length || LEGACY_QUESTION_COUNT;
+}
+
+/**
+ * Time limit (ms) for question position `index`. Works for both a quiz and
+ * an attempt, since both carry `questionTimeLimits`.
+ */
+export function getQuestionTimeLimit(source, index) {
+  const limit = source?.questionTimeLimits?.[index];
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_QUESTION_TIME_LIMIT_MS;
+}
+
+/**
+ * Full list of limits for a quiz, one per question, with defaults filled in.
+ */
+export function resolveQuestionTimeLimits(quiz) {
+  return Array.from({ length: getQuestionCount(quiz) }, (_, i) => getQuestionTimeLimit(quiz, i));
+}
+
+export function getQuizDurationMs(quiz) {
+  return resolveQuestionTimeLimits(quiz).reduce((sum, limit) => sum + limit, 0);
+}
+
+export function validateQuestionCount(count) {
+  if (!Number.isInteger(count) || count < MIN_QUIZ_QUESTIONS || count > MAX_QUIZ_QUESTIONS) {
+    throw new Error(`Quiz must have between ${MIN_QUIZ_QUESTIONS} and ${MAX_QUIZ_QUESTIONS} questions`);
+  }
+}
+
+/**
+ * Build the stored questionTimeLimits for a quiz with `questionCount` questions.
+ * Accepts a single value applied to every question, an array with one entry
+ * per question, or a comma separated string of either (CSV upload form field).
+ * Returns [] when no limits are given so the default applies.
+ */
+export function buildQuestionTimeLimits(questionCount, timeLimits) {
+  if (timeLimits === undefined || timeLimits === null || timeLimits === '') return [];
+
+  let limits = typeof timeLimits === 'string' ? timeLimits.split(',').map(v => Number(v.trim())) : timeLimits;
+  if (!Array.isArray(limits)) limits = [limits];
+  if (limits.length === 1 && questionCount > 1) limits = Array(questionCount).fill(limits[0]);
+
+  if (limits.length !== questionCount) {
+    throw new Error(`questionTimeLimits must have one entry per question (${questionCount})`);
+  }
+
+  limits.forEach((limit, i) => {
+    if (!Number.isInteger(limit) || limit < MIN_QUESTION_TIME_LIMIT_MS || limit > MAX_QUESTION_TIME_LIMIT_MS) {
+      throw new Error(`Time limit for question ${i + 1} must be between ${MIN_QUESTION_TIME_LIMIT_MS} and ${MAX_QUESTION_TIME_LIMIT_MS} ms`);
+    }
+  });
+
+  return limits;
+}
+
+/**
+ * Ensure all questions fit between the quiz start and end times.
+ */
+export function validateQuizFitsSchedule(quiz, schedule) {
+  const durationMs = getQuizDurationMs(quiz);
+  const windowMs = schedule.endAt - schedule.startAt;
+  if (durationMs > windowMs) {
+    throw new Error(`Questions take ${Math.ceil(durationMs / 1000)}s but the quiz window is only ${Math.floor(windowMs / 1000)}s`);
+  }
+}
@@ -0,0 +1,233 @@
+// modules/quiz/quiz.version.js
+// Content freeze. When a quiz is LOCKED its questions (text, options,
+// answers, points), timers, sampling and scoring rules are copied into an
+// immutable QuizVersion and the quiz is pinned to it. Everything that serves, scores
+// or reviews the quiz loads its questions through findQuizWithQuestions, so
+// editing a Question afterwards only affects future quizzes.
+//
+// The version hash is sha256 (hex) of JSON.stringify(canonicalVersionContent(...)).
+// Translations are frozen with the rest but left out of the hash, so the
+// hash identifies the English content and answers whatever language is served.
+// Once results are published the canonical content is public, so anyone can
+// recompute the hash and compare it with the one published before the quiz.
+import crypto from "crypto";
+import Quiz from "./quiz.model.js";
+import Question from "./question.model.js";
+import QuizVersion from "./quizVersion.model.js";
+import { DEFAULT_SLOT, normalizeSlot, quizKey } from "./quiz.slot.js";
+import { getScoringConfig } from "./quiz.scoring.js";
+import { QUESTION_TYPES, questionType } from "./question.types.js";
+
+export const VERSION_HASH_ALGORITHM = 'sha256';
+
+const QUESTION_SNAPSHOT_FIELDS = [
+  'question', 'type', 'options', 'correctIndex', 'correctIndexes', 'partialCredit',
+  'numericAnswer', 'numericTolerance', 'unit', 'image', 'optionImages',
+  'points', 'difficulty', 'subject', 'explanation', 'translations'
+];
+
+function versionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function canonicalImage(image) {
+  return image?.url ? { url: image.url, alt: image.alt ?? null } : null;
+}
+
+/**
+ * Type-specific answer fields and images. Left out entirely for plain
+ * single-choice questions without images, so versions frozen before question
+ * types existed hash the same as they did then.
+ */
+function canonicalQuestionExtras(q) {
+  const type = questionType(q);
+  const extras = {};
+  if (type !== QUESTION_TYPES.SINGLE_CHOICE) {
+    extras.type = type;
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      extras.correctIndexes = [...(q.correctIndexes || [])];
+      extras.partialCredit = q.partialCredit !== false;
+    }
+    if (type === QUESTION_TYPES.NUMERIC) {
+      extras.numericAnswer = q.numericAnswer;
+      extras.numericTolerance = q.numericTolerance || 0;
+      extras.unit = q.unit ?? null;
+    }
+  }
+  if (q.image?.url) extras.image = canonicalImage(q.image);
+  if (q.optionImages?.some(image => image?.url)) extras.optionImages = q.optionImages.map(canonicalImage);
+  return extras;
+}
+
+/**
+ * Canonical, key-ordered form of a version's content. This is exactly what
+ * gets hashed; absent optional fields are null.
+ */
+export function canonicalVersionContent({ quizDate, slot, version, questions = [], questionTimeLimits = [], sampling = {}, scoring = {} }) {
+  return {
+    quizDate,
+    slot,
+    version,
+    questions: questions.map(q => ({
+      questionId: String(q.questionId),
+      question: q.question,
+      options: [...(q.options || [])],
+      correctIndex: q.correctIndex ?? null,
+      points: q.points ?? null,
+      difficulty: q.difficulty ?? null,
+      subject: q.subject ?? null,
+      explanation: q.explanation ?? null,
+      ...canonicalQuestionExtras(q)
+    })),
+    questionTimeLimits: [...questionTimeLimits],
+    sampling: {
+      size: sampling?.size || 0,
+      stratifyBy: sampling?.stratifyBy ?? null
+    },
+    scoring: {
+      mode: scoring.mode ?? null,
+      negativeMarking: scoring.negativeMarking ?? null,
+      speedBonusMinRatio: scoring.speedBonusMinRatio ?? null
+    }
+  };
+}
+
+export function hashVersionContent(content) {
+  return crypto.createHash(VERSION_HASH_ALGORITHM).update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Freeze a quiz's current content into a new QuizVersion and pin the quiz to
+ * it. Idempotent: a quiz that already has a version keeps it.
+ */
+export async function freezeQuizVersion(quizDate, slot = DEFAULT_SLOT, adminId = null) {
+  slot = normalizeSlot(slot);
+  const quiz = await Quiz.findOne({ quizDate, slot });
+  if (!quiz) throw new Error('Quiz not found');
+  if (quiz.versionId) {
+    const existing = await QuizVersion.findById(quiz.versionId).lean();
+    if (existing) return existing;
+  }
+
+  if (!quiz.questions?.length) throw new Error('Cannot freeze a quiz without questions');
+  const found = await Question.find({ _id: { $in: quiz.questions } })
+    .select(QUESTION_SNAPSHOT_FIELDS.join(' '))
+    .lean();
+  const byId = new Map(found.map(q => [String(q._id), q]));
+  const missing = quiz.questions.filter(id => !byId.has(String(id)));
+  if (missing.length) {
+    throw new Error(`Cannot freeze quiz: ${missing.length} question(s) no longer exist`);
+  }
+
+  const questions = quiz.questions.map(id => {
+    const q = byId.get(String(id));
+    const snapshot = { questionId: q._id };
+    for (const field of QUESTION_SNAPSHOT_FIELDS) {
+      if (q[field] !== undefined) snapshot[field] = q[field];
+    }
+    return snapshot;
+  });
+
+  const version = (await QuizVersion.countDocuments({ quizDate, slot })) + 1;
+  const content = {
+    quizDate,
+    slot,
+    version,
+    questions,
+    questionTimeLimits: quiz.questionTimeLimits || [],
+    sampling: { size: quiz.sampling?.size || 0, stratifyBy: quiz.sampling?.stratifyBy || 'DIFFICULTY' },
+    scoring: getScoringConfig(quiz)
+  };
+  const hash = hashVersionContent(canonicalVersionContent(content));
+
+  let created;
+  try {
+    [created] = await QuizVersion.create([{ ...content, quiz: quiz._id, hash, frozenBy: adminId }]);
+  } catch (error) {
+    // Another node froze the quiz at the same moment; use its version
+    if (error.code !== 11000) throw error;
+    const current = await Quiz.findById(quiz._id).select('versionId').lean();
+    if (current?.versionId) return QuizVersion.findById(current.versionId).lean();
+    throw error;
+  }
+
+  const pinned = await Quiz.findOneAndUpdate(
+    { _id: quiz._id, versionId: null },
+    { $set: { versionId: created._id, versionHash: hash } },
+    { new: true }
+  );
+  if (!pinned) {
+    const current = await Quiz.findById(quiz._id).select('versionId').lean();
+    return QuizVersion.findById(current.versionId).lean();
+  }
+
+  console.log(`Quiz ${quizKey(quizDate, slot)} content frozen as version ${version} (${hash})`);
+  return created.toObject();
+}
+
+/**
+ * Plain copy of a quiz with `questions` resolved to their content: from the
+ * frozen version when the quiz has one (question _id is the bank question's
+ * id), otherwise from the live Question bank. Timers, sampling and scoring
+ * come from the version too. Read-only; save changes through the Quiz model.
+ */
+export async function withQuizQuestions(quiz, { session = null } = {}) {
+  const plain = typeof quiz.toObject === 'function' ? quiz.toObject() : { ...quiz };
+
+  if (plain.versionId) {
+    const version = await QuizVersion.findById(plain.versionId, null, { session }).lean();
+    if (!version) throw new Error('Quiz version not found');
+    plain.questions = version.questions.map(({ questionId, ...content }) => ({ _id: questionId, ...content }));
+    plain.questionTimeLimits = version.questionTimeLimits || [];
+    plain.sampling = version.sampling || plain.sampling;
+    plain.scoring = version.scoring || plain.scoring;
+    return plain;
+  }
+
+  const ids = (plain.questions || []).map(q => q?._id || q);
+  const found = await Question.find({ _id: { $in: ids } }, null, { session }).lean();
+  const byId = new Map(found.map(q => [String(q._id), q]));
+  plain.questions = ids.map(id => byId.get(String(id))).filter(Boolean);
+  return plain;
+}
+
+export async function findQuizWithQuestions(filter, { session = null } = {}) {
+  const quiz = await Quiz.findOne(filter, null, { session }).lean();
+  if (!quiz) return null;
+  return withQuizQuestions(quiz, { session });
+}
+
+/**
+ * Public proof of a quiz's content. The hash is available as soon as the
+ * quiz is frozen; the content (with answers) only once results are
+ * published, together with a server-side check that it still matches.
+ */
+export async function getPublicQuizVersion(quizDate, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  const quiz = await Quiz.findOne({ quizDate, slot }).select('state versionId versionHash').lean();
+  if (!quiz) throw versionError('Quiz not found', 404);
+  if (!quiz.versionId) throw versionError('Quiz content has not been frozen yet', 404);
+
+  const version = await QuizVersion.findById(quiz.versionId).lean();
+  if (!version) throw versionError('Quiz version not found', 404);
+
+  const proof = {
+    quizDate,
+    slot,
+    version: version.version,
+    algorithm: VERSION_HASH_ALGORITHM,
+    hash: version.hash,
+    frozenAt: version.createdAt,
+    questionCount: version.questions.length
+  };
+  if (quiz.state !== 'RESULT_PUBLISHED') return proof;
+
+  const content = canonicalVersionContent(version);
+  return {
+    ...proof,
+    verified: hashVersionContent(content) === version.hash && quiz.versionHash === version.hash,
+    content
+  };
+}
@@ -6,46 +6,36 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 import QuizAttempt from './quizAttempt.model.js';
-import Quiz from './quiz.model.js';
 import { isQuizLive } from './quiz.lifecycle.js';
-import { getCurrentQuestionIndex } from './quiz.service.js';
+import { getCurrentQuestionIndex } from './quiz.advancement.js';
+import { DEFAULT_SLOT, normalizeSlot, quizKey } from './quiz.slot.js';
+import { resolveQuestionTimeLimits } from './quiz.timing.js';
+import { buildQuestionOrder } from './quiz.randomization.js';
+import { findQuizWithQuestions } from './quiz.version.js';
 import ObservabilityService from '../monitoring/observability.service.js';
 
-// Fisher-Yates shuffle for deterministic per-user question order
-function shuffleArray(array, seed) {
-  const shuffled = [...array];
-  const random = () => {
-    seed = (seed * 9301 + 49297) % 233280;
-    return seed / 233280;
-  };
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
 /**
  * Idempotent quiz attempt creation - safe for duplicate joins.
  * Returns existing attempt if already created (treat "already exists" as success).
  */
-export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {}) {
-  if (!(await isQuizLive(quizDate))) {
+export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {}, slot = DEFAULT_SLOT) {
+  slot = normalizeSlot(slot);
+  if (!(await isQuizLive(quizDate, slot))) {
     throw new Error('Quiz is not live');
   }
 
-  const quiz = await Quiz.findOne({ quizDate });
+  const quiz = await findQuizWithQuestions({ quizDate, slot });
   if (!quiz) throw new Error('Quiz not found for today');
 
   // Before checking eligibility, try to consume a free quiz credit if available.
   // This will create a synthetic successful payment when a credit exists so that
   // the rest of the eligibility pipeline remains unchanged.
   const { grantFreeQuizEntryIfAvailable, getEffectiveEligibility } = await import('../payment/payment.service.js');
-  await grantFreeQuizEntryIfAvailable(userId, quizDate);
+  await grantFreeQuizEntryIfAvailable(userId, quizDate, slot);
 
-  const eligibility = await getEffectiveEligibility(userId, quizDate);
+  const eligibility = await getEffectiveEligibility(userId, quizDate, slot);
 
-  const payment = await mongoose.model('Payment').findOne({ user: userId, quizDate, status: 'SUCCESS' });
+  const payment = await mongoose.model('Payment').findOne({ user: userId, quizDate, slot, status: 'SUCCESS' });
   const eligibilitySnapshot = {
     eligible: eligibility.eligible,
     reason: eligibility.reason,
@@ -57,17 +47,17 @@ export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {})
     .update(`${deviceInfo.deviceId || ''}:${deviceInfo.deviceFingerprint || ''}:${deviceInfo.ipAddress || ''}`)
     .digest('hex');
 
-  const userIdStr = userId.toString();
-  const seed = userIdStr.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const shuffledIndices = shuffleArray(quiz.questions.map((_, i) => i), seed);
-  const questionIds = shuffledIndices.map(idx => quiz.questions[idx]);
+  // HMAC-seeded per-user order, sampled from the pool when the quiz samples
+  const shuffledIndices = buildQuestionOrder(quiz, userId);
+  const questionIds = shuffledIndices.map(idx => quiz.questions[idx]._id);
 
-  const globalCurrentIndex = await getCurrentQuestionIndex(quizDate);
+  const globalCurrentIndex = await getCurrentQuestionIndex(quizDate, slot);
   const quizStartedAt = new Date();
 
   const insertDoc = {
     user: userId,
     quizDate,
+    slot,
     answers: [],
     score: 0,
     totalTimeMs: 0,
@@ -76,6 +66,7 @@ export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {})
     answersSaved: false,
     questionOrder: shuffledIndices,
     questionIds,
+    questionTimeLimits: resolveQuestionTimeLimits(quiz),
     deviceId: deviceInfo.deviceId,
     deviceFingerprint: deviceInfo.deviceFingerprint,
     ipAddress: deviceInfo.ipAddress,
@@ -88,14 +79,14 @@ export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {})
 
   try {
     const result = await QuizAttempt.findOneAndUpdate(
-      { user: userId, quizDate },
+      { user: userId, quizDate, slot },
       { $setOnInsert: insertDoc },
       { upsert: true, new: true }
     );
 
     if (!result) {
-      const existing = await QuizAttempt.findOne({ user: userId, quizDate });
-      if (existing) return await handleExistingAttempt(existing, deviceInfo, userId, quizDate);
+      const existing = await QuizAttempt.findOne({ user: userId, quizDate, slot });
+      if (existing) return await handleExistingAttempt(existing, deviceInfo, userId, quizKey(quizDate, slot));
       throw new Error('Failed to create quiz attempt');
     }
 
@@ -105,14 +96,14 @@ export async function createQuizAttemptAtomic(userId, quizDate, deviceInfo = {})
     return result;
   } catch (err) {
     if (err.code === 11000) {
-      const existing = await QuizAttempt.findOne({ user: userId, quizDate });
-      if (existing) return await handleExistingAttempt(existing, deviceInfo, userId, quizDate);
+      const existing = await QuizAttempt.findOne({ user: userId, quizDate, slot });
+      if (existing) return await handleExistingAttempt(existing, deviceInfo, userId, quizKey(quizDate, slot));
     }
     throw err;
   }
 }
 
-async function handleExistingAttempt(existing, deviceInfo, userId, quizDate) {
+async function handleExistingAttempt(existing, deviceInfo, userId, key) {
   if (existing.answersSaved) {
     throw new Error('You have already started this quiz. Please complete it or wait for the next quiz.');
   }
@@ -121,7 +112,7 @@ async function handleExistingAttempt(existing, deviceInfo, userId, quizDate) {
       .update(`${deviceInfo.deviceId || ''}:${deviceInfo.deviceFingerprint || ''}:${deviceInfo.ipAddress || ''}`)
       .digest('hex');
     if (existing.lockedDeviceHash !== currentDeviceHash) {
-      await ObservabilityService.recordAntiCheatEvent(userId, quizDate, 'device_mismatch_on_resume', {});
+      await ObservabilityService.recordAntiCheatEvent(userId, key, 'device_mismatch_on_resume', {});
       throw new Error('Device mismatch - this quiz attempt is locked to a different device');
     }
   }
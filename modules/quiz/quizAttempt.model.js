@@ -1,5 +1,21 @@
 // quizAttempt.model.js
 import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+
+// Points awarded for one question position (see quiz.scoring.js)
+export const scoreEntrySchema = new mongoose.Schema(
+  {
+    position: Number,
+    questionId: mongoose.Schema.Types.ObjectId,
+    selectedIndex: mongoose.Schema.Types.Mixed, // answer as shown (see question.types.js)
+    correct: Boolean, // null when unanswered or voided
+    credit: Number,   // share of the points earned, 0..1 (partial for multi-select)
+    voided: Boolean,  // question voided after a dispute (see quiz.disputes.js)
+    responseTimeMs: Number,
+    points: Number
+  },
+  { _id: false }
+);
 
 const quizAttemptSchema = new mongoose.Schema(
   {
@@ -14,8 +30,18 @@ const quizAttemptSchema = new mongoose.Schema(
       index: true
     },
 
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
     answers: {
-      type: [Number], // selected option index per question
+      // Answer per question position as shown: option index, option indexes
+      // (MULTI_SELECT) or the number entered (NUMERIC); see question.types.js
+      type: [mongoose.Schema.Types.Mixed],
       default: []
     },
 
@@ -29,6 +55,22 @@ const quizAttemptSchema = new mongoose.Schema(
       default: []
     },
 
+    responseTimesMs: {
+      type: [Number], // ms from the question going live to the answer, used for speed bonus
+      default: []
+    },
+
+    // Per position: ms past the deadline accepted as latency grace (0 when on
+    // time) and the measured RTT that allowed it (see quiz.latency.js)
+    latencyCompensationMs: {
+      type: [Number],
+      default: []
+    },
+    rttMs: {
+      type: [Number],
+      default: []
+    },
+
     questionHashes: {
       type: [String], // hash of question content to prevent tampering
       default: []
@@ -49,6 +91,20 @@ const quizAttemptSchema = new mongoose.Schema(
       default: 0
     },
 
+    // Scoring explanation, filled at finalization. No defaults so attempts
+    // scored before these existed are recognisable.
+    correctCount: Number,
+    maxScore: Number,
+    scoring: {
+      mode: String,
+      negativeMarking: Number,
+      speedBonusMinRatio: Number
+    },
+    scoreBreakdown: {
+      type: [scoreEntrySchema],
+      default: undefined
+    },
+
     totalTimeMs: {
       type: Number,
       default: 0
@@ -92,8 +148,7 @@ const quizAttemptSchema = new mongoose.Schema(
     currentQuestionIndex: {
       type: Number,
       default: 0,
-      min: 0,
-      max: 50
+      min: 0
     },
 
     deviceId: {
@@ -141,6 +196,7 @@ const quizAttemptSchema = new mongoose.Schema(
       index: true
     },
 
+    // Time limit (ms) per question position, copied from the quiz at join time
     questionTimeLimits: {
       type: [Number],
       default: []
@@ -149,12 +205,19 @@ const quizAttemptSchema = new mongoose.Schema(
     questionIds: {
       type: [mongoose.Schema.Types.ObjectId],
       default: []
-    }
+    },
+
+    // Mid-quiz resumes after a disconnect (QuizService.resumeQuiz), kept for anti-cheat review
+    reconnectCount: {
+      type: Number,
+      default: 0
+    },
+    lastReconnectAt: Date
   },
   { timestamps: true }
 );
 
-const IMMUTABLE_FIELDS = ['quizStartedAt', 'lockedDeviceHash', 'eligibilitySnapshot'];
+const IMMUTABLE_FIELDS = ['slot', 'quizStartedAt', 'lockedDeviceHash', 'eligibilitySnapshot'];
 quizAttemptSchema.pre('save', function(next) {
   if (!this.isNew) {
     for (const f of IMMUTABLE_FIELDS) {
@@ -164,12 +227,12 @@ quizAttemptSchema.pre('save', function(next) {
   next();
 });
 
-quizAttemptSchema.index({ user: 1, quizDate: 1 }, { unique: true });
+quizAttemptSchema.index({ user: 1, quizDate: 1, slot: 1 }, { unique: true });
 
-quizAttemptSchema.index({ quizDate: 1, score: -1, totalTimeMs: 1, completedAt: 1, _id: 1 });
+quizAttemptSchema.index({ quizDate: 1, slot: 1, score: -1, totalTimeMs: 1, completedAt: 1, _id: 1 });
 
 // Additional performance indexes
-quizAttemptSchema.index({ quizDate: 1, isEligible: 1, counted: 1, score: -1 }); // For eligible leaderboard
+quizAttemptSchema.index({ quizDate: 1, slot: 1, isEligible: 1, counted: 1, score: -1 }); // For eligible leaderboard
 quizAttemptSchema.index({ user: 1, quizDate: -1 }); // For user quiz history
 quizAttemptSchema.index({ createdAt: -1 }); // For recent attempts
 quizAttemptSchema.index({ finalizedAt: 1 }); // For finalization queries (D1)
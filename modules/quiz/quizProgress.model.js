@@ -1,5 +1,6 @@
 // modules/quiz/quizProgress.model.js
 import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
 
 const questionProgressSchema = new mongoose.Schema(
   {
@@ -35,6 +36,14 @@ const quizProgressSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
     questions: {
       type: [questionProgressSchema],
       default: []
@@ -48,7 +57,7 @@ const quizProgressSchema = new mongoose.Schema(
 );
 
 // Compound unique index
-quizProgressSchema.index({ user: 1, quizDate: 1 }, { unique: true });
+quizProgressSchema.index({ user: 1, quizDate: 1, slot: 1 }, { unique: true });
 
 // TTL index to auto-cleanup old progress (24 hours)
 quizProgressSchema.index({ lastActivity: 1 }, { expireAfterSeconds: 86400 });
@@ -0,0 +1,74 @@
+// modules/quiz/quizRanking.model.js
+// Final rank of every counted attempt of a quiz, written at finalize (and on
+// every rescore) next to the Winner documents. Winner stays the top of the
+// list that prizes are paid from; QuizRanking lets everyone else see where
+// they placed.
+import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+
+const quizRankingSchema = new mongoose.Schema(
+  {
+    quizDate: {
+      type: String,
+      required: true
+    },
+
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    attempt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuizAttempt",
+      required: true
+    },
+
+    rank: {
+      type: Number,
+      required: true
+    },
+
+    // Share of ranked participants placed at or below this one (rank 1 = 100)
+    percentile: {
+      type: Number,
+      required: true
+    },
+
+    participants: {
+      type: Number, // how many attempts were ranked
+      required: true
+    },
+
+    score: {
+      type: Number,
+      required: true
+    },
+
+    accuracy: Number,
+    correctCount: Number,
+    maxScore: Number,
+    totalTimeMs: Number,
+
+    // Also in the Winner list for this quiz
+    isWinner: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { timestamps: true }
+);
+
+quizRankingSchema.index({ quizDate: 1, slot: 1, rank: 1 }, { unique: true });
+quizRankingSchema.index({ user: 1, quizDate: 1, slot: 1 }, { unique: true });
+
+export default mongoose.model("QuizRanking", quizRankingSchema);
@@ -0,0 +1,104 @@
+// modules/quiz/quizVersion.model.js
+// Frozen copy of a quiz's content, taken when the quiz is LOCKED (see
+// quiz.version.js). Serving, scoring and review read questions from here so
+// later edits to the Question bank cannot change a running or finished quiz.
+// The hash covers the canonical content and is published so anyone can
+// verify it. Versions cannot be updated or deleted through the model.
+import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+
+const versionQuestionSchema = new mongoose.Schema(
+  {
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    question: { type: String, required: true },
+    // Answer fields depend on the question type (see question.types.js)
+    type: String,
+    options: { type: [String], default: undefined },
+    correctIndex: Number,
+    correctIndexes: { type: [Number], default: undefined },
+    partialCredit: Boolean,
+    numericAnswer: Number,
+    numericTolerance: Number,
+    unit: String,
+    image: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    optionImages: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    points: Number,
+    difficulty: String,
+    subject: String,
+    explanation: String,
+    // Not part of the hash (see quiz.version.js)
+    translations: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+  },
+  { _id: false }
+);
+
+const quizVersionSchema = new mongoose.Schema(
+  {
+    quizDate: {
+      type: String,
+      required: true
+    },
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true
+    },
+
+    questions: {
+      type: [versionQuestionSchema],
+      default: []
+    },
+    questionTimeLimits: {
+      type: [Number],
+      default: []
+    },
+    sampling: {
+      size: Number,
+      stratifyBy: String
+    },
+    scoring: {
+      mode: String,
+      negativeMarking: Number,
+      speedBonusMinRatio: Number
+    },
+
+    // sha256 of the canonical content (quiz.version.js canonicalVersionContent)
+    hash: {
+      type: String,
+      required: true
+    },
+    frozenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+quizVersionSchema.index({ quizDate: 1, slot: 1, version: 1 }, { unique: true });
+
+quizVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Quiz versions are immutable'));
+  next();
+});
+
+function rejectMutation(next) {
+  next(new Error('Quiz versions are immutable'));
+}
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  quizVersionSchema.pre(op, rejectMutation);
+}
+
+export default mongoose.model("QuizVersion", quizVersionSchema);
@@ -1,5 +1,7 @@
 // modules/quiz/winner.model.js
 import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+import { scoreEntrySchema } from "./quizAttempt.model.js";
 
 const winnerSchema = new mongoose.Schema(
   {
@@ -8,6 +10,14 @@ const winnerSchema = new mongoose.Schema(
       index: true
     },
 
+    // Quiz slot within the day (see quiz/quiz.slot.js)
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -25,10 +35,13 @@ const winnerSchema = new mongoose.Schema(
     },
 
     accuracy: {
-      type: Number, // percentage
+      type: Number, // percentage of questions answered correctly
       required: true
     },
 
+    correctCount: Number,
+    maxScore: Number,
+
     totalTimeMs: {
       type: Number,
       required: true
@@ -50,7 +63,13 @@ const winnerSchema = new mongoose.Schema(
       eligibilityReason: String, // Why this attempt was eligible
       paymentId: mongoose.Schema.Types.ObjectId, // Reference to payment for verification
       totalTimeMs: Number,
-      score: Number
+      score: Number,
+      scoring: {
+        mode: String,
+        negativeMarking: Number,
+        speedBonusMinRatio: Number
+      },
+      scoreBreakdown: [scoreEntrySchema]
     },
 
     snapshotAt: {
@@ -62,10 +81,10 @@ const winnerSchema = new mongoose.Schema(
 );
 
 // Compound unique index to prevent duplicate winners
-winnerSchema.index({ quizDate: 1, user: 1 }, { unique: true });
-winnerSchema.index({ quizDate: 1, rank: 1 }, { unique: true });
+winnerSchema.index({ quizDate: 1, slot: 1, user: 1 }, { unique: true });
+winnerSchema.index({ quizDate: 1, slot: 1, rank: 1 }, { unique: true });
 
 // D1: Index for leaderboard queries (quizDate + score)
-winnerSchema.index({ quizDate: 1, score: -1 });
+winnerSchema.index({ quizDate: 1, slot: 1, score: -1 });
 
 export default mongoose.model("Winner", winnerSchema);
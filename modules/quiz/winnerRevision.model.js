@@ -0,0 +1,96 @@
+// modules/quiz/winnerRevision.model.js
+// Append-only history of a quiz's winner list. The Winner collection always
+// holds the current result; every time it is (re)computed a revision is
+// stored here with the reason, so earlier results can be proven after a
+// rescore. Revisions cannot be updated or deleted through the model.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { DEFAULT_SLOT } from "./quiz.slot.js";
+
+const revisionWinnerSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rank: Number,
+    score: Number,
+    accuracy: Number,
+    correctCount: Number,
+    maxScore: Number,
+    totalTimeMs: Number
+  },
+  { _id: false }
+);
+
+const winnerRevisionSchema = new mongoose.Schema(
+  {
+    quizDate: {
+      type: String,
+      required: true
+    },
+    slot: {
+      type: String,
+      default: DEFAULT_SLOT,
+      uppercase: true,
+      trim: true
+    },
+    revision: {
+      type: Number,
+      required: true
+    },
+
+    // FINALIZE: first computation, RESCORE: after a question adjustment,
+    // DISASTER_RECOVERY: SUPER_ADMIN recompute
+    trigger: {
+      type: String,
+      enum: ['FINALIZE', 'RESCORE', 'DISASTER_RECOVERY'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    // Quiz.questionAdjustments in force for this revision
+    questionAdjustments: {
+      type: mongoose.Schema.Types.Mixed,
+      default: []
+    },
+    winners: {
+      type: [revisionWinnerSchema],
+      default: []
+    },
+
+    checksum: String
+  },
+  { timestamps: true }
+);
+
+winnerRevisionSchema.index({ quizDate: 1, slot: 1, revision: 1 }, { unique: true });
+
+winnerRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Winner revisions are immutable'));
+
+  this.checksum = crypto.createHash('sha256').update(JSON.stringify({
+    quizDate: this.quizDate,
+    slot: this.slot,
+    revision: this.revision,
+    reason: this.reason,
+    questionAdjustments: this.questionAdjustments,
+    winners: this.winners
+  })).digest('hex');
+  next();
+});
+
+function rejectMutation(next) {
+  next(new Error('Winner revisions are immutable'));
+}
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  winnerRevisionSchema.pre(op, rejectMutation);
+}
+
+export default mongoose.model("WinnerRevision", winnerRevisionSchema);
@@ -245,6 +245,7 @@ const userSchema = new mongoose.Schema(
     // Quiz eligibility tracking per quiz date
     quizEligibility: {
       eligibleDate: Date,
+      slot: String,
       isEligible: Boolean
     }
   },
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// scripts/migrate-quiz-slots.js
+// One-off migration for quiz slots: backfills slot 'MAIN' on existing records
+// and replaces the old per-date unique indexes with (quizDate, slot) ones.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_SLOT = 'MAIN';
+
+// Old unique indexes that would block a second quiz on the same date
+const LEGACY_INDEXES = {
+  quizzes: ['quizDate_1'],
+  quizattempts: ['user_1_quizDate_1'],
+  quizprogresses: ['user_1_quizDate_1'],
+  payments: ['user_1_quizDate_1'],
+  winners: ['quizDate_1_user_1', 'quizDate_1_rank_1']
+};
+
+async function migrateQuizSlots() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/dme';
+    await mongoose.connect(mongoUri);
+    console.log('📦 Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+
+    for (const [collection, indexes] of Object.entries(LEGACY_INDEXES)) {
+      const result = await db.collection(collection).updateMany(
+        { slot: { $exists: false } },
+        { $set: { slot: DEFAULT_SLOT } }
+      );
+      console.log(`✅ ${collection}: backfilled slot on ${result.modifiedCount} documents`);
+
+      for (const index of indexes) {
+        try {
+          await db.collection(collection).dropIndex(index);
+          console.log(`🗑️  ${collection}: dropped index ${index}`);
+        } catch (err) {
+          console.log(`ℹ️  ${collection}: index ${index} not present (${err.codeName || err.message})`);
+        }
+      }
+    }
+
+    const users = await db.collection('users').updateMany(
+      { 'quizEligibility.eligibleDate': { $exists: true }, 'quizEligibility.slot': { $exists: false } },
+      { $set: { 'quizEligibility.slot': DEFAULT_SLOT } }
+    );
+    console.log(`✅ users: backfilled quizEligibility.slot on ${users.modifiedCount} documents`);
+
+    // Build the new slot-aware indexes from the model definitions
+    const models = await Promise.all([
+      import('../modules/quiz/quiz.model.js'),
+      import('../modules/quiz/quizAttempt.model.js'),
+      import('../modules/quiz/quizProgress.model.js'),
+      import('../modules/quiz/winner.model.js'),
+      import('../modules/payment/payment.model.js')
+    ]);
+    for (const { default: Model } of models) {
+      await Model.syncIndexes();
+      console.log(`✅ ${Model.collection.name}: indexes synced`);
+    }
+
+    console.log('🎉 Quiz slot migration complete');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateQuizSlots();
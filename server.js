@@ -22,7 +22,10 @@ import express from 'express';
 import cors from 'cors';
 import app from './app.js';
 import { startQuizScheduler, stopQuizScheduler } from './modules/quiz/quiz.scheduler.js';
-import { recoverQuizAdvancement, stopQuizIntervals } from './modules/quiz/quiz.service.js';
+import { startAdvancementEngine, stopAdvancementEngine } from './modules/quiz/quiz.advancement.js';
+import { normalizeSlot } from './modules/quiz/quiz.slot.js';
+import { joinQuizRooms, registerQuizSocketEvents, sendHeartbeat } from './modules/quiz/quiz.socket.js';
+import { MAX_QUIZ_QUESTIONS } from './modules/quiz/quiz.timing.js';
 import mongoose from 'mongoose';
 import redisClient from './config/redis.js';
 import connectDB from './config/database.js';
@@ -110,7 +113,11 @@ async function startServer() {
     const socketEventCounts = new Map();
     const SOCKET_EVENT_LIMITS = {
       'join-quiz': 10,
-      pong: 60
+      answer: MAX_QUIZ_QUESTIONS * 3,
+      'current-question': MAX_QUIZ_QUESTIONS * 5,
+      resume: 30,
+      // Heartbeat every 30 s plus one per join/resume
+      pong: 300
     };
 
     io.on('connection', (socket) => {
@@ -131,34 +138,47 @@ async function startServer() {
 
       // Socket connected
 
-      socket.on('join-quiz', async (quizDate) => {
-        try {
-          const auth = await revalidateSocketAuth(socket);
-          if (!auth.valid) {
-            // If token is expiring soon, prompt frontend to refresh
-            if (auth.reason === 'token_expiring_soon' || auth.reason === 'expired') {
-              socket.emit('reauth', { message: 'Token expiring soon, please refresh.' });
-            }
-            // Always disconnect unauthorized or expired
-            socket.disconnect(true);
-            return;
+      // Re-check the token and count the event; false means drop it
+      const guard = async (event) => {
+        const auth = await revalidateSocketAuth(socket);
+        if (!auth.valid) {
+          // If token is expiring soon, prompt frontend to refresh
+          if (auth.reason === 'token_expiring_soon' || auth.reason === 'expired') {
+            socket.emit('reauth', { message: 'Token expiring soon, please refresh.' });
           }
+          // Always disconnect unauthorized or expired
+          socket.disconnect(true);
+          return false;
+        }
 
-          const counts = socketEventCounts.get(socket.id);
-          const count = (counts.get('join-quiz') || 0) + 1;
-          if (count > SOCKET_EVENT_LIMITS['join-quiz']) return;
+        const counts = socketEventCounts.get(socket.id);
+        if (!counts) return false;
+        const count = (counts.get(event) || 0) + 1;
+        if (count > SOCKET_EVENT_LIMITS[event]) return false;
+
+        counts.set(event, count);
+        return true;
+      };
+
+      // Payload is either the quizDate string (default slot) or { quizDate, slot }
+      socket.on('join-quiz', async (payload) => {
+        try {
+          if (!(await guard('join-quiz'))) return;
 
-          counts.set('join-quiz', count);
+          const quizDate = typeof payload === 'object' && payload !== null ? payload.quizDate : payload;
+          const slot = normalizeSlot(typeof payload === 'object' && payload !== null ? payload.slot : undefined);
 
           const QuizAttempt = (await import('./modules/quiz/quizAttempt.model.js')).default;
           const attempt = await QuizAttempt.findOne({
             user: socket.user._id,
-            quizDate
+            quizDate,
+            slot
           });
 
           if (!attempt) return;
 
-          socket.join(`quiz-${quizDate}`);
+          // Also pushes the question in progress (see quiz.socket.js)
+          await joinQuizRooms(socket, quizDate, slot);
         } catch (err) {
           // Never leak internal error reasons
           socket.emit('error', { message: 'Unauthorized' });
@@ -166,11 +186,10 @@ async function startServer() {
         }
       });
 
-      const heartbeat = setInterval(() => {
-        socket.emit('ping', Date.now());
-      }, 30000);
+      // Answers, question requests and heartbeat pongs over the socket (HTTP stays as fallback)
+      registerQuizSocketEvents(socket, guard);
 
-      socket.on('pong', () => {});
+      const heartbeat = setInterval(() => sendHeartbeat(socket), 30000);
 
       socket.on('disconnect', () => {
         clearInterval(heartbeat);
@@ -192,7 +211,7 @@ async function startServer() {
 
     const shutdown = async () => {
       stopQuizScheduler();
-      stopQuizIntervals();
+      await stopAdvancementEngine();
       await mongoose.connection.close();
       process.exit(0);
     };
@@ -201,7 +220,7 @@ async function startServer() {
     process.on('SIGTERM', shutdown);
 
     startQuizScheduler();
-    await recoverQuizAdvancement();
+    startAdvancementEngine();
 
   } catch (error) {
     // Failed to start server
@@ -1,4 +1,11 @@
 // utils/quizEligibility.js
+import { DEFAULT_SLOT } from "../modules/quiz/quiz.slot.js";
+
+// Payment must be for the same quiz (date + slot)
+function paymentMatchesQuiz(payment, quiz) {
+  return payment.quizDate === quiz.quizDate
+    && (payment.slot || DEFAULT_SLOT) === (quiz.slot || DEFAULT_SLOT);
+}
 
 // Check if user profile is complete (required for quiz participation)
 export function isProfileComplete(user) {
@@ -32,7 +39,7 @@ export function evaluateEligibility({ user, payment, quiz, now = new Date() }) {
   }
 
   // Payment must be successful for today's quiz
-  if (!payment || payment.status !== 'SUCCESS' || payment.quizDate !== quiz.quizDate) {
+  if (!payment || payment.status !== 'SUCCESS' || !paymentMatchesQuiz(payment, quiz)) {
     return { eligible: false, reason: 'PAYMENT_MISSING' };
   }
 
@@ -75,7 +82,7 @@ export function evaluateEligibilityForWinners({ user, payment, quiz, attempt, ha
   if (!user) return { eligible: false, reason: 'USER_NOT_FOUND' };
   if (!attempt || !attempt.answersSaved) return { eligible: false, reason: 'QUIZ_NOT_COMPLETED' };
 
-  if (!payment || payment.status !== 'SUCCESS' || payment.quizDate !== quiz.quizDate) {
+  if (!payment || payment.status !== 'SUCCESS' || !paymentMatchesQuiz(payment, quiz)) {
     return { eligible: false, reason: 'PAYMENT_MISSING' };
   }
 
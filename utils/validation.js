@@ -1,6 +1,116 @@
 // // utils/validation.js
 // utils/validation.js
 import Joi from 'joi';
+import { MIN_QUIZ_QUESTIONS, MAX_QUIZ_QUESTIONS, MIN_QUESTION_TIME_LIMIT_MS, MAX_QUESTION_TIME_LIMIT_MS } from '../modules/quiz/quiz.timing.js';
+import { SCORING_MODES } from '../modules/quiz/quiz.scoring.js';
+import { PRIZE_MODES } from '../modules/quiz/quiz.prizes.js';
+import { WINNER_COUNT } from '../modules/quiz/quiz.ranking.js';
+import { QUESTION_TYPES, QUESTION_TYPE_LIST, CHOICE_OPTION_COUNT } from '../modules/quiz/question.types.js';
+import { TRANSLATION_LOCALES } from '../modules/quiz/question.locale.js';
+import { SLOT_PATTERN } from '../modules/quiz/quiz.slot.js';
+
+// Quiz slot as accepted by normalizeSlot (modules/quiz/quiz.slot.js)
+const slotSchema = Joi.string().trim().uppercase().pattern(SLOT_PATTERN);
+
+// Question content shared by quiz creation and the question bank. Answer
+// fields depend on `type` (see modules/quiz/question.types.js).
+const imageSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  publicId: Joi.string().max(200).optional(),
+  alt: Joi.string().trim().max(200).optional()
+});
+
+const questionSchema = Joi.object({
+  question: Joi.string()
+    .trim()
+    .min(10)
+    .max(500)
+    .required(),
+
+  type: Joi.string()
+    .valid(...QUESTION_TYPE_LIST)
+    .default(QUESTION_TYPES.SINGLE_CHOICE),
+
+  // Option text may be empty when the option has an image
+  options: Joi.when('type', {
+    switch: [
+      { is: QUESTION_TYPES.NUMERIC, then: Joi.forbidden() },
+      { is: QUESTION_TYPES.TRUE_FALSE, then: Joi.array().items(Joi.string().trim().max(200)).length(2).optional() }
+    ],
+    otherwise: Joi.array().items(Joi.string().trim().allow('').max(200)).length(CHOICE_OPTION_COUNT).required()
+  }),
+
+  correctIndex: Joi.when('type', {
+    switch: [
+      { is: QUESTION_TYPES.TRUE_FALSE, then: Joi.number().integer().min(0).max(1).required() },
+      { is: QUESTION_TYPES.SINGLE_CHOICE, then: Joi.number().integer().min(0).max(CHOICE_OPTION_COUNT - 1).required() }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+
+  correctIndexes: Joi.when('type', {
+    is: QUESTION_TYPES.MULTI_SELECT,
+    then: Joi.array().items(Joi.number().integer().min(0).max(CHOICE_OPTION_COUNT - 1)).min(1).max(CHOICE_OPTION_COUNT).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+
+  partialCredit: Joi.when('type', {
+    is: QUESTION_TYPES.MULTI_SELECT,
+    then: Joi.boolean().optional(),
+    otherwise: Joi.forbidden()
+  }),
+
+  numericAnswer: Joi.when('type', {
+    is: QUESTION_TYPES.NUMERIC,
+    then: Joi.number().required(),
+    otherwise: Joi.forbidden()
+  }),
+
+  numericTolerance: Joi.when('type', {
+    is: QUESTION_TYPES.NUMERIC,
+    then: Joi.number().min(0).optional(),
+    otherwise: Joi.forbidden()
+  }),
+
+  unit: Joi.when('type', {
+    is: QUESTION_TYPES.NUMERIC,
+    then: Joi.string().trim().max(20).optional(),
+    otherwise: Joi.forbidden()
+  }),
+
+  image: imageSchema.optional(),
+
+  optionImages: Joi.when('type', {
+    is: QUESTION_TYPES.NUMERIC,
+    then: Joi.forbidden(),
+    otherwise: Joi.array().items(imageSchema.allow(null)).max(CHOICE_OPTION_COUNT).optional()
+  }),
+
+  explanation: Joi.string()
+    .trim()
+    .max(1000)
+    .optional(),
+
+  subject: Joi.string()
+    .trim()
+    .max(50)
+    .optional(),
+
+  difficulty: Joi.string()
+    .valid('EASY', 'MEDIUM', 'HARD')
+    .optional(),
+
+  // Other languages; options[i] translates option i (see modules/quiz/question.locale.js)
+  translations: Joi.array()
+    .items(Joi.object({
+      locale: Joi.string().valid(...TRANSLATION_LOCALES).required(),
+      question: Joi.string().trim().min(1).max(1000).required(),
+      options: Joi.array().items(Joi.string().trim().allow('').max(200)).max(CHOICE_OPTION_COUNT).optional(),
+      explanation: Joi.string().trim().max(1000).optional()
+    }))
+    .unique('locale')
+    .optional()
+});
 
 // Auth validation schemas
 export const authSchemas = {
@@ -162,7 +272,10 @@ deviceId: Joi.string()
 export const paymentSchemas = {
   // createOrder payload is mostly ignored by server; only parental consent flag is relevant now.
   createOrder: Joi.object({
-    parentalConsent: Joi.boolean().optional()
+    parentalConsent: Joi.boolean().optional(),
+
+    // Quiz slot (e.g. "12TH"); defaults to the quiz matching the user's class
+    slot: slotSchema.optional()
   }),
 
   verifyPayment: Joi.object({
@@ -192,6 +305,38 @@ export const paymentSchemas = {
     reason: Joi.string()
       .max(500)
       .optional()
+  }),
+
+  // Formats are checked again in payout.service.js before encrypting
+  payoutAccount: Joi.object({
+    method: Joi.string()
+      .valid('UPI', 'BANK')
+      .required(),
+
+    accountHolderName: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required(),
+
+    vpa: Joi.string()
+      .trim()
+      .max(320)
+      .when('method', { is: 'UPI', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+    accountNumber: Joi.string()
+      .pattern(/^\d{9,18}$/)
+      .when('method', { is: 'BANK', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+    ifsc: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+      .when('method', { is: 'BANK', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+    pan: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
+      .optional()
   })
 };
 
@@ -215,16 +360,25 @@ export const quizSchemas = {
     questionId: Joi.string()
       .required(),
 
+    // Option index as shown, option indexes for multi-select or a number for
+    // numeric questions; the service checks it against the question type
+    answer: Joi.alternatives().try(
+      Joi.number(),
+      Joi.array().items(Joi.number().integer().min(0).max(CHOICE_OPTION_COUNT - 1)).min(1).max(CHOICE_OPTION_COUNT)
+    ),
+
+    // Single-choice clients
     selectedOptionIndex: Joi.number()
       .integer()
       .min(0)
-      .max(3)
-      .required(),
+      .max(CHOICE_OPTION_COUNT - 1),
+
+    slot: slotSchema.optional(),
 
     timeSpentMs: Joi.number()
       .integer()
       .min(0)
-      .max(15000) // Max 15 seconds
+      .max(MAX_QUESTION_TIME_LIMIT_MS) // Longest allowed per-question limit
       .optional(),
 
     deviceId: Joi.string()
@@ -234,7 +388,7 @@ export const quizSchemas = {
     deviceFingerprint: Joi.string()
       .max(200)
       .optional()
-  }),
+  }).xor('answer', 'selectedOptionIndex'),
 
   createQuiz: Joi.object({
     quizDate: Joi.string()
@@ -246,37 +400,45 @@ export const quizSchemas = {
       .required(),
 
     questions: Joi.array()
-      .items(Joi.object({
-        question: Joi.string()
-          .trim()
-          .min(10)
-          .max(500)
-          .required(),
-
-        options: Joi.array()
-          .items(Joi.string().trim().min(1).max(200))
-          .length(4)
-          .required(),
-
-        correctIndex: Joi.number()
-          .integer()
-          .min(0)
-          .max(3)
-          .required(),
-
-        explanation: Joi.string()
-          .trim()
-          .max(1000)
-          .optional(),
-
-        subject: Joi.string()
-          .trim()
-          .max(50)
-          .optional()
-      }))
-      .min(50)
-      .max(50)
-      .required()
+      .items(questionSchema)
+      .min(MIN_QUIZ_QUESTIONS)
+      .max(MAX_QUIZ_QUESTIONS)
+      .required(),
+
+    questionTimeLimits: Joi.alternatives().try(
+      Joi.number().integer().min(MIN_QUESTION_TIME_LIMIT_MS).max(MAX_QUESTION_TIME_LIMIT_MS),
+      Joi.array().items(Joi.number().integer().min(MIN_QUESTION_TIME_LIMIT_MS).max(MAX_QUESTION_TIME_LIMIT_MS))
+    ).optional(),
+
+    scoring: Joi.object({
+      mode: Joi.string()
+        .valid(...SCORING_MODES)
+        .optional(),
+
+      negativeMarking: Joi.number()
+        .min(0)
+        .optional(),
+
+      speedBonusMinRatio: Joi.number()
+        .min(0)
+        .max(1)
+        .optional()
+    }).optional(),
+
+    prizes: Joi.object({
+      mode: Joi.string()
+        .valid(...PRIZE_MODES)
+        .required(),
+
+      // value: ₹ per rank (FIXED) or % of the entry fee pool per rank (POOL_PERCENT)
+      bands: Joi.array()
+        .items(Joi.object({
+          fromRank: Joi.number().integer().min(1).max(WINNER_COUNT).required(),
+          toRank: Joi.number().integer().min(Joi.ref('fromRank')).max(WINNER_COUNT).optional(),
+          value: Joi.number().min(0).required()
+        }))
+        .optional()
+    }).optional()
   })
 };
 
@@ -385,37 +547,10 @@ export const adminSchemas = {
 
   createQuestions: Joi.object({
     questions: Joi.array()
-      .items(Joi.object({
-        question: Joi.string()
-          .trim()
-          .min(10)
-          .max(500)
-          .required(),
-
-        options: Joi.array()
-          .items(Joi.string().trim().min(1).max(200))
-          .length(4)
-          .required(),
-
-        correctIndex: Joi.number()
-          .integer()
-          .min(0)
-          .max(3)
-          .required(),
-
-        explanation: Joi.string()
-          .trim()
-          .max(1000)
-          .optional(),
-
-        subject: Joi.string()
-          .trim()
-          .max(50)
-          .optional(),
-
-        difficulty: Joi.string()
-          .valid('EASY', 'MEDIUM', 'HARD')
-          .optional()
+      .items(questionSchema.keys({
+        points: Joi.number().min(0).optional(),
+        classGrade: Joi.string().optional(),
+        tags: Joi.array().items(Joi.string().trim().max(50)).optional()
       }))
       .min(1)
       .max(100)